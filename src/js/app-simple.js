@@ -3,301 +3,1376 @@
  * Coordinates between modules without handling implementation details
  */
 
-// Import all modules
-const AppState = (typeof window !== 'undefined' && window.AppState) || 
-                 (typeof require !== 'undefined' && require('./core/app-state.js'));
-const Renderers = (typeof window !== 'undefined' && window.Renderers) || 
-                  (typeof require !== 'undefined' && require('./ui/renderers.js'));
-const DOMUpdater = (typeof window !== 'undefined' && window.DOMUpdater) || 
-                   (typeof require !== 'undefined' && require('./ui/dom-updater.js'));
-const LocationService = (typeof window !== 'undefined' && window.LocationService) || 
-                        (typeof require !== 'undefined' && require('./services/location-service.js'));
-const { NetworkService, TimerService } = (typeof window !== 'undefined' && window.BrowserServices) || 
-                                         (typeof require !== 'undefined' && require('./services/browser-services.js'));
-const SolarCalculations = (typeof window !== 'undefined' && window.SolarCalculations) || 
-                          (typeof require !== 'undefined' && require('./calculations/solar.js'));
-const AnalemmaRenderer = (typeof window !== 'undefined' && window.AnalemmaRenderer) || 
-                         (typeof require !== 'undefined' && require('./visualization/analemma-renderer.js'));
-
-class SimplifiedAnalemmaPWA {
-    constructor(dependencies = {}) {
-        // Initialize services
-        this.state = dependencies.state || new AppState();
-        this.location = dependencies.locationService || new LocationService();
-        this.network = dependencies.networkService || new NetworkService();
-        this.timers = dependencies.timerService || new TimerService();
-        this.renderer = dependencies.analemmaRenderer || new AnalemmaRenderer();
-        
-        // Get DOM elements
-        this.elements = this._getElements();
-        this.domUpdater = dependencies.domUpdater || new DOMUpdater(this.elements);
-        
-        // Subscribe to state changes
-        this.unsubscribe = this.state.subscribe((newState, oldState) => {
-            this.render(newState, oldState);
-        });
-        
-        // Set up event handlers
-        this._setupEventHandlers();
-        
-        // Initialize timers
-        this._initializeTimers();
-    }
+(function () {
+    // Import all modules
+    const AppState = (typeof window !== 'undefined' && window.AppState) || 
+                     (typeof require !== 'undefined' && require('./core/app-state.js'));
+    const Renderers = (typeof window !== 'undefined' && window.Renderers) || 
+                      (typeof require !== 'undefined' && require('./ui/renderers.js'));
+    const DOMUpdater = (typeof window !== 'undefined' && window.DOMUpdater) || 
+                       (typeof require !== 'undefined' && require('./ui/dom-updater.js'));
+    const LocationService = (typeof window !== 'undefined' && window.LocationService) || 
+                            (typeof require !== 'undefined' && require('./services/location-service.js'));
+    const { NetworkService, TimerService } = (typeof window !== 'undefined' && window.BrowserServices) || 
+                                             (typeof require !== 'undefined' && require('./services/browser-services.js'));
+    const SolarCalculations = (typeof window !== 'undefined' && window.SolarCalculations) || 
+                              (typeof require !== 'undefined' && require('./calculations/solar.js'));
+    const ObserverModel = (typeof window !== 'undefined' && window.ObserverModel) || 
+                          (typeof require !== 'undefined' && require('./calculations/observer.js'));
+    const SolarEphemeris = (typeof window !== 'undefined' && window.SolarEphemeris) || 
+                           (typeof require !== 'undefined' && require('./calculations/ephemeris.js'));
+    const SunTimes = (typeof window !== 'undefined' && window.SunTimes) || 
+                     (typeof require !== 'undefined' && require('./calculations/sun-times.js'));
+    const TimeZoneLookup = (typeof window !== 'undefined' && window.TimeZoneLookup) || 
+                           (typeof require !== 'undefined' && require('./calculations/timezone.js'));
+    const PolarPeriods = (typeof window !== 'undefined' && window.PolarPeriods) || 
+                         (typeof require !== 'undefined' && require('./calculations/polar-periods.js'));
+    const SeasonEvents = (typeof window !== 'undefined' && window.SeasonEvents) || 
+                         (typeof require !== 'undefined' && require('./calculations/seasons.js'));
+    const ShadowCalculations = (typeof window !== 'undefined' && window.ShadowCalculations) || 
+                               (typeof require !== 'undefined' && require('./calculations/shadow.js'));
+    const SundialCalculations = (typeof window !== 'undefined' && window.SundialCalculations) || 
+                                (typeof require !== 'undefined' && require('./calculations/sundial.js'));
+    const AnalemmaticSundial = (typeof window !== 'undefined' && window.AnalemmaticSundial) || 
+                               (typeof require !== 'undefined' && require('./calculations/analemmatic.js'));
+    const NoonMark = (typeof window !== 'undefined' && window.NoonMark) || 
+                     (typeof require !== 'undefined' && require('./calculations/noon-mark.js'));
+    const AnalemmaCalculations = (typeof window !== 'undefined' && window.AnalemmaCalculations) || 
+                                 (typeof require !== 'undefined' && require('./calculations/analemma.js'));
+    const SkyView = (typeof window !== 'undefined' && window.SkyView) || 
+                    (typeof require !== 'undefined' && require('./calculations/sky-view.js'));
+    const PhotoPlanner = (typeof window !== 'undefined' && window.PhotoPlanner) || 
+                         (typeof require !== 'undefined' && require('./calculations/photo-planner.js'));
+    const PhotoCalibration = (typeof window !== 'undefined' && window.PhotoCalibration) || 
+                             (typeof require !== 'undefined' && require('./calculations/photo-calibration.js'));
+    const SunPath = (typeof window !== 'undefined' && window.SunPath) || 
+                    (typeof require !== 'undefined' && require('./calculations/sun-path.js'));
+    const AnalemmaRenderer = (typeof window !== 'undefined' && window.AnalemmaRenderer) || 
+                             (typeof require !== 'undefined' && require('./visualization/analemma-renderer.js'));
+    const ShadowRenderer = (typeof window !== 'undefined' && window.ShadowRenderer) || 
+                           (typeof require !== 'undefined' && require('./visualization/shadow-renderer.js'));
+    const SundialRenderer = (typeof window !== 'undefined' && window.SundialRenderer) || 
+                            (typeof require !== 'undefined' && require('./visualization/sundial-renderer.js'));
+    const AnalemmaticRenderer = (typeof window !== 'undefined' && window.AnalemmaticRenderer) || 
+                                (typeof require !== 'undefined' && require('./visualization/analemmatic-renderer.js'));
+    const NoonMarkRenderer = (typeof window !== 'undefined' && window.NoonMarkRenderer) || 
+                             (typeof require !== 'undefined' && require('./visualization/noon-mark-renderer.js'));
+    const SunPathRenderer = (typeof window !== 'undefined' && window.SunPathRenderer) || 
+                            (typeof require !== 'undefined' && require('./visualization/sun-path-renderer.js'));
 
-    /**
-     * Get DOM elements
-     * @private
-     */
-    _getElements() {
-        if (typeof document === 'undefined') return {};
-        
-        return {
-            app: document.getElementById('app'),
-            locationPrompt: document.getElementById('location-prompt'),
-            locationDenied: document.getElementById('location-denied'),
-            mainContent: document.getElementById('main-content'),
-            loading: document.getElementById('loading'),
-            noonTime: document.getElementById('noon-time'),
-            locationInfo: document.getElementById('location-info'),
-            extremeMessage: document.getElementById('extreme-latitude-message'),
-            analemmaSvg: document.getElementById('analemma-svg'),
-            analemmaPath: document.getElementById('analemma-path'),
-            sunMarker: document.getElementById('sun-marker'),
-            directionLabel: document.getElementById('direction-label'),
-            directionArrow: document.getElementById('direction-arrow'),
-            grantLocationBtn: document.getElementById('grant-location-btn'),
-            retryLocationBtn: document.getElementById('retry-location-btn'),
-            onlineStatus: document.getElementById('online-status'),
-            locationStatus: document.getElementById('location-status')
-        };
-    }
+    class SimplifiedAnalemmaPWA {
+        constructor(dependencies = {}) {
+            // Initialize services
+            this.state = dependencies.state || new AppState();
+            this.location = dependencies.locationService || new LocationService();
+            this.network = dependencies.networkService || new NetworkService();
+            this.timers = dependencies.timerService || new TimerService();
+            this.renderer = dependencies.analemmaRenderer || new AnalemmaRenderer();
+            this.shadowRenderer = dependencies.shadowRenderer || new ShadowRenderer();
+            this.shadowSettings = { height: 1, unit: 'm' };
+            this.sundialRenderer = dependencies.sundialRenderer || new SundialRenderer();
+            this.sundialSvg = null;
+            this.analemmaticRenderer = dependencies.analemmaticRenderer || new AnalemmaticRenderer();
+            this.analemmaticFiles = null;
+            this.noonMarkRenderer = dependencies.noonMarkRenderer || new NoonMarkRenderer();
+            this.sunPathRenderer = dependencies.sunPathRenderer || new SunPathRenderer();
+            this.noonMarkSvg = null;
+            this.photoPlan = null;
+            this.photoOverlay = { image: null, url: null, clicks: [], svg: null };
+            this.analemmaPoints = [];
+            this.analemmaCursor = -1;
+            this.analemmaDayYear = null;
+            this.polarForecast = null;
+            this.dateAnimation = null;
+            this.isDrawingDateFrame = false;
+            
+            // Get DOM elements
+            this.elements = this._getElements();
+            this.domUpdater = dependencies.domUpdater || new DOMUpdater(this.elements);
+            
+            // Subscribe to state changes
+            this.unsubscribe = this.state.subscribe((newState, oldState) => {
+                this.render(newState, oldState);
+            });
+            
+            // Set up event handlers
+            this._setupEventHandlers();
+            
+            // Initialize timers
+            this._initializeTimers();
+        }
 
-    /**
-     * Set up event handlers
-     * @private
-     */
-    _setupEventHandlers() {
-        if (typeof window === 'undefined') return;
-        
-        // Location buttons
-        this.elements.grantLocationBtn?.addEventListener('click', () => this.requestLocation());
-        this.elements.retryLocationBtn?.addEventListener('click', () => this.requestLocation());
-        
-        // Network monitoring
-        this.cleanupNetwork = this.network.monitorConnectivity(async (isOnline) => {
-            this.state.update({ isOnline });
+        /**
+         * Get DOM elements
+         * @private
+         */
+        _getElements() {
+            if (typeof document === 'undefined') return {};
             
-            // Verify connectivity
-            if (isOnline) {
-                const actuallyOnline = await this.network.checkConnectivity();
-                this.state.update({ isOnline: actuallyOnline });
-            }
-        });
-    }
+            return {
+                app: document.getElementById('app'),
+                locationPrompt: document.getElementById('location-prompt'),
+                locationDenied: document.getElementById('location-denied'),
+                mainContent: document.getElementById('main-content'),
+                loading: document.getElementById('loading'),
+                noonTitle: document.getElementById('noon-title'),
+                dateInput: document.getElementById('date-input'),
+                datePrev: document.getElementById('date-prev'),
+                dateNext: document.getElementById('date-next'),
+                datePlay: document.getElementById('date-play'),
+                dateToday: document.getElementById('date-today'),
+                dateStatus: document.getElementById('date-status'),
+                noonTime: document.getElementById('noon-time'),
+                noonZone: document.getElementById('noon-zone'),
+                sunTimes: document.getElementById('sun-times'),
+                sunNow: document.getElementById('sun-now'),
+                seasonSummary: document.getElementById('season-summary'),
+                sunDistance: document.getElementById('sun-distance'),
+                seasonEvents: document.getElementById('season-events'),
+                locationInfo: document.getElementById('location-info'),
+                extremeMessage: document.getElementById('extreme-latitude-message'),
+                analemmaSvg: document.getElementById('analemma-svg'),
+                analemmaPath: document.getElementById('analemma-path'),
+                sunMarker: document.getElementById('sun-marker'),
+                dateMarks: document.getElementById('date-marks'),
+                analemmaAxes: document.getElementById('analemma-axes'),
+                analemmaSegments: document.getElementById('analemma-segments'),
+                analemmaCurve: document.getElementById('analemma-curve'),
+                analemmaHiddenPath: document.getElementById('analemma-hidden-path'),
+                noonHorizon: document.getElementById('noon-horizon'),
+                noonSkyRect: document.getElementById('noon-sky-rect'),
+                noonGroundRect: document.getElementById('noon-ground-rect'),
+                eventMarkers: document.getElementById('event-markers'),
+                analemmaCursor: document.getElementById('analemma-cursor'),
+                analemmaTooltip: document.getElementById('analemma-tooltip'),
+                trueAspectToggle: document.getElementById('true-aspect-toggle'),
+                axesToggle: document.getElementById('axes-toggle'),
+                pathColoring: document.getElementById('path-coloring'),
+                trailDays: document.getElementById('trail-days'),
+                skyLayer: document.getElementById('sky-layer'),
+                projectionSelect: document.getElementById('projection-select'),
+                skyHours: document.getElementById('sky-hours'),
+                sunPathGrid: document.getElementById('sun-path-grid'),
+                sunPathTracks: document.getElementById('sun-path-tracks'),
+                sunPathSun: document.getElementById('sun-path-sun'),
+                sunPathMode: document.getElementById('sun-path-mode'),
+                directionLabel: document.getElementById('direction-label'),
+                directionArrow: document.getElementById('direction-arrow'),
+                grantLocationBtn: document.getElementById('grant-location-btn'),
+                retryLocationBtn: document.getElementById('retry-location-btn'),
+                onlineStatus: document.getElementById('online-status'),
+                locationStatus: document.getElementById('location-status'),
+                observerForm: document.getElementById('observer-form'),
+                observerElevation: document.getElementById('observer-elevation'),
+                observerEyeHeight: document.getElementById('observer-eye-height'),
+                observerHorizonElevation: document.getElementById('observer-horizon-elevation'),
+                observerPressure: document.getElementById('observer-pressure'),
+                observerTemperature: document.getElementById('observer-temperature'),
+                observerSummary: document.getElementById('observer-summary'),
+                shadowForm: document.getElementById('shadow-form'),
+                shadowHeight: document.getElementById('shadow-height'),
+                shadowUnit: document.getElementById('shadow-unit'),
+                shadowSummary: document.getElementById('shadow-summary'),
+                shadowTable: document.getElementById('shadow-table'),
+                shadowSvg: document.getElementById('shadow-svg'),
+                sundialForm: document.getElementById('sundial-form'),
+                sundialType: document.getElementById('sundial-type'),
+                sundialDeclination: document.getElementById('sundial-declination'),
+                sundialSize: document.getElementById('sundial-size'),
+                sundialSummary: document.getElementById('sundial-summary'),
+                sundialTable: document.getElementById('sundial-table'),
+                sundialPreview: document.getElementById('sundial-preview'),
+                sundialDownloadBtn: document.getElementById('sundial-download-btn'),
+                analemmaticForm: document.getElementById('analemmatic-form'),
+                analemmaticAxis: document.getElementById('analemmatic-axis'),
+                analemmaticSummary: document.getElementById('analemmatic-summary'),
+                analemmaticPreview: document.getElementById('analemmatic-preview'),
+                analemmaticSvgBtn: document.getElementById('analemmatic-svg-btn'),
+                analemmaticCsvBtn: document.getElementById('analemmatic-csv-btn'),
+                noonMarkForm: document.getElementById('noon-mark-form'),
+                noonMarkSurface: document.getElementById('noon-mark-surface'),
+                noonMarkDeclination: document.getElementById('noon-mark-declination'),
+                noonMarkHeight: document.getElementById('noon-mark-height'),
+                noonMarkClock: document.getElementById('noon-mark-clock'),
+                noonMarkSummary: document.getElementById('noon-mark-summary'),
+                noonMarkPreview: document.getElementById('noon-mark-preview'),
+                noonMarkDownloadBtn: document.getElementById('noon-mark-download-btn'),
+                plannerForm: document.getElementById('planner-form'),
+                plannerTime: document.getElementById('planner-time'),
+                plannerInterval: document.getElementById('planner-interval'),
+                plannerFocal: document.getElementById('planner-focal'),
+                plannerOrientation: document.getElementById('planner-orientation'),
+                plannerSummary: document.getElementById('planner-summary'),
+                plannerWarnings: document.getElementById('planner-warnings'),
+                plannerTable: document.getElementById('planner-table'),
+                plannerCsvBtn: document.getElementById('planner-csv-btn'),
+                plannerIcsBtn: document.getElementById('planner-ics-btn'),
+                overlayForm: document.getElementById('overlay-form'),
+                overlayFile: document.getElementById('overlay-file'),
+                overlayTime: document.getElementById('overlay-time'),
+                overlayRef1Type: document.getElementById('overlay-ref1-type'),
+                overlayRef1Time: document.getElementById('overlay-ref1-time'),
+                overlayRef1Azimuth: document.getElementById('overlay-ref1-azimuth'),
+                overlayRef2Type: document.getElementById('overlay-ref2-type'),
+                overlayRef2Time: document.getElementById('overlay-ref2-time'),
+                overlayRef2Azimuth: document.getElementById('overlay-ref2-azimuth'),
+                overlayStatus: document.getElementById('overlay-status'),
+                overlayStage: document.getElementById('overlay-stage'),
+                overlayImage: document.getElementById('overlay-image'),
+                overlayLayer: document.getElementById('overlay-layer'),
+                overlayResetBtn: document.getElementById('overlay-reset-btn'),
+                overlayExportBtn: document.getElementById('overlay-export-btn')
+            };
+        }
 
-    /**
-     * Initialize timers
-     * @private
-     */
-    _initializeTimers() {
-        // Update time every minute
-        this.timers.setInterval(() => {
-            if (this.state.getState().location) {
-                this.updateSolarNoonTime();
-            }
-        }, 60000);
-        
-        // Check for date change every minute
-        this.timers.setInterval(() => {
-            const state = this.state.getState();
-            const now = new Date();
-            const currentDate = new Date(state.currentDate);
+        /**
+         * Set up event handlers
+         * @private
+         */
+        _setupEventHandlers() {
+            if (typeof window === 'undefined') return;
+            
+            // Location buttons
+            this.elements.grantLocationBtn?.addEventListener('click', () => this.requestLocation());
+            this.elements.retryLocationBtn?.addEventListener('click', () => this.requestLocation());
+            
+            // Day being shown
+            this.elements.dateInput?.addEventListener('change', (event) => this.chooseDate(event.target.value));
+            this.elements.datePrev?.addEventListener('click', () => this.stepDate(-1));
+            this.elements.dateNext?.addEventListener('click', () => this.stepDate(1));
+            this.elements.datePlay?.addEventListener('click', () => this.toggleDateAnimation());
+            this.elements.dateToday?.addEventListener('click', () => this.returnToToday());
+            
+            // Analemma view
+            this.elements.analemmaSvg?.addEventListener('pointermove', (event) => this.handleAnalemmaPointer(event, false));
+            this.elements.analemmaSvg?.addEventListener('click', (event) => this.handleAnalemmaPointer(event, true));
+            this.elements.analemmaSvg?.addEventListener('pointerleave', (event) => {
+                if (event.pointerType === 'mouse') this.showAnalemmaPoint(-1);
+            });
+            this.elements.analemmaSvg?.addEventListener('keydown', (event) => this.handleAnalemmaKey(event));
+            this.elements.analemmaSvg?.addEventListener('blur', () => this.showAnalemmaPoint(-1));
+            this.elements.trueAspectToggle?.addEventListener('change', (event) => {
+                this.renderer.setTrueAspect(event.target.checked);
+                this.updateVisualization();
+            });
+            this.elements.axesToggle?.addEventListener('change', (event) => {
+                this.renderer.setShowAxes(event.target.checked);
+                this.updateVisualization();
+            });
+            this.elements.projectionSelect?.addEventListener('change', () => this.updateProjection());
+            this.elements.pathColoring?.addEventListener('change', () => this.updatePathColoring());
+            this.elements.trailDays?.addEventListener('change', () => this.updatePathColoring());
+            this.elements.skyHours?.addEventListener('change', () => this.updateProjection());
+            this.elements.sunPathMode?.addEventListener('change', (event) => {
+                this.sunPathRenderer.setMode(event.target.value);
+                this.updateSunPath();
+            });
+            
+            // Observer profile
+            this.elements.observerForm?.addEventListener('change', () => this.updateObserverSettings());
+            this.elements.observerForm?.addEventListener('submit', (event) => event.preventDefault());
             
-            if (now.getDate() !== currentDate.getDate()) {
+            // Tool panels
+            this.elements.shadowForm?.addEventListener('input', () => this.updateShadowSettings());
+            this.elements.shadowForm?.addEventListener('submit', (event) => event.preventDefault());
+            this.elements.sundialForm?.addEventListener('change', () => this.updateSundial());
+            this.elements.sundialForm?.addEventListener('submit', (event) => event.preventDefault());
+            this.elements.sundialDownloadBtn?.addEventListener('click', () => this.downloadSundial());
+            this.elements.analemmaticForm?.addEventListener('change', () => this.updateAnalemmaticDial());
+            this.elements.analemmaticForm?.addEventListener('submit', (event) => event.preventDefault());
+            this.elements.analemmaticSvgBtn?.addEventListener('click', () => this.downloadAnalemmaticDial('svg'));
+            this.elements.analemmaticCsvBtn?.addEventListener('click', () => this.downloadAnalemmaticDial('csv'));
+            this.elements.noonMarkForm?.addEventListener('change', () => this.updateNoonMark());
+            this.elements.noonMarkForm?.addEventListener('submit', (event) => event.preventDefault());
+            this.elements.noonMarkDownloadBtn?.addEventListener('click', () => this.downloadNoonMark());
+            this.elements.plannerForm?.addEventListener('change', () => this.updatePhotoPlan());
+            this.elements.plannerForm?.addEventListener('submit', (event) => event.preventDefault());
+            this.elements.plannerCsvBtn?.addEventListener('click', () => this.downloadPhotoPlan('csv'));
+            this.elements.plannerIcsBtn?.addEventListener('click', () => this.downloadPhotoPlan('ics'));
+            this.elements.overlayFile?.addEventListener('change', (event) => this.loadOverlayPhoto(event.target.files[0]));
+            this.elements.overlayForm?.addEventListener('change', (event) => {
+                if (event.target !== this.elements.overlayFile) this.updatePhotoOverlay();
+            });
+            this.elements.overlayForm?.addEventListener('submit', (event) => event.preventDefault());
+            this.elements.overlayStage?.addEventListener('click', (event) => this.handleOverlayClick(event));
+            this.elements.overlayResetBtn?.addEventListener('click', () => {
+                this.photoOverlay.clicks = [];
+                this.updatePhotoOverlay();
+            });
+            this.elements.overlayExportBtn?.addEventListener('click', () => this.exportPhotoOverlay());
+            
+            // Network monitoring
+            this.cleanupNetwork = this.network.monitorConnectivity(async (isOnline) => {
+                this.state.update({ isOnline });
+                
+                // Verify connectivity
+                if (isOnline) {
+                    const actuallyOnline = await this.network.checkConnectivity();
+                    this.state.update({ isOnline: actuallyOnline });
+                }
+            });
+        }
+
+        /**
+         * Initialize timers
+         * @private
+         */
+        _initializeTimers() {
+            // Update time and live sun position every minute
+            this.timers.setInterval(() => {
+                if (this.state.getState().location) {
+                    this.updateSolarNoonTime();
+                    this.updateSunPosition();
+                    this.updateSunPath();
+                }
+            }, 60000);
+            
+            // Keep the date current every minute, so the analemma marker follows the sun through the day,
+            // and refresh the daily figures when the date changes (midnight at the location, not on the device);
+            // a day the user has chosen stays until they return to today
+            this.timers.setInterval(() => {
+                const state = this.state.getState();
+                if (state.isDateChosen) return;
+
+                const now = new Date();
+                const currentDate = new Date(state.currentDate);
+                const today = TimeZoneLookup.formatDateInTimeZone(now, state.timeZone);
+                const dateChanged = today !== TimeZoneLookup.formatDateInTimeZone(currentDate, state.timeZone);
+
                 this.state.update({ currentDate: now });
-                if (state.location) {
-                    this.updateVisualization();
+                if (!state.location) return;
+
+                if (dateChanged) {
+                    this.updateSunTimes();
+                    this.updateSeasons();
+                    this.updateSunDistance();
+                    this.updateNoonShadow();
+                    this.updateSunPath();
                 }
-            }
-        }, 60000);
-    }
+                this.updateVisualization();
+            }, 60000);
+        }
 
-    /**
-     * Initialize the application
-     */
-    async initialize() {
-        try {
-            // Check for saved location
-            const savedLocation = this.location.getSavedLocation();
-            if (savedLocation) {
-                this.state.update({ location: savedLocation });
+        /**
+         * Initialize the application
+         */
+        async initialize() {
+            try {
+                // Check for saved location
+                const savedLocation = this.location.getSavedLocation();
+                if (savedLocation) {
+                    this.state.update({ location: savedLocation });
+                    const permissionState = await this.location.getPermissionState();
+                    this.state.update({ permissionState });
+                    await this.updateAllDisplays();
+                    return;
+                }
+                
+                // Check permission state
                 const permissionState = await this.location.getPermissionState();
                 this.state.update({ permissionState });
+                
+                if (permissionState === 'granted') {
+                    await this.requestLocation();
+                }
+            } catch (error) {
+                console.error('Initialization error:', error);
+                this.state.update({
+                    hasError: true,
+                    errorMessage: 'Failed to initialize application'
+                });
+            }
+        }
+
+        /**
+         * Request location from user
+         */
+        async requestLocation() {
+            this.state.update({ 
+                isLoading: true, 
+                loadingMessage: 'Getting your location...' 
+            });
+            
+            try {
+                const location = await this.location.requestLocation();
+                const permissionState = await this.location.getPermissionState();
+                
+                // Validate coordinates
+                const validation = SolarCalculations.validateCoordinates(
+                    location.latitude, 
+                    location.longitude
+                );
+                
+                if (!validation.isValid) {
+                    throw new Error(validation.error);
+                }
+                
+                this.state.update({
+                    location,
+                    permissionState,
+                    isLoading: false,
+                    hasError: false,
+                    errorMessage: null
+                });
+                
                 await this.updateAllDisplays();
-                return;
+                
+            } catch (error) {
+                console.error('Location request failed:', error);
+                
+                const isDenied = error.message.includes('denied');
+                this.state.update({
+                    isLoading: false,
+                    hasError: true,
+                    errorMessage: error.message,
+                    permissionState: isDenied ? 'denied' : this.state.getState().permissionState
+                });
             }
+        }
+
+        /**
+         * Build the observer profile from the location and saved settings
+         * @returns {Object} Observer profile
+         */
+        getObserverProfile() {
+            const state = this.state.getState();
+            const settings = this.location.getObserverSettings ? this.location.getObserverSettings() : {};
+            return ObserverModel.createObserverProfile(state.location, settings);
+        }
+
+        /**
+         * Read the observer form, save it and refresh dependent displays
+         */
+        async updateObserverSettings() {
+            const readNumber = (input) => {
+                if (!input || input.value.trim() === '') return null;
+                const value = parseFloat(input.value);
+                return isFinite(value) ? value : null;
+            };
+
+            const settings = {
+                elevation: readNumber(this.elements.observerElevation),
+                eyeHeight: readNumber(this.elements.observerEyeHeight),
+                horizonElevation: readNumber(this.elements.observerHorizonElevation),
+                pressure: readNumber(this.elements.observerPressure),
+                temperature: readNumber(this.elements.observerTemperature)
+            };
+
+            this.location.saveObserverSettings(settings);
+            await this.updateAllDisplays();
+        }
+
+        /**
+         * Update the observer profile panel
+         */
+        async updateObserverPanel() {
+            const state = this.state.getState();
+            if (!state.location) return;
             
-            // Check permission state
-            const permissionState = await this.location.getPermissionState();
-            this.state.update({ permissionState });
+            const settings = this.location.getObserverSettings ? this.location.getObserverSettings() : {};
+            const profile = ObserverModel.createObserverProfile(state.location, settings);
+            this.domUpdater.updateObserverPanel(Renderers.renderObserverProfile(profile, settings));
+        }
+
+        /**
+         * Update all displays
+         */
+        async updateAllDisplays() {
+            await this.updateTimeZone();
+            await Promise.all([
+                this.updateObserverPanel(),
+                this.updateSolarNoonTime(),
+                this.updateSunTimes(),
+                this.updateSunPosition(),
+                this.updateSeasons(),
+                this.updateSunDistance(),
+                this.updateNoonShadow(),
+                this.updateSundial(),
+                this.updateAnalemmaticDial(),
+                this.updateNoonMark(),
+                this.updatePhotoPlan(),
+                this.updatePhotoOverlay(),
+                this.updateSunPath(),
+                this.updateVisualization()
+            ]);
+        }
+
+        /**
+         * Show a day of the user's choosing instead of following the clock
+         * @param {Date} date Instant to show
+         */
+        async showDate(date) {
+            this.stopDateAnimation();
+            this.state.update({ currentDate: date, isDateChosen: true });
+            await this.updateAllDisplays();
+        }
+
+        /**
+         * Show the date picked in the date input, at the same time of day
+         * @param {string} value Date such as "2024-06-21"
+         */
+        async chooseDate(value) {
+            const { currentDate, timeZone } = this.state.getState();
+            const date = TimeZoneLookup.setCalendarDate(currentDate, value, timeZone);
+            if (date) await this.showDate(date);
+        }
+
+        /**
+         * Show an earlier or later day, at the same time of day
+         * @param {number} days Days to move (negative for earlier)
+         */
+        async stepDate(days) {
+            const { currentDate, timeZone } = this.state.getState();
+            await this.showDate(TimeZoneLookup.shiftCalendarDays(currentDate, days, timeZone));
+        }
+
+        /**
+         * Go back to following the clock
+         */
+        async returnToToday() {
+            this.stopDateAnimation();
+            this.state.update({ currentDate: new Date(), isDateChosen: false });
+            await this.updateAllDisplays();
+        }
+
+        /**
+         * Start or pause stepping through the year a day at a time
+         */
+        toggleDateAnimation() {
+            if (this.dateAnimation) {
+                this.stopDateAnimation();
+                this.updateAllDisplays();
+                return;
+            }
+
+            this.state.update({ isDateChosen: true, isAnimating: true });
+            this.dateAnimation = this.timers.setInterval(() => this.advanceDateAnimation(), 100);
+        }
+
+        /**
+         * Move the animation on a day, updating only solar noon and the sun on the analemma;
+         * the figure is redrawn when the year changes, and everything else when the animation stops
+         * Frames that come due while the previous one is still drawing are skipped
+         */
+        async advanceDateAnimation() {
+            if (this.isDrawingDateFrame) return;
+            this.isDrawingDateFrame = true;
+
+            try {
+                const { currentDate, timeZone } = this.state.getState();
+                const nextDate = TimeZoneLookup.shiftCalendarDays(currentDate, 1, timeZone);
+                this.state.update({ currentDate: nextDate });
+                await Promise.all([
+                    this.updateSolarNoonTime(),
+                    nextDate.getFullYear() === currentDate.getFullYear() ? this.updateSunMarker() : this.updateVisualization()
+                ]);
+            } finally {
+                this.isDrawingDateFrame = false;
+            }
+        }
+
+        /**
+         * Stop the animation, leaving the day it reached on show
+         */
+        stopDateAnimation() {
+            if (!this.dateAnimation) return;
+
+            this.timers.clearInterval(this.dateAnimation);
+            this.dateAnimation = null;
+            this.state.update({ isAnimating: false });
+        }
+
+        /**
+         * Resolve the time zone of the current location
+         * Falls back to the nautical zone (no time zone) if the data cannot be loaded
+         */
+        async updateTimeZone() {
+            const state = this.state.getState();
+            if (!state.location) return;
+
+            const { latitude, longitude } = state.location;
+            const key = `${latitude},${longitude}`;
+            if (this.timeZoneKey === key) return;
+
+            try {
+                const timeZone = await TimeZoneLookup.getTimeZoneForLocation(latitude, longitude);
+                this.timeZoneKey = key;
+                this.state.update({ timeZone });
+            } catch (error) {
+                console.error('Error resolving time zone:', error);
+                this.state.update({ timeZone: null });
+            }
+        }
+
+        /**
+         * Update solar noon time
+         */
+        async updateSolarNoonTime() {
+            const state = this.state.getState();
+            if (!state.location) return;
             
-            if (permissionState === 'granted') {
-                await this.requestLocation();
-            }
-        } catch (error) {
-            console.error('Initialization error:', error);
-            this.state.update({
-                hasError: true,
-                errorMessage: 'Failed to initialize application'
-            });
+            try {
+                const solarNoon = SolarCalculations.calculateSolarNoon(
+                    state.location.longitude,
+                    state.currentDate,
+                    state.timeZone
+                );
+                const timeString = SolarCalculations.formatSolarNoonTime(solarNoon, true, state.timeZone);
+                this.domUpdater.updateSolarNoonTime(timeString);
+                this.domUpdater.updateSolarNoonZone(Renderers.renderSolarNoonZone(solarNoon, state.timeZone));
+            } catch (error) {
+                console.error('Error calculating solar noon:', error);
+                this.domUpdater.updateSolarNoonTime('Error calculating time');
+            }
         }
-    }
 
-    /**
-     * Request location from user
-     */
-    async requestLocation() {
-        this.state.update({ 
-            isLoading: true, 
-            loadingMessage: 'Getting your location...' 
-        });
-        
-        try {
-            const location = await this.location.requestLocation();
-            const permissionState = await this.location.getPermissionState();
+        /**
+         * Update sunrise, sunset and twilight times
+         */
+        async updateSunTimes() {
+            const state = this.state.getState();
+            if (!state.location) return;
             
-            // Validate coordinates
-            const validation = SolarCalculations.validateCoordinates(
-                location.latitude, 
-                location.longitude
-            );
+            try {
+                const sunTimes = SunTimes.calculateSunTimes(
+                    state.location.latitude,
+                    state.location.longitude,
+                    state.currentDate,
+                    this.getObserverProfile(),
+                    state.timeZone
+                );
+                this.domUpdater.updateSunTimes(Renderers.renderSunTimes(sunTimes, state.timeZone));
+            } catch (error) {
+                console.error('Error calculating sun times:', error);
+            }
+        }
+
+        /**
+         * Update the current season, solstice countdown and event list
+         */
+        async updateSeasons() {
+            const state = this.state.getState();
+            if (!state.location) return;
             
-            if (!validation.isValid) {
-                throw new Error(validation.error);
+            try {
+                const summary = SeasonEvents.getSeasonSummary(
+                    state.currentDate,
+                    state.location.latitude,
+                    state.timeZone
+                );
+                this.domUpdater.updateSeasons(Renderers.renderSeasonSummary(summary, state.timeZone));
+            } catch (error) {
+                console.error('Error calculating season events:', error);
             }
+        }
+
+        /**
+         * Update the Earth-Sun distance and apparent diameter
+         */
+        async updateSunDistance() {
+            const state = this.state.getState();
+            if (!state.location) return;
             
-            this.state.update({
-                location,
-                permissionState,
-                isLoading: false,
-                hasError: false,
-                errorMessage: null
+            try {
+                const distance = SolarEphemeris.calculateSunDistance(state.currentDate);
+                this.domUpdater.updateSunDistance(Renderers.renderSunDistance(distance));
+            } catch (error) {
+                console.error('Error calculating sun distance:', error);
+            }
+        }
+
+        /**
+         * Read the object height and unit from the shadow form
+         * Switching units converts the entered height so the object stays the same size
+         */
+        async updateShadowSettings() {
+            const { shadowHeight, shadowUnit } = this.elements;
+            const unit = shadowUnit?.value || this.shadowSettings.unit;
+            const height = parseFloat(shadowHeight?.value);
+
+            if (unit !== this.shadowSettings.unit) {
+                const converted = ShadowCalculations.fromMeters(
+                    ShadowCalculations.toMeters(this.shadowSettings.height, this.shadowSettings.unit), unit
+                );
+                this.shadowSettings = { height: Math.round(converted * 100) / 100, unit };
+                if (shadowHeight) shadowHeight.value = this.shadowSettings.height;
+            } else if (isFinite(height) && height > 0) {
+                this.shadowSettings = { height, unit };
+            } else {
+                return;
+            }
+
+            await this.updateNoonShadow();
+        }
+
+        /**
+         * Update the noon shadow panel and scene
+         */
+        async updateNoonShadow() {
+            const state = this.state.getState();
+            if (!state.location) return;
+
+            try {
+                const { latitude, longitude } = state.location;
+                const { height, unit } = this.shadowSettings;
+                const shadows = ShadowCalculations.calculateSolsticeShadows(
+                    height, latitude, longitude, state.currentDate, state.timeZone
+                );
+
+                this.domUpdater.updateShadowPanel(
+                    Renderers.renderNoonShadow(shadows, height, unit, state.timeZone),
+                    this.shadowRenderer.generateScene(shadows)
+                );
+            } catch (error) {
+                console.error('Error calculating noon shadow:', error);
+            }
+        }
+
+        /**
+         * Read the sundial form
+         * @returns {Object} Dial type, wall declination and size in mm
+         */
+        getSundialSettings() {
+            const { sundialType, sundialDeclination, sundialSize } = this.elements;
+            const type = sundialType?.value || 'horizontal';
+            const declination = parseFloat(sundialDeclination?.value);
+            const size = parseFloat(sundialSize?.value);
+
+            if (sundialDeclination) {
+                sundialDeclination.disabled = type !== 'vertical-declining';
+            }
+
+            return {
+                type,
+                declination: isFinite(declination) ? Math.max(-80, Math.min(80, declination)) : 0,
+                size: isFinite(size) && size > 0 ? size : 200
+            };
+        }
+
+        /**
+         * Design the sundial for the current location and update the preview
+         */
+        async updateSundial() {
+            const state = this.state.getState();
+            if (!state.location) return;
+
+            try {
+                const { latitude, longitude } = state.location;
+                const { type, declination, size } = this.getSundialSettings();
+                const design = SundialCalculations.designDial(latitude, type, declination);
+
+                // The dial reads local apparent time; the table converts it to the zone's standard time
+                const standardOffset = state.timeZone
+                    ? TimeZoneLookup.getStandardOffset(state.currentDate, state.timeZone)
+                    : Math.round(longitude / 15) * 60;
+                const coordinates = await AnalemmaCalculations.getAllAnalemmaCoordinates();
+                const monthDays = await AnalemmaCalculations.getAnalemmaMonthDays([1, 15]);
+                const table = SundialCalculations.calculateCorrectionTable(coordinates, longitude, standardOffset, monthDays);
+
+                const title = `${SundialCalculations.DIAL_TYPES[type].label} sundial · ` +
+                    `${latitude.toFixed(3)}°, ${longitude.toFixed(3)}°` +
+                    (design.declination ? ` · declination ${design.declination}°` : '');
+                const layout = this.sundialRenderer.generateLayout(design, table, { size, title });
+                this.sundialSvg = this.sundialRenderer.toSVG(layout);
+
+                this.domUpdater.updateSundialPanel(
+                    Renderers.renderSundialDesign(
+                        design,
+                        SundialCalculations.calculateLongitudeCorrection(longitude, standardOffset),
+                        standardOffset
+                    ),
+                    this.sundialSvg
+                );
+            } catch (error) {
+                console.error('Error designing sundial:', error);
+            }
+        }
+
+        /**
+         * Download the current sundial as a printable SVG
+         */
+        downloadSundial() {
+            if (!this.sundialSvg) return;
+            const { type } = this.getSundialSettings();
+            this.domUpdater.downloadFile(`sundial-${type}.svg`, this.sundialSvg, 'image/svg+xml');
+        }
+
+        /**
+         * Lay out the analemmatic sundial for the current location
+         */
+        async updateAnalemmaticDial() {
+            const state = this.state.getState();
+            if (!state.location) return;
+
+            try {
+                const { latitude, longitude } = state.location;
+                const axis = parseFloat(this.elements.analemmaticAxis?.value);
+                const majorAxis = isFinite(axis) && axis > 0 ? axis : 6;
+
+                const coordinates = await AnalemmaCalculations.getAllAnalemmaCoordinates();
+                const monthStarts = await AnalemmaCalculations.getAnalemmaMonthDays();
+                const design = AnalemmaticSundial.designAnalemmaticDial(latitude, majorAxis, coordinates, monthStarts);
+                const title = `Analemmatic sundial · ${latitude.toFixed(3)}°, ${longitude.toFixed(3)}°`;
+                const svg = this.analemmaticRenderer.toSVG(this.analemmaticRenderer.generatePlan(design, { title }));
+
+                this.analemmaticFiles = { svg, csv: AnalemmaticSundial.toStakeCSV(design) };
+                this.domUpdater.updateAnalemmaticPanel(Renderers.renderAnalemmaticDial(design), svg);
+            } catch (error) {
+                console.error('Error designing analemmatic sundial:', error);
+            }
+        }
+
+        /**
+         * Download the analemmatic sundial plan or stake list
+         * @param {string} format 'svg' or 'csv'
+         */
+        downloadAnalemmaticDial(format) {
+            if (!this.analemmaticFiles) return;
+
+            if (format === 'csv') {
+                this.domUpdater.downloadFile('analemmatic-sundial-stakes.csv', this.analemmaticFiles.csv, 'text/csv');
+            } else {
+                this.domUpdater.downloadFile('analemmatic-sundial-plan.svg', this.analemmaticFiles.svg, 'image/svg+xml');
+            }
+        }
+
+        /**
+         * Read the noon mark form
+         * @returns {Object} Surface, wall declination, gnomon height and which noon to mark
+         */
+        getNoonMarkSettings() {
+            const { noonMarkSurface, noonMarkDeclination, noonMarkHeight, noonMarkClock } = this.elements;
+            const surface = noonMarkSurface?.value || 'floor';
+            const declination = parseFloat(noonMarkDeclination?.value);
+            const gnomonHeight = parseFloat(noonMarkHeight?.value);
+
+            if (noonMarkDeclination) {
+                noonMarkDeclination.disabled = surface !== 'wall-declining';
+            }
+
+            return {
+                surface,
+                declination: isFinite(declination) ? Math.max(-80, Math.min(80, declination)) : 0,
+                gnomonHeight: isFinite(gnomonHeight) && gnomonHeight > 0 ? gnomonHeight : 1,
+                clock: noonMarkClock?.value || 'mean'
+            };
+        }
+
+        /**
+         * Project the noon mark for the current location and update the preview
+         */
+        async updateNoonMark() {
+            const state = this.state.getState();
+            if (!state.location) return;
+
+            try {
+                const { latitude, longitude } = state.location;
+                const { surface, declination, gnomonHeight, clock } = this.getNoonMarkSettings();
+
+                // Standard-time noon is offset from local mean noon by the longitude correction
+                let clockOffset = 0;
+                if (clock === 'standard') {
+                    const standardOffset = state.timeZone
+                        ? TimeZoneLookup.getStandardOffset(state.currentDate, state.timeZone)
+                        : Math.round(longitude / 15) * 60;
+                    clockOffset = SundialCalculations.calculateLongitudeCorrection(longitude, standardOffset);
+                }
+
+                const coordinates = await AnalemmaCalculations.getAllAnalemmaCoordinates();
+                const monthStarts = await AnalemmaCalculations.getAnalemmaMonthDays();
+                const mark = NoonMark.calculateNoonMark(latitude, coordinates, {
+                    surface,
+                    declination,
+                    gnomonHeight,
+                    clockOffset,
+                    monthStarts
+                });
+                const title = `Noon mark · ${NoonMark.NOON_MARK_SURFACES[surface].label} · nodus ${gnomonHeight} m · ` +
+                    `${latitude.toFixed(3)}°, ${longitude.toFixed(3)}°`;
+                const layout = this.noonMarkRenderer.generateLayout(mark, { title });
+
+                this.noonMarkSvg = mark.points.length > 0 ? this.noonMarkRenderer.toSVG(layout) : null;
+                this.domUpdater.updateNoonMarkPanel(Renderers.renderNoonMark(mark, layout), this.noonMarkSvg);
+            } catch (error) {
+                console.error('Error calculating noon mark:', error);
+            }
+        }
+
+        /**
+         * Download the full-scale noon mark
+         */
+        downloadNoonMark() {
+            if (!this.noonMarkSvg) return;
+            const { surface } = this.getNoonMarkSettings();
+            this.domUpdater.downloadFile(`noon-mark-${surface}.svg`, this.noonMarkSvg, 'image/svg+xml');
+        }
+
+        /**
+         * Read the photography planner form
+         * @returns {Object} Standard clock hour, days between shots, focal length and orientation
+         */
+        getPlannerSettings() {
+            const { plannerTime, plannerInterval, plannerFocal, plannerOrientation } = this.elements;
+            const [hour] = SkyView.parseClockHours(plannerTime?.value);
+            const intervalDays = parseInt(plannerInterval?.value, 10);
+            const focalLength = parseFloat(plannerFocal?.value);
+
+            return {
+                hour: hour !== undefined ? hour : 12,
+                intervalDays: isFinite(intervalDays) && intervalDays > 0 ? intervalDays : 7,
+                focalLength: isFinite(focalLength) && focalLength > 0 ? focalLength : 24,
+                orientation: plannerOrientation?.value === 'portrait' ? 'portrait' : 'landscape'
+            };
+        }
+
+        /**
+         * Plan an analemma time-lapse from the stored location, starting today
+         */
+        async updatePhotoPlan() {
+            const state = this.state.getState();
+            const location = this.location.getSavedLocation() || state.location;
+            if (!location) return;
+
+            try {
+                const { latitude, longitude } = location;
+                this.photoPlan = PhotoPlanner.planShoot(latitude, longitude, {
+                    ...this.getPlannerSettings(),
+                    startDate: state.currentDate,
+                    timeZone: state.timeZone
+                });
+                this.domUpdater.updatePlannerPanel(Renderers.renderPhotoPlan(this.photoPlan));
+            } catch (error) {
+                console.error('Error planning analemma photography:', error);
+            }
+        }
+
+        /**
+         * Download the shooting schedule
+         * @param {string} format 'csv' or 'ics'
+         */
+        downloadPhotoPlan(format) {
+            if (!this.photoPlan) return;
+
+            const time = PhotoPlanner.formatClockHour(this.photoPlan.hour).replace(':', '');
+            if (format === 'ics') {
+                this.domUpdater.downloadFile(`analemma-shots-${time}.ics`, PhotoPlanner.toICS(this.photoPlan), 'text/calendar');
+            } else {
+                this.domUpdater.downloadFile(`analemma-shots-${time}.csv`, PhotoPlanner.toCSV(this.photoPlan), 'text/csv');
+            }
+        }
+
+        /**
+         * Load a sky photo from disk for checking against the model
+         * @param {File} file Image file chosen by the user
+         */
+        loadOverlayPhoto(file) {
+            if (!file) return;
+
+            if (this.photoOverlay.url) URL.revokeObjectURL(this.photoOverlay.url);
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            image.onload = () => {
+                this.photoOverlay = { image, url, clicks: [], svg: null };
+                this.domUpdater.showOverlayPhoto(url);
+                this.updatePhotoOverlay();
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                this.domUpdater.updatePhotoOverlay({ status: 'That file could not be read as an image.', svg: '', canExport: false });
+            };
+            image.src = url;
+        }
+
+        /**
+         * Record a reference point clicked on the photo, in the photo's own pixels
+         * @param {MouseEvent} event Click on the photo
+         */
+        handleOverlayClick(event) {
+            const { image, clicks } = this.photoOverlay;
+            if (!image || clicks.length >= 2) return;
+
+            const rect = this.elements.overlayStage.getBoundingClientRect();
+            clicks.push({
+                x: (event.clientX - rect.left) / rect.width * image.naturalWidth,
+                y: (event.clientY - rect.top) / rect.height * image.naturalHeight
             });
+            this.updatePhotoOverlay();
+        }
+
+        /**
+         * Read one reference from the overlay form
+         * @param {number} number Reference number (1 or 2)
+         * @param {string|null} timeZone IANA time zone of the location
+         * @returns {Object} Reference {type, date, azimuth}
+         */
+        getOverlayReference(number, timeZone) {
+            const type = this.elements[`overlayRef${number}Type`]?.value || 'sun';
+            const timeInput = this.elements[`overlayRef${number}Time`];
+            const azimuthInput = this.elements[`overlayRef${number}Azimuth`];
+
+            if (timeInput) timeInput.disabled = type !== 'sun';
+            if (azimuthInput) azimuthInput.disabled = type !== 'horizon';
+
+            const azimuth = parseFloat(azimuthInput?.value);
+            return {
+                type,
+                date: PhotoCalibration.parseLocalDateTime(timeInput?.value, timeZone),
+                azimuth: isFinite(azimuth) ? ((azimuth % 360) + 360) % 360 : 180
+            };
+        }
+
+        /**
+         * Calibrate the photo from the clicked references and draw the predicted analemma over it
+         */
+        updatePhotoOverlay() {
+            const state = this.state.getState();
+            const location = this.location.getSavedLocation() || state.location;
+            const references = [1, 2].map(number => this.getOverlayReference(number, state.timeZone));
+            const { image, clicks } = this.photoOverlay;
+            if (!image) return;
+
+            const size = { width: image.naturalWidth, height: image.naturalHeight };
+            const show = (status, overlay = null) => {
+                const svg = this.renderer.toOverlaySVG(overlay || size, clicks);
+                this.photoOverlay.svg = overlay ? svg : null;
+                this.domUpdater.updatePhotoOverlay({ status, svg, canExport: Boolean(overlay) });
+            };
+
+            if (clicks.length < 2) {
+                show(`Click reference ${clicks.length + 1} on the photo.`);
+                return;
+            }
+            if (!location) {
+                show('Set a location first: the overlay is drawn for where the photo was taken.');
+                return;
+            }
+
+            const missingTime = references.findIndex(reference => reference.type === 'sun' && !reference.date);
+            if (missingTime >= 0) {
+                show(`Enter the date and time of reference ${missingTime + 1}.`);
+                return;
+            }
+
+            try {
+                const { latitude, longitude } = location;
+                const [first, second] = references.map((reference, index) => ({
+                    pixel: clicks[index],
+                    direction: PhotoCalibration.getReferenceDirection(reference, latitude, longitude)
+                }));
+                const calibration = PhotoCalibration.createCalibration(first, second, size);
+                const [hour] = SkyView.parseClockHours(this.elements.overlayTime?.value);
+                const overlay = this.renderer.generatePhotoOverlay(location, state.currentDate, calibration, {
+                    ...size,
+                    hour: hour !== undefined ? hour : 12,
+                    timeZone: state.timeZone
+                });
+
+                show(`Calibrated: ${calibration.pixelsPerDegree.toFixed(1)} px per degree, ` +
+                    `camera rolled ${Math.abs(calibration.rotation).toFixed(1)}°. ` +
+                    (overlay.sun ? "The sun marks today's position." : 'The sun is below the horizon at this time today.'), overlay);
+            } catch (error) {
+                show(`${error.message}. Pick the points again.`);
+            }
+        }
+
+        /**
+         * Download the photo with the overlay drawn in
+         */
+        async exportPhotoOverlay() {
+            const { image, svg } = this.photoOverlay;
+            if (!image || !svg) return;
+
+            try {
+                const png = await this.domUpdater.composeOverlayPNG(image, svg);
+                this.domUpdater.downloadFile('analemma-overlay.png', png);
+            } catch (error) {
+                console.error('Error exporting photo overlay:', error);
+            }
+        }
+
+        /**
+         * Update the live "sun right now" readout
+         */
+        async updateSunPosition() {
+            const state = this.state.getState();
+            if (!state.location) return;
             
-            await this.updateAllDisplays();
-            
-        } catch (error) {
-            console.error('Location request failed:', error);
+            try {
+                const position = SolarCalculations.calculateSolarPosition(
+                    state.location.latitude,
+                    state.location.longitude,
+                    new Date(),
+                    this.getObserverProfile()
+                );
+                this.domUpdater.updateSunPosition(Renderers.renderSunPosition(position));
+            } catch (error) {
+                console.error('Error calculating sun position:', error);
+            }
+        }
+
+        /**
+         * Update the sun path diagram: today's track, the solstices and equinox, and the sun now
+         */
+        async updateSunPath() {
+            const state = this.state.getState();
+            if (!state.location) return;
+
+            try {
+                const { latitude, longitude } = state.location;
+                const observer = this.getObserverProfile();
+                const tracks = SunPath.calculateSunPaths(latitude, longitude, state.currentDate, {
+                    timeZone: state.timeZone,
+                    observer
+                });
+                const now = SolarCalculations.calculateSolarPosition(latitude, longitude, new Date(), observer);
+                this.domUpdater.updateSunPathDiagram(this.sunPathRenderer.generateDiagram(tracks, latitude, now));
+            } catch (error) {
+                console.error('Error updating sun path diagram:', error);
+            }
+        }
+
+        /**
+         * Apply the projection and sky-view clock times chosen in the view options
+         */
+        updateProjection() {
+            const { projectionSelect, skyHours, trueAspectToggle, axesToggle, pathColoring } = this.elements;
+            const projection = projectionSelect?.value || 'chart';
+            const hours = SkyView.parseClockHours(skyHours?.value);
+
+            this.renderer.setProjection(projection, { hours: hours.length > 0 ? hours : [12] });
+
+            // Only the chart view can switch proportions (the sky view is always true, the noon view mixes
+            // minutes and degrees); the sky view has its own grid; clock times only apply to it
+            if (trueAspectToggle) trueAspectToggle.disabled = projection !== 'chart';
+            if (axesToggle) axesToggle.disabled = projection === 'sky';
+            if (pathColoring) pathColoring.disabled = projection === 'sky';
+            if (skyHours) skyHours.disabled = projection !== 'sky';
+
+            this.updateVisualization();
+        }
+
+        /**
+         * Apply the path colouring chosen in the view options
+         */
+        updatePathColoring() {
+            const { pathColoring, trailDays } = this.elements;
+            const mode = pathColoring?.value || 'none';
+
+            this.renderer.setPathColoring(mode, { days: parseInt(trailDays?.value, 10) });
+            if (trailDays) trailDays.disabled = mode !== 'trail';
+
+            this.updateVisualization();
+        }
+
+        /**
+         * Update analemma visualization
+         */
+        async updateVisualization() {
+            const state = this.state.getState();
+            if (!state.location) return;
             
-            const isDenied = error.message.includes('denied');
-            this.state.update({
-                isLoading: false,
-                hasError: true,
-                errorMessage: error.message,
-                permissionState: isDenied ? 'denied' : this.state.getState().permissionState
+            try {
+                const visualization = await this.renderer.generateVisualization(
+                    state.location,
+                    state.currentDate,
+                    { timeZone: state.timeZone }
+                );
+                this.domUpdater.updateAnalemmaVisualization(visualization);
+                this.updateExtremeLatitudeWarning(visualization.isExtreme);
+
+                // Keep the highlighted day on the redrawn curve (the sky view has no day points)
+                const day = this.analemmaPoints[this.analemmaCursor]?.dayOfYear;
+                this.analemmaPoints = [...(visualization.path?.coordinates || [])].sort((a, b) => a.dayOfYear - b.dayOfYear);
+                this.analemmaDayYear = visualization.path?.dayYear;
+                this.showAnalemmaPoint(this.analemmaPoints.findIndex(point => point.dayOfYear === day));
+            } catch (error) {
+                console.error('Error updating visualization:', error);
+            }
+        }
+
+        /**
+         * Move the sun on the analemma already drawn for this year
+         */
+        async updateSunMarker() {
+            const state = this.state.getState();
+            if (!state.location) return;
+
+            try {
+                const marker = await this.renderer.generateSunMarker(
+                    state.location,
+                    state.currentDate,
+                    { timeZone: state.timeZone }
+                );
+                this.domUpdater.moveSunMarker(marker);
+            } catch (error) {
+                console.error('Error updating sun marker:', error);
+            }
+        }
+
+        /**
+         * Show the tooltip for the analemma day nearest the pointer
+         * @param {PointerEvent|MouseEvent} event Pointer move or tap on the chart
+         * @param {boolean} isTap Whether this was a tap or click (taps on empty space close the tooltip)
+         */
+        handleAnalemmaPointer(event, isTap) {
+            const svg = this.elements.analemmaSvg;
+            if (!svg || this.analemmaPoints.length === 0) return;
+
+            const rect = svg.getBoundingClientRect();
+            const x = (event.clientX - rect.left) / rect.width * 400;
+            const y = (event.clientY - rect.top) / rect.height * 300;
+            const index = this.renderer.findNearestPoint(this.analemmaPoints, x, y, 20);
+
+            if (index >= 0 || isTap) {
+                this.showAnalemmaPoint(index);
+            }
+        }
+
+        /**
+         * Step along the analemma with the keyboard
+         * Arrow keys move a day, Page Up/Down a week, Home/End jump to the ends of the year
+         * @param {KeyboardEvent} event Key press on the focused chart
+         */
+        handleAnalemmaKey(event) {
+            const count = this.analemmaPoints.length;
+            if (count === 0) return;
+
+            const steps = { ArrowRight: 1, ArrowUp: 1, ArrowLeft: -1, ArrowDown: -1, PageUp: 7, PageDown: -7 };
+            let index = this.analemmaCursor;
+
+            if (event.key === 'Escape') {
+                index = -1;
+            } else if (event.key === 'Home') {
+                index = 0;
+            } else if (event.key === 'End') {
+                index = count - 1;
+            } else if (event.key in steps) {
+                if (index < 0) {
+                    // Start from today's point
+                    const { currentDate, timeZone } = this.state.getState();
+                    const today = this.renderer.getPathDay(currentDate, timeZone, this.analemmaDayYear);
+                    index = Math.max(0, this.analemmaPoints.findIndex(point => point.dayOfYear === today));
+                } else {
+                    index = (index + steps[event.key] + count) % count;
+                }
+            } else {
+                return;
+            }
+
+            event.preventDefault();
+            this.showAnalemmaPoint(index);
+        }
+
+        /**
+         * Highlight an analemma day and describe it for the current location
+         * @param {number} index Index into the analemma points, or -1 to hide the tooltip
+         */
+        showAnalemmaPoint(index) {
+            const state = this.state.getState();
+            const point = this.analemmaPoints[index];
+            this.analemmaCursor = point ? index : -1;
+
+            if (!point || !state.location) {
+                this.domUpdater.updateAnalemmaCursor(null);
+                return;
+            }
+
+            const details = this.renderer.describePoint(point, state.location, state.currentDate.getFullYear(), state.timeZone, {
+                dayYear: this.analemmaDayYear
+            });
+            this.domUpdater.updateAnalemmaCursor({
+                x: point.svgX,
+                y: point.svgY,
+                tooltip: Renderers.renderAnalemmaPoint(details, state.timeZone)
             });
         }
-    }
 
-    /**
-     * Update all displays
-     */
-    async updateAllDisplays() {
-        await Promise.all([
-            this.updateSolarNoonTime(),
-            this.updateVisualization()
-        ]);
-    }
+        /**
+         * Update the extreme latitude banner with polar night / midnight sun periods
+         * @param {boolean} isExtreme Whether the sun is below the horizon at noon
+         */
+        updateExtremeLatitudeWarning(isExtreme) {
+            const state = this.state.getState();
+            if (!state.location) return;
+
+            try {
+                // The forecast only changes with the place, the civil day and the horizon, so
+                // redraws within a day (every minute, or the date animation) reuse it
+                const { latitude, longitude } = state.location;
+                const horizonAltitude = ObserverModel.calculateSunriseAltitude(this.getObserverProfile());
+                const day = TimeZoneLookup.formatDateInTimeZone(state.currentDate, state.timeZone);
+                const key = `${latitude},${longitude},${state.timeZone},${day},${horizonAltitude}`;
 
-    /**
-     * Update solar noon time
-     */
-    async updateSolarNoonTime() {
-        const state = this.state.getState();
-        if (!state.location) return;
-        
-        try {
-            const solarNoon = SolarCalculations.calculateSolarNoon(
-                state.location.longitude,
-                state.currentDate
-            );
-            const timeString = SolarCalculations.formatSolarNoonTime(solarNoon, true);
-            this.domUpdater.updateSolarNoonTime(timeString);
-        } catch (error) {
-            console.error('Error calculating solar noon:', error);
-            this.domUpdater.updateSolarNoonTime('Error calculating time');
+                if (this.polarForecast?.key !== key) {
+                    this.polarForecast = {
+                        key,
+                        forecast: PolarPeriods.getPolarForecast(latitude, longitude, state.currentDate, {
+                            horizonAltitude,
+                            timeZone: state.timeZone
+                        })
+                    };
+                }
+                const { forecast } = this.polarForecast;
+                this.domUpdater.updateExtremeLatitudeWarning(
+                    Renderers.renderExtremeLatitudeWarning(state, isExtreme, forecast)
+                );
+            } catch (error) {
+                console.error('Error forecasting polar periods:', error);
+            }
+        }
+
+        /**
+         * Render UI based on state changes
+         * @param {Object} newState New state
+         * @param {Object} oldState Previous state
+         */
+        render(newState, oldState) {
+            // Generate render data
+            const renderData = Renderers.renderUI(newState);
+            
+            // Update DOM
+            this.domUpdater.updateUI(renderData);
+            
+            // Update location info if changed
+            if (newState.location !== oldState.location && newState.location) {
+                const locationInfo = Renderers.renderLocationInfo(
+                    newState.location,
+                    newState.location.accuracy
+                );
+                this.domUpdater.updateLocationInfo(locationInfo);
+            }
         }
-    }
 
-    /**
-     * Update analemma visualization
-     */
-    async updateVisualization() {
-        const state = this.state.getState();
-        if (!state.location) return;
-        
-        try {
-            const visualization = await this.renderer.generateVisualization(
-                state.location,
-                state.currentDate
-            );
-            this.domUpdater.updateAnalemmaVisualization(visualization);
-        } catch (error) {
-            console.error('Error updating visualization:', error);
+        /**
+         * Clean up resources
+         */
+        destroy() {
+            this.unsubscribe();
+            this.timers.clearAll();
+            if (this.cleanupNetwork) {
+                this.cleanupNetwork();
+            }
         }
     }
 
-    /**
-     * Render UI based on state changes
-     * @param {Object} newState New state
-     * @param {Object} oldState Previous state
-     */
-    render(newState, oldState) {
-        // Generate render data
-        const renderData = Renderers.renderUI(newState);
-        
-        // Update DOM
-        this.domUpdater.updateUI(renderData);
-        
-        // Update location info if changed
-        if (newState.location !== oldState.location && newState.location) {
-            const locationInfo = Renderers.renderLocationInfo(
-                newState.location,
-                newState.location.accuracy
-            );
-            this.domUpdater.updateLocationInfo(locationInfo);
-        }
+    // Export for testing
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SimplifiedAnalemmaPWA;
     }
 
-    /**
-     * Clean up resources
-     */
-    destroy() {
-        this.unsubscribe();
-        this.timers.clearAll();
-        if (this.cleanupNetwork) {
-            this.cleanupNetwork();
-        }
+    // Export to window for browser
+    if (typeof window !== 'undefined') {
+        window.SimplifiedAnalemmaPWA = SimplifiedAnalemmaPWA;
     }
-}
-
-// Export for testing
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = SimplifiedAnalemmaPWA;
-}
-
-// Export to window for browser
-if (typeof window !== 'undefined') {
-    window.SimplifiedAnalemmaPWA = SimplifiedAnalemmaPWA;
-}
-
-// Initialize when DOM is ready
-if (typeof document !== 'undefined') {
-    document.addEventListener('DOMContentLoaded', () => {
-        const app = new SimplifiedAnalemmaPWA();
-        app.initialize();
-        
-        // Store reference for debugging
-        window.analemmaApp = app;
-    });
-} 
\ No newline at end of file
+
+    // Initialize when DOM is ready
+    if (typeof document !== 'undefined') {
+        document.addEventListener('DOMContentLoaded', () => {
+            const app = new SimplifiedAnalemmaPWA();
+            app.initialize();
+            
+            // Store reference for debugging
+            window.analemmaApp = app;
+        });
+    } 
+})();
@@ -3,148 +3,238 @@
  * Handles loading and processing of pre-calculated analemma data
  */
 
-let analemmaData = null;
+(function () {
+    // The sun marker's coordinates come from the ephemeris module
+    const SolarEphemeris = (typeof window !== 'undefined' && window.SolarEphemeris) ||
+                           (typeof require !== 'undefined' && require('./ephemeris.js'));
 
-async function loadAnalemmaData() {
-    if (analemmaData) {
-        return analemmaData;
-    }
+    let analemmaData = null;
+
+    // The sun moves 360° of hour angle in 24 hours
+    const HOUR_ANGLE_DEGREES_PER_MINUTE = 0.25;
+
+    const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+    async function loadAnalemmaData() {
+        if (analemmaData) {
+            return analemmaData;
+        }
 
-    try {
-        const response = await fetch('assets/analemma-data.json');
-        if (!response.ok) {
-            throw new Error(`Failed to load analemma data: ${response.status}`);
+        try {
+            const response = await fetch('assets/analemma-data.json');
+            if (!response.ok) {
+                throw new Error(`Failed to load analemma data: ${response.status}`);
+            }
+            analemmaData = await response.json();
+            return analemmaData;
+        } catch (error) {
+            console.error('Error loading analemma data:', error);
+            throw new Error('Could not load analemma coordinate data');
         }
-        analemmaData = await response.json();
-        return analemmaData;
-    } catch (error) {
-        console.error('Error loading analemma data:', error);
-        throw new Error('Could not load analemma coordinate data');
     }
-}
-
-function getDayOfYear(date) {
-    const start = new Date(date.getFullYear(), 0, 0);
-    const diff = date - start;
-    const oneDay = 1000 * 60 * 60 * 24;
-    return Math.floor(diff / oneDay);
-}
-
-async function getAnalemmaCoordinatesForDate(date = new Date()) {
-    const data = await loadAnalemmaData();
-    const dayOfYear = getDayOfYear(date);
-    
-    const maxDay = Object.keys(data.data).length;
-    const adjustedDay = Math.min(dayOfYear, maxDay);
-    
-    const coordinates = data.data[adjustedDay];
-    if (!coordinates) {
-        throw new Error(`No analemma data found for day ${adjustedDay}`);
+
+    function getDayOfYear(date) {
+        const start = new Date(date.getFullYear(), 0, 0);
+        const diff = date - start;
+        const oneDay = 1000 * 60 * 60 * 24;
+        return Math.floor(diff / oneDay);
     }
-    
-    return {
-        x: coordinates[0],
-        y: coordinates[1],
-        dayOfYear: adjustedDay,
-        date: date
-    };
-}
-
-async function getAllAnalemmaCoordinates() {
-    const data = await loadAnalemmaData();
-    
-    return Object.entries(data.data).map(([day, coords]) => ({
-        dayOfYear: parseInt(day),
-        x: coords[0],
-        y: coords[1],
-    }));
-}
-
-function convertToSVGCoordinates(coordinates, svgBounds = {width: 400, height: 300}, padding = {top: 30, right: 30, bottom: 30, left: 30}) {
-    const xValues = coordinates.map(c => c.x);
-    const yValues = coordinates.map(c => c.y);
-    
-    const dataBounds = {
-        xMin: Math.min(...xValues),
-        xMax: Math.max(...xValues),
-        yMin: Math.min(...yValues),
-        yMax: Math.max(...yValues)
-    };
-    
 
+    async function getAnalemmaCoordinatesForDate(date = new Date()) {
+        const data = await loadAnalemmaData();
+        const dayOfYear = getDayOfYear(date);
+        
+        const maxDay = Object.keys(data.data).length;
+        const adjustedDay = Math.min(dayOfYear, maxDay);
+        
+        // The marker is the sun at this instant; the data's year only draws the path
+        const { equationOfTime, declination } = SolarEphemeris.getSolarCoordinates(date);
+        return {
+            x: equationOfTime,
+            y: declination,
+            dayOfYear: adjustedDay,
+            date: date
+        };
+    }
 
-    
-    const drawWidth = svgBounds.width - padding.left - padding.right;
-    const drawHeight = svgBounds.height - padding.top - padding.bottom;
-    
-    const xScale = drawWidth / (dataBounds.xMax - dataBounds.xMin);
-    const yScale = drawHeight / (dataBounds.yMax - dataBounds.yMin);
-    
+    async function getAllAnalemmaCoordinates() {
+        const data = await loadAnalemmaData();
+        
+        return Object.entries(data.data).map(([day, coords]) => ({
+            dayOfYear: parseInt(day),
+            x: coords[0],
+            y: coords[1],
+        }));
+    }
 
-    
-    if (isNaN(xScale) || isNaN(yScale)) {
-        console.error('❌ SCALES ARE NaN!', { xScale, yScale, drawWidth, drawHeight, dataBounds });
+    function getDataBounds(coordinates) {
+        const xValues = coordinates.map(c => c.x);
+        const yValues = coordinates.map(c => c.y);
+        
+        return {
+            xMin: Math.min(...xValues),
+            xMax: Math.max(...xValues),
+            yMin: Math.min(...yValues),
+            yMax: Math.max(...yValues)
+        };
     }
-    
-    return coordinates.map(coord => ({
-        ...coord,
-        svgX: padding.left + (coord.x - dataBounds.xMin) * xScale,
-        svgY: padding.top + (dataBounds.yMax - coord.y) * yScale
-    }));
-}
-
-function applyHemisphereCorrection(coordinates, latitude, svgBounds = {height: 300}) {
-    if (latitude < 0) {
+
+    // Equation of time (minutes) to degrees of arc on the sky: hour angle, shortened by cos(declination)
+    // away from the celestial equator, so both axes are in degrees
+    function toAngularCoordinates(coordinates) {
         return coordinates.map(coord => ({
             ...coord,
-            svgY: svgBounds.height - coord.svgY
+            x: coord.x * HOUR_ANGLE_DEGREES_PER_MINUTE * Math.cos(coord.y * Math.PI / 180)
         }));
     }
-    
-    return coordinates;
-}
 
-function generateSVGPath(coordinates) {
-    if (coordinates.length === 0) {
-        return '';
+    function convertToSVGCoordinates(coordinates, svgBounds = {width: 400, height: 300}, padding = {top: 30, right: 30, bottom: 30, left: 30}, dataBounds = getDataBounds(coordinates), trueAspect = false) {
+        
+
+
+        
+        const drawWidth = svgBounds.width - padding.left - padding.right;
+        const drawHeight = svgBounds.height - padding.top - padding.bottom;
+        
+        let xScale = drawWidth / (dataBounds.xMax - dataBounds.xMin);
+        let yScale = drawHeight / (dataBounds.yMax - dataBounds.yMin);
+        let offsetX = 0;
+        let offsetY = 0;
+        
+        // One scale for both axes, centred in the drawing area
+        if (trueAspect) {
+            const scale = Math.min(xScale, yScale);
+            offsetX = (drawWidth - (dataBounds.xMax - dataBounds.xMin) * scale) / 2;
+            offsetY = (drawHeight - (dataBounds.yMax - dataBounds.yMin) * scale) / 2;
+            xScale = scale;
+            yScale = scale;
+        }
+        
+
+        
+        if (isNaN(xScale) || isNaN(yScale)) {
+            console.error('❌ SCALES ARE NaN!', { xScale, yScale, drawWidth, drawHeight, dataBounds });
+        }
+        
+        return coordinates.map(coord => ({
+            ...coord,
+            svgX: padding.left + offsetX + (coord.x - dataBounds.xMin) * xScale,
+            svgY: padding.top + offsetY + (dataBounds.yMax - coord.y) * yScale
+        }));
     }
-    
-    const sortedCoords = [...coordinates].sort((a, b) => a.dayOfYear - b.dayOfYear);
-    
-    let pathString = `M ${sortedCoords[0].svgX} ${sortedCoords[0].svgY}`;
-    
-    for (let i = 1; i < sortedCoords.length; i++) {
-        pathString += ` L ${sortedCoords[i].svgX} ${sortedCoords[i].svgY}`;
+
+    function applyHemisphereCorrection(coordinates, latitude, svgBounds = {height: 300}) {
+        if (latitude < 0) {
+            return coordinates.map(coord => ({
+                ...coord,
+                svgY: svgBounds.height - coord.svgY
+            }));
+        }
+        
+        return coordinates;
     }
-    
-    pathString += ' Z';
-    
-    return pathString;
-}
-
-async function getAnalemmaBounds() {
-    const data = await loadAnalemmaData();
-    return data.metadata?.bounds || null;
-}
-
-async function getAnalemmaMetadata() {
-    const data = await loadAnalemmaData();
-    return data.metadata || {};
-}
-
-window.AnalemmaCalculations = {
-    loadAnalemmaData,
-    getAnalemmaCoordinatesForDate,
-    getAllAnalemmaCoordinates,
-    convertToSVGCoordinates,
-    applyHemisphereCorrection,
-    generateSVGPath,
-    getAnalemmaBounds,
-    getAnalemmaMetadata,
-    getDayOfYear
-};
-
-// Export for testing
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = window.AnalemmaCalculations;
-} 
\ No newline at end of file
+
+    // Cubic Bézier segment from sorted point i to the next one, matching the Catmull-Rom spline
+    // through the closed loop of points
+    function curveSegment(sortedCoords, i) {
+        const count = sortedCoords.length;
+        const [p0, p1, p2, p3] = [-1, 0, 1, 2].map(offset => sortedCoords[(i + offset + count) % count]);
+        const c1x = p1.svgX + (p2.svgX - p0.svgX) / 6;
+        const c1y = p1.svgY + (p2.svgY - p0.svgY) / 6;
+        const c2x = p2.svgX - (p3.svgX - p1.svgX) / 6;
+        const c2y = p2.svgY - (p3.svgY - p1.svgY) / 6;
+        return ` C ${c1x} ${c1y} ${c2x} ${c2y} ${p2.svgX} ${p2.svgY}`;
+    }
+
+    function generateSVGPath(coordinates) {
+        if (coordinates.length === 0) {
+            return '';
+        }
+        
+        const sortedCoords = [...coordinates].sort((a, b) => a.dayOfYear - b.dayOfYear);
+        
+        let pathString = `M ${sortedCoords[0].svgX} ${sortedCoords[0].svgY}`;
+        
+        // Smooth curves through the daily points, closing back to the first day
+        for (let i = 0; i < sortedCoords.length; i++) {
+            pathString += curveSegment(sortedCoords, i);
+        }
+        
+        pathString += ' Z';
+        
+        return pathString;
+    }
+
+    // Split the closed path into runs of consecutive days sharing a group (null leaves a day out);
+    // each run reaches on to the next day's point so neighbouring runs join without gaps
+    function generateSVGSegments(coordinates, groupOf) {
+        const sortedCoords = [...coordinates].sort((a, b) => a.dayOfYear - b.dayOfYear);
+        const segments = [];
+        let current = null;
+
+        sortedCoords.forEach((coord, index) => {
+            const group = groupOf(coord);
+
+            if (group === null) {
+                current = null;
+                return;
+            }
+            if (!current || current.group !== group) {
+                current = { group, startDay: coord.dayOfYear, endDay: coord.dayOfYear, pathString: `M ${coord.svgX} ${coord.svgY}` };
+                segments.push(current);
+            }
+            current.endDay = coord.dayOfYear;
+            current.pathString += curveSegment(sortedCoords, index);
+        });
+
+        return segments;
+    }
+
+    // Day numbers (1 January is day 1) of the given days of every month in a year
+    function getMonthDays(year, days = [1]) {
+        const oneDay = 1000 * 60 * 60 * 24;
+        return MONTH_NAMES.flatMap((month, index) => days.map(day => ({
+            month,
+            day,
+            dayOfYear: Math.round((Date.UTC(year, index, day) - Date.UTC(year, 0, 0)) / oneDay)
+        })));
+    }
+
+    // The same for the year the pre-calculated data was generated for, so the day numbers match its days
+    async function getAnalemmaMonthDays(days = [1]) {
+        const data = await loadAnalemmaData();
+        return getMonthDays(data.metadata.year, days);
+    }
+
+    async function getAnalemmaBounds() {
+        const data = await loadAnalemmaData();
+        return data.metadata?.bounds || null;
+    }
+
+    async function getAnalemmaMetadata() {
+        const data = await loadAnalemmaData();
+        return data.metadata || {};
+    }
+
+    window.AnalemmaCalculations = {
+        loadAnalemmaData,
+        getAnalemmaCoordinatesForDate,
+        getAllAnalemmaCoordinates,
+        getDataBounds,
+        toAngularCoordinates,
+        convertToSVGCoordinates,
+        applyHemisphereCorrection,
+        generateSVGPath,
+        generateSVGSegments,
+        getAnalemmaBounds,
+        getAnalemmaMetadata,
+        getMonthDays,
+        getAnalemmaMonthDays,
+        getDayOfYear
+    };
+
+    // Export for testing
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = window.AnalemmaCalculations;
+    } 
+})();
@@ -0,0 +1,168 @@
+/**
+ * Analemmatic Sundial Module
+ * Hour-marker ellipse and date scale for a human-gnomon sundial
+ *
+ * Coordinates are in metres from the centre of the ellipse, x east and y north
+ */
+
+(function () {
+    // Import calculation modules
+    const SolarEphemeris = (typeof window !== 'undefined' && window.SolarEphemeris) ||
+                           (typeof require !== 'undefined' && require('./ephemeris.js'));
+
+    /**
+     * Below this latitude the ellipse is too flat to read
+     */
+    const MIN_ANALEMMATIC_LATITUDE = 10;
+
+    const MAX_DECLINATION = 23.44;
+
+    /**
+     * Check whether the sun can be up at an hour angle on some day of the year
+     * @param {number} latitude Latitude in degrees
+     * @param {number} hourAngle Hour angle in degrees
+     * @returns {boolean} True if the hour can be read at this latitude
+     */
+    function isHourVisible(latitude, hourAngle) {
+        const phi = SolarEphemeris.toRadians(latitude);
+        const delta = SolarEphemeris.toRadians(MAX_DECLINATION * Math.sign(latitude || 1));
+        const t = SolarEphemeris.toRadians(hourAngle);
+        return Math.sin(phi) * Math.sin(delta) + Math.cos(phi) * Math.cos(delta) * Math.cos(t) > 0;
+    }
+
+    /**
+     * Calculate the hour markers on the ellipse
+     * Semi-major axis M runs east-west, semi-minor axis M·sin(φ) north-south
+     * @param {number} latitude Latitude in degrees
+     * @param {number} majorAxis Major axis (full east-west width) in metres
+     * @param {Object} options Options
+     * @param {number} options.firstHour First hour of local apparent time (default 4)
+     * @param {number} options.lastHour Last hour (default 20)
+     * @returns {Array<Object>} Markers {hour, hourAngle, x, y}
+     */
+    function calculateHourMarkers(latitude, majorAxis, { firstHour = 4, lastHour = 20 } = {}) {
+        const semiMajor = majorAxis / 2;
+        const phi = SolarEphemeris.toRadians(latitude);
+        const markers = [];
+
+        for (let hour = firstHour; hour <= lastHour; hour++) {
+            const hourAngle = (hour - 12) * 15;
+            if (!isHourVisible(latitude, hourAngle)) continue;
+
+            const t = SolarEphemeris.toRadians(hourAngle);
+            markers.push({
+                hour,
+                hourAngle,
+                x: semiMajor * Math.sin(t),
+                y: semiMajor * Math.sin(phi) * Math.cos(t)
+            });
+        }
+
+        return markers;
+    }
+
+    /**
+     * Position of the gnomon (the person) on the north-south axis for a declination
+     * @param {number} latitude Latitude in degrees
+     * @param {number} majorAxis Major axis in metres
+     * @param {number} declination Solar declination in degrees
+     * @returns {number} Distance north of the centre in metres
+     */
+    function calculateGnomonPosition(latitude, majorAxis, declination) {
+        return (majorAxis / 2) *
+            Math.cos(SolarEphemeris.toRadians(latitude)) *
+            Math.tan(SolarEphemeris.toRadians(declination));
+    }
+
+    /**
+     * Calculate the date scale from the pre-calculated declinations
+     * @param {number} latitude Latitude in degrees
+     * @param {number} majorAxis Major axis in metres
+     * @param {Array<Object>} coordinates Analemma coordinates ({dayOfYear, y}) with y the declination in degrees
+     * @param {Array<Object>} monthStarts First days of the months {month, dayOfYear}, numbered like the coordinates
+     *     (AnalemmaCalculations.getAnalemmaMonthDays())
+     * @returns {Array<Object>} Marks for the 1st of each month {month, dayOfYear, declination, y}
+     */
+    function calculateDateScale(latitude, majorAxis, coordinates, monthStarts) {
+        const byDay = new Map(coordinates.map(point => [point.dayOfYear, point.y]));
+
+        return monthStarts.map(({ month, dayOfYear }) => {
+            const declination = byDay.get(dayOfYear);
+            if (declination === undefined) return null;
+
+            return {
+                month,
+                dayOfYear,
+                declination,
+                y: calculateGnomonPosition(latitude, majorAxis, declination)
+            };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Design an analemmatic sundial
+     * @param {number} latitude Latitude in degrees
+     * @param {number} majorAxis Major axis in metres
+     * @param {Array<Object>} coordinates Analemma coordinates for the date scale
+     * @param {Array<Object>} monthStarts First days of the months, numbered like the coordinates
+     * @returns {Object} Axes, hour markers, date scale and whether the latitude is usable
+     */
+    function designAnalemmaticDial(latitude, majorAxis, coordinates, monthStarts) {
+        const semiMinor = (majorAxis / 2) * Math.abs(Math.sin(SolarEphemeris.toRadians(latitude)));
+        const extreme = calculateGnomonPosition(latitude, majorAxis, MAX_DECLINATION);
+
+        return {
+            latitude,
+            majorAxis,
+            minorAxis: semiMinor * 2,
+            dateScaleLength: Math.abs(extreme) * 2,
+            isTooFlat: Math.abs(latitude) < MIN_ANALEMMATIC_LATITUDE,
+            hourMarkers: calculateHourMarkers(latitude, majorAxis),
+            dateScale: calculateDateScale(latitude, majorAxis, coordinates, monthStarts)
+        };
+    }
+
+    /**
+     * Format the stake coordinates as CSV
+     * @param {Object} design Result of designAnalemmaticDial
+     * @returns {string} CSV with one row per stake, in metres east and north of the centre
+     */
+    function toStakeCSV(design) {
+        const format = value => (Math.abs(value) < 0.0005 ? 0 : value).toFixed(3);
+        const rows = [
+            'type,label,east_m,north_m',
+            `centre,Centre,${format(0)},${format(0)}`,
+            ...design.hourMarkers.map(marker =>
+                `hour,${String(marker.hour).padStart(2, '0')}:00,${format(marker.x)},${format(marker.y)}`
+            ),
+            ...design.dateScale.map(mark => `date,${mark.month} 1,${format(0)},${format(mark.y)}`)
+        ];
+        return rows.join('\n') + '\n';
+    }
+
+    // Export for testing
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            MIN_ANALEMMATIC_LATITUDE,
+            isHourVisible,
+            calculateHourMarkers,
+            calculateGnomonPosition,
+            calculateDateScale,
+            designAnalemmaticDial,
+            toStakeCSV
+        };
+    }
+
+    // Export to window for browser
+    if (typeof window !== 'undefined') {
+        window.AnalemmaticSundial = {
+            MIN_ANALEMMATIC_LATITUDE,
+            isHourVisible,
+            calculateHourMarkers,
+            calculateGnomonPosition,
+            calculateDateScale,
+            designAnalemmaticDial,
+            toStakeCSV
+        };
+    }
+})();
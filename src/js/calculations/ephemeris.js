@@ -0,0 +1,267 @@
+/**
+ * Solar Ephemeris Module
+ * Low-precision solar coordinates from the NOAA / Meeus algorithms
+ * ("Astronomical Algorithms", 2nd ed., chapters 22, 25 and 28).
+ * Declination and equation of time are good to about a second of time
+ * for dates between 1900 and 2100.
+ */
+
+const JULIAN_DAY_UNIX_EPOCH = 2440587.5;
+const J2000_JULIAN_DAY = 2451545.0;
+const ASTRONOMICAL_UNIT_KM = 149597870.7;
+
+/**
+ * Angular semidiameter of the sun at 1 AU in arcseconds (Meeus ch. 55)
+ */
+const SOLAR_SEMIDIAMETER_AT_1AU = 959.63;
+
+/**
+ * Convert degrees to radians
+ * @param {number} degrees
+ * @returns {number} Radians
+ */
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+/**
+ * Convert radians to degrees
+ * @param {number} radians
+ * @returns {number} Degrees
+ */
+function toDegrees(radians) {
+    return radians * 180 / Math.PI;
+}
+
+/**
+ * Reduce an angle to the range [0, 360)
+ * @param {number} degrees Angle in degrees
+ * @returns {number} Normalized angle in degrees
+ */
+function normalizeDegrees(degrees) {
+    const result = degrees % 360;
+    return result < 0 ? result + 360 : result;
+}
+
+/**
+ * Convert a Date (UT) to a Julian Day
+ * @param {Date} date
+ * @returns {number} Julian Day
+ */
+function toJulianDay(date) {
+    const oneDay = 1000 * 60 * 60 * 24;
+    return date.getTime() / oneDay + JULIAN_DAY_UNIX_EPOCH;
+}
+
+/**
+ * Convert a Julian Day to a Date (UT)
+ * @param {number} julianDay
+ * @returns {Date} Date object
+ */
+function fromJulianDay(julianDay) {
+    const oneDay = 1000 * 60 * 60 * 24;
+    return new Date(Math.round((julianDay - JULIAN_DAY_UNIX_EPOCH) * oneDay));
+}
+
+/**
+ * Julian centuries since J2000.0
+ * @param {number} julianDay
+ * @returns {number} Julian centuries
+ */
+function julianCentury(julianDay) {
+    return (julianDay - J2000_JULIAN_DAY) / 36525;
+}
+
+/**
+ * Approximate difference between Terrestrial Time and Universal Time
+ * Espenak & Meeus polynomials, accurate to a few seconds over 1900-2150
+ * @param {number} year Decimal year
+ * @returns {number} Delta T in seconds
+ */
+function deltaT(year) {
+    if (year >= 2005 && year < 2050) {
+        const t = year - 2000;
+        return 62.92 + 0.32217 * t + 0.005589 * t * t;
+    }
+    if (year >= 1986 && year < 2005) {
+        const t = year - 2000;
+        return 63.86 + 0.3345 * t - 0.060374 * t ** 2 + 0.0017275 * t ** 3 +
+               0.000651814 * t ** 4 + 0.00002373599 * t ** 5;
+    }
+    if (year >= 2050 && year < 2150) {
+        return -20 + 32 * ((year - 1820) / 100) ** 2 - 0.5628 * (2150 - year);
+    }
+
+    // Long-term parabola outside the fitted ranges
+    const u = (year - 1820) / 100;
+    return -20 + 32 * u * u;
+}
+
+/**
+ * Nutation in longitude and obliquity (Meeus ch. 22, 0.5" accuracy)
+ * @param {number} T Julian centuries (TT) since J2000.0
+ * @returns {Object} Nutation in longitude and obliquity in degrees
+ */
+function calculateNutation(T) {
+    const omega = toRadians(125.04452 - 1934.136261 * T);
+    const sunMeanLongitude = toRadians(280.4665 + 36000.7698 * T);
+    const moonMeanLongitude = toRadians(218.3165 + 481267.8813 * T);
+
+    const longitude = -17.20 * Math.sin(omega) - 1.32 * Math.sin(2 * sunMeanLongitude) -
+                      0.23 * Math.sin(2 * moonMeanLongitude) + 0.21 * Math.sin(2 * omega);
+    const obliquity = 9.20 * Math.cos(omega) + 0.57 * Math.cos(2 * sunMeanLongitude) +
+                      0.10 * Math.cos(2 * moonMeanLongitude) - 0.09 * Math.cos(2 * omega);
+
+    return {
+        longitude: longitude / 3600,
+        obliquity: obliquity / 3600
+    };
+}
+
+/**
+ * Mean obliquity of the ecliptic (Meeus 22.2)
+ * @param {number} T Julian centuries (TT) since J2000.0
+ * @returns {number} Mean obliquity in degrees
+ */
+function calculateMeanObliquity(T) {
+    const seconds = 21.448 - T * (46.8150 + T * (0.00059 - T * 0.001813));
+    return 23 + (26 + seconds / 60) / 60;
+}
+
+/**
+ * Calculate the sun's geocentric coordinates for an instant
+ * @param {Date} date Instant to calculate for (UT)
+ * @returns {Object} Solar coordinates (angles in degrees, distance in AU, equation of time in minutes)
+ */
+function getSolarCoordinates(date) {
+    const julianDay = toJulianDay(date);
+    const year = date.getUTCFullYear() + date.getUTCMonth() / 12;
+    const julianEphemerisDay = julianDay + deltaT(year) / 86400;
+    const T = julianCentury(julianEphemerisDay);
+
+    // Geometric mean longitude and mean anomaly (Meeus 25.2, 25.3)
+    const meanLongitude = normalizeDegrees(280.46646 + T * (36000.76983 + T * 0.0003032));
+    const meanAnomaly = normalizeDegrees(357.52911 + T * (35999.05029 - T * 0.0001537));
+    const eccentricity = 0.016708634 - T * (0.000042037 + T * 0.0000001267);
+
+    // Equation of center
+    const M = toRadians(meanAnomaly);
+    const equationOfCenter = (1.914602 - T * (0.004817 + T * 0.000014)) * Math.sin(M) +
+                             (0.019993 - T * 0.000101) * Math.sin(2 * M) +
+                             0.000289 * Math.sin(3 * M);
+
+    const trueLongitude = meanLongitude + equationOfCenter;
+    const trueAnomaly = meanAnomaly + equationOfCenter;
+    const radiusVector = 1.000001018 * (1 - eccentricity * eccentricity) /
+                         (1 + eccentricity * Math.cos(toRadians(trueAnomaly)));
+
+    // Nutation and aberration (20.4898" / R)
+    const nutation = calculateNutation(T);
+    const aberration = -20.4898 / 3600 / radiusVector;
+    const apparentLongitude = normalizeDegrees(trueLongitude + nutation.longitude + aberration);
+
+    const meanObliquity = calculateMeanObliquity(T);
+    const obliquity = meanObliquity + nutation.obliquity;
+
+    // Apparent right ascension and declination (Meeus 25.6, 25.7)
+    const lambda = toRadians(apparentLongitude);
+    const epsilon = toRadians(obliquity);
+    const rightAscension = normalizeDegrees(toDegrees(Math.atan2(Math.cos(epsilon) * Math.sin(lambda), Math.cos(lambda))));
+    const declination = toDegrees(Math.asin(Math.sin(epsilon) * Math.sin(lambda)));
+
+    // Equation of time (Meeus 28.1), positive when the sundial is ahead of the clock
+    let equationOfTime = meanLongitude - 0.0057183 - rightAscension +
+                         nutation.longitude * Math.cos(epsilon);
+    equationOfTime = ((equationOfTime + 180) % 360 + 360) % 360 - 180;
+
+    return {
+        julianDay,
+        julianEphemerisDay,
+        meanLongitude,
+        meanAnomaly,
+        eccentricity,
+        equationOfCenter,
+        trueLongitude: normalizeDegrees(trueLongitude),
+        trueAnomaly: normalizeDegrees(trueAnomaly),
+        apparentLongitude,
+        radiusVector,
+        nutationInLongitude: nutation.longitude,
+        nutationInObliquity: nutation.obliquity,
+        meanObliquity,
+        obliquity,
+        rightAscension,
+        declination,
+        equationOfTime: equationOfTime * 4
+    };
+}
+
+/**
+ * Earth-Sun distance and apparent size of the sun at an instant
+ * @param {Date} date Instant to calculate for (UT)
+ * @returns {Object} Distance in AU and km, angular diameter in degrees,
+ *                   and their percentage differences from the 1 AU values
+ */
+function calculateSunDistance(date) {
+    const { radiusVector } = getSolarCoordinates(date);
+    const angularDiameter = 2 * SOLAR_SEMIDIAMETER_AT_1AU / radiusVector / 3600;
+    const meanDiameter = 2 * SOLAR_SEMIDIAMETER_AT_1AU / 3600;
+
+    return {
+        au: radiusVector,
+        km: radiusVector * ASTRONOMICAL_UNIT_KM,
+        distanceFromMean: (radiusVector - 1) * 100,
+        angularDiameter,
+        meanAngularDiameter: meanDiameter,
+        diameterFromMean: (angularDiameter / meanDiameter - 1) * 100
+    };
+}
+
+/**
+ * Get the instant at 12:00 UT of a given day of year
+ * @param {number} year Full year
+ * @param {number} dayOfYear Day of year (1-366)
+ * @returns {Date} Date object
+ */
+function dayOfYearToDate(year, dayOfYear) {
+    return new Date(Date.UTC(year, 0, dayOfYear, 12));
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ASTRONOMICAL_UNIT_KM,
+        SOLAR_SEMIDIAMETER_AT_1AU,
+        toRadians,
+        toDegrees,
+        normalizeDegrees,
+        toJulianDay,
+        fromJulianDay,
+        julianCentury,
+        deltaT,
+        calculateNutation,
+        calculateMeanObliquity,
+        getSolarCoordinates,
+        calculateSunDistance,
+        dayOfYearToDate
+    };
+}
+
+// Export to window for browser
+if (typeof window !== 'undefined') {
+    window.SolarEphemeris = {
+        ASTRONOMICAL_UNIT_KM,
+        SOLAR_SEMIDIAMETER_AT_1AU,
+        toRadians,
+        toDegrees,
+        normalizeDegrees,
+        toJulianDay,
+        fromJulianDay,
+        julianCentury,
+        deltaT,
+        calculateNutation,
+        calculateMeanObliquity,
+        getSolarCoordinates,
+        calculateSunDistance,
+        dayOfYearToDate
+    };
+}
@@ -0,0 +1,83 @@
+/**
+ * Noon Analemma Module
+ * The analemma of the noon sun at one place: when solar noon falls on the
+ * clock and how high the sun stands then, for every day of a year
+ */
+
+(function () {
+    // Import calculation modules
+    const SolarCalculations = (typeof window !== 'undefined' && window.SolarCalculations) ||
+                              (typeof require !== 'undefined' && require('./solar.js'));
+    const SolarEphemeris = (typeof window !== 'undefined' && window.SolarEphemeris) ||
+                           (typeof require !== 'undefined' && require('./ephemeris.js'));
+    const SkyView = (typeof window !== 'undefined' && window.SkyView) ||
+                    (typeof require !== 'undefined' && require('./sky-view.js'));
+
+    /**
+     * Minutes of clock time per degree of longitude
+     */
+    const MINUTES_PER_DEGREE = 4;
+
+    /**
+     * Get how far the location's mean solar noon is from 12:00 on its standard clock
+     * Positive when the location lies west of its zone meridian (noon comes later)
+     * @param {number} longitude Longitude in degrees
+     * @param {number} clockOffset Standard UTC offset in minutes east
+     * @returns {number} Offset in minutes
+     */
+    function getLongitudeOffset(longitude, clockOffset) {
+        return clockOffset - longitude * MINUTES_PER_DEGREE;
+    }
+
+    /**
+     * Calculate the noon sun for every day of a year
+     * @param {number} latitude Latitude in degrees
+     * @param {number} longitude Longitude in degrees
+     * @param {number} year Full year
+     * @param {Object} options Options
+     * @param {string|null} options.timeZone IANA time zone whose standard time is the clock (default: nautical zone)
+     * @returns {Object} Clock offset, longitude offset and daily points {dayOfYear, date (solar noon),
+     *     noonOffset (minutes after 12:00 standard time), altitude (degrees, no refraction),
+     *     equationOfTime (minutes), declination (degrees)}
+     */
+    function calculateNoonAnalemma(latitude, longitude, year, { timeZone = null } = {}) {
+        const clockOffset = SkyView.getClockOffset(longitude, year, timeZone);
+        const longitudeOffset = getLongitudeOffset(longitude, clockOffset);
+        const daysInYear = (Date.UTC(year + 1, 0, 1) - Date.UTC(year, 0, 1)) / (1000 * 60 * 60 * 24);
+        const points = [];
+
+        for (let dayOfYear = 1; dayOfYear <= daysInYear; dayOfYear++) {
+            const clockNoon = SkyView.getClockInstant(year, dayOfYear, 12, clockOffset);
+            const date = SolarCalculations.calculateSolarNoon(longitude, clockNoon, timeZone);
+            const noonOffset = (date.getTime() - clockNoon.getTime()) / 60000;
+
+            points.push({
+                dayOfYear,
+                date,
+                noonOffset,
+                altitude: SolarCalculations.calculateSolarElevationAtNoon(latitude, clockNoon, longitude),
+                // Sun fast (positive) brings noon earlier than the location's mean noon
+                equationOfTime: longitudeOffset - noonOffset,
+                declination: SolarEphemeris.getSolarCoordinates(date).declination
+            });
+        }
+
+        return { clockOffset, longitudeOffset, points };
+    }
+
+    // Export for testing
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            getLongitudeOffset,
+            calculateNoonAnalemma
+        };
+    }
+
+    // Export to window for browser
+    if (typeof window !== 'undefined') {
+        window.NoonAnalemma = {
+            getLongitudeOffset,
+            calculateNoonAnalemma
+        };
+    }
+})();
@@ -0,0 +1,120 @@
+/**
+ * Noon Mark Module
+ * Projects the noon sun through a nodus onto a floor or wall, giving the
+ * figure-eight meridian line found in old churches and observatories
+ *
+ * Surface coordinates are in metres from the foot of the gnomon, x to the
+ * right and y up as seen facing the wall (or with the noon line pointing up on a floor)
+ */
+
+(function () {
+    // Import calculation modules
+    const SundialCalculations = (typeof window !== 'undefined' && window.SundialCalculations) ||
+                                (typeof require !== 'undefined' && require('./sundial.js'));
+
+    /**
+     * Surfaces a noon mark can be laid out on, mapped to dial planes
+     */
+    const NOON_MARK_SURFACES = {
+        floor: { label: 'Floor', dialType: 'horizontal' },
+        'wall-south': { label: 'South-facing wall', dialType: 'vertical-south' },
+        'wall-north': { label: 'North-facing wall', dialType: 'vertical-north' },
+        'wall-declining': { label: 'Declining wall', dialType: 'vertical-declining' }
+    };
+
+    /**
+     * Project one sun direction through the nodus onto the surface
+     * @param {Array<number>} sun Unit vector toward the sun (x east, y north, z up)
+     * @param {Object} plane Dial plane from SundialCalculations.getDialPlane
+     * @param {number} gnomonHeight Distance of the nodus from the surface in metres
+     * @returns {Object|null} Spot {x, y} in metres, or null if the sun is behind the surface or below the horizon
+     */
+    function projectSunSpot(sun, plane, gnomonHeight) {
+        const incidence = sun[0] * plane.normal[0] + sun[1] * plane.normal[1] + sun[2] * plane.normal[2];
+        if (incidence <= 1e-6 || sun[2] <= 0) return null;
+
+        // The ray from the sun passes the nodus (gnomonHeight along the normal) and meets the surface
+        const k = gnomonHeight / incidence;
+        const spot = plane.normal.map((component, i) => gnomonHeight * component - k * sun[i]);
+
+        return {
+            x: spot[0] * plane.right[0] + spot[1] * plane.right[1] + spot[2] * plane.right[2],
+            y: spot[0] * plane.up[0] + spot[1] * plane.up[1] + spot[2] * plane.up[2]
+        };
+    }
+
+    /**
+     * Project the noon sun for every day of the year onto a surface
+     * @param {number} latitude Latitude in degrees
+     * @param {Array<Object>} coordinates Analemma coordinates ({dayOfYear, x, y}): equation of time in minutes, declination in degrees
+     * @param {Object} options Options
+     * @param {string} options.surface One of NOON_MARK_SURFACES (default 'floor')
+     * @param {number} options.declination Wall declination in degrees from south, positive toward west
+     * @param {number} options.gnomonHeight Nodus height above the surface in metres (default 1)
+     * @param {number} options.clockOffset Minutes from local mean time to the clock the mark should show
+     *     noon for (0 for local mean noon, the sundial longitude correction for standard-time noon)
+     * @param {Array<Object>} options.monthStarts First days of the months {month, dayOfYear} to tick, numbered like
+     *     the coordinates (AnalemmaCalculations.getAnalemmaMonthDays(); default none)
+     * @returns {Object} Daily spots, month ticks, apparent-noon meridian line and the number of unlit days
+     */
+    function calculateNoonMark(latitude, coordinates, { surface = 'floor', declination = 0, gnomonHeight = 1, clockOffset = 0, monthStarts = [] } = {}) {
+        const surfaceInfo = NOON_MARK_SURFACES[surface];
+        if (!surfaceInfo) {
+            throw new Error(`Unknown noon mark surface: ${surface}`);
+        }
+
+        const plane = SundialCalculations.getDialPlane(surfaceInfo.dialType, latitude, declination);
+        const monthDays = new Map(monthStarts.map(({ month, dayOfYear }) => [dayOfYear, month]));
+
+        const points = [];
+        let unlitDays = 0;
+
+        [...coordinates].sort((a, b) => a.dayOfYear - b.dayOfYear).forEach(point => {
+            // At clock noon the sun is the equation of time (less the clock offset) past the meridian
+            const hourAngle = (point.x - clockOffset) / 4;
+            const sun = SundialCalculations.getSunVector(latitude, hourAngle, point.y);
+            const spot = projectSunSpot(sun, plane, gnomonHeight);
+
+            if (!spot) {
+                unlitDays++;
+                return;
+            }
+
+            points.push({ dayOfYear: point.dayOfYear, month: monthDays.get(point.dayOfYear) || null, ...spot });
+        });
+
+        // Apparent noon line across the year's declination range
+        const meridian = [-23.44, 23.44]
+            .map(dec => projectSunSpot(SundialCalculations.getSunVector(latitude, 0, dec), plane, gnomonHeight))
+            .filter(Boolean);
+
+        return {
+            surface,
+            latitude,
+            gnomonHeight,
+            clockOffset,
+            points,
+            months: points.filter(point => point.month),
+            meridian: meridian.length === 2 ? meridian : [],
+            unlitDays
+        };
+    }
+
+    // Export for testing
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            NOON_MARK_SURFACES,
+            projectSunSpot,
+            calculateNoonMark
+        };
+    }
+
+    // Export to window for browser
+    if (typeof window !== 'undefined') {
+        window.NoonMark = {
+            NOON_MARK_SURFACES,
+            projectSunSpot,
+            calculateNoonMark
+        };
+    }
+})();
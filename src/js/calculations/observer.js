@@ -0,0 +1,186 @@
+/**
+ * Observer Model
+ * Site elevation, eye height and weather conditions, with the horizon dip
+ * and atmospheric refraction they produce
+ */
+
+(function () {
+    // Import calculation modules
+    const SolarEphemeris = (typeof window !== 'undefined' && window.SolarEphemeris) ||
+                           (typeof require !== 'undefined' && require('./ephemeris.js'));
+
+    /**
+     * Default observer settings
+     * Pressure and temperature of null are derived from the standard atmosphere;
+     * a horizon elevation of null is a level horizon at the site's own elevation
+     */
+    const DEFAULT_OBSERVER_SETTINGS = {
+        elevation: null,
+        eyeHeight: 1.7,
+        horizonElevation: null,
+        pressure: null,
+        temperature: null
+    };
+
+    /**
+     * Mean apparent semidiameter of the sun in degrees
+     */
+    const SOLAR_SEMIDIAMETER = 16 / 60;
+
+    /**
+     * Standard atmosphere pressure at an elevation
+     * @param {number} elevation Elevation above sea level in meters
+     * @returns {number} Pressure in hPa
+     */
+    function calculateStandardPressure(elevation) {
+        return 1013.25 * Math.pow(1 - 2.25577e-5 * elevation, 5.25588);
+    }
+
+    /**
+     * Standard atmosphere temperature at an elevation
+     * @param {number} elevation Elevation above sea level in meters
+     * @returns {number} Temperature in °C
+     */
+    function calculateStandardTemperature(elevation) {
+        return 15 - 0.0065 * elevation;
+    }
+
+    /**
+     * Dip of the visible horizon below the astronomical horizon
+     * Includes standard terrestrial refraction (1.76' per √m)
+     * @param {number} height Eye height above the visible horizon in meters
+     * @returns {number} Dip in degrees
+     */
+    function calculateHorizonDip(height) {
+        if (!(height > 0)) return 0;
+        return 1.76 * Math.sqrt(height) / 60;
+    }
+
+    /**
+     * Build an observer profile from a location and user settings
+     * Elevation comes from the settings, then GPS altitude, then sea level; the horizon is level
+     * with the site unless a (lower) horizon elevation is entered, so inland the dip comes from eye height alone
+     * @param {Object|null} location Location object (may carry GPS altitude)
+     * @param {Object} settings Partial observer settings
+     * @returns {Object} Observer profile with derived pressure, temperature and dip
+     */
+    function createObserverProfile(location, settings = {}) {
+        const merged = { ...DEFAULT_OBSERVER_SETTINGS };
+        Object.entries(settings || {}).forEach(([key, value]) => {
+            if (typeof value === 'number' && isFinite(value)) {
+                merged[key] = value;
+            }
+        });
+
+        let elevation = 0;
+        let elevationSource = 'default';
+        if (merged.elevation !== null) {
+            elevation = merged.elevation;
+            elevationSource = 'manual';
+        } else if (location && typeof location.altitude === 'number') {
+            elevation = location.altitude;
+            elevationSource = 'gps';
+        }
+
+        const horizonElevation = merged.horizonElevation !== null ? merged.horizonElevation : elevation;
+        const height = elevation + merged.eyeHeight - horizonElevation;
+
+        return {
+            elevation,
+            elevationSource,
+            eyeHeight: merged.eyeHeight,
+            horizonElevation,
+            pressure: merged.pressure !== null ? merged.pressure : calculateStandardPressure(elevation),
+            temperature: merged.temperature !== null ? merged.temperature : calculateStandardTemperature(elevation),
+            horizonDip: calculateHorizonDip(height)
+        };
+    }
+
+    /**
+     * Scale factor for refraction under non-standard conditions
+     * @param {Object|null} observer Observer profile
+     * @returns {number} Multiplier for the standard (1010 hPa, 10 °C) refraction
+     */
+    function getRefractionScale(observer) {
+        if (!observer) return 1;
+        return (observer.pressure / 1010) * (283 / (273 + observer.temperature));
+    }
+
+    /**
+     * Refraction for an apparent (observed) altitude, Bennett's formula
+     * @param {number} apparentAltitude Apparent altitude in degrees
+     * @param {Object|null} observer Observer profile (default: standard conditions)
+     * @returns {number} Refraction in degrees (subtract from the apparent altitude)
+     */
+    function calculateBennettRefraction(apparentAltitude, observer = null) {
+        if (apparentAltitude > 89.9) return 0;
+
+        const h = Math.max(apparentAltitude, -2);
+        const arcminutes = 1 / Math.tan(SolarEphemeris.toRadians(h + 7.31 / (h + 4.4)));
+        return arcminutes / 60 * getRefractionScale(observer);
+    }
+
+    /**
+     * Refraction for a true (airless) altitude, Saemundsson's formula
+     * Below the horizon the NOAA tail is used so refraction fades out smoothly
+     * @param {number} trueAltitude True altitude in degrees
+     * @param {Object|null} observer Observer profile (default: standard conditions)
+     * @returns {number} Refraction in degrees (add to the true altitude)
+     */
+    function calculateSaemundssonRefraction(trueAltitude, observer = null) {
+        if (trueAltitude > 89.9) return 0;
+
+        let arcminutes;
+        if (trueAltitude < -0.575) {
+            arcminutes = -20.774 / Math.tan(SolarEphemeris.toRadians(trueAltitude)) / 60;
+        } else {
+            arcminutes = 1.02 / Math.tan(SolarEphemeris.toRadians(trueAltitude + 10.3 / (trueAltitude + 5.11)));
+        }
+
+        return arcminutes / 60 * getRefractionScale(observer);
+    }
+
+    /**
+     * True altitude of the sun's centre when its upper limb touches the visible horizon
+     * @param {Object|null} observer Observer profile (default: sea level, standard conditions)
+     * @param {number} semidiameter Solar semidiameter in degrees
+     * @returns {number} Altitude in degrees used for sunrise and sunset
+     */
+    function calculateSunriseAltitude(observer = null, semidiameter = SOLAR_SEMIDIAMETER) {
+        const dip = observer ? observer.horizonDip : 0;
+        const refraction = calculateBennettRefraction(-dip, observer);
+        return -(dip + refraction + semidiameter);
+    }
+
+    // Export for testing
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            DEFAULT_OBSERVER_SETTINGS,
+            SOLAR_SEMIDIAMETER,
+            calculateStandardPressure,
+            calculateStandardTemperature,
+            calculateHorizonDip,
+            createObserverProfile,
+            getRefractionScale,
+            calculateBennettRefraction,
+            calculateSaemundssonRefraction,
+            calculateSunriseAltitude
+        };
+    }
+
+    // Export to window for browser
+    if (typeof window !== 'undefined') {
+        window.ObserverModel = {
+            DEFAULT_OBSERVER_SETTINGS,
+            SOLAR_SEMIDIAMETER,
+            calculateStandardPressure,
+            calculateStandardTemperature,
+            calculateHorizonDip,
+            createObserverProfile,
+            getRefractionScale,
+            calculateBennettRefraction,
+            calculateSaemundssonRefraction,
+            calculateSunriseAltitude
+        };
+    }
+})();
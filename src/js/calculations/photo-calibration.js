@@ -0,0 +1,231 @@
+/**
+ * Photo Calibration Module
+ * Maps sky directions onto the pixels of a photograph from two reference points,
+ * assuming a rectilinear (non-fisheye) lens
+ *
+ * Sky directions are first projected onto a plane tangent to the sky (as the lens
+ * does), then a similarity transform (scale, rotation and shift) fitted to the two
+ * references takes them to pixels. With the photo size known, the tangent point is
+ * moved until it lands on the centre of the photo, which pins down the camera's aim
+ */
+
+(function () {
+    // Import calculation modules
+    const SolarCalculations = (typeof window !== 'undefined' && window.SolarCalculations) ||
+                              (typeof require !== 'undefined' && require('./solar.js'));
+    const TimeZoneLookup = (typeof window !== 'undefined' && window.TimeZoneLookup) ||
+                           (typeof require !== 'undefined' && require('./timezone.js'));
+    const PhotoPlanner = (typeof window !== 'undefined' && window.PhotoPlanner) ||
+                         (typeof require !== 'undefined' && require('./photo-planner.js'));
+
+    /**
+     * Sky direction of a reference point
+     * @param {Object} reference Reference description
+     * @param {string} reference.type 'sun' (the sun at a known instant) or 'horizon' (a point on the horizon at a known azimuth)
+     * @param {Date} reference.date Instant of a sun reference
+     * @param {number} reference.azimuth Azimuth of a horizon reference in degrees
+     * @param {number} latitude Latitude in degrees
+     * @param {number} longitude Longitude in degrees
+     * @returns {Object} Sky direction {altitude, azimuth} in degrees
+     */
+    function getReferenceDirection(reference, latitude, longitude) {
+        if (reference.type === 'sun') {
+            const { altitude, azimuth } = SolarCalculations.calculateSolarPosition(latitude, longitude, reference.date);
+            return { altitude, azimuth };
+        }
+        if (reference.type === 'horizon') {
+            return { altitude: 0, azimuth: reference.azimuth };
+        }
+        throw new Error(`Unknown reference type: ${reference.type}`);
+    }
+
+    /**
+     * Direction halfway between two sky directions
+     * @param {Object} a Sky direction {altitude, azimuth}
+     * @param {Object} b Sky direction {altitude, azimuth}
+     * @returns {Object} Sky direction {altitude, azimuth}
+     */
+    function getMidpointDirection(a, b) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const toVector = ({ altitude, azimuth }) => [
+            Math.cos(toRadians(altitude)) * Math.sin(toRadians(azimuth)),
+            Math.cos(toRadians(altitude)) * Math.cos(toRadians(azimuth)),
+            Math.sin(toRadians(altitude))
+        ];
+        const [east, north, up] = toVector(a).map((component, i) => component + toVector(b)[i]);
+
+        return {
+            altitude: Math.atan2(up, Math.hypot(east, north)) * 180 / Math.PI,
+            azimuth: (Math.atan2(east, north) * 180 / Math.PI + 360) % 360
+        };
+    }
+
+    /**
+     * Fit the similarity transform for one tangent point
+     * @param {Object} first Reference {pixel, direction}
+     * @param {Object} second Reference {pixel, direction}
+     * @param {Object} center Tangent point {altitude, azimuth}
+     * @returns {Object} Calibration
+     */
+    function fitSimilarity(first, second, center) {
+        const toPlane = direction => {
+            const point = PhotoPlanner.projectToImagePlane(direction, center);
+            // Image rows run down, so flip the plane's y
+            return point && { re: point.x, im: -point.y };
+        };
+        const p1 = toPlane(first.direction);
+        const p2 = toPlane(second.direction);
+
+        if (!p1 || !p2) {
+            throw new Error('The two reference points are too far apart to appear in one photo');
+        }
+
+        const dz = { re: p2.re - p1.re, im: p2.im - p1.im };
+        const dw = { re: second.pixel.x - first.pixel.x, im: second.pixel.y - first.pixel.y };
+        const denominator = dz.re * dz.re + dz.im * dz.im;
+
+        if (denominator < 1e-12 || Math.hypot(dw.re, dw.im) < 1) {
+            throw new Error('The two reference points must be different');
+        }
+
+        // pixel = scale · plane + offset, with complex scale (zoom and rotation)
+        const scale = {
+            re: (dw.re * dz.re + dw.im * dz.im) / denominator,
+            im: (dw.im * dz.re - dw.re * dz.im) / denominator
+        };
+        const offset = {
+            re: first.pixel.x - (scale.re * p1.re - scale.im * p1.im),
+            im: first.pixel.y - (scale.re * p1.im + scale.im * p1.re)
+        };
+
+        return {
+            center,
+            scale,
+            offset,
+            pixelsPerDegree: Math.hypot(scale.re, scale.im) * Math.PI / 180,
+            rotation: Math.atan2(scale.im, scale.re) * 180 / Math.PI
+        };
+    }
+
+    /**
+     * Fit the sky-to-pixel mapping to two references
+     * @param {Object} first Reference {pixel: {x, y}, direction: {altitude, azimuth}}
+     * @param {Object} second Reference {pixel: {x, y}, direction: {altitude, azimuth}}
+     * @param {Object} photo Photo size {width, height} in pixels; without it the tangent point
+     *     stays halfway between the references, which is only exact for a centred pair
+     * @returns {Object} Calibration: tangent point, transform, and pixels per degree at the centre
+     */
+    function createCalibration(first, second, { width, height } = {}) {
+        let calibration = fitSimilarity(first, second, getMidpointDirection(first.direction, second.direction));
+        if (!width || !height) return calibration;
+
+        // The lens axis meets the photo in its centre: aim the tangent point there and refit
+        const target = { x: width / 2, y: height / 2 };
+        for (let iteration = 0; iteration < 50; iteration++) {
+            const miss = Math.hypot(calibration.offset.re - target.x, calibration.offset.im - target.y);
+            if (miss < 0.01) break;
+
+            const center = pixelToSky(calibration, target);
+            if (!center) break;
+            calibration = fitSimilarity(first, second, center);
+        }
+
+        return calibration;
+    }
+
+    /**
+     * Pixel position of a sky direction
+     * @param {Object} calibration Result of createCalibration
+     * @param {Object} direction Sky direction {altitude, azimuth}
+     * @returns {Object|null} Pixel {x, y}, or null if the direction is behind the camera
+     */
+    function skyToPixel(calibration, direction) {
+        const point = PhotoPlanner.projectToImagePlane(direction, calibration.center);
+        if (!point) return null;
+
+        const { scale, offset } = calibration;
+        const z = { re: point.x, im: -point.y };
+        return {
+            x: scale.re * z.re - scale.im * z.im + offset.re,
+            y: scale.re * z.im + scale.im * z.re + offset.im
+        };
+    }
+
+    /**
+     * Sky direction of a pixel
+     * @param {Object} calibration Result of createCalibration
+     * @param {Object} pixel Pixel {x, y}
+     * @returns {Object|null} Sky direction {altitude, azimuth}
+     */
+    function pixelToSky(calibration, pixel) {
+        const { scale, offset, center } = calibration;
+        const norm = scale.re * scale.re + scale.im * scale.im;
+        if (norm === 0) return null;
+
+        // Undo the similarity, then the tangent-plane projection
+        const w = { re: pixel.x - offset.re, im: pixel.y - offset.im };
+        const x = (w.re * scale.re + w.im * scale.im) / norm;
+        const y = -(w.im * scale.re - w.re * scale.im) / norm;
+        const rho = Math.hypot(x, y);
+
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const toDegrees = radians => radians * 180 / Math.PI;
+        if (rho === 0) return { ...center };
+
+        const c = Math.atan(rho);
+        const alt0 = toRadians(center.altitude);
+        const altitude = Math.asin(Math.cos(c) * Math.sin(alt0) + (y * Math.sin(c) * Math.cos(alt0)) / rho);
+        const dAz = Math.atan2(x * Math.sin(c), rho * Math.cos(alt0) * Math.cos(c) - y * Math.sin(alt0) * Math.sin(c));
+
+        return {
+            altitude: toDegrees(altitude),
+            azimuth: (center.azimuth + toDegrees(dAz) + 360) % 360
+        };
+    }
+
+    /**
+     * Read a date and time entered as wall-clock time at the location
+     * @param {string} value Date and time such as "2024-06-21T12:30" (from a datetime-local input)
+     * @param {string|null} timeZone IANA time zone (default: device time zone)
+     * @returns {Date|null} Instant, or null if the value cannot be read
+     */
+    function parseLocalDateTime(value, timeZone = null) {
+        const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/);
+        if (!match) return null;
+
+        const [year, month, day, hour, minute, second = 0] = match.slice(1).map(part => Number(part || 0));
+        if (!timeZone) {
+            return new Date(year, month - 1, day, hour, minute, second);
+        }
+
+        // Guess with the offset at the wall-clock time read as UTC, then correct once across a clock change
+        const asUTC = Date.UTC(year, month - 1, day, hour, minute, second);
+        let instant = asUTC - TimeZoneLookup.getTimeZoneOffset(new Date(asUTC), timeZone) * 60000;
+        instant = asUTC - TimeZoneLookup.getTimeZoneOffset(new Date(instant), timeZone) * 60000;
+        return new Date(instant);
+    }
+
+    // Export for testing
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            getReferenceDirection,
+            getMidpointDirection,
+            createCalibration,
+            skyToPixel,
+            pixelToSky,
+            parseLocalDateTime
+        };
+    }
+
+    // Export to window for browser
+    if (typeof window !== 'undefined') {
+        window.PhotoCalibration = {
+            getReferenceDirection,
+            getMidpointDirection,
+            createCalibration,
+            skyToPixel,
+            pixelToSky,
+            parseLocalDateTime
+        };
+    }
+})();
@@ -0,0 +1,380 @@
+/**
+ * Analemma Photography Planner
+ * Shooting schedule for an analemma time-lapse: one frame at the same standard
+ * clock time on each planned date, where the sun will be, and how to frame it
+ */
+
+(function () {
+    // Import calculation modules
+    const SolarCalculations = (typeof window !== 'undefined' && window.SolarCalculations) ||
+                              (typeof require !== 'undefined' && require('./solar.js'));
+    const TimeZoneLookup = (typeof window !== 'undefined' && window.TimeZoneLookup) ||
+                           (typeof require !== 'undefined' && require('./timezone.js'));
+    const SkyView = (typeof window !== 'undefined' && window.SkyView) ||
+                    (typeof require !== 'undefined' && require('./sky-view.js'));
+
+    /**
+     * Full-frame (35 mm) sensor in mm; focal lengths are 35 mm equivalents
+     */
+    const SENSOR = { width: 36, height: 24 };
+
+    const ONE_DAY = 1000 * 60 * 60 * 24;
+
+    /**
+     * Angular field of view of a rectilinear lens
+     * @param {number} focalLength 35 mm equivalent focal length in mm
+     * @param {string} orientation 'landscape' or 'portrait'
+     * @returns {Object} Field of view {horizontal, vertical} in degrees
+     */
+    function calculateFieldOfView(focalLength, orientation = 'landscape') {
+        const [across, down] = orientation === 'portrait'
+            ? [SENSOR.height, SENSOR.width]
+            : [SENSOR.width, SENSOR.height];
+        const toDegrees = radians => radians * 180 / Math.PI;
+
+        return {
+            horizontal: 2 * toDegrees(Math.atan(across / (2 * focalLength))),
+            vertical: 2 * toDegrees(Math.atan(down / (2 * focalLength)))
+        };
+    }
+
+    /**
+     * Project a sky position onto the image plane of a camera (gnomonic projection)
+     * @param {Object} point Sky position {altitude, azimuth} in degrees
+     * @param {Object} aim Camera direction {altitude, azimuth} in degrees
+     * @returns {Object|null} Image-plane position {x right, y up} in units of focal length, or null if behind the camera
+     */
+    function projectToImagePlane(point, aim) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const alt = toRadians(point.altitude);
+        const alt0 = toRadians(aim.altitude);
+        const dAz = toRadians(point.azimuth - aim.azimuth);
+        const cosC = Math.sin(alt0) * Math.sin(alt) + Math.cos(alt0) * Math.cos(alt) * Math.cos(dAz);
+
+        if (cosC <= 0) return null;
+
+        return {
+            x: Math.cos(alt) * Math.sin(dAz) / cosC,
+            y: (Math.cos(alt0) * Math.sin(alt) - Math.sin(alt0) * Math.cos(alt) * Math.cos(dAz)) / cosC
+        };
+    }
+
+    /**
+     * Aim the camera so every visible shot (and optionally the horizon below them) is in frame
+     * @param {Array<Object>} shots Visible shots {altitude, azimuth}
+     * @param {Object} options Options
+     * @param {number} options.focalLength 35 mm equivalent focal length in mm
+     * @param {string} options.orientation 'landscape' or 'portrait'
+     * @param {boolean} options.includeHorizon Keep the horizon in the bottom of the frame
+     * @returns {Object|null} Aim, field of view, longest lens that fits and whether the chosen lens fits
+     */
+    function calculateFraming(shots, { focalLength = 24, orientation = 'landscape', includeHorizon = true } = {}) {
+        if (shots.length === 0) return null;
+
+        // Azimuths relative to the first shot, so the figure does not wrap through north
+        const reference = shots[0].azimuth;
+        const offsets = shots.map(shot => ((shot.azimuth - reference + 540) % 360) - 180);
+        const altitudes = shots.map(shot => shot.altitude);
+        const minAltitude = includeHorizon ? 0 : Math.min(...altitudes);
+        const maxAltitude = Math.max(...altitudes);
+
+        const aim = {
+            azimuth: (reference + (Math.min(...offsets) + Math.max(...offsets)) / 2 + 360) % 360,
+            altitude: (minAltitude + maxAltitude) / 2
+        };
+
+        const targets = includeHorizon
+            ? [...shots, ...shots.map(shot => ({ altitude: 0, azimuth: shot.azimuth }))]
+            : shots;
+        const projected = targets.map(point => projectToImagePlane(point, aim));
+        if (projected.some(point => !point)) {
+            return { aim, fieldOfView: calculateFieldOfView(focalLength, orientation), maxFocalLength: null, fits: false };
+        }
+
+        const halfWidth = Math.max(...projected.map(point => Math.abs(point.x)));
+        const halfHeight = Math.max(...projected.map(point => Math.abs(point.y)));
+        const [across, down] = orientation === 'portrait'
+            ? [SENSOR.height, SENSOR.width]
+            : [SENSOR.width, SENSOR.height];
+        const maxFocalLength = Math.min(
+            halfWidth > 0 ? across / (2 * halfWidth) : Infinity,
+            halfHeight > 0 ? down / (2 * halfHeight) : Infinity
+        );
+
+        return {
+            aim,
+            fieldOfView: calculateFieldOfView(focalLength, orientation),
+            maxFocalLength,
+            fits: focalLength <= maxFocalLength
+        };
+    }
+
+    /**
+     * Position of a shot in the frame
+     * @param {Object} point Sky position {altitude, azimuth}
+     * @param {Object} aim Camera direction
+     * @param {number} focalLength 35 mm equivalent focal length in mm
+     * @param {string} orientation 'landscape' or 'portrait'
+     * @returns {Object|null} Position {x, y} as fractions of the frame from the top left, or null if behind the camera
+     */
+    function calculateFramePosition(point, aim, focalLength, orientation = 'landscape') {
+        const projected = projectToImagePlane(point, aim);
+        if (!projected) return null;
+
+        const [across, down] = orientation === 'portrait'
+            ? [SENSOR.height, SENSOR.width]
+            : [SENSOR.width, SENSOR.height];
+
+        return {
+            x: 0.5 + (projected.x * focalLength) / across,
+            y: 0.5 - (projected.y * focalLength) / down
+        };
+    }
+
+    /**
+     * Format an instant as a date and time in a fixed UTC offset
+     * @param {Date} date Instant
+     * @param {number} offsetMinutes Offset in minutes east of UTC
+     * @returns {Object} {date: 'YYYY-MM-DD', time: 'HH:MM'}
+     */
+    function formatInOffset(date, offsetMinutes) {
+        const iso = new Date(date.getTime() + offsetMinutes * 60 * 1000).toISOString();
+        return { date: iso.slice(0, 10), time: iso.slice(11, 16) };
+    }
+
+    /**
+     * Find the days on which the time zone's clocks change during the plan
+     * @param {Array<Date>} instants The clock time on every day of the plan
+     * @param {string} timeZone IANA time zone
+     * @param {number} clockOffset Standard offset in minutes east of UTC
+     * @returns {Array<Object>} Transitions {date, fromOffset, toOffset, wallClock} with the clock time to shoot at from that day
+     */
+    function findClockChanges(instants, timeZone, clockOffset) {
+        const changes = [];
+        let previous = null;
+
+        instants.forEach(instant => {
+            const offset = TimeZoneLookup.getTimeZoneOffset(instant, timeZone);
+            if (previous !== null && offset !== previous) {
+                changes.push({
+                    date: formatInOffset(instant, clockOffset).date,
+                    fromOffset: previous,
+                    toOffset: offset,
+                    wallClock: formatInOffset(instant, offset).time
+                });
+            }
+            previous = offset;
+        });
+
+        return changes;
+    }
+
+    /**
+     * Plan an analemma time-lapse over one year
+     * @param {number} latitude Latitude in degrees
+     * @param {number} longitude Longitude in degrees
+     * @param {Object} options Options
+     * @param {Date} options.startDate Day of the first shot (default today)
+     * @param {number} options.hour Standard clock hour of every shot (default 12)
+     * @param {number} options.intervalDays Days between shots (default 7)
+     * @param {string|null} options.timeZone IANA time zone (default: nautical zone, without daylight saving checks)
+     * @param {number} options.focalLength 35 mm equivalent focal length in mm (default 24)
+     * @param {string} options.orientation 'landscape' or 'portrait' (default 'landscape')
+     * @returns {Object} Shots, framing and clock changes
+     */
+    function planShoot(latitude, longitude, {
+        startDate = new Date(),
+        hour = 12,
+        intervalDays = 7,
+        timeZone = null,
+        focalLength = 24,
+        orientation = 'landscape'
+    } = {}) {
+        const interval = Math.max(1, Math.round(intervalDays));
+        const clockOffset = SkyView.getClockOffset(longitude, startDate.getUTCFullYear(), timeZone);
+
+        // Civil day of the start date in standard time
+        const start = formatInOffset(startDate, clockOffset).date;
+        const [year, month, day] = start.split('-').map(Number);
+        const firstDay = Math.round((Date.UTC(year, month - 1, day) - Date.UTC(year, 0, 0)) / ONE_DAY);
+
+        const instants = [];
+        for (let offset = 0; offset < 365; offset++) {
+            instants.push(SkyView.getClockInstant(year, firstDay + offset, hour, clockOffset));
+        }
+
+        const shots = instants
+            .filter((instant, index) => index % interval === 0)
+            .map((instant, index) => {
+                const { altitude, azimuth } = SolarCalculations.calculateSolarPosition(latitude, longitude, instant);
+                const wallOffset = timeZone ? TimeZoneLookup.getTimeZoneOffset(instant, timeZone) : clockOffset;
+
+                return {
+                    index: index + 1,
+                    date: instant,
+                    day: formatInOffset(instant, clockOffset).date,
+                    altitude,
+                    azimuth,
+                    isVisible: altitude > 0,
+                    wallClock: formatInOffset(instant, wallOffset).time,
+                    isDaylightSaving: wallOffset !== clockOffset
+                };
+            });
+
+        const visible = shots.filter(shot => shot.isVisible);
+        const framing = calculateFraming(visible, { focalLength, orientation });
+        if (framing) {
+            shots.forEach(shot => {
+                shot.frame = shot.isVisible ? calculateFramePosition(shot, framing.aim, focalLength, orientation) : null;
+            });
+        }
+
+        return {
+            latitude,
+            longitude,
+            hour,
+            intervalDays: interval,
+            timeZone,
+            clockOffset,
+            focalLength,
+            orientation,
+            shots,
+            framing,
+            clockChanges: timeZone ? findClockChanges(instants, timeZone, clockOffset) : [],
+            checkedDaylightSaving: Boolean(timeZone)
+        };
+    }
+
+    /**
+     * Format a standard clock hour as HH:MM
+     * @param {number} hour Fractional hour
+     * @returns {string} Time
+     */
+    function formatClockHour(hour) {
+        const minutes = Math.round(hour * 60);
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Format the plan as CSV
+     * @param {Object} plan Result of planShoot
+     * @returns {string} CSV with one row per shot
+     */
+    function toCSV(plan) {
+        const format = (value, digits) => (value === null || value === undefined ? '' : value.toFixed(digits));
+        const rows = [
+            'shot,date,standard_time,clock_time,utc,altitude_deg,azimuth_deg,above_horizon,frame_x,frame_y',
+            ...plan.shots.map(shot => [
+                shot.index,
+                shot.day,
+                formatClockHour(plan.hour),
+                shot.wallClock,
+                shot.date.toISOString(),
+                format(shot.altitude, 2),
+                format(shot.azimuth, 2),
+                shot.isVisible ? 'yes' : 'no',
+                format(shot.frame?.x, 3),
+                format(shot.frame?.y, 3)
+            ].join(','))
+        ];
+        return rows.join('\n') + '\n';
+    }
+
+    /**
+     * Escape text for an iCalendar property value
+     * @param {string} text Text
+     * @returns {string} Escaped text
+     */
+    function escapeICSText(text) {
+        return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+    }
+
+    /**
+     * Fold an iCalendar content line at 75 characters
+     * @param {string} line Content line
+     * @returns {string} Folded line
+     */
+    function foldICSLine(line) {
+        const parts = [line.slice(0, 75)];
+        for (let i = 75; i < line.length; i += 74) {
+            parts.push(line.slice(i, i + 74));
+        }
+        return parts.join('\r\n ');
+    }
+
+    /**
+     * Format the plan as an iCalendar file with one event per shot above the horizon
+     * Times are in UTC so calendar apps cannot shift them with daylight saving time
+     * @param {Object} plan Result of planShoot
+     * @param {Object} options Options
+     * @param {string} options.title Event title (default 'Analemma photo')
+     * @param {Date} options.createdAt Timestamp for DTSTAMP (default now)
+     * @returns {string} iCalendar text with CRLF line endings
+     */
+    function toICS(plan, { title = 'Analemma photo', createdAt = new Date() } = {}) {
+        const toICSDate = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+        const visible = plan.shots.filter(shot => shot.isVisible);
+        const standardTime = formatClockHour(plan.hour);
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Analemma//Photography planner//EN',
+            'CALSCALE:GREGORIAN',
+            ...visible.flatMap(shot => {
+                const clockNote = shot.isDaylightSaving
+                    ? `Clocks show ${shot.wallClock} (daylight saving time); shoot at ${standardTime} standard time.`
+                    : `Shoot at ${standardTime} standard time.`;
+                const description = `${clockNote}\nSun altitude ${shot.altitude.toFixed(1)} deg, azimuth ${shot.azimuth.toFixed(1)} deg.\n` +
+                    'Same camera position, direction and focal length as every other shot.';
+
+                return [
+                    'BEGIN:VEVENT',
+                    `UID:analemma-${shot.day}-${plan.latitude.toFixed(4)}-${plan.longitude.toFixed(4)}@analemma`,
+                    `DTSTAMP:${toICSDate(createdAt)}`,
+                    `DTSTART:${toICSDate(shot.date)}`,
+                    'DURATION:PT5M',
+                    `SUMMARY:${escapeICSText(`${title} ${shot.index}/${plan.shots.length}`)}`,
+                    `DESCRIPTION:${escapeICSText(description)}`,
+                    `GEO:${plan.latitude.toFixed(6)};${plan.longitude.toFixed(6)}`,
+                    'END:VEVENT'
+                ];
+            }),
+            'END:VCALENDAR'
+        ];
+
+        return lines.map(foldICSLine).join('\r\n') + '\r\n';
+    }
+
+    // Export for testing
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            SENSOR,
+            calculateFieldOfView,
+            projectToImagePlane,
+            calculateFraming,
+            calculateFramePosition,
+            findClockChanges,
+            planShoot,
+            formatClockHour,
+            toCSV,
+            toICS
+        };
+    }
+
+    // Export to window for browser
+    if (typeof window !== 'undefined') {
+        window.PhotoPlanner = {
+            SENSOR,
+            calculateFieldOfView,
+            projectToImagePlane,
+            calculateFraming,
+            calculateFramePosition,
+            findClockChanges,
+            planShoot,
+            formatClockHour,
+            toCSV,
+            toICS
+        };
+    }
+})();
@@ -0,0 +1,159 @@
+/**
+ * Polar Periods Module
+ * Finds polar night and midnight sun periods by stepping through the
+ * location's days and checking whether the sun rises and sets
+ */
+
+(function () {
+    // Import calculation modules
+    const SolarCalculations = (typeof window !== 'undefined' && window.SolarCalculations) ||
+                              (typeof require !== 'undefined' && require('./solar.js'));
+    const SunTimes = (typeof window !== 'undefined' && window.SunTimes) ||
+                     (typeof require !== 'undefined' && require('./sun-times.js'));
+
+    /**
+     * Latitude below which neither polar night nor midnight sun can occur
+     * 90° minus the maximum declination, sunrise refraction and semidiameter, with a margin
+     */
+    const MIN_POLAR_LATITUDE = 64;
+
+    /**
+     * How far to search (days)
+     */
+    const POLAR_SEARCH_DAYS = {
+        back: 200,
+        ahead: 730
+    };
+
+    /**
+     * Build a polar period from a run of days
+     * @param {string} type 'polar-night' or 'polar-day'
+     * @param {Function} dayAt Returns the solar noon instant of the day at an offset
+     * @param {number} first Offset of the first day in the period
+     * @param {number} last Offset of the last day in the period
+     * @param {Object} context Location, horizon altitude, time zone and search limits
+     * @returns {Object} Period with first/last day, day count and the sunset/sunrise that bound it
+     */
+    function createPeriod(type, dayAt, first, last, context) {
+        const { latitude, longitude, horizonAltitude, timeZone, firstOffset, lastOffset } = context;
+        const event = (offset, isRising) => SunTimes.calculateSunEvent(
+            latitude, longitude, dayAt(offset), horizonAltitude, isRising, timeZone
+        );
+
+        // Polar night begins after the last sunset and ends at the first sunrise;
+        // midnight sun begins after the last sunrise and ends at the first sunset
+        const isNight = type === 'polar-night';
+        const startKnown = first > firstOffset;
+        const endKnown = last < lastOffset;
+
+        return {
+            type,
+            firstDay: dayAt(first),
+            lastDay: dayAt(last),
+            days: last - first + 1,
+            startOffset: first,
+            endOffset: last,
+            startedAt: startKnown ? event(first - 1, !isNight) : null,
+            endsAt: endKnown ? event(last + 1, isNight) : null,
+            startKnown,
+            endKnown
+        };
+    }
+
+    /**
+     * Forecast polar night and midnight sun periods around a date
+     * @param {number} latitude Latitude in degrees
+     * @param {number} longitude Longitude in degrees
+     * @param {Date} date Date to forecast from (default: today)
+     * @param {Object} options Forecast options
+     * @param {number} options.horizonAltitude Sunrise/sunset altitude in degrees (default: standard sunrise)
+     * @param {string|null} options.timeZone IANA time zone that defines the days (default: nautical zone)
+     * @param {number} options.count Number of upcoming periods to list (default: 2)
+     * @returns {Object} Current period (or null), upcoming periods, and days until the current one ends
+     */
+    function getPolarForecast(latitude, longitude, date = new Date(), options = {}) {
+        const {
+            horizonAltitude = SunTimes.SUN_EVENT_ALTITUDES.sunrise,
+            timeZone = null,
+            count = 2
+        } = options;
+
+        if (Math.abs(latitude) < MIN_POLAR_LATITUDE) {
+            return { current: null, upcoming: [], daysRemaining: null };
+        }
+
+        // Step from today's transit so each step lands near noon on the next civil day
+        const oneDay = 1000 * 60 * 60 * 24;
+        const anchor = SolarCalculations.calculateSolarNoon(longitude, date, timeZone).getTime();
+        const dayAt = offset => new Date(anchor + offset * oneDay);
+        const states = new Map();
+        const stateAt = offset => {
+            if (!states.has(offset)) {
+                states.set(offset, SunTimes.getPolarState(latitude, longitude, dayAt(offset), horizonAltitude, timeZone));
+            }
+            return states.get(offset);
+        };
+
+        const context = {
+            latitude,
+            longitude,
+            horizonAltitude,
+            timeZone,
+            firstOffset: -POLAR_SEARCH_DAYS.back,
+            lastOffset: POLAR_SEARCH_DAYS.ahead
+        };
+
+        // Extend a run of equal states from an offset in one direction
+        const extend = (offset, step, limit) => {
+            const type = stateAt(offset);
+            while (offset !== limit && stateAt(offset + step) === type) {
+                offset += step;
+            }
+            return offset;
+        };
+
+        let current = null;
+        let offset = 0;
+        if (stateAt(0)) {
+            const first = extend(0, -1, context.firstOffset);
+            const last = extend(0, 1, context.lastOffset);
+            current = createPeriod(stateAt(0), dayAt, first, last, context);
+            offset = last + 1;
+        }
+
+        const upcoming = [];
+        while (upcoming.length < count && offset <= context.lastOffset) {
+            if (stateAt(offset)) {
+                const last = extend(offset, 1, context.lastOffset);
+                upcoming.push(createPeriod(stateAt(offset), dayAt, offset, last, context));
+                offset = last + 1;
+            } else {
+                offset++;
+            }
+        }
+
+        return {
+            current,
+            upcoming,
+            daysRemaining: current && current.endKnown ? current.endOffset + 1 : null
+        };
+    }
+
+    // Export for testing
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            MIN_POLAR_LATITUDE,
+            POLAR_SEARCH_DAYS,
+            getPolarForecast
+        };
+    }
+
+    // Export to window for browser
+    if (typeof window !== 'undefined') {
+        window.PolarPeriods = {
+            MIN_POLAR_LATITUDE,
+            POLAR_SEARCH_DAYS,
+            getPolarForecast
+        };
+    }
+})();
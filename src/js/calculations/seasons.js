@@ -0,0 +1,233 @@
+/**
+ * Season Events Module
+ * Equinoxes and solstices by root-finding on the sun's apparent longitude,
+ * perihelion and aphelion by searching the sun's distance
+ */
+
+(function () {
+    // Import calculation modules
+    const SolarEphemeris = (typeof window !== 'undefined' && window.SolarEphemeris) ||
+                           (typeof require !== 'undefined' && require('./ephemeris.js'));
+    const SolarCalculations = (typeof window !== 'undefined' && window.SolarCalculations) ||
+                              (typeof require !== 'undefined' && require('./solar.js'));
+    const TimeZoneLookup = (typeof window !== 'undefined' && window.TimeZoneLookup) ||
+                           (typeof require !== 'undefined' && require('./timezone.js'));
+
+    const TROPICAL_YEAR_DAYS = 365.2422;
+
+    /**
+     * Equinoxes and solstices with the apparent solar longitude that defines them
+     */
+    const SEASON_EVENTS = [
+        { id: 'march-equinox', type: 'equinox', name: 'March equinox', longitude: 0 },
+        { id: 'june-solstice', type: 'solstice', name: 'June solstice', longitude: 90 },
+        { id: 'september-equinox', type: 'equinox', name: 'September equinox', longitude: 180 },
+        { id: 'december-solstice', type: 'solstice', name: 'December solstice', longitude: 270 }
+    ];
+
+    /**
+     * Season names by hemisphere, starting at the March equinox
+     */
+    const SEASON_NAMES = {
+        northern: ['Spring', 'Summer', 'Autumn', 'Winter'],
+        southern: ['Autumn', 'Winter', 'Spring', 'Summer']
+    };
+
+    /**
+     * Find the instant the sun reaches an apparent longitude (Meeus ch. 27 correction step)
+     * @param {number} year Full year
+     * @param {number} targetLongitude Apparent solar longitude in degrees (0, 90, 180 or 270 for the seasons)
+     * @returns {Date} Event instant (UT), good to a few minutes with the low-precision theory
+     */
+    function findSolarLongitudeInstant(year, targetLongitude) {
+        const oneDay = 1000 * 60 * 60 * 24;
+
+        // Start from the mean March equinox and advance at the mean rate
+        let time = Date.UTC(year, 2, 20, 12) + (targetLongitude / 360) * TROPICAL_YEAR_DAYS * oneDay;
+
+        for (let i = 0; i < 10; i++) {
+            const { apparentLongitude } = SolarEphemeris.getSolarCoordinates(new Date(time));
+            const correction = 58 * Math.sin(SolarEphemeris.toRadians(targetLongitude - apparentLongitude));
+            time += correction * oneDay;
+            if (Math.abs(correction) < 1e-6) break;
+        }
+
+        return new Date(Math.round(time / 1000) * 1000);
+    }
+
+    /**
+     * Find perihelion or aphelion by golden-section search on the sun's distance
+     * Uses the Earth-Moon barycentre orbit of the low-precision theory, so the
+     * instant can differ from the published (Earth) value by up to about a day
+     * @param {number} year Full year
+     * @param {boolean} isPerihelion True for the closest approach, false for the farthest
+     * @returns {Date} Event instant (UT)
+     */
+    function findApsis(year, isPerihelion) {
+        const oneDay = 1000 * 60 * 60 * 24;
+        const center = isPerihelion ? Date.UTC(year, 0, 3) : Date.UTC(year, 6, 4);
+        const sign = isPerihelion ? 1 : -1;
+        const distance = time => sign * SolarEphemeris.getSolarCoordinates(new Date(time)).radiusVector;
+
+        const ratio = (Math.sqrt(5) - 1) / 2;
+        let a = center - 10 * oneDay;
+        let b = center + 10 * oneDay;
+        let c = b - ratio * (b - a);
+        let d = a + ratio * (b - a);
+        let fc = distance(c);
+        let fd = distance(d);
+
+        while (b - a > 60 * 1000) {
+            if (fc < fd) {
+                b = d;
+                d = c;
+                fd = fc;
+                c = b - ratio * (b - a);
+                fc = distance(c);
+            } else {
+                a = c;
+                c = d;
+                fc = fd;
+                d = a + ratio * (b - a);
+                fd = distance(d);
+            }
+        }
+
+        return new Date(Math.round((a + b) / 2000) * 1000);
+    }
+
+    /**
+     * Describe an event with the solar coordinates at its instant
+     * @param {Object} event Event id, type and name
+     * @param {Date} date Event instant
+     * @returns {Object} Event with date, declination, equation of time and distance
+     */
+    function describeEvent(event, date) {
+        const coords = SolarEphemeris.getSolarCoordinates(date);
+        return {
+            ...event,
+            date,
+            declination: coords.declination,
+            equationOfTime: coords.equationOfTime,
+            radiusVector: coords.radiusVector
+        };
+    }
+
+    /**
+     * Get the equinoxes, solstices, perihelion and aphelion of a year
+     * @param {number} year Full year
+     * @returns {Array<Object>} Events in date order
+     */
+    function getYearEvents(year) {
+        const events = SEASON_EVENTS.map(event =>
+            describeEvent(event, findSolarLongitudeInstant(year, event.longitude))
+        );
+
+        events.push(describeEvent({ id: 'perihelion', type: 'perihelion', name: 'Perihelion' }, findApsis(year, true)));
+        events.push(describeEvent({ id: 'aphelion', type: 'aphelion', name: 'Aphelion' }, findApsis(year, false)));
+
+        return events.sort((a, b) => a.date - b.date);
+    }
+
+    /**
+     * Count calendar days between two instants in a time zone
+     * @param {Date} from Start instant
+     * @param {Date} to End instant
+     * @param {string|null} timeZone IANA time zone (default: UTC)
+     * @returns {number} Whole days from the start date to the end date
+     */
+    function countCalendarDays(from, to, timeZone = null) {
+        const oneDay = 1000 * 60 * 60 * 24;
+        const dayNumber = date => {
+            if (!timeZone) {
+                return Math.floor(date.getTime() / oneDay);
+            }
+            const { year, month, day } = TimeZoneLookup.getZonedDateParts(date, timeZone);
+            return Date.UTC(year, month - 1, day) / oneDay;
+        };
+        return dayNumber(to) - dayNumber(from);
+    }
+
+    /**
+     * Get the current astronomical season for the hemisphere the analemma is viewed from
+     * @param {Date} date Instant
+     * @param {number} latitude Latitude in degrees
+     * @returns {Object} Season name, hemisphere and index (0 = the season that starts at the March equinox)
+     */
+    function getCurrentSeason(date, latitude) {
+        const { apparentLongitude } = SolarEphemeris.getSolarCoordinates(date);
+        const index = Math.floor(apparentLongitude / 90) % 4;
+
+        // Looking south means the northern hemisphere; the equator looks north, so it gets southern seasons
+        const hemisphere = SolarCalculations.getAnalemmaDirection(latitude) === 'S' ? 'northern' : 'southern';
+
+        return {
+            name: SEASON_NAMES[hemisphere][index],
+            hemisphere,
+            index
+        };
+    }
+
+    /**
+     * Get this year's and next year's events around a date, with the current season
+     * and a countdown to the next solstice
+     * @param {Date} date Instant (default: now)
+     * @param {number} latitude Latitude in degrees
+     * @param {string|null} timeZone IANA time zone used for calendar days (default: UTC)
+     * @returns {Object} Events, next event, next solstice with days until it, and current season
+     */
+    function getSeasonSummary(date = new Date(), latitude = 0, timeZone = null) {
+        const year = timeZone
+            ? TimeZoneLookup.getZonedDateParts(date, timeZone).year
+            : date.getUTCFullYear();
+        const events = [...getYearEvents(year), ...getYearEvents(year + 1)];
+        const upcoming = events.filter(event => event.date > date);
+        const nextSolstice = upcoming.find(event => event.type === 'solstice');
+
+        const season = getCurrentSeason(date, latitude);
+        const seasonEvents = [...getYearEvents(year - 1).slice(-3), ...events]
+            .filter(event => event.type === 'equinox' || event.type === 'solstice');
+        const seasonStart = seasonEvents.filter(event => event.date <= date).pop() || null;
+
+        return {
+            events,
+            nextEvent: upcoming[0] || null,
+            nextSolstice: nextSolstice
+                ? { ...nextSolstice, daysUntil: countCalendarDays(date, nextSolstice.date, timeZone) }
+                : null,
+            season: {
+                ...season,
+                startedAt: seasonStart ? seasonStart.date : null,
+                endsAt: upcoming.find(event => event.type === 'equinox' || event.type === 'solstice')?.date || null
+            }
+        };
+    }
+
+    // Export for testing
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            SEASON_EVENTS,
+            SEASON_NAMES,
+            findSolarLongitudeInstant,
+            findApsis,
+            getYearEvents,
+            countCalendarDays,
+            getCurrentSeason,
+            getSeasonSummary
+        };
+    }
+
+    // Export to window for browser
+    if (typeof window !== 'undefined') {
+        window.SeasonEvents = {
+            SEASON_EVENTS,
+            SEASON_NAMES,
+            findSolarLongitudeInstant,
+            findApsis,
+            getYearEvents,
+            countCalendarDays,
+            getCurrentSeason,
+            getSeasonSummary
+        };
+    }
+})();
@@ -0,0 +1,144 @@
+/**
+ * Shadow Calculations Module
+ * Noon shadow length and direction of a vertical object
+ */
+
+(function () {
+    // Import calculation modules
+    const SolarEphemeris = (typeof window !== 'undefined' && window.SolarEphemeris) ||
+                           (typeof require !== 'undefined' && require('./ephemeris.js'));
+    const SolarCalculations = (typeof window !== 'undefined' && window.SolarCalculations) ||
+                              (typeof require !== 'undefined' && require('./solar.js'));
+    const SeasonEvents = (typeof window !== 'undefined' && window.SeasonEvents) ||
+                         (typeof require !== 'undefined' && require('./seasons.js'));
+
+    const FEET_PER_METER = 3.28084;
+
+    /**
+     * Length units for object heights and shadows
+     */
+    const LENGTH_UNITS = {
+        m: { label: 'm', perMeter: 1 },
+        ft: { label: 'ft', perMeter: FEET_PER_METER }
+    };
+
+    /**
+     * Convert a length to meters
+     * @param {number} value Length
+     * @param {string} unit 'm' or 'ft'
+     * @returns {number} Length in meters
+     */
+    function toMeters(value, unit = 'm') {
+        return value / (LENGTH_UNITS[unit] || LENGTH_UNITS.m).perMeter;
+    }
+
+    /**
+     * Convert a length from meters
+     * @param {number} meters Length in meters
+     * @param {string} unit 'm' or 'ft'
+     * @returns {number} Length in the unit
+     */
+    function fromMeters(meters, unit = 'm') {
+        return meters * (LENGTH_UNITS[unit] || LENGTH_UNITS.m).perMeter;
+    }
+
+    /**
+     * Shadow length of a vertical object on level ground
+     * @param {number} height Object height (any unit)
+     * @param {number} elevation Sun elevation in degrees
+     * @returns {number|null} Shadow length in the same unit, or null if the sun is down
+     */
+    function calculateShadowLength(height, elevation) {
+        if (elevation <= 0) return null;
+        return height / Math.tan(SolarEphemeris.toRadians(elevation));
+    }
+
+    /**
+     * Direction of the noon shadow
+     * The shadow points away from the sun, which at noon is due south when the
+     * latitude is north of the declination and due north otherwise
+     * @param {number} latitude Latitude in degrees
+     * @param {number} declination Solar declination in degrees
+     * @returns {string|null} 'N' or 'S', or null with the sun at the zenith
+     */
+    function getNoonShadowDirection(latitude, declination) {
+        const difference = latitude - declination;
+        if (Math.abs(difference) < 0.01) return null;
+        return difference > 0 ? 'N' : 'S';
+    }
+
+    /**
+     * Calculate the noon shadow of a vertical object
+     * Uses the refracted elevation, since that is the direction the light arrives from
+     * @param {number} height Object height (any unit; the shadow is returned in the same unit)
+     * @param {number} latitude Latitude in degrees
+     * @param {number} longitude Longitude in degrees
+     * @param {Date} date Date to calculate for (default: today)
+     * @param {string|null} timeZone IANA time zone that defines the day (default: nautical zone)
+     * @returns {Object} Noon instant, sun elevation, shadow length, direction and length/height ratio
+     */
+    function calculateNoonShadow(height, latitude, longitude, date = new Date(), timeZone = null) {
+        const solarNoon = SolarCalculations.calculateSolarNoon(longitude, date, timeZone);
+        const { declination } = SolarEphemeris.getSolarCoordinates(solarNoon);
+        const trueElevation = SolarCalculations.calculateSolarElevationAtNoon(latitude, solarNoon, longitude);
+        const elevation = trueElevation + SolarCalculations.calculateRefraction(trueElevation);
+        const length = calculateShadowLength(height, elevation);
+
+        return {
+            solarNoon,
+            elevation,
+            length,
+            ratio: length === null ? null : length / height,
+            direction: length === null ? null : getNoonShadowDirection(latitude, declination)
+        };
+    }
+
+    /**
+     * Calculate the noon shadows for a date and for the year's two solstices
+     * @param {number} height Object height
+     * @param {number} latitude Latitude in degrees
+     * @param {number} longitude Longitude in degrees
+     * @param {Date} date Date to calculate for (default: today)
+     * @param {string|null} timeZone IANA time zone that defines the day (default: nautical zone)
+     * @returns {Object} Shadows for today, the June solstice and the December solstice
+     */
+    function calculateSolsticeShadows(height, latitude, longitude, date = new Date(), timeZone = null) {
+        const year = date.getUTCFullYear();
+        const juneSolstice = SeasonEvents.findSolarLongitudeInstant(year, 90);
+        const decemberSolstice = SeasonEvents.findSolarLongitudeInstant(year, 270);
+
+        return {
+            today: calculateNoonShadow(height, latitude, longitude, date, timeZone),
+            june: calculateNoonShadow(height, latitude, longitude, juneSolstice, timeZone),
+            december: calculateNoonShadow(height, latitude, longitude, decemberSolstice, timeZone)
+        };
+    }
+
+    // Export for testing
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            FEET_PER_METER,
+            LENGTH_UNITS,
+            toMeters,
+            fromMeters,
+            calculateShadowLength,
+            getNoonShadowDirection,
+            calculateNoonShadow,
+            calculateSolsticeShadows
+        };
+    }
+
+    // Export to window for browser
+    if (typeof window !== 'undefined') {
+        window.ShadowCalculations = {
+            FEET_PER_METER,
+            LENGTH_UNITS,
+            toMeters,
+            fromMeters,
+            calculateShadowLength,
+            getNoonShadowDirection,
+            calculateNoonShadow,
+            calculateSolsticeShadows
+        };
+    }
+})();
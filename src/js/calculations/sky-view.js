@@ -0,0 +1,127 @@
+/**
+ * Sky View Module
+ * The analemma as it appears in the sky: the sun's altitude and azimuth at
+ * the same clock time on every day of a year, as in a multi-exposure photograph
+ */
+
+(function () {
+    // Import calculation modules
+    const SolarCalculations = (typeof window !== 'undefined' && window.SolarCalculations) ||
+                              (typeof require !== 'undefined' && require('./solar.js'));
+    const TimeZoneLookup = (typeof window !== 'undefined' && window.TimeZoneLookup) ||
+                           (typeof require !== 'undefined' && require('./timezone.js'));
+
+    /**
+     * Get the standard (winter) UTC offset used for the clock time
+     * Analemma photographs are taken at a fixed standard time; following daylight
+     * saving time would tear the figure in two
+     * @param {number} longitude Longitude in degrees
+     * @param {number} year Full year
+     * @param {string|null} timeZone IANA time zone (default: nautical zone)
+     * @returns {number} Offset in minutes east of UTC
+     */
+    function getClockOffset(longitude, year, timeZone = null) {
+        if (timeZone) {
+            return TimeZoneLookup.getStandardOffset(new Date(Date.UTC(year, 6, 1)), timeZone);
+        }
+        return Math.round(longitude / 15) * 60;
+    }
+
+    /**
+     * Get the instant of a standard clock time on a day
+     * @param {number} year Full year
+     * @param {number} dayOfYear Day of the year (1 = January 1)
+     * @param {number} hour Clock hour (may be fractional, e.g. 9.5 for 09:30)
+     * @param {number} clockOffset Standard UTC offset in minutes east
+     * @returns {Date} Instant
+     */
+    function getClockInstant(year, dayOfYear, hour, clockOffset) {
+        return new Date(Date.UTC(year, 0, dayOfYear) + (hour * 60 - clockOffset) * 60 * 1000);
+    }
+
+    /**
+     * Calculate the sun's sky position at one clock time for every day of a year
+     * @param {number} latitude Latitude in degrees
+     * @param {number} longitude Longitude in degrees
+     * @param {number} year Full year
+     * @param {number} hour Standard clock hour
+     * @param {Object} options Options
+     * @param {string|null} options.timeZone IANA time zone (default: nautical zone)
+     * @param {number} options.stepDays Days between points (default 1)
+     * @returns {Array<Object>} Points {dayOfYear, date, altitude, azimuth}; altitude includes refraction
+     */
+    function calculateSkyAnalemma(latitude, longitude, year, hour, { timeZone = null, stepDays = 1 } = {}) {
+        const clockOffset = getClockOffset(longitude, year, timeZone);
+        const daysInYear = (Date.UTC(year + 1, 0, 1) - Date.UTC(year, 0, 1)) / (1000 * 60 * 60 * 24);
+        const points = [];
+
+        for (let dayOfYear = 1; dayOfYear <= daysInYear; dayOfYear += stepDays) {
+            const date = getClockInstant(year, dayOfYear, hour, clockOffset);
+            const { altitude, azimuth } = SolarCalculations.calculateSolarPosition(latitude, longitude, date);
+            points.push({ dayOfYear, date, altitude, azimuth });
+        }
+
+        return points;
+    }
+
+    /**
+     * Sun position at a clock time on the civil day of an instant
+     * @param {number} latitude Latitude in degrees
+     * @param {number} longitude Longitude in degrees
+     * @param {Date} date Instant whose day is used
+     * @param {number} hour Standard clock hour
+     * @param {string|null} timeZone IANA time zone (default: nautical zone)
+     * @returns {Object} Point {dayOfYear, date, altitude, azimuth}
+     */
+    function calculateSkyPosition(latitude, longitude, date, hour, timeZone = null) {
+        const oneDay = 1000 * 60 * 60 * 24;
+        const clockOffset = getClockOffset(longitude, date.getUTCFullYear(), timeZone);
+
+        // Civil day in standard time
+        const local = new Date(date.getTime() + clockOffset * 60 * 1000);
+        const year = local.getUTCFullYear();
+        const dayOfYear = Math.round((Date.UTC(year, local.getUTCMonth(), local.getUTCDate()) - Date.UTC(year, 0, 0)) / oneDay);
+        const instant = getClockInstant(year, dayOfYear, hour, clockOffset);
+        const { altitude, azimuth } = SolarCalculations.calculateSolarPosition(latitude, longitude, instant);
+
+        return { dayOfYear, date: instant, altitude, azimuth };
+    }
+
+    /**
+     * Parse a list of clock hours such as "9, 12, 15:30"
+     * @param {string} text Comma- or space-separated hours (HH or HH:MM)
+     * @returns {Array<number>} Unique hours in [0, 24), sorted, as fractional hours
+     */
+    function parseClockHours(text) {
+        const hours = String(text || '')
+            .split(/[\s,;]+/)
+            .map(part => part.match(/^(\d{1,2})(?::(\d{2}))?$/))
+            .filter(Boolean)
+            .map(([, hours, minutes]) => Number(hours) + Number(minutes || 0) / 60)
+            .filter(hour => hour >= 0 && hour < 24);
+
+        return [...new Set(hours)].sort((a, b) => a - b);
+    }
+
+    // Export for testing
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            getClockOffset,
+            getClockInstant,
+            calculateSkyAnalemma,
+            calculateSkyPosition,
+            parseClockHours
+        };
+    }
+
+    // Export to window for browser
+    if (typeof window !== 'undefined') {
+        window.SkyView = {
+            getClockOffset,
+            getClockInstant,
+            calculateSkyAnalemma,
+            calculateSkyPosition,
+            parseClockHours
+        };
+    }
+})();
@@ -3,182 +3,259 @@
  * Functions for calculating solar noon time, solar elevation, and related astronomical values
  */
 
-/**
- * Convert degrees to radians
- * @param {number} degrees 
- * @returns {number} Radians
- */
-function toRadians(degrees) {
-    return degrees * Math.PI / 180;
-}
+(function () {
+    // Solar coordinates come from the ephemeris module, refraction from the observer model
+    // and civil dates from the time zone module
+    const SolarEphemeris = (typeof window !== 'undefined' && window.SolarEphemeris) ||
+                           (typeof require !== 'undefined' && require('./ephemeris.js'));
+    const ObserverModel = (typeof window !== 'undefined' && window.ObserverModel) ||
+                          (typeof require !== 'undefined' && require('./observer.js'));
+    const TimeZoneLookup = (typeof window !== 'undefined' && window.TimeZoneLookup) ||
+                           (typeof require !== 'undefined' && require('./timezone.js'));
 
-/**
- * Convert radians to degrees
- * @param {number} radians 
- * @returns {number} Degrees
- */
-function toDegrees(radians) {
-    return radians * 180 / Math.PI;
-}
+    /**
+     * Get day of year from date
+     * @param {Date} date 
+     * @returns {number} Day of year (1-366)
+     */
+    function getDayOfYear(date) {
+        const start = new Date(date.getFullYear(), 0, 0);
+        const diff = date - start;
+        const oneDay = 1000 * 60 * 60 * 24;
+        return Math.floor(diff / oneDay);
+    }
 
-/**
- * Get day of year from date
- * @param {Date} date 
- * @returns {number} Day of year (1-366)
- */
-function getDayOfYear(date) {
-    const start = new Date(date.getFullYear(), 0, 0);
-    const diff = date - start;
-    const oneDay = 1000 * 60 * 60 * 24;
-    return Math.floor(diff / oneDay);
-}
+    /**
+     * Calculate solar declination angle
+     * @param {number} dayOfYear Day of year (1-366)
+     * @param {number} year Year the day belongs to (default: current year)
+     * @returns {number} Apparent solar declination in degrees at 12:00 UT
+     */
+    function calculateSolarDeclination(dayOfYear, year = new Date().getFullYear()) {
+        return SolarEphemeris.getSolarCoordinates(SolarEphemeris.dayOfYearToDate(year, dayOfYear)).declination;
+    }
 
-/**
- * Calculate solar declination angle
- * @param {number} dayOfYear Day of year (1-366)
- * @returns {number} Solar declination in degrees
- */
-function calculateSolarDeclination(dayOfYear) {
-    // Solar declination calculation
-    const P = Math.asin(0.39795 * Math.cos(toRadians(0.98563 * (dayOfYear - 173) + 1.914 * Math.sin(toRadians(0.98563 * (dayOfYear - 2))))));
-    return toDegrees(P);
-}
+    /**
+     * Calculate equation of time
+     * @param {number} dayOfYear Day of year (1-366)
+     * @param {number} year Year the day belongs to (default: current year)
+     * @returns {number} Equation of time in minutes at 12:00 UT (positive when the sun is fast)
+     */
+    function calculateEquationOfTime(dayOfYear, year = new Date().getFullYear()) {
+        return SolarEphemeris.getSolarCoordinates(SolarEphemeris.dayOfYearToDate(year, dayOfYear)).equationOfTime;
+    }
 
-/**
- * Calculate equation of time
- * @param {number} dayOfYear Day of year (1-366)
- * @returns {number} Equation of time in minutes
- */
-function calculateEquationOfTime(dayOfYear) {
-    // Equation of time calculation
-    const B = toRadians(360 * (dayOfYear - 81) / 365);
-    const E = 9.87 * Math.sin(2 * B) - 7.53 * Math.cos(B) - 1.5 * Math.sin(B);
-    return E;
-}
+    /**
+     * Calculate solar noon time for a given location and date
+     * The day is the location's civil date at the given instant: in its time zone
+     * when one is given, otherwise in its nautical zone (whole hours per 15°)
+     * @param {number} longitude Longitude in degrees (positive east, negative west)
+     * @param {Date} date Date to calculate for (default: today)
+     * @param {string|null} timeZone IANA time zone of the location (default: nautical zone)
+     * @returns {Date} Solar noon time as Date object
+     */
+    function calculateSolarNoon(longitude, date = new Date(), timeZone = null) {
+        const oneMinute = 60 * 1000;
 
-/**
- * Calculate solar noon time for a given location and date
- * @param {number} longitude Longitude in degrees (positive east, negative west)
- * @param {Date} date Date to calculate for (default: today)
- * @returns {Date} Solar noon time as Date object
- */
-function calculateSolarNoon(longitude, date = new Date()) {
-    const dayOfYear = getDayOfYear(date);
-    const equationOfTime = calculateEquationOfTime(dayOfYear);
-    
-    // Calculate solar noon in UTC
-    // Solar noon occurs when the sun is at its highest point
-    // Longitude adjustment: 15 degrees = 1 hour
-    const solarNoonUTC = 12 - (longitude / 15) - (equationOfTime / 60);
-    
-    // Create solar noon time for the given date
-    const solarNoonDate = new Date(date);
-    const hours = Math.floor(solarNoonUTC);
-    const minutes = (solarNoonUTC - hours) * 60;
-    
-    solarNoonDate.setUTCHours(hours, minutes, 0, 0);
-    
-    return solarNoonDate;
-}
+        let civilDate;
+        let utcOffset;
+        if (timeZone) {
+            civilDate = TimeZoneLookup.getZonedDateParts(date, timeZone);
+            utcOffset = TimeZoneLookup.getTimeZoneOffset(date, timeZone);
+        } else {
+            utcOffset = Math.round(longitude / 15) * 60;
+            const zoneTime = new Date(date.getTime() + utcOffset * oneMinute);
+            civilDate = {
+                year: zoneTime.getUTCFullYear(),
+                month: zoneTime.getUTCMonth() + 1,
+                day: zoneTime.getUTCDate()
+            };
+        }
+        const dayStart = Date.UTC(civilDate.year, civilDate.month - 1, civilDate.day);
 
-/**
- * Calculate solar elevation angle at solar noon
- * @param {number} latitude Latitude in degrees (positive north, negative south)
- * @param {Date} date Date to calculate for (default: today)
- * @returns {number} Solar elevation angle in degrees
- */
-function calculateSolarElevationAtNoon(latitude, date = new Date()) {
-    const dayOfYear = getDayOfYear(date);
-    const solarDeclination = calculateSolarDeclination(dayOfYear);
-    
-    // Solar elevation at solar noon = 90° - |latitude - declination|
-    const elevation = 90 - Math.abs(latitude - solarDeclination);
-    
-    return elevation;
-}
+        // Solar noon occurs when the sun crosses the local meridian.
+        // Longitude adjustment: 15 degrees = 1 hour. Zones far from their meridian
+        // (e.g. UTC+14 at 157°W) would put that transit on a neighbouring civil day,
+        // so take the transit closest to clock noon.
+        let transitMinutes = 720 - 4 * longitude;
+        const clockNoonMinutes = 720 - utcOffset;
+        transitMinutes += Math.round((clockNoonMinutes - transitMinutes) / 1440) * 1440;
 
-/**
- * Check if the sun is below the horizon at solar noon (extreme latitudes)
- * @param {number} latitude Latitude in degrees
- * @param {Date} date Date to check (default: today)
- * @returns {boolean} True if sun is below horizon at solar noon
- */
-function isSunBelowHorizonAtNoon(latitude, date = new Date()) {
-    const elevation = calculateSolarElevationAtNoon(latitude, date);
-    return elevation < 0;
-}
+        // The equation of time is re-evaluated at the estimated transit until the estimate settles
+        const meanTransitMinutes = transitMinutes;
+        for (let i = 0; i < 3; i++) {
+            const estimate = new Date(dayStart + transitMinutes * oneMinute);
+            const equationOfTime = SolarEphemeris.getSolarCoordinates(estimate).equationOfTime;
+            transitMinutes = meanTransitMinutes - equationOfTime;
+        }
 
-/**
- * Format time for display (handles both 12-hour and 24-hour formats)
- * @param {Date} date Date to format
- * @param {boolean} use24Hour Use 24-hour format (default: false)
- * @returns {string} Formatted time string
- */
-function formatSolarNoonTime(date, use24Hour = false) {
-    if (use24Hour) {
-        return date.toLocaleTimeString('en-US', {
-            hour: '2-digit',
-            minute: '2-digit',
-            second: '2-digit',
-            hour12: false
-        });
-    } else {
-        return date.toLocaleTimeString('en-US', {
-            hour: 'numeric',
-            minute: '2-digit',
-            second: '2-digit',
-            hour12: true
-        });
+        return new Date(Math.round(dayStart + transitMinutes * oneMinute));
     }
-}
 
-/**
- * Get hemisphere direction for looking at analemma
- * @param {number} latitude Latitude in degrees
- * @returns {string} Direction to look ('N' or 'S')
- */
-function getAnalemmaDirection(latitude) {
-    // Northern hemisphere looks south, southern hemisphere looks north
-    // At equator (lat = 0), look north as specified in requirements
-    return latitude > 0 ? 'S' : 'N';
-}
+    /**
+     * Calculate solar elevation angle at solar noon
+     * @param {number} latitude Latitude in degrees (positive north, negative south)
+     * @param {Date} date Date to calculate for (default: today)
+     * @param {number} longitude Longitude in degrees, used to find the exact transit (default: 0)
+     * @param {Object|null} observer Observer profile; when given, the apparent elevation above the visible horizon is returned
+     * @returns {number} Solar elevation angle in degrees
+     */
+    function calculateSolarElevationAtNoon(latitude, date = new Date(), longitude = 0, observer = null) {
+        const transit = calculateSolarNoon(longitude, date);
+        const solarDeclination = SolarEphemeris.getSolarCoordinates(transit).declination;
+        
+        // Solar elevation at solar noon = 90° - |latitude - declination|
+        const elevation = 90 - Math.abs(latitude - solarDeclination);
+        
+        if (observer) {
+            return elevation + calculateRefraction(elevation, observer) + observer.horizonDip;
+        }
+        
+        return elevation;
+    }
 
-/**
- * Validate latitude and longitude values
- * @param {number} latitude Latitude in degrees
- * @param {number} longitude Longitude in degrees
- * @returns {Object} Validation result with isValid boolean and error message
- */
-function validateCoordinates(latitude, longitude) {
-    if (typeof latitude !== 'number' || typeof longitude !== 'number') {
-        return { isValid: false, error: 'Coordinates must be numbers' };
+    /**
+     * Calculate atmospheric refraction for a true (airless) altitude
+     * @param {number} trueAltitude True altitude in degrees
+     * @param {Object|null} observer Observer profile for pressure and temperature (default: 1010 hPa, 10 °C)
+     * @returns {number} Refraction in degrees (add to the true altitude)
+     */
+    function calculateRefraction(trueAltitude, observer = null) {
+        return ObserverModel.calculateSaemundssonRefraction(trueAltitude, observer);
     }
-    
-    if (latitude < -90 || latitude > 90) {
-        return { isValid: false, error: 'Latitude must be between -90 and 90 degrees' };
+
+    /**
+     * Calculate the sun's position in the sky at any instant
+     * @param {number} latitude Latitude in degrees (positive north, negative south)
+     * @param {number} longitude Longitude in degrees (positive east, negative west)
+     * @param {Date} date Instant to calculate for (default: now)
+     * @param {Object|null} observer Observer profile for refraction and horizon dip (default: sea level)
+     * @returns {Object} Apparent and true altitude, azimuth (from north, clockwise) and hour angle in degrees
+     */
+    function calculateSolarPosition(latitude, longitude, date = new Date(), observer = null) {
+        const coords = SolarEphemeris.getSolarCoordinates(date);
+        const utcMinutes = date.getUTCHours() * 60 + date.getUTCMinutes() +
+                           date.getUTCSeconds() / 60 + date.getUTCMilliseconds() / 60000;
+
+        // True solar time, then hour angle: negative before solar noon, positive after
+        const trueSolarMinutes = utcMinutes + coords.equationOfTime + 4 * longitude;
+        const hourAngle = SolarEphemeris.normalizeDegrees(trueSolarMinutes / 4) - 180;
+
+        const lat = SolarEphemeris.toRadians(latitude);
+        const dec = SolarEphemeris.toRadians(coords.declination);
+        const ha = SolarEphemeris.toRadians(hourAngle);
+
+        const sinAltitude = Math.sin(lat) * Math.sin(dec) + Math.cos(lat) * Math.cos(dec) * Math.cos(ha);
+        const trueAltitude = SolarEphemeris.toDegrees(Math.asin(Math.max(-1, Math.min(1, sinAltitude))));
+
+        const azimuth = SolarEphemeris.normalizeDegrees(SolarEphemeris.toDegrees(Math.atan2(
+            Math.sin(ha),
+            Math.cos(ha) * Math.sin(lat) - Math.tan(dec) * Math.cos(lat)
+        )) + 180);
+
+        const altitude = trueAltitude + calculateRefraction(trueAltitude, observer);
+        const horizonDip = observer ? observer.horizonDip : 0;
+
+        return {
+            altitude,
+            trueAltitude,
+            altitudeAboveHorizon: altitude + horizonDip,
+            horizonDip,
+            azimuth,
+            hourAngle,
+            declination: coords.declination
+        };
+    }
+
+    /**
+     * Check if the sun is below the horizon at solar noon (extreme latitudes)
+     * @param {number} latitude Latitude in degrees
+     * @param {Date} date Date to check (default: today)
+     * @returns {boolean} True if sun is below horizon at solar noon
+     */
+    function isSunBelowHorizonAtNoon(latitude, date = new Date()) {
+        const elevation = calculateSolarElevationAtNoon(latitude, date);
+        return elevation < 0;
+    }
+
+    /**
+     * Format time for display (handles both 12-hour and 24-hour formats)
+     * @param {Date} date Date to format
+     * @param {boolean} use24Hour Use 24-hour format (default: false)
+     * @param {string|null} timeZone IANA time zone to show the time in (default: device zone)
+     * @returns {string} Formatted time string
+     */
+    function formatSolarNoonTime(date, use24Hour = false, timeZone = null) {
+        const zoneOption = timeZone ? { timeZone } : {};
+        if (use24Hour) {
+            return date.toLocaleTimeString('en-US', {
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit',
+                hour12: false,
+                ...zoneOption
+            });
+        } else {
+            return date.toLocaleTimeString('en-US', {
+                hour: 'numeric',
+                minute: '2-digit',
+                second: '2-digit',
+                hour12: true,
+                ...zoneOption
+            });
+        }
     }
-    
-    if (longitude < -180 || longitude > 180) {
-        return { isValid: false, error: 'Longitude must be between -180 and 180 degrees' };
+
+    /**
+     * Get hemisphere direction for looking at analemma
+     * @param {number} latitude Latitude in degrees
+     * @returns {string} Direction to look ('N' or 'S')
+     */
+    function getAnalemmaDirection(latitude) {
+        // Northern hemisphere looks south, southern hemisphere looks north
+        // At equator (lat = 0), look north as specified in requirements
+        return latitude > 0 ? 'S' : 'N';
+    }
+
+    /**
+     * Validate latitude and longitude values
+     * @param {number} latitude Latitude in degrees
+     * @param {number} longitude Longitude in degrees
+     * @returns {Object} Validation result with isValid boolean and error message
+     */
+    function validateCoordinates(latitude, longitude) {
+        if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+            return { isValid: false, error: 'Coordinates must be numbers' };
+        }
+        
+        if (latitude < -90 || latitude > 90) {
+            return { isValid: false, error: 'Latitude must be between -90 and 90 degrees' };
+        }
+        
+        if (longitude < -180 || longitude > 180) {
+            return { isValid: false, error: 'Longitude must be between -180 and 180 degrees' };
+        }
+        
+        return { isValid: true };
     }
-    
-    return { isValid: true };
-}
-
-// Export functions for use in other modules
-window.SolarCalculations = {
-    calculateSolarNoon,
-    calculateSolarElevationAtNoon,
-    isSunBelowHorizonAtNoon,
-    formatSolarNoonTime,
-    getAnalemmaDirection,
-    validateCoordinates,
-    getDayOfYear,
-    calculateSolarDeclination,
-    calculateEquationOfTime
-};
-
-// Export for testing
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = window.SolarCalculations;
-} 
\ No newline at end of file
+
+    // Export functions for use in other modules
+    window.SolarCalculations = {
+        calculateSolarNoon,
+        calculateSolarElevationAtNoon,
+        calculateSolarPosition,
+        calculateRefraction,
+        isSunBelowHorizonAtNoon,
+        formatSolarNoonTime,
+        getAnalemmaDirection,
+        validateCoordinates,
+        getDayOfYear,
+        calculateSolarDeclination,
+        calculateEquationOfTime
+    };
+
+    // Export for testing
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = window.SolarCalculations;
+    } 
+})();
@@ -0,0 +1,122 @@
+/**
+ * Sun Path Module
+ * The sun's altitude and azimuth through a whole day, for the sun-path diagram
+ */
+
+(function () {
+    // Import calculation modules
+    const SolarCalculations = (typeof window !== 'undefined' && window.SolarCalculations) ||
+                              (typeof require !== 'undefined' && require('./solar.js'));
+    const TimeZoneLookup = (typeof window !== 'undefined' && window.TimeZoneLookup) ||
+                           (typeof require !== 'undefined' && require('./timezone.js'));
+    const SeasonEvents = (typeof window !== 'undefined' && window.SeasonEvents) ||
+                         (typeof require !== 'undefined' && require('./seasons.js'));
+
+    /**
+     * Dates drawn for reference on every sun-path diagram
+     */
+    const REFERENCE_EVENTS = ['june-solstice', 'march-equinox', 'december-solstice'];
+
+    /**
+     * Get the UTC offset of the clock on a civil day, measured at local noon
+     * @param {Date} date Instant within the day
+     * @param {number} longitude Longitude in degrees
+     * @param {string|null} timeZone IANA time zone (default: nautical zone)
+     * @returns {Object} Calendar day {year, month (1-12), day} and clock offset in minutes east of UTC
+     */
+    function getCivilDay(date, longitude, timeZone = null) {
+        if (timeZone) {
+            const { year, month, day } = TimeZoneLookup.getZonedDateParts(date, timeZone);
+            const noon = new Date(Date.UTC(year, month - 1, day, 12));
+            return { year, month, day, offset: TimeZoneLookup.getTimeZoneOffset(noon, timeZone) };
+        }
+
+        const offset = Math.round(longitude / 15) * 60;
+        const local = new Date(date.getTime() + offset * 60 * 1000);
+        return { year: local.getUTCFullYear(), month: local.getUTCMonth() + 1, day: local.getUTCDate(), offset };
+    }
+
+    /**
+     * Calculate the sun's track over one civil day
+     * @param {number} latitude Latitude in degrees
+     * @param {number} longitude Longitude in degrees
+     * @param {Date} date Instant within the day
+     * @param {Object} options Options
+     * @param {string|null} options.timeZone IANA time zone of the clock (default: nautical zone)
+     * @param {number} options.stepMinutes Minutes between track points (default 10)
+     * @param {Object|null} options.observer Observer profile for refraction
+     * @returns {Object} Track points and whole-hour marks {hour, date, altitude, azimuth}, both from midnight to midnight
+     */
+    function calculateDayPath(latitude, longitude, date, { timeZone = null, stepMinutes = 10, observer = null } = {}) {
+        const { year, month, day, offset } = getCivilDay(date, longitude, timeZone);
+        const midnight = Date.UTC(year, month - 1, day) - offset * 60 * 1000;
+        const positionAt = minutes => {
+            const instant = new Date(midnight + minutes * 60 * 1000);
+            const { altitude, azimuth } = SolarCalculations.calculateSolarPosition(latitude, longitude, instant, observer);
+            return { minutes, date: instant, altitude, azimuth };
+        };
+
+        const points = [];
+        for (let minutes = 0; minutes <= 24 * 60; minutes += stepMinutes) {
+            points.push(positionAt(minutes));
+        }
+
+        const hourMarks = [];
+        for (let hour = 0; hour < 24; hour++) {
+            hourMarks.push({ hour, ...positionAt(hour * 60) });
+        }
+
+        return { date, points, hourMarks };
+    }
+
+    /**
+     * Get the reference dates (solstices and March equinox) of a year
+     * @param {number} year Full year
+     * @returns {Array<Object>} Events {id, type, name, date}
+     */
+    function getReferenceDates(year) {
+        return SeasonEvents.getYearEvents(year)
+            .filter(event => REFERENCE_EVENTS.includes(event.id))
+            .sort((a, b) => REFERENCE_EVENTS.indexOf(a.id) - REFERENCE_EVENTS.indexOf(b.id));
+    }
+
+    /**
+     * Calculate the tracks for a sun-path diagram: the given day and the reference dates of its year
+     * @param {number} latitude Latitude in degrees
+     * @param {number} longitude Longitude in degrees
+     * @param {Date} date Day to draw
+     * @param {Object} options Options passed to calculateDayPath
+     * @returns {Array<Object>} Tracks {id, name, ...dayPath}, reference dates first and the given day last
+     */
+    function calculateSunPaths(latitude, longitude, date, options = {}) {
+        const references = getReferenceDates(date.getUTCFullYear()).map(event => ({
+            id: event.id,
+            name: event.name,
+            ...calculateDayPath(latitude, longitude, event.date, options)
+        }));
+
+        return [...references, { id: 'today', name: 'Today', ...calculateDayPath(latitude, longitude, date, options) }];
+    }
+
+    // Export for testing
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            REFERENCE_EVENTS,
+            getCivilDay,
+            calculateDayPath,
+            getReferenceDates,
+            calculateSunPaths
+        };
+    }
+
+    // Export to window for browser
+    if (typeof window !== 'undefined') {
+        window.SunPath = {
+            REFERENCE_EVENTS,
+            getCivilDay,
+            calculateDayPath,
+            getReferenceDates,
+            calculateSunPaths
+        };
+    }
+})();
@@ -0,0 +1,182 @@
+/**
+ * Sun Times Module
+ * Sunrise, sunset and twilight times for a location and date
+ */
+
+(function () {
+    // Import calculation modules
+    const SolarEphemeris = (typeof window !== 'undefined' && window.SolarEphemeris) ||
+                           (typeof require !== 'undefined' && require('./ephemeris.js'));
+    const SolarCalculations = (typeof window !== 'undefined' && window.SolarCalculations) ||
+                              (typeof require !== 'undefined' && require('./solar.js'));
+    const ObserverModel = (typeof window !== 'undefined' && window.ObserverModel) ||
+                          (typeof require !== 'undefined' && require('./observer.js'));
+
+    /**
+     * Sun altitudes (degrees) that define each event
+     * Sunrise/sunset at sea level uses standard refraction (34') plus the solar semidiameter (16');
+     * with an observer profile it is replaced by ObserverModel.calculateSunriseAltitude
+     */
+    const SUN_EVENT_ALTITUDES = {
+        sunrise: -0.833,
+        civil: -6,
+        nautical: -12,
+        astronomical: -18
+    };
+
+    /**
+     * Calculate the hour angle at which the sun reaches a given altitude
+     * @param {number} latitude Latitude in degrees
+     * @param {number} declination Solar declination in degrees
+     * @param {number} altitude Target altitude in degrees
+     * @returns {Object} Hour angle in degrees (null if never reached) and 'normal', 'always-above' or 'always-below'
+     */
+    function calculateHourAngle(latitude, declination, altitude) {
+        const lat = SolarEphemeris.toRadians(latitude);
+        const dec = SolarEphemeris.toRadians(declination);
+        const alt = SolarEphemeris.toRadians(altitude);
+
+        const cosHourAngle = (Math.sin(alt) - Math.sin(lat) * Math.sin(dec)) /
+                             (Math.cos(lat) * Math.cos(dec));
+
+        if (cosHourAngle > 1) {
+            return { hourAngle: null, state: 'always-below' };
+        }
+        if (cosHourAngle < -1) {
+            return { hourAngle: null, state: 'always-above' };
+        }
+
+        return { hourAngle: SolarEphemeris.toDegrees(Math.acos(cosHourAngle)), state: 'normal' };
+    }
+
+    /**
+     * Calculate the instant the sun crosses an altitude on a given day
+     * @param {number} latitude Latitude in degrees
+     * @param {number} longitude Longitude in degrees
+     * @param {Date} date Date to calculate for
+     * @param {number} altitude Target altitude in degrees
+     * @param {boolean} isRising True for the morning event, false for the evening event
+     * @param {string|null} timeZone IANA time zone that defines the day (default: nautical zone)
+     * @returns {Date|null} Event time, or null if the sun does not cross the altitude that day
+     */
+    function calculateSunEvent(latitude, longitude, date, altitude, isRising, timeZone = null) {
+        const oneMinute = 60 * 1000;
+        const transit = SolarCalculations.calculateSolarNoon(longitude, date, timeZone);
+        const sign = isRising ? -1 : 1;
+
+        // Start from the transit declination, then re-evaluate at the event itself
+        let eventTime = transit;
+        for (let i = 0; i < 3; i++) {
+            const coords = SolarEphemeris.getSolarCoordinates(eventTime);
+            const { hourAngle } = calculateHourAngle(latitude, coords.declination, altitude);
+            if (hourAngle === null) {
+                return null;
+            }
+
+            const transitCoords = SolarEphemeris.getSolarCoordinates(transit);
+            const eotDrift = coords.equationOfTime - transitCoords.equationOfTime;
+            eventTime = new Date(transit.getTime() + (sign * 4 * hourAngle - eotDrift) * oneMinute);
+        }
+
+        return new Date(Math.round(eventTime.getTime() / 1000) * 1000);
+    }
+
+    /**
+     * Determine whether the sun stays up or down all day
+     * @param {number} latitude Latitude in degrees
+     * @param {number} longitude Longitude in degrees
+     * @param {Date} date Date to check
+     * @param {number} altitude Horizon altitude in degrees
+     * @param {string|null} timeZone IANA time zone that defines the day (default: nautical zone)
+     * @returns {string|null} 'polar-day', 'polar-night' or null
+     */
+    function getPolarState(latitude, longitude, date, altitude = SUN_EVENT_ALTITUDES.sunrise, timeZone = null) {
+        const transit = SolarCalculations.calculateSolarNoon(longitude, date, timeZone);
+        const { declination } = SolarEphemeris.getSolarCoordinates(transit);
+        const { state } = calculateHourAngle(latitude, declination, altitude);
+
+        if (state === 'always-above') return 'polar-day';
+        if (state === 'always-below') return 'polar-night';
+        return null;
+    }
+
+    /**
+     * Calculate day length (time between sunrise and sunset)
+     * @param {number} latitude Latitude in degrees
+     * @param {number} longitude Longitude in degrees
+     * @param {Date} date Date to calculate for
+     * @param {number} horizonAltitude Sunrise/sunset altitude in degrees
+     * @param {string|null} timeZone IANA time zone that defines the day (default: nautical zone)
+     * @returns {number} Day length in milliseconds
+     */
+    function calculateDayLength(latitude, longitude, date, horizonAltitude = SUN_EVENT_ALTITUDES.sunrise, timeZone = null) {
+        const sunrise = calculateSunEvent(latitude, longitude, date, horizonAltitude, true, timeZone);
+        const sunset = calculateSunEvent(latitude, longitude, date, horizonAltitude, false, timeZone);
+
+        if (sunrise && sunset) {
+            return sunset - sunrise;
+        }
+
+        const oneDay = 1000 * 60 * 60 * 24;
+        return getPolarState(latitude, longitude, date, horizonAltitude, timeZone) === 'polar-day' ? oneDay : 0;
+    }
+
+    /**
+     * Calculate all sun times for a location and date
+     * @param {number} latitude Latitude in degrees
+     * @param {number} longitude Longitude in degrees
+     * @param {Date} date Date to calculate for (default: today)
+     * @param {Object|null} observer Observer profile for horizon dip and refraction (default: sea level)
+     * @param {string|null} timeZone IANA time zone that defines the day (default: nautical zone)
+     * @returns {Object} Event times (null when an event does not occur), day length and polar state
+     */
+    function calculateSunTimes(latitude, longitude, date = new Date(), observer = null, timeZone = null) {
+        const event = (altitude, isRising) => calculateSunEvent(latitude, longitude, date, altitude, isRising, timeZone);
+        const oneDay = 1000 * 60 * 60 * 24;
+        const yesterday = new Date(date.getTime() - oneDay);
+        const horizonAltitude = observer
+            ? ObserverModel.calculateSunriseAltitude(observer)
+            : SUN_EVENT_ALTITUDES.sunrise;
+
+        const dayLength = calculateDayLength(latitude, longitude, date, horizonAltitude, timeZone);
+
+        return {
+            solarNoon: SolarCalculations.calculateSolarNoon(longitude, date, timeZone),
+            astronomicalDawn: event(SUN_EVENT_ALTITUDES.astronomical, true),
+            nauticalDawn: event(SUN_EVENT_ALTITUDES.nautical, true),
+            civilDawn: event(SUN_EVENT_ALTITUDES.civil, true),
+            sunrise: event(horizonAltitude, true),
+            sunset: event(horizonAltitude, false),
+            civilDusk: event(SUN_EVENT_ALTITUDES.civil, false),
+            nauticalDusk: event(SUN_EVENT_ALTITUDES.nautical, false),
+            astronomicalDusk: event(SUN_EVENT_ALTITUDES.astronomical, false),
+            dayLength,
+            dayLengthChange: dayLength - calculateDayLength(latitude, longitude, yesterday, horizonAltitude, timeZone),
+            polarState: getPolarState(latitude, longitude, date, horizonAltitude, timeZone)
+        };
+    }
+
+    // Export for testing
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            SUN_EVENT_ALTITUDES,
+            calculateHourAngle,
+            calculateSunEvent,
+            getPolarState,
+            calculateDayLength,
+            calculateSunTimes
+        };
+    }
+
+    // Export to window for browser
+    if (typeof window !== 'undefined') {
+        window.SunTimes = {
+            SUN_EVENT_ALTITUDES,
+            calculateHourAngle,
+            calculateSunEvent,
+            getPolarState,
+            calculateDayLength,
+            calculateSunTimes
+        };
+    }
+})();
@@ -0,0 +1,238 @@
+/**
+ * Sundial Calculations Module
+ * Hour-line angles for planar dials, from the polar-axis gnomon and the dial plane
+ *
+ * Vectors use a local frame: x = east, y = north, z = up
+ */
+
+(function () {
+    // Import calculation modules
+    const SolarEphemeris = (typeof window !== 'undefined' && window.SolarEphemeris) ||
+                           (typeof require !== 'undefined' && require('./ephemeris.js'));
+
+    /**
+     * Supported dial types
+     */
+    const DIAL_TYPES = {
+        horizontal: { label: 'Horizontal' },
+        'vertical-south': { label: 'Vertical, south-facing' },
+        'vertical-north': { label: 'Vertical, north-facing' },
+        'vertical-declining': { label: 'Vertical, declining' }
+    };
+
+    /**
+     * Declinations sampled when checking whether the sun can reach an hour line
+     */
+    const SAMPLE_DECLINATIONS = [-23.44, -12, 0, 12, 23.44];
+
+    const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    const cross = (a, b) => [
+        a[1] * b[2] - a[2] * b[1],
+        a[2] * b[0] - a[0] * b[2],
+        a[0] * b[1] - a[1] * b[0]
+    ];
+    const scale = (a, k) => [a[0] * k, a[1] * k, a[2] * k];
+    const add = (a, b) => [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+
+    /**
+     * Get the dial plane for a dial type
+     * @param {string} type One of DIAL_TYPES
+     * @param {number} latitude Latitude in degrees (orients horizontal dials so noon is at the top)
+     * @param {number} declination Wall declination in degrees from south, positive toward west (declining dials only)
+     * @returns {Object} Plane normal and the right/up directions seen by someone facing the dial
+     */
+    function getDialPlane(type, latitude, declination = 0) {
+        if (type === 'horizontal') {
+            const north = latitude < 0 ? -1 : 1;
+            return { normal: [0, 0, 1], right: [north, 0, 0], up: [0, north, 0] };
+        }
+
+        if (!DIAL_TYPES[type]) {
+            throw new Error(`Unknown dial type: ${type}`);
+        }
+
+        // Azimuth the wall faces, clockwise from north
+        const facing = type === 'vertical-north' ? 0 : 180 + (type === 'vertical-declining' ? declination : 0);
+        const azimuth = SolarEphemeris.toRadians(facing);
+
+        return {
+            normal: [Math.sin(azimuth), Math.cos(azimuth), 0],
+            right: [-Math.cos(azimuth), Math.sin(azimuth), 0],
+            up: [0, 0, 1]
+        };
+    }
+
+    /**
+     * Direction of the sun at an hour angle and declination
+     * @param {number} latitude Latitude in degrees
+     * @param {number} hourAngle Hour angle in degrees (positive in the afternoon)
+     * @param {number} declination Solar declination in degrees
+     * @returns {Array<number>} Unit vector toward the sun
+     */
+    function getSunVector(latitude, hourAngle, declination) {
+        const phi = SolarEphemeris.toRadians(latitude);
+        const t = SolarEphemeris.toRadians(hourAngle);
+        const delta = SolarEphemeris.toRadians(declination);
+
+        // Celestial pole and the equator on the meridian
+        const pole = [0, Math.cos(phi), Math.sin(phi)];
+        const equatorNoon = [0, -Math.sin(phi), Math.cos(phi)];
+        const equator = add(scale(equatorNoon, Math.cos(t)), [-Math.sin(t), 0, 0]);
+
+        return add(scale(equator, Math.cos(delta)), scale(pole, Math.sin(delta)));
+    }
+
+    /**
+     * Project a vector onto the dial plane in dial coordinates
+     * @param {Array<number>} vector 3D vector
+     * @param {Object} plane Dial plane
+     * @returns {Object} Unit 2D direction {x, y} with y up
+     */
+    function toDialDirection(vector, plane) {
+        const x = dot(vector, plane.right);
+        const y = dot(vector, plane.up);
+        const length = Math.hypot(x, y);
+        return { x: x / length, y: y / length };
+    }
+
+    /**
+     * Signed angle between two dial directions
+     * @param {Object} from Reference direction
+     * @param {Object} to Direction to measure
+     * @returns {number} Angle in degrees, positive clockwise as seen facing the dial
+     */
+    function angleBetween(from, to) {
+        return SolarEphemeris.toDegrees(Math.atan2(
+            to.x * from.y - to.y * from.x,
+            to.x * from.x + to.y * from.y
+        ));
+    }
+
+    /**
+     * Design a dial: gnomon angle and hour lines
+     * The style (gnomon edge) is parallel to the Earth's axis; each hour line is
+     * where the plane through the style and the sun at that hour meets the dial
+     * @param {number} latitude Latitude in degrees
+     * @param {string} type One of DIAL_TYPES
+     * @param {number} declination Wall declination in degrees from south, positive toward west
+     * @param {Object} options Options
+     * @param {number} options.firstHour First hour of local apparent time to draw (default 4)
+     * @param {number} options.lastHour Last hour to draw (default 20)
+     * @returns {Object} Style height, substyle and noon directions, and hour lines
+     */
+    function designDial(latitude, type = 'horizontal', declination = 0, { firstHour = 4, lastHour = 20 } = {}) {
+        const plane = getDialPlane(type, latitude, declination);
+        const phi = SolarEphemeris.toRadians(latitude);
+        const pole = [0, Math.cos(phi), Math.sin(phi)];
+        const poleHeight = dot(pole, plane.normal);
+
+        const design = {
+            type,
+            latitude,
+            declination: type === 'vertical-declining' ? declination : 0,
+            styleHeight: SolarEphemeris.toDegrees(Math.asin(Math.min(1, Math.abs(poleHeight)))),
+            isPolar: Math.abs(poleHeight) < Math.sin(SolarEphemeris.toRadians(1)),
+            substyle: null,
+            substyleAngle: null,
+            noonDirection: null,
+            lines: []
+        };
+
+        // A style parallel to the plane gives parallel hour lines, which this designer does not lay out
+        if (design.isPolar) return design;
+
+        // The half of the style that stands out of the dial face
+        const style = scale(pole, Math.sign(poleHeight));
+        const styleHeight = Math.abs(poleHeight);
+
+        for (let hour = firstHour; hour <= lastHour; hour++) {
+            const hourAngle = (hour - 12) * 15;
+            const hourPlane = cross(pole, getSunVector(latitude, hourAngle, 0));
+
+            // Brightest moment the sun can light this line (above the horizon and in front of the dial)
+            const sun = SAMPLE_DECLINATIONS
+                .map(sampleDeclination => getSunVector(latitude, hourAngle, sampleDeclination))
+                .filter(vector => vector[2] > -1e-9 && dot(vector, plane.normal) > -1e-9)
+                .sort((a, b) => dot(b, plane.normal) - dot(a, plane.normal))[0];
+
+            if (!sun) continue;
+
+            // Shadow of the style, scaled by the (non-negative) incidence so it also works at grazing light
+            const shadow = add(scale(style, dot(sun, plane.normal)), scale(sun, -styleHeight));
+            const line = cross(plane.normal, hourPlane);
+            const direction = toDialDirection(dot(line, shadow) < 0 ? scale(line, -1) : line, plane);
+
+            design.lines.push({ hour, hourAngle, direction });
+        }
+
+        const noon = design.lines.find(line => line.hour === 12);
+        const substyle = toDialDirection(add(style, scale(plane.normal, -dot(style, plane.normal))), plane);
+
+        // The noon line is the meridian; when the sun never reaches it, it is still straight down (or up)
+        design.noonDirection = noon ? noon.direction : { x: 0, y: Math.sign(substyle.y) || -1 };
+        design.substyle = substyle;
+        design.substyleAngle = angleBetween(design.noonDirection, substyle);
+        design.lines.forEach(line => {
+            line.angle = angleBetween(design.noonDirection, line.direction);
+        });
+
+        return design;
+    }
+
+    /**
+     * Longitude correction from local apparent time to standard time
+     * @param {number} longitude Longitude in degrees (east positive)
+     * @param {number} standardOffset Standard UTC offset of the time zone in minutes east
+     * @returns {number} Minutes to add to the sundial reading (before the equation of time)
+     */
+    function calculateLongitudeCorrection(longitude, standardOffset) {
+        return standardOffset - longitude * 4;
+    }
+
+    /**
+     * Build a clock correction table for chosen days of the year
+     * @param {Array<Object>} coordinates Analemma coordinates ({dayOfYear, x}) with x the equation of time in minutes
+     * @param {number} longitude Longitude in degrees (east positive)
+     * @param {number} standardOffset Standard UTC offset of the time zone in minutes east
+     * @param {Array<Object>} monthDays Days to list {month, day, dayOfYear}, numbered like the coordinates
+     *     (AnalemmaCalculations.getAnalemmaMonthDays([1, 15]) for the 1st and 15th of each month)
+     * @returns {Array<Object>} Rows {month, day, equationOfTime, correction}; add the correction to the dial reading
+     */
+    function calculateCorrectionTable(coordinates, longitude, standardOffset, monthDays) {
+        const longitudeCorrection = calculateLongitudeCorrection(longitude, standardOffset);
+        const byDay = new Map(coordinates.map(point => [point.dayOfYear, point.x]));
+
+        return monthDays
+            .filter(({ dayOfYear }) => byDay.has(dayOfYear))
+            .map(({ month, day, dayOfYear }) => ({
+                month,
+                day,
+                equationOfTime: byDay.get(dayOfYear),
+                correction: longitudeCorrection - byDay.get(dayOfYear)
+            }));
+    }
+
+    // Export for testing
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            DIAL_TYPES,
+            getDialPlane,
+            getSunVector,
+            designDial,
+            calculateLongitudeCorrection,
+            calculateCorrectionTable
+        };
+    }
+
+    // Export to window for browser
+    if (typeof window !== 'undefined') {
+        window.SundialCalculations = {
+            DIAL_TYPES,
+            getDialPlane,
+            getSunVector,
+            designDial,
+            calculateLongitudeCorrection,
+            calculateCorrectionTable
+        };
+    }
+})();
@@ -0,0 +1,319 @@
+/**
+ * Time Zone Module
+ * Resolves the IANA time zone of a location from the bundled offline grid
+ * and formats instants in that zone
+ */
+
+let timeZoneData = null;
+const decodedTimeZoneRows = new Map();
+
+/**
+ * Load the bundled time zone grid, once
+ * @returns {Promise<Object>} Time zone data with metadata, zone names and encoded rows
+ */
+async function loadTimeZoneData() {
+    if (timeZoneData) {
+        return timeZoneData;
+    }
+
+    try {
+        const response = await fetch('assets/timezone-data.json');
+        if (!response.ok) {
+            throw new Error(`Failed to load time zone data: ${response.status}`);
+        }
+        timeZoneData = await response.json();
+        decodedTimeZoneRows.clear();
+        return timeZoneData;
+    } catch (error) {
+        console.error('Error loading time zone data:', error);
+        throw new Error('Could not load time zone data');
+    }
+}
+
+/**
+ * Decode one run-length encoded grid row
+ * @param {Object} data Time zone data
+ * @param {number} row Row index (0 = northernmost)
+ * @returns {Array<number>} Zone index for every column
+ */
+function decodeRow(data, row) {
+    const cacheKey = `${data.metadata.generated}:${row}`;
+    if (decodedTimeZoneRows.has(cacheKey)) {
+        return decodedTimeZoneRows.get(cacheKey);
+    }
+
+    const cells = [];
+    data.rows[row].split(' ').forEach(run => {
+        const [index, length] = run.split('*').map(Number);
+        for (let i = 0; i < length; i++) {
+            cells.push(index);
+        }
+    });
+
+    decodedTimeZoneRows.set(cacheKey, cells);
+    return cells;
+}
+
+/**
+ * Get the IANA time zone the device is set to
+ * @returns {string|null} Time zone name
+ */
+function getDeviceTimeZone() {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Look up the time zone for a coordinate in loaded grid data
+ * Grid cells are a quarter degree, so near a boundary the device zone is
+ * preferred when it appears in one of the neighbouring cells
+ * @param {Object} data Time zone data
+ * @param {number} latitude Latitude in degrees
+ * @param {number} longitude Longitude in degrees
+ * @param {string|null} preferredZone Zone to prefer near boundaries (default: device zone)
+ * @returns {string} IANA time zone name
+ */
+function lookupTimeZone(data, latitude, longitude, preferredZone = getDeviceTimeZone()) {
+    const { resolution, rows, columns } = data.metadata;
+    const row = Math.min(rows - 1, Math.max(0, Math.floor((90 - latitude) / resolution)));
+    const wrappedLongitude = ((longitude + 180) % 360 + 360) % 360;
+    const column = Math.min(columns - 1, Math.floor(wrappedLongitude / resolution));
+
+    const zone = data.zones[decodeRow(data, row)[column]];
+    if (!preferredZone || zone === preferredZone) {
+        return zone;
+    }
+
+    for (let dr = -1; dr <= 1; dr++) {
+        const r = row + dr;
+        if (r < 0 || r >= rows) continue;
+        const cells = decodeRow(data, r);
+        for (let dc = -1; dc <= 1; dc++) {
+            const c = (column + dc + columns) % columns;
+            if (data.zones[cells[c]] === preferredZone) {
+                return preferredZone;
+            }
+        }
+    }
+
+    return zone;
+}
+
+/**
+ * Resolve the time zone for a location
+ * @param {number} latitude Latitude in degrees
+ * @param {number} longitude Longitude in degrees
+ * @returns {Promise<string>} IANA time zone name
+ */
+async function getTimeZoneForLocation(latitude, longitude) {
+    const data = await loadTimeZoneData();
+    return lookupTimeZone(data, latitude, longitude);
+}
+
+/**
+ * Get calendar and clock fields of an instant in a time zone
+ * @param {Date} date Instant
+ * @param {string} timeZone IANA time zone name
+ * @returns {Object} year, month (1-12), day, hour, minute, second
+ */
+function getZonedDateParts(date, timeZone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    });
+
+    const parts = {};
+    formatter.formatToParts(date).forEach(({ type, value }) => {
+        if (type !== 'literal') {
+            parts[type] = parseInt(value, 10);
+        }
+    });
+
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second
+    };
+}
+
+/**
+ * Get the UTC offset of a time zone at an instant
+ * @param {Date} date Instant
+ * @param {string} timeZone IANA time zone name
+ * @returns {number} Offset in minutes east of UTC
+ */
+function getTimeZoneOffset(date, timeZone) {
+    const parts = getZonedDateParts(date, timeZone);
+    const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+    return Math.round((asUTC - wholeSeconds) / 60000);
+}
+
+/**
+ * Check whether daylight saving time is in effect
+ * @param {Date} date Instant
+ * @param {string} timeZone IANA time zone name
+ * @returns {boolean} True if the offset is ahead of the zone's standard offset
+ */
+function isDaylightSavingTime(date, timeZone) {
+    return getTimeZoneOffset(date, timeZone) > getStandardOffset(date, timeZone);
+}
+
+/**
+ * Get the standard (winter) offset of a time zone for the year of an instant
+ * @param {Date} date Instant
+ * @param {string} timeZone IANA time zone name
+ * @returns {number} Offset in minutes east of UTC
+ */
+function getStandardOffset(date, timeZone) {
+    const year = date.getUTCFullYear();
+    const january = getTimeZoneOffset(new Date(Date.UTC(year, 0, 1)), timeZone);
+    const july = getTimeZoneOffset(new Date(Date.UTC(year, 6, 1)), timeZone);
+    return Math.min(january, july);
+}
+
+/**
+ * Get the short name of a time zone at an instant (e.g. "CEST" or "GMT+2")
+ * @param {Date} date Instant
+ * @param {string} timeZone IANA time zone name
+ * @returns {string} Abbreviation
+ */
+function getTimeZoneAbbreviation(date, timeZone) {
+    const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+        .formatToParts(date)
+        .find(({ type }) => type === 'timeZoneName');
+    return part ? part.value : timeZone;
+}
+
+/**
+ * Format a UTC offset
+ * @param {number} offsetMinutes Offset in minutes east of UTC
+ * @returns {string} Offset such as "UTC+5:30" or "UTC−8"
+ */
+function formatUTCOffset(offsetMinutes) {
+    const sign = offsetMinutes < 0 ? '−' : '+';
+    const hours = Math.floor(Math.abs(offsetMinutes) / 60);
+    const minutes = Math.abs(offsetMinutes) % 60;
+    return `UTC${sign}${hours}${minutes ? `:${String(minutes).padStart(2, '0')}` : ''}`;
+}
+
+/**
+ * Format the calendar date of an instant in a time zone
+ * @param {Date} date Instant
+ * @param {string|null} timeZone IANA time zone name (default: device zone)
+ * @returns {string} Date such as "Fri, Jun 21, 2024"
+ */
+function formatDateInTimeZone(date, timeZone = null) {
+    return date.toLocaleDateString('en-US', {
+        weekday: 'short',
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        ...(timeZone ? { timeZone } : {})
+    });
+}
+
+/**
+ * Format the calendar date of an instant in a time zone as YYYY-MM-DD (the value of a date input)
+ * @param {Date} date Instant
+ * @param {string|null} timeZone IANA time zone name (default: device zone)
+ * @returns {string} Date such as "2024-06-21"
+ */
+function formatISODateInTimeZone(date, timeZone = null) {
+    const { year, month, day } = timeZone
+        ? getZonedDateParts(date, timeZone)
+        : { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
+    return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Move an instant by whole calendar days in a time zone, keeping its wall-clock time
+ * @param {Date} date Instant
+ * @param {number} days Days to move (negative for earlier)
+ * @param {string|null} timeZone IANA time zone name (default: device zone)
+ * @returns {Date} Instant on the new day at the same wall-clock time (shifted by an hour if it falls in a clock change)
+ */
+function shiftCalendarDays(date, days, timeZone = null) {
+    if (!timeZone) {
+        const shifted = new Date(date.getTime());
+        shifted.setDate(shifted.getDate() + days);
+        return shifted;
+    }
+
+    const moved = date.getTime() + days * 24 * 60 * 60 * 1000;
+    // Take out any change of UTC offset between the two days
+    const drift = getTimeZoneOffset(date, timeZone) - getTimeZoneOffset(new Date(moved), timeZone);
+    return new Date(moved + drift * 60 * 1000);
+}
+
+/**
+ * Move an instant to another calendar date in a time zone, keeping its wall-clock time
+ * @param {Date} date Instant
+ * @param {string} value Date such as "2024-06-21" (from a date input)
+ * @param {string|null} timeZone IANA time zone name (default: device zone)
+ * @returns {Date|null} Instant on that date, or null if the value cannot be read
+ */
+function setCalendarDate(date, value, timeZone = null) {
+    const match = String(value || '').match(/^(\d{4,})-(\d{2})-(\d{2})$/);
+    if (!match) return null;
+
+    const [year, month, day] = match.slice(1).map(Number);
+    const target = Date.UTC(year, month - 1, day);
+    if (new Date(target).getUTCDate() !== day) return null;
+
+    const [currentYear, currentMonth, currentDay] = formatISODateInTimeZone(date, timeZone).split('-').map(Number);
+    const days = Math.round((target - Date.UTC(currentYear, currentMonth - 1, currentDay)) / (24 * 60 * 60 * 1000));
+    return shiftCalendarDays(date, days, timeZone);
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        loadTimeZoneData,
+        lookupTimeZone,
+        getTimeZoneForLocation,
+        getDeviceTimeZone,
+        getZonedDateParts,
+        getTimeZoneOffset,
+        getStandardOffset,
+        isDaylightSavingTime,
+        getTimeZoneAbbreviation,
+        formatUTCOffset,
+        formatDateInTimeZone,
+        formatISODateInTimeZone,
+        shiftCalendarDays,
+        setCalendarDate
+    };
+}
+
+// Export to window for browser
+if (typeof window !== 'undefined') {
+    window.TimeZoneLookup = {
+        loadTimeZoneData,
+        lookupTimeZone,
+        getTimeZoneForLocation,
+        getDeviceTimeZone,
+        getZonedDateParts,
+        getTimeZoneOffset,
+        getStandardOffset,
+        isDaylightSavingTime,
+        getTimeZoneAbbreviation,
+        formatUTCOffset,
+        formatDateInTimeZone,
+        formatISODateInTimeZone,
+        shiftCalendarDays,
+        setCalendarDate
+    };
+}
@@ -7,12 +7,16 @@ class AppState {
     constructor(initialState = {}) {
         this.state = {
             location: null,
+            timeZone: null,
             permissionState: null,
             isLoading: false,
             hasError: false,
             errorMessage: null,
             isOnline: true,
             currentDate: new Date(),
+            // Set while the user is viewing a date of their own choosing instead of following the clock
+            isDateChosen: false,
+            isAnimating: false,
             ...initialState
         };
         this.listeners = [];
@@ -73,12 +77,15 @@ class AppState {
     reset() {
         this.update({
             location: null,
+            timeZone: null,
             permissionState: null,
             isLoading: false,
             hasError: false,
             errorMessage: null,
             isOnline: true,
-            currentDate: new Date()
+            currentDate: new Date(),
+            isDateChosen: false,
+            isAnimating: false
         });
     }
 }
@@ -24,10 +24,16 @@ class NavigatorService {
         return new Promise((resolve, reject) => {
             this._navigator.geolocation.getCurrentPosition(
                 (position) => {
+                    const { coords } = position;
                     resolve({
-                        latitude: position.coords.latitude,
-                        longitude: position.coords.longitude,
-                        accuracy: position.coords.accuracy,
+                        latitude: coords.latitude,
+                        longitude: coords.longitude,
+                        accuracy: coords.accuracy,
+                        // Altitude is null on devices without a GPS fix in 3D
+                        ...(typeof coords.altitude === 'number' ? {
+                            altitude: coords.altitude,
+                            altitudeAccuracy: coords.altitudeAccuracy
+                        } : {}),
                         timestamp: position.timestamp
                     });
                 },
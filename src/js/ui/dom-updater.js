@@ -37,6 +37,10 @@ class DOMUpdater {
         if (renderData.locationInfo) {
             this.updateLocationInfo(renderData.locationInfo);
         }
+
+        if (renderData.dateControls) {
+            this.updateDateControls(renderData.dateControls);
+        }
     }
 
     /**
@@ -143,6 +147,33 @@ class DOMUpdater {
         this.elements.locationInfo.textContent = displayText;
     }
 
+    /**
+     * Update the date picker, day steps, play button and "back to today" control
+     * @param {Object} controls Date controls rendering data
+     */
+    updateDateControls(controls) {
+        const { dateInput, dateStatus, datePlay, dateToday, noonTitle } = this.elements;
+
+        // Leave the picker alone while it is being edited
+        if (dateInput && (typeof document === 'undefined' || document.activeElement !== dateInput)) {
+            dateInput.value = controls.value;
+        }
+        if (dateStatus) {
+            dateStatus.textContent = controls.status;
+            dateStatus.classList.toggle('date-status-chosen', !controls.isToday);
+        }
+        if (datePlay) {
+            datePlay.textContent = controls.playLabel;
+            datePlay.setAttribute('aria-pressed', String(controls.isAnimating));
+        }
+        if (dateToday) {
+            dateToday.disabled = controls.isToday;
+        }
+        if (noonTitle) {
+            noonTitle.textContent = controls.isToday ? 'Solar Noon Today' : 'Solar Noon';
+        }
+    }
+
     /**
      * Update solar noon time display
      * @param {string} timeString Formatted time string
@@ -152,6 +183,369 @@ class DOMUpdater {
         this.elements.noonTime.textContent = timeString;
     }
 
+    /**
+     * Update the date, time zone and device time shown under solar noon
+     * @param {Object|null} zoneInfo Solar noon zone rendering data
+     */
+    updateSolarNoonZone(zoneInfo) {
+        if (!this.elements.noonZone) return;
+
+        if (!zoneInfo) {
+            this.elements.noonZone.innerHTML = '';
+            return;
+        }
+
+        this.elements.noonZone.innerHTML = `
+            <div class="noon-zone-line">
+                <span class="noon-date">${zoneInfo.date}</span>
+                <span class="noon-zone-name">${zoneInfo.zone} (${zoneInfo.offset})</span>
+                ${zoneInfo.dst ? `<span class="noon-dst">${zoneInfo.dst}</span>` : ''}
+            </div>
+            ${zoneInfo.deviceTime ? `<div class="noon-device-time">${zoneInfo.deviceTime}</div>` : ''}
+        `;
+    }
+
+    /**
+     * Update sunrise, sunset and twilight times
+     * @param {Object} sunTimes Sun times rendering data
+     */
+    updateSunTimes(sunTimes) {
+        if (!this.elements.sunTimes || !sunTimes) return;
+
+        const rows = sunTimes.rows.map(row => `
+            <tr>
+                <th scope="row">${row.label}</th>
+                <td>${row.start}</td>
+                <td>${row.end}</td>
+            </tr>
+        `).join('');
+
+        this.elements.sunTimes.innerHTML = `
+            ${sunTimes.polarMessage ? `<p class="polar-note">${sunTimes.polarMessage}</p>` : ''}
+            <table class="sun-times-table">${rows}</table>
+            <p class="day-length">Day length ${sunTimes.dayLength} <span class="day-length-change">(${sunTimes.dayLengthChange})</span></p>
+        `;
+    }
+
+    /**
+     * Update the season line and the solstice/equinox table
+     * @param {Object} seasons Season rendering data
+     */
+    updateSeasons(seasons) {
+        if (!seasons) return;
+
+        if (this.elements.seasonSummary) {
+            this.elements.seasonSummary.innerHTML = `
+                <span class="season-name">${seasons.season}</span>
+                ${seasons.countdown ? `<span class="season-countdown">${seasons.countdown}</span>` : ''}
+            `;
+        }
+
+        if (this.elements.seasonEvents) {
+            this.elements.seasonEvents.innerHTML = seasons.events.map(event => `
+                <tr class="${event.isNext ? 'next-event' : ''}${event.isPast ? 'past-event' : ''}">
+                    <th scope="row">${event.name}</th>
+                    <td>${event.date}</td>
+                    <td>${event.time}</td>
+                </tr>
+            `).join('');
+        }
+    }
+
+    /**
+     * Update the Earth-Sun distance readout
+     * @param {Object} distance Sun distance rendering data
+     */
+    updateSunDistance(distance) {
+        if (!this.elements.sunDistance || !distance) return;
+
+        this.elements.sunDistance.innerHTML = `
+            <span>Distance ${distance.distance}</span>
+            <span>Sun diameter ${distance.diameter}</span>
+            <p class="sun-distance-note">${distance.note}</p>
+        `;
+    }
+
+    /**
+     * Update the live sun position readout
+     * @param {Object} position Sun position rendering data
+     */
+    updateSunPosition(position) {
+        if (!this.elements.sunNow || !position) return;
+
+        this.elements.sunNow.innerHTML = `
+            <span class="sun-now-label">Sun now</span>
+            <span>Altitude ${position.altitude}</span>
+            <span>Azimuth ${position.azimuth}</span>
+            <span>${position.hourAngle}</span>
+        `;
+        this.elements.sunNow.classList.toggle('below-horizon', !position.isAboveHorizon);
+    }
+
+    /**
+     * Update the observer profile panel
+     * @param {Object} observer Observer rendering data with fields and summary
+     */
+    updateObserverPanel(observer) {
+        if (!observer) return;
+
+        const inputs = {
+            elevation: this.elements.observerElevation,
+            eyeHeight: this.elements.observerEyeHeight,
+            horizonElevation: this.elements.observerHorizonElevation,
+            pressure: this.elements.observerPressure,
+            temperature: this.elements.observerTemperature
+        };
+
+        Object.entries(inputs).forEach(([key, input]) => {
+            const field = observer.fields[key];
+            if (!input || !field) return;
+
+            // Don't overwrite what the user is typing
+            if (typeof document === 'undefined' || document.activeElement !== input) {
+                input.value = field.value;
+            }
+            input.placeholder = field.placeholder;
+        });
+
+        if (this.elements.observerSummary) {
+            this.elements.observerSummary.textContent = observer.summary;
+        }
+    }
+
+    /**
+     * Update the noon shadow panel
+     * @param {Object} shadow Noon shadow rendering data
+     * @param {Object} scene Shadow scene data from ShadowRenderer
+     */
+    updateShadowPanel(shadow, scene) {
+        if (!shadow) return;
+
+        if (this.elements.shadowSummary) {
+            this.elements.shadowSummary.innerHTML = `
+                ${shadow.summary}
+                <span class="shadow-elevation">${shadow.elevation}</span>
+            `;
+        }
+
+        if (this.elements.shadowTable) {
+            this.elements.shadowTable.innerHTML = shadow.rows.map(row => `
+                <tr>
+                    <th scope="row">${row.label}</th>
+                    <td>${row.length}</td>
+                    <td>${row.direction}</td>
+                </tr>
+            `).join('');
+        }
+
+        if (this.elements.shadowSvg && scene) {
+            const shadows = scene.shadows.filter(item => item.visible).map(item => `
+                <line class="shadow-ray" x1="${item.ray.x1}" y1="${item.ray.y1}" x2="${item.ray.x2}" y2="${item.ray.y2}" stroke="${item.color}"/>
+                <line class="shadow-bar" x1="${item.x1}" y1="${item.y}" x2="${item.x2}" y2="${item.y}" stroke="${item.color}"/>
+                ${item.clipped ? `<text class="shadow-clipped" x="${item.x2}" y="${item.y - 3}" text-anchor="middle">…</text>` : ''}
+            `).join('');
+            const compass = scene.compass.map(point =>
+                `<text class="shadow-compass" x="${point.x}" y="${point.y}" text-anchor="middle">${point.label}</text>`
+            ).join('');
+            const legend = scene.legend.map(item => `
+                <rect x="${item.x}" y="${item.y - 8}" width="10" height="10" fill="${item.color}"/>
+                <text class="shadow-legend" x="${item.x + 14}" y="${item.y}">${item.label}</text>
+            `).join('');
+
+            this.elements.shadowSvg.setAttribute('viewBox', scene.viewBox);
+            this.elements.shadowSvg.innerHTML = `
+                <line class="shadow-ground" x1="${scene.ground.x1}" y1="${scene.ground.y}" x2="${scene.ground.x2}" y2="${scene.ground.y}"/>
+                ${shadows}
+                <line class="shadow-object" x1="${scene.object.x}" y1="${scene.object.y1}" x2="${scene.object.x}" y2="${scene.object.y2}"/>
+                ${compass}
+                ${legend}
+            `;
+        }
+    }
+
+    /**
+     * Update the sundial designer panel
+     * @param {Object} sundial Sundial rendering data
+     * @param {string} svgMarkup Printable dial SVG
+     */
+    updateSundialPanel(sundial, svgMarkup) {
+        if (!sundial) return;
+
+        if (this.elements.sundialSummary) {
+            this.elements.sundialSummary.innerHTML = `
+                ${sundial.summary}
+                <span class="sundial-correction">${sundial.correction}</span>
+            `;
+        }
+
+        if (this.elements.sundialTable) {
+            this.elements.sundialTable.innerHTML = sundial.rows.map(row => `
+                <tr>
+                    <th scope="row">${row.hour}</th>
+                    <td>${row.angle}</td>
+                    <td>${row.side}</td>
+                </tr>
+            `).join('');
+        }
+
+        if (this.elements.sundialPreview) {
+            this.elements.sundialPreview.innerHTML = svgMarkup || '';
+        }
+    }
+
+    /**
+     * Update the analemmatic sundial panel
+     * @param {Object} dial Analemmatic sundial rendering data
+     * @param {string} svgMarkup Plan SVG
+     */
+    updateAnalemmaticPanel(dial, svgMarkup) {
+        if (!dial) return;
+
+        if (this.elements.analemmaticSummary) {
+            this.elements.analemmaticSummary.innerHTML = `
+                ${dial.summary}
+                ${dial.warning ? `<span class="analemmatic-warning">${dial.warning}</span>` : ''}
+            `;
+        }
+
+        if (this.elements.analemmaticPreview) {
+            this.elements.analemmaticPreview.innerHTML = svgMarkup || '';
+        }
+    }
+
+    /**
+     * Update the noon mark panel
+     * @param {Object} noonMark Noon mark rendering data
+     * @param {string} svgMarkup Full-scale noon mark SVG
+     */
+    updateNoonMarkPanel(noonMark, svgMarkup) {
+        if (!noonMark) return;
+
+        if (this.elements.noonMarkSummary) {
+            this.elements.noonMarkSummary.innerHTML = `
+                ${noonMark.summary}
+                ${noonMark.note ? `<span class="sundial-correction">${noonMark.note}</span>` : ''}
+            `;
+        }
+
+        if (this.elements.noonMarkPreview) {
+            this.elements.noonMarkPreview.innerHTML = svgMarkup || '';
+        }
+    }
+
+    /**
+     * Update the photography planner panel
+     * @param {Object} plan Photography plan rendering data
+     */
+    updatePlannerPanel(plan) {
+        if (!plan) return;
+
+        if (this.elements.plannerSummary) {
+            this.elements.plannerSummary.innerHTML = `
+                ${plan.summary}
+                <span class="sundial-correction">${plan.framing}</span>
+            `;
+        }
+
+        if (this.elements.plannerWarnings) {
+            this.elements.plannerWarnings.innerHTML = plan.warnings.map(warning => `<li>${warning}</li>`).join('');
+        }
+
+        if (this.elements.plannerTable) {
+            this.elements.plannerTable.innerHTML = plan.rows.map(row => `
+                <tr${row.isDaylightSaving ? ' class="planner-dst"' : ''}>
+                    <th scope="row">${row.date}</th>
+                    <td>${row.clock}</td>
+                    <td>${row.altitude}</td>
+                    <td>${row.azimuth}</td>
+                </tr>
+            `).join('');
+        }
+    }
+
+    /**
+     * Show a loaded sky photo in the overlay panel
+     * @param {string} url Object URL of the photo
+     */
+    showOverlayPhoto(url) {
+        if (this.elements.overlayImage) {
+            this.elements.overlayImage.src = url;
+        }
+        if (this.elements.overlayStage) {
+            this.elements.overlayStage.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Update the sky photo overlay
+     * @param {Object} overlay Overlay state
+     * @param {string} overlay.status Instruction or result text
+     * @param {string} overlay.svg Overlay SVG markup in photo pixels
+     * @param {boolean} overlay.canExport Whether a composite can be downloaded
+     */
+    updatePhotoOverlay({ status, svg, canExport }) {
+        if (this.elements.overlayStatus) {
+            this.elements.overlayStatus.textContent = status;
+        }
+        if (this.elements.overlayLayer) {
+            this.elements.overlayLayer.innerHTML = svg || '';
+        }
+        if (this.elements.overlayExportBtn) {
+            this.elements.overlayExportBtn.disabled = !canExport;
+        }
+    }
+
+    /**
+     * Draw a photo and its overlay into one PNG at the photo's full resolution
+     * @param {HTMLImageElement} image Loaded photo
+     * @param {string} svgMarkup Overlay SVG sized to the photo
+     * @returns {Promise<Blob>} PNG image
+     */
+    async composeOverlayPNG(image, svgMarkup) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.naturalWidth;
+        canvas.height = image.naturalHeight;
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0);
+
+        const url = URL.createObjectURL(new Blob([svgMarkup], { type: 'image/svg+xml' }));
+        try {
+            const overlay = new Image();
+            await new Promise((resolve, reject) => {
+                overlay.onload = resolve;
+                overlay.onerror = () => reject(new Error('Could not draw the overlay'));
+                overlay.src = url;
+            });
+            context.drawImage(overlay, 0, 0, canvas.width, canvas.height);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the PNG'))), 'image/png');
+        });
+    }
+
+    /**
+     * Offer generated content as a file download
+     * @param {string} filename Suggested file name
+     * @param {string|Blob} content File content
+     * @param {string} mimeType MIME type of string content
+     */
+    downloadFile(filename, content, mimeType = 'text/plain') {
+        if (typeof document === 'undefined') return;
+
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
     /**
      * Update analemma visualization
      * @param {Object} visualization Visualization data
@@ -159,27 +553,270 @@ class DOMUpdater {
     updateAnalemmaVisualization(visualization) {
         if (!visualization) return;
 
+        // Horizon and grid for the sky view (cleared in the chart view)
+        this.updateSkyLayer(visualization.sky || null);
+
         // Update analemma path
         if (this.elements.analemmaPath && visualization.path) {
             this.elements.analemmaPath.setAttribute('d', visualization.path.pathString);
         }
 
-        // Update sun position
+        // Colour by date over the path, which dims underneath
+        this.updatePathSegments(visualization.path?.segments || []);
+
+        // Split the curve at the noon horizon at high latitudes
+        this.updateNoonHorizon(visualization.noonHorizon || null, visualization.path?.pathString || '');
+
+        // Month ticks and arrows, and the optional axes (the sky view has neither)
+        this.updateDateMarks(visualization.dateMarks || null);
+        this.updateAnalemmaAxes(visualization.axes || null);
+
+        // Update season event markers
+        if (this.elements.eventMarkers && visualization.markers) {
+            this.updateEventMarkers(visualization.markers);
+        }
+
+        // Update sun position (the sky view has none while the sun is below the horizon)
         if (this.elements.sunMarker && visualization.sunPosition) {
             this.updateSunMarker(visualization.sunPosition);
+        } else if (this.elements.sunMarker && visualization.sky) {
+            this.elements.sunMarker.innerHTML = '';
         }
 
         // Update direction
         if (visualization.direction) {
             this.updateDirection(visualization.direction);
         }
+    }
+
+    /**
+     * Draw the sky view's ground, horizon, altitude grid, azimuth labels and clock-time labels
+     * @param {Object|null} sky Sky layers from the renderer, or null to clear
+     */
+    updateSkyLayer(sky) {
+        if (!this.elements.skyLayer) return;
+
+        if (!sky) {
+            this.elements.skyLayer.innerHTML = '';
+            return;
+        }
+
+        const { horizon } = sky;
+        const gridLines = sky.altitudeGrid.map(line => `
+            <path d="${line.pathString}"/>
+            <text x="${line.labelX - 4}" y="${line.labelY + 3}" text-anchor="end">${line.label}</text>
+        `).join('');
+        const azimuthLabels = sky.azimuthLabels.map(label =>
+            `<text x="${label.x}" y="${horizon.y + 12}" text-anchor="middle"${label.isCompassPoint ? ' class="sky-compass"' : ''}>${label.label}</text>`
+        ).join('');
+        const curveLabels = sky.curves.filter(curve => curve.visible).map(curve =>
+            `<text class="sky-curve-label" x="${curve.x}" y="${curve.y}" text-anchor="middle">${curve.label}</text>`
+        ).join('');
+
+        this.elements.skyLayer.innerHTML = `
+            <rect class="sky-ground" x="${horizon.x1}" y="${horizon.y}" width="${horizon.x2 - horizon.x1}" height="${horizon.groundY - horizon.y}"/>
+            <g class="sky-grid">${gridLines}</g>
+            <line class="sky-horizon" x1="${horizon.x1}" y1="${horizon.y}" x2="${horizon.x2}" y2="${horizon.y}"/>
+            ${azimuthLabels}
+            ${curveLabels}
+        `;
+    }
+
+    /**
+     * Update the sun path diagram
+     * @param {Object} diagram Diagram data from SunPathRenderer
+     */
+    updateSunPathDiagram(diagram) {
+        if (!diagram) return;
+
+        const { grid } = diagram;
+        if (this.elements.sunPathGrid) {
+            const circles = grid.circles.map(circle => `
+                <circle cx="${circle.cx}" cy="${circle.cy}" r="${circle.r}"${circle.altitude === 0 ? ' class="sun-path-horizon"' : ''}/>
+                <text x="${circle.labelX}" y="${circle.labelY}">${circle.label}</text>
+            `).join('');
+            const lines = grid.lines.map(line => `
+                <line x1="${line.x1}" y1="${line.y1}" x2="${line.x2}" y2="${line.y2}"${line.isHorizon ? ' class="sun-path-horizon"' : ''}/>
+                <text x="${line.labelX}" y="${line.labelY}" text-anchor="end">${line.label}</text>
+            `).join('');
+            const spokes = grid.spokes.map(spoke => `
+                <line x1="${spoke.x1}" y1="${spoke.y1}" x2="${spoke.x2}" y2="${spoke.y2}"/>
+                <text x="${spoke.labelX}" y="${spoke.labelY}" text-anchor="middle" dominant-baseline="middle">${spoke.label}</text>
+            `).join('');
+            this.elements.sunPathGrid.innerHTML = circles + lines + spokes;
+        }
+
+        if (this.elements.sunPathTracks) {
+            this.elements.sunPathTracks.innerHTML = diagram.tracks.map(track => `
+                <g class="sun-path-track sun-path-track-${track.id}">
+                    <title>${track.name}</title>
+                    <path d="${track.pathString}"/>
+                    ${track.hourMarks.map(mark => `
+                        <circle cx="${mark.x}" cy="${mark.y}" r="2"/>
+                        ${mark.label ? `<text x="${mark.x}" y="${mark.y - 5}" text-anchor="middle">${mark.label}</text>` : ''}
+                    `).join('')}
+                </g>
+            `).join('');
+        }
+
+        if (this.elements.sunPathSun) {
+            this.elements.sunPathSun.innerHTML = diagram.sun
+                ? `<circle cx="${diagram.sun.x}" cy="${diagram.sun.y}" r="7" fill="#FFD700" stroke="#FFA500" stroke-width="2"/>`
+                : '';
+        }
+    }
+
+    /**
+     * Highlight one day of the analemma and show its tooltip
+     * @param {Object|null} cursor Position {x, y} in chart units and tooltip data from Renderers.renderAnalemmaPoint, or null to hide
+     */
+    updateAnalemmaCursor(cursor) {
+        const { analemmaCursor, analemmaTooltip } = this.elements;
+
+        if (!cursor) {
+            if (analemmaCursor) analemmaCursor.innerHTML = '';
+            if (analemmaTooltip) analemmaTooltip.classList.add('hidden');
+            return;
+        }
+
+        if (analemmaCursor) {
+            analemmaCursor.innerHTML = `<circle cx="${cursor.x}" cy="${cursor.y}" r="6"/>`;
+        }
 
-        // Update extreme latitude warning
-        if (visualization.isExtreme !== undefined) {
-            this.updateExtremeLatitudeWarning(visualization.isExtreme);
+        if (analemmaTooltip) {
+            const { tooltip } = cursor;
+            analemmaTooltip.innerHTML = `
+                <strong>${tooltip.date}</strong>
+                ${tooltip.equationOfTime}<br>
+                ${tooltip.declination}<br>
+                ${tooltip.solarNoon}
+            `;
+            analemmaTooltip.setAttribute('aria-label', tooltip.label);
+            analemmaTooltip.style.left = `${cursor.x / 400 * 100}%`;
+            analemmaTooltip.style.top = `${cursor.y / 300 * 100}%`;
+            analemmaTooltip.classList.remove('hidden');
         }
     }
 
+    /**
+     * Update solstice, equinox and apsis markers on the analemma
+     * @param {Array} markers Marker data with position and label placement
+     */
+    updateEventMarkers(markers) {
+        if (!this.elements.eventMarkers) return;
+
+        this.elements.eventMarkers.innerHTML = markers.map(marker => `
+            <g class="event-marker event-marker-${marker.type}">
+                <title>${marker.name}</title>
+                <circle cx="${marker.x}" cy="${marker.y}" r="${marker.type === 'solstice' || marker.type === 'equinox' ? 5 : 4}"/>
+                <text x="${marker.x + marker.labelDx}" y="${marker.y + marker.labelDy}" text-anchor="${marker.labelAnchor}">${marker.label}</text>
+            </g>
+        `).join('');
+    }
+
+    /**
+     * Draw the date-coloured segments of the analemma path
+     * @param {Array<Object>} segments Segments {pathString, color, className} from the renderer (empty for one colour)
+     */
+    updatePathSegments(segments) {
+        this.elements.analemmaPath?.classList.toggle('analemma-line-muted', segments.length > 0);
+        if (!this.elements.analemmaSegments) return;
+
+        this.elements.analemmaSegments.innerHTML = segments.map(segment =>
+            `<path class="${segment.className}" d="${segment.pathString}" stroke="${segment.color}"/>`
+        ).join('');
+    }
+
+    /**
+     * Draw the noon horizon, with the curve solid above it and dashed below it
+     * @param {Object|null} horizon Noon horizon from the renderer, or null to clear
+     * @param {string} pathString Analemma path data, redrawn dashed on the ground side
+     */
+    updateNoonHorizon(horizon, pathString) {
+        const { analemmaCurve, analemmaHiddenPath, noonHorizon, noonSkyRect, noonGroundRect } = this.elements;
+        const visible = Boolean(horizon && horizon.isVisible);
+        const setRect = (rect, box) => {
+            if (!rect) return;
+            Object.entries(box).forEach(([name, value]) => rect.setAttribute(name, value));
+        };
+
+        if (visible) {
+            setRect(noonSkyRect, horizon.skyClip);
+            setRect(noonGroundRect, horizon.groundClip);
+            analemmaCurve?.setAttribute('clip-path', 'url(#noon-sky-clip)');
+        } else {
+            analemmaCurve?.removeAttribute('clip-path');
+        }
+
+        analemmaHiddenPath?.setAttribute('d', visible ? pathString : '');
+
+        if (noonHorizon) {
+            noonHorizon.innerHTML = visible ? `
+                <title>${horizon.description}</title>
+                <line x1="${horizon.x1}" y1="${horizon.y}" x2="${horizon.x2}" y2="${horizon.y}"/>
+                <text x="${horizon.labelX}" y="${horizon.labelY}" text-anchor="end">${horizon.label}</text>
+            ` : '';
+        }
+    }
+
+    /**
+     * Draw month-start ticks with labels and direction-of-travel arrows on the analemma
+     * @param {Object|null} dateMarks Ticks and arrows from the renderer, or null to clear
+     */
+    updateDateMarks(dateMarks) {
+        if (!this.elements.dateMarks) return;
+
+        if (!dateMarks) {
+            this.elements.dateMarks.innerHTML = '';
+            return;
+        }
+
+        const ticks = dateMarks.ticks.map(tick => `
+            <line x1="${tick.x1}" y1="${tick.y1}" x2="${tick.x2}" y2="${tick.y2}"/>
+            ${tick.label ? `<text x="${tick.labelX}" y="${tick.labelY}" text-anchor="middle">${tick.label}</text>` : ''}
+        `).join('');
+        const arrows = dateMarks.arrows.map(arrow =>
+            `<path class="date-arrow" d="M 5 0 L -4 -4 L -2 0 L -4 4 Z" transform="translate(${arrow.x}, ${arrow.y}) rotate(${arrow.angle})"/>`
+        ).join('');
+
+        this.elements.dateMarks.innerHTML = `${ticks}${arrows}`;
+    }
+
+    /**
+     * Draw the analemma chart's axes, gridlines, zero lines and scale legend
+     * @param {Object|null} axes Axes from the renderer, or null to clear
+     */
+    updateAnalemmaAxes(axes) {
+        if (!this.elements.analemmaAxes) return;
+
+        if (!axes) {
+            this.elements.analemmaAxes.innerHTML = '';
+            return;
+        }
+
+        const { xAxis, yAxis, tickLength, legend } = axes;
+        const xTicks = axes.xTicks.map(tick => `
+            <path class="axis-grid${tick.isZero ? ' axis-zero' : ''}" d="${tick.pathString}">${tick.isZero ? '<title>Zero equation of time: sundial and clock agree</title>' : ''}</path>
+            <line x1="${tick.x}" y1="${xAxis.y1}" x2="${tick.x}" y2="${xAxis.y1 + tickLength}"/>
+            <text x="${tick.x}" y="${xAxis.y1 + tickLength + 10}" text-anchor="middle">${tick.label}</text>
+        `).join('');
+        const yTicks = axes.yTicks.map(tick => `
+            <path class="axis-grid${tick.isZero ? ' axis-zero' : ''}" d="${tick.pathString}">${tick.isZero ? '<title>Celestial equator</title>' : ''}</path>
+            <line x1="${yAxis.x1 - tickLength}" y1="${tick.y}" x2="${yAxis.x1}" y2="${tick.y}"/>
+            <text x="${yAxis.x1 - tickLength - 3}" y="${tick.y + 3}" text-anchor="end">${tick.label}</text>
+        `).join('');
+
+        this.elements.analemmaAxes.innerHTML = `
+            ${xTicks}
+            ${yTicks}
+            <line class="axis-line" x1="${xAxis.x1}" y1="${xAxis.y1}" x2="${xAxis.x2}" y2="${xAxis.y2}"/>
+            <line class="axis-line" x1="${yAxis.x1}" y1="${yAxis.y1}" x2="${yAxis.x2}" y2="${yAxis.y2}"/>
+            <text class="axis-title" x="${xAxis.titleX}" y="${xAxis.titleY}" text-anchor="middle">${xAxis.title}</text>
+            <text class="axis-title" x="${yAxis.titleX}" y="${yAxis.titleY}" text-anchor="middle" transform="rotate(-90 ${yAxis.titleX} ${yAxis.titleY})">${yAxis.title}</text>
+            <text class="axis-legend" x="${legend.x}" y="${legend.y}" text-anchor="end">${legend.text}</text>
+        `;
+    }
+
     /**
      * Update sun marker position
      * @param {Object} position Sun position data
@@ -187,6 +824,20 @@ class DOMUpdater {
     updateSunMarker(position) {
         if (!this.elements.sunMarker || !position) return;
 
+        // Scaled icon from the renderer, drawn at the sun's apparent size
+        if (position.icon) {
+            const { center, radius, rays, colors } = position.icon;
+            const rayLines = rays.map(ray =>
+                `<line x1="${ray.x1}" y1="${ray.y1}" x2="${ray.x2}" y2="${ray.y2}"/>`
+            ).join('');
+
+            this.elements.sunMarker.innerHTML = `
+                <circle cx="${center.x}" cy="${center.y}" r="${radius}" fill="${colors.fill}" stroke="${colors.stroke}" stroke-width="2"/>
+                <g stroke="${colors.fill}" stroke-width="2" stroke-linecap="round">${rayLines}</g>
+            `;
+            return;
+        }
+
         const sunIcon = `
             <circle cx="${position.x}" cy="${position.y}" r="8" fill="#FFD700" stroke="#FFA500" stroke-width="2"/>
             <g transform="translate(${position.x}, ${position.y})">
@@ -198,6 +849,22 @@ class DOMUpdater {
         this.elements.sunMarker.innerHTML = sunIcon;
     }
 
+    /**
+     * Move the sun, and the date trail, on the analemma already drawn
+     * @param {Object} marker Result of AnalemmaRenderer.generateSunMarker
+     */
+    moveSunMarker({ sunPosition, segments }) {
+        if (segments) {
+            this.updatePathSegments(segments);
+        }
+
+        if (sunPosition) {
+            this.updateSunMarker(sunPosition);
+        } else if (this.elements.sunMarker) {
+            this.elements.sunMarker.innerHTML = '';
+        }
+    }
+
     /**
      * Update direction indicator
      * @param {Object} direction Direction data
@@ -215,19 +882,30 @@ class DOMUpdater {
 
     /**
      * Update extreme latitude warning
-     * @param {boolean} isExtreme Whether to show warning
+     * @param {Object} warning Warning rendering data with show, message, className and upcoming periods
      */
-    updateExtremeLatitudeWarning(isExtreme) {
+    updateExtremeLatitudeWarning(warning) {
+        if (!warning) return;
+
         if (this.elements.app) {
-            if (isExtreme) {
-                this.elements.app.classList.add('extreme-latitude');
+            if (warning.className) {
+                this.elements.app.classList.add(warning.className);
             } else {
                 this.elements.app.classList.remove('extreme-latitude');
             }
         }
 
         if (this.elements.extremeMessage) {
-            if (isExtreme) {
+            const periods = (warning.periods || []).map(period => `
+                <li><span>${period.label}</span> <span>${period.range}</span> <span class="polar-period-days">(${period.days})</span></li>
+            `).join('');
+
+            this.elements.extremeMessage.innerHTML = `
+                <p>${warning.message}</p>
+                ${periods ? `<ul class="polar-periods">${periods}</ul>` : ''}
+            `;
+
+            if (warning.show) {
                 this.elements.extremeMessage.classList.remove('hidden');
             } else {
                 this.elements.extremeMessage.classList.add('hidden');
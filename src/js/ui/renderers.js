@@ -4,158 +4,709 @@
  * No DOM manipulation, just data transformation
  */
 
-// Import StatusLogic for calculations
-const StatusLogic = (typeof window !== 'undefined' && window.StatusLogic) || 
-                   (typeof require !== 'undefined' && require('../core/status-logic.js'));
+(function () {
+    // Import StatusLogic for calculations
+    const StatusLogic = (typeof window !== 'undefined' && window.StatusLogic) || 
+                       (typeof require !== 'undefined' && require('../core/status-logic.js'));
+    const TimeZoneLookup = (typeof window !== 'undefined' && window.TimeZoneLookup) || 
+                           (typeof require !== 'undefined' && require('../calculations/timezone.js'));
 
-/**
- * Render location status data
- * @param {Object} state Application state
- * @returns {Object} Status rendering data
- */
-function renderLocationStatus(state) {
-    const status = StatusLogic.getLocationStatus(
-        state.location,
-        state.permissionState,
-        Date.now()
-    );
-    return {
-        className: status.class,
-        text: status.text
-    };
-}
+    /**
+     * Render location status data
+     * @param {Object} state Application state
+     * @returns {Object} Status rendering data
+     */
+    function renderLocationStatus(state) {
+        const status = StatusLogic.getLocationStatus(
+            state.location,
+            state.permissionState,
+            Date.now()
+        );
+        return {
+            className: status.class,
+            text: status.text
+        };
+    }
 
-/**
- * Render online status data
- * @param {Object} state Application state
- * @returns {Object} Status rendering data
- */
-function renderOnlineStatus(state) {
-    const status = StatusLogic.getOnlineStatus(state.isOnline);
-    return {
-        className: status.class,
-        text: status.text
-    };
-}
+    /**
+     * Render online status data
+     * @param {Object} state Application state
+     * @returns {Object} Status rendering data
+     */
+    function renderOnlineStatus(state) {
+        const status = StatusLogic.getOnlineStatus(state.isOnline);
+        return {
+            className: status.class,
+            text: status.text
+        };
+    }
 
-/**
- * Determine which screen should be active
- * @param {Object} state Application state
- * @returns {string} Active screen name
- */
-function renderActiveScreen(state) {
-    return StatusLogic.getActiveScreen(state);
-}
+    /**
+     * Determine which screen should be active
+     * @param {Object} state Application state
+     * @returns {string} Active screen name
+     */
+    function renderActiveScreen(state) {
+        return StatusLogic.getActiveScreen(state);
+    }
 
-/**
- * Render loading message
- * @param {Object} state Application state
- * @returns {string|null} Loading message or null
- */
-function renderLoadingMessage(state) {
-    if (!state.isLoading) return null;
-    
-    if (state.loadingMessage) return state.loadingMessage;
-    
-    // Default messages based on context
-    if (!state.location && !state.permissionState) {
-        return 'Checking location permissions...';
+    /**
+     * Render loading message
+     * @param {Object} state Application state
+     * @returns {string|null} Loading message or null
+     */
+    function renderLoadingMessage(state) {
+        if (!state.isLoading) return null;
+        
+        if (state.loadingMessage) return state.loadingMessage;
+        
+        // Default messages based on context
+        if (!state.location && !state.permissionState) {
+            return 'Checking location permissions...';
+        }
+        if (!state.location) {
+            return 'Getting your location...';
+        }
+        return 'Loading...';
+    }
+
+    /**
+     * Render error message data
+     * @param {Object} state Application state
+     * @returns {Object|null} Error rendering data or null
+     */
+    function renderErrorMessage(state) {
+        if (!state.hasError || !state.errorMessage) return null;
+        
+        return {
+            title: 'An error occurred',
+            message: state.errorMessage,
+            showRetry: !state.location
+        };
     }
-    if (!state.location) {
-        return 'Getting your location...';
+
+    /**
+     * Render location info text
+     * @param {Object} location Location object
+     * @param {number} accuracy Accuracy in meters
+     * @returns {Object} Location info rendering data
+     */
+    function renderLocationInfo(location, accuracy) {
+        if (!location) return { text: '', accuracy: '' };
+        
+        const latDir = location.latitude >= 0 ? 'N' : 'S';
+        const lngDir = location.longitude >= 0 ? 'E' : 'W';
+        const locationText = `${Math.abs(location.latitude).toFixed(4)}°${latDir}, ${Math.abs(location.longitude).toFixed(4)}°${lngDir}`;
+        
+        let accuracyText = '';
+        if (accuracy) {
+            if (accuracy < 50) accuracyText = 'High accuracy';
+            else if (accuracy < 200) accuracyText = 'Medium accuracy';
+            else accuracyText = 'Low accuracy';
+        }
+        
+        return {
+            text: locationText,
+            accuracy: accuracyText
+        };
     }
-    return 'Loading...';
-}
 
-/**
- * Render error message data
- * @param {Object} state Application state
- * @returns {Object|null} Error rendering data or null
- */
-function renderErrorMessage(state) {
-    if (!state.hasError || !state.errorMessage) return null;
-    
-    return {
-        title: 'An error occurred',
-        message: state.errorMessage,
-        showRetry: !state.location
-    };
-}
+    /**
+     * Format a day as "Feb 14" in a time zone
+     * @param {Date} date Instant on the day
+     * @param {string|null} timeZone IANA time zone (default: device zone)
+     * @returns {string} Short date
+     */
+    function formatShortDate(date, timeZone = null) {
+        return date.toLocaleDateString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            ...(timeZone ? { timeZone } : {})
+        });
+    }
 
-/**
- * Render location info text
- * @param {Object} location Location object
- * @param {number} accuracy Accuracy in meters
- * @returns {Object} Location info rendering data
- */
-function renderLocationInfo(location, accuracy) {
-    if (!location) return { text: '', accuracy: '' };
-    
-    const latDir = location.latitude >= 0 ? 'N' : 'S';
-    const lngDir = location.longitude >= 0 ? 'E' : 'W';
-    const locationText = `${Math.abs(location.latitude).toFixed(4)}°${latDir}, ${Math.abs(location.longitude).toFixed(4)}°${lngDir}`;
-    
-    let accuracyText = '';
-    if (accuracy) {
-        if (accuracy < 50) accuracyText = 'High accuracy';
-        else if (accuracy < 200) accuracyText = 'Medium accuracy';
-        else accuracyText = 'Low accuracy';
-    }
-    
-    return {
-        text: locationText,
-        accuracy: accuracyText
-    };
-}
+    /**
+     * Render extreme latitude warning
+     * @param {Object} state Application state
+     * @param {boolean} isExtreme Whether sun is below horizon at noon
+     * @param {Object|null} forecast Result of PolarPeriods.getPolarForecast
+     * @returns {Object} Warning rendering data
+     */
+    function renderExtremeLatitudeWarning(state, isExtreme, forecast = null) {
+        const warning = {
+            show: isExtreme,
+            message: 'At this latitude, the sun may not be visible at solar noon during parts of the year.',
+            className: isExtreme ? 'extreme-latitude' : ''
+        };
 
-/**
- * Render extreme latitude warning
- * @param {Object} state Application state
- * @param {boolean} isExtreme Whether sun is below horizon at noon
- * @returns {Object} Warning rendering data
- */
-function renderExtremeLatitudeWarning(state, isExtreme) {
-    return {
-        show: isExtreme,
-        message: 'At this latitude, the sun may not be visible at solar noon during parts of the year.',
-        className: isExtreme ? 'extreme-latitude' : ''
-    };
-}
+        if (!forecast || (!forecast.current && forecast.upcoming.length === 0)) {
+            return warning;
+        }
 
-/**
- * Render all UI state from application state
- * @param {Object} state Application state
- * @returns {Object} Complete UI rendering data
- */
-function renderUI(state) {
-    return {
-        activeScreen: renderActiveScreen(state),
-        locationStatus: renderLocationStatus(state),
-        onlineStatus: renderOnlineStatus(state),
-        loadingMessage: renderLoadingMessage(state),
-        errorMessage: renderErrorMessage(state),
-        locationInfo: state.location ? renderLocationInfo(state.location, state.location.accuracy) : null
+        const timeZone = state.timeZone || null;
+        const labels = {
+            'polar-night': 'Polar night',
+            'polar-day': 'Midnight sun'
+        };
+        const formatRange = period =>
+            `${period.startKnown ? formatShortDate(period.firstDay, timeZone) : '…'} – ${period.endKnown ? formatShortDate(period.lastDay, timeZone) : '…'}`;
+
+        const { current, daysRemaining } = forecast;
+        if (current) {
+            const since = current.startKnown ? ` since ${formatShortDate(current.firstDay, timeZone)}` : '';
+            const status = current.type === 'polar-night'
+                ? `Polar night: the sun has not risen${since}.`
+                : `Midnight sun: the sun has not set${since}.`;
+            const event = current.type === 'polar-night' ? 'returns' : 'sets again';
+            const endDay = current.endsAt || new Date(current.lastDay.getTime() + 1000 * 60 * 60 * 24);
+            const ending = daysRemaining !== null
+                ? ` It ${event} on ${formatShortDate(endDay, timeZone)}, in ${daysRemaining} ${daysRemaining === 1 ? 'day' : 'days'}.`
+                : '';
+            warning.message = status + ending;
+        } else {
+            const next = forecast.upcoming[0];
+            warning.message = `No polar night or midnight sun today. Next: ${labels[next.type].toLowerCase()} from ${formatShortDate(next.firstDay, timeZone)}.`;
+        }
+
+        warning.show = true;
+        warning.periods = forecast.upcoming.map(period => ({
+            label: labels[period.type],
+            range: formatRange(period),
+            days: `${period.days} days`
+        }));
+
+        return warning;
+    }
+
+    /**
+     * Format an event time as HH:MM in 24-hour format
+     * @param {Date|null} date Event time
+     * @param {string|null} timeZone IANA time zone (default: device zone)
+     * @returns {string} Formatted time, or a dash if the event does not occur
+     */
+    function formatEventTime(date, timeZone = null) {
+        if (!date) return '—';
+
+        return date.toLocaleTimeString('en-US', {
+            hour: '2-digit',
+            minute: '2-digit',
+            hour12: false,
+            ...(timeZone ? { timeZone } : {})
+        });
+    }
+
+    /**
+     * Format a duration for display
+     * @param {number} milliseconds Duration in milliseconds
+     * @param {boolean} showSign Prefix with + or − (for differences)
+     * @returns {string} Formatted duration, e.g. "12h 03m" or "+2m 14s"
+     */
+    function formatDuration(milliseconds, showSign = false) {
+        const totalSeconds = Math.round(Math.abs(milliseconds) / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+
+        if (!showSign) {
+            return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+        }
+
+        const sign = milliseconds < 0 ? '−' : '+';
+        return hours > 0
+            ? `${sign}${hours}h ${String(minutes).padStart(2, '0')}m`
+            : `${sign}${minutes}m ${String(seconds).padStart(2, '0')}s`;
+    }
+
+    /**
+     * Render the date, time zone and DST state that go with the solar noon time
+     * @param {Date} solarNoon Solar noon instant
+     * @param {string|null} timeZone IANA time zone of the location
+     * @param {string|null} deviceTimeZone IANA time zone of the device
+     * @returns {Object|null} Date, zone and DST labels, and the device clock time when it differs
+     */
+    function renderSolarNoonZone(solarNoon, timeZone, deviceTimeZone = TimeZoneLookup.getDeviceTimeZone()) {
+        if (!solarNoon || !timeZone) return null;
+
+        const offset = TimeZoneLookup.getTimeZoneOffset(solarNoon, timeZone);
+        const standardOffset = TimeZoneLookup.getStandardOffset(solarNoon, timeZone);
+        const year = solarNoon.getUTCFullYear();
+        const observesDST = TimeZoneLookup.getTimeZoneOffset(new Date(Date.UTC(year, 0, 1)), timeZone) !==
+                            TimeZoneLookup.getTimeZoneOffset(new Date(Date.UTC(year, 6, 1)), timeZone);
+
+        let dst = null;
+        if (observesDST) {
+            dst = offset > standardOffset ? 'Daylight saving time' : 'Standard time';
+        }
+
+        let deviceTime = null;
+        if (deviceTimeZone && TimeZoneLookup.getTimeZoneOffset(solarNoon, deviceTimeZone) !== offset) {
+            const time = formatEventTime(solarNoon, deviceTimeZone);
+            const deviceDate = TimeZoneLookup.formatDateInTimeZone(solarNoon, deviceTimeZone);
+            const sameDate = deviceDate === TimeZoneLookup.formatDateInTimeZone(solarNoon, timeZone);
+            deviceTime = `${time}${sameDate ? '' : ` ${deviceDate}`} your time (${deviceTimeZone})`;
+        }
+
+        return {
+            date: TimeZoneLookup.formatDateInTimeZone(solarNoon, timeZone),
+            zone: `${timeZone} · ${TimeZoneLookup.getTimeZoneAbbreviation(solarNoon, timeZone)}`,
+            offset: TimeZoneLookup.formatUTCOffset(offset),
+            dst,
+            deviceTime
+        };
+    }
+
+    /**
+     * Render sunrise, sunset and twilight times
+     * @param {Object|null} sunTimes Result of SunTimes.calculateSunTimes
+     * @param {string|null} timeZone IANA time zone of the location (default: device zone)
+     * @returns {Object|null} Sun times rendering data
+     */
+    function renderSunTimes(sunTimes, timeZone = null) {
+        if (!sunTimes) return null;
+
+        const polarMessages = {
+            'polar-day': 'The sun does not set today',
+            'polar-night': 'The sun does not rise today'
+        };
+
+        return {
+            rows: [
+                { label: 'Sunrise / sunset', start: formatEventTime(sunTimes.sunrise, timeZone), end: formatEventTime(sunTimes.sunset, timeZone) },
+                { label: 'Civil twilight', start: formatEventTime(sunTimes.civilDawn, timeZone), end: formatEventTime(sunTimes.civilDusk, timeZone) },
+                { label: 'Nautical twilight', start: formatEventTime(sunTimes.nauticalDawn, timeZone), end: formatEventTime(sunTimes.nauticalDusk, timeZone) },
+                { label: 'Astronomical twilight', start: formatEventTime(sunTimes.astronomicalDawn, timeZone), end: formatEventTime(sunTimes.astronomicalDusk, timeZone) }
+            ],
+            dayLength: formatDuration(sunTimes.dayLength),
+            dayLengthChange: `${formatDuration(sunTimes.dayLengthChange, true)} since yesterday`,
+            polarMessage: polarMessages[sunTimes.polarState] || null
+        };
+    }
+
+    /**
+     * Render the current season, solstice countdown and event list
+     * @param {Object|null} summary Result of SeasonEvents.getSeasonSummary
+     * @param {string|null} timeZone IANA time zone of the location (default: device zone)
+     * @returns {Object|null} Season rendering data
+     */
+    function renderSeasonSummary(summary, timeZone = null) {
+        if (!summary) return null;
+
+        const { season, nextSolstice, nextEvent } = summary;
+
+        let countdown = null;
+        if (nextSolstice) {
+            const days = nextSolstice.daysUntil;
+            const when = days === 0 ? 'today' : days === 1 ? 'tomorrow' : `in ${days} days`;
+            countdown = `${nextSolstice.name} ${when}`;
+        }
+
+        return {
+            season: `${season.name} in the ${season.hemisphere} hemisphere`,
+            countdown,
+            events: summary.events.map(event => ({
+                name: event.name,
+                date: TimeZoneLookup.formatDateInTimeZone(event.date, timeZone),
+                time: formatEventTime(event.date, timeZone),
+                isNext: nextEvent !== null && event.id === nextEvent.id && event.date.getTime() === nextEvent.date.getTime(),
+                isPast: nextEvent !== null && event.date < nextEvent.date
+            }))
+        };
+    }
+
+    /**
+     * Format a signed percentage
+     * @param {number} percent Percentage
+     * @returns {string} Percentage such as "+1.7%" or "−0.4%"
+     */
+    function formatPercent(percent) {
+        return `${percent < 0 ? '−' : '+'}${Math.abs(percent).toFixed(1)}%`;
+    }
+
+    /**
+     * Render the Earth-Sun distance and the sun's apparent diameter
+     * @param {Object|null} distance Result of SolarEphemeris.calculateSunDistance
+     * @returns {Object|null} Distance rendering data with an explanation of the unequal loops
+     */
+    function renderSunDistance(distance) {
+        if (!distance) return null;
+
+        const millionKm = (distance.km / 1e6).toFixed(1);
+        const arcminutes = (distance.angularDiameter * 60).toFixed(1);
+
+        return {
+            distance: `${distance.au.toFixed(4)} AU (${millionKm} million km, ${formatPercent(distance.distanceFromMean)} vs. mean)`,
+            diameter: `${arcminutes}′ (${formatPercent(distance.diameterFromMean)} vs. mean)`,
+            note: distance.distanceFromMean < 0
+                ? 'Earth is nearer the sun than average and moving faster along its orbit. This stretches the loop around the December solstice, making it the larger one.'
+                : 'Earth is farther from the sun than average and moving slower along its orbit. This shrinks the loop around the June solstice, making it the smaller one.'
+        };
+    }
+
+    /**
+     * Render the noon shadow of an object for today and the solstices
+     * @param {Object|null} shadows Result of ShadowCalculations.calculateSolsticeShadows
+     * @param {number} height Object height in the chosen unit
+     * @param {string} unit Length unit label ('m' or 'ft')
+     * @param {string|null} timeZone IANA time zone of the location (default: device zone)
+     * @returns {Object|null} Shadow rendering data
+     */
+    function renderNoonShadow(shadows, height, unit = 'm', timeZone = null) {
+        if (!shadows) return null;
+
+        const directions = { N: 'north', S: 'south' };
+        const formatLength = length => `${length.toFixed(length < 10 ? 2 : 1)} ${unit}`;
+        const describe = shadow => {
+            if (shadow.length === null) {
+                return { length: 'No shadow', direction: 'sun below the horizon' };
+            }
+            return {
+                length: formatLength(shadow.length),
+                direction: shadow.direction ? `points ${directions[shadow.direction]}` : 'sun overhead'
+            };
+        };
+
+        const { today } = shadows;
+        let summary;
+        if (today.length === null) {
+            summary = 'The sun stays below the horizon at noon today, so there is no noon shadow.';
+        } else if (!today.direction) {
+            summary = `The sun is overhead at noon: a ${formatLength(height)} object casts almost no shadow.`;
+        } else {
+            summary = `At solar noon a ${formatLength(height)} object casts a ${formatLength(today.length)} shadow pointing ${directions[today.direction]}.`;
+        }
+
+        return {
+            summary,
+            elevation: `Sun ${today.elevation.toFixed(1)}° above the horizon at noon`,
+            rows: [
+                { label: 'Today', ...describe(today) },
+                { label: `June solstice (${formatShortDate(shadows.june.solarNoon, timeZone)})`, ...describe(shadows.june) },
+                { label: `December solstice (${formatShortDate(shadows.december.solarNoon, timeZone)})`, ...describe(shadows.december) }
+            ]
+        };
+    }
+
+    /**
+     * Render a sundial design summary and its hour-line angles
+     * @param {Object|null} design Result of SundialCalculations.designDial
+     * @param {number} longitudeCorrection Minutes from local apparent time to standard time
+     * @param {number} standardOffset Standard UTC offset of the time zone in minutes east
+     * @returns {Object|null} Sundial rendering data
+     */
+    function renderSundialDesign(design, longitudeCorrection, standardOffset) {
+        if (!design) return null;
+
+        const sign = longitudeCorrection < 0 ? '−' : '+';
+        const zone = TimeZoneLookup.formatUTCOffset(standardOffset);
+
+        if (design.isPolar) {
+            return {
+                summary: 'The gnomon would lie flat on this dial (a polar dial), so the hour lines are parallel. Choose another dial type or declination.',
+                correction: '',
+                rows: []
+            };
+        }
+
+        const rotation = angle => (angle > 0 ? 'clockwise' : 'counterclockwise');
+        const substyle = Math.abs(design.substyleAngle) > 0.05
+            ? `, substyle ${Math.abs(design.substyleAngle).toFixed(1)}° ${rotation(design.substyleAngle)} from the noon line`
+            : '';
+
+        return {
+            summary: `Gnomon angle ${design.styleHeight.toFixed(1)}°${substyle}`,
+            correction: `Longitude correction ${sign}${Math.abs(longitudeCorrection).toFixed(1)} min to ${zone} standard time, before the equation of time (add 1 hour in daylight saving time).`,
+            rows: design.lines.map(line => ({
+                hour: `${String(line.hour).padStart(2, '0')}:00`,
+                angle: `${Math.abs(line.angle).toFixed(1)}°`,
+                side: Math.abs(line.angle) < 0.05 ? 'noon line' : rotation(line.angle)
+            }))
+        };
+    }
+
+    /**
+     * Render an analemmatic sundial summary
+     * @param {Object|null} design Result of AnalemmaticSundial.designAnalemmaticDial
+     * @returns {Object|null} Analemmatic sundial rendering data
+     */
+    function renderAnalemmaticDial(design) {
+        if (!design) return null;
+
+        const first = design.hourMarkers[0];
+        const last = design.hourMarkers[design.hourMarkers.length - 1];
+
+        return {
+            summary: `Ellipse ${design.majorAxis.toFixed(2)} × ${design.minorAxis.toFixed(2)} m, ` +
+                `date scale ${design.dateScaleLength.toFixed(2)} m, ` +
+                `${design.hourMarkers.length} hour markers` +
+                (first ? ` (${first.hour}:00 to ${last.hour}:00)` : ''),
+            warning: design.isTooFlat
+                ? 'This close to the equator the ellipse is almost a line; the dial will be hard to read.'
+                : ''
+        };
+    }
+
+    /**
+     * Render a noon mark summary
+     * @param {Object|null} mark Result of NoonMark.calculateNoonMark
+     * @param {Object} layout Result of NoonMarkRenderer.generateLayout
+     * @returns {Object|null} Noon mark rendering data
+     */
+    function renderNoonMark(mark, layout) {
+        if (!mark || !layout) return null;
+
+        if (mark.points.length === 0) {
+            return {
+                summary: 'The noon sun never reaches this surface, so there is no noon mark to lay out.',
+                note: ''
+            };
+        }
+
+        const xs = mark.points.map(point => point.x);
+        const ys = mark.points.map(point => point.y);
+        const width = Math.max(...xs) - Math.min(...xs);
+        const height = Math.max(...ys) - Math.min(...ys);
+        const columns = new Set(layout.tiles.map(tile => tile.x)).size;
+        const rows = layout.tiles.length / columns;
+
+        return {
+            summary: `Figure-eight ${width.toFixed(2)} × ${height.toFixed(2)} m, printed on ${layout.tiles.length} page${layout.tiles.length === 1 ? '' : 's'} (${columns} × ${rows})`,
+            note: mark.unlitDays > 0
+                ? `The noon sun does not reach this surface on ${mark.unlitDays} days of the year; the figure has a gap there.`
+                : ''
+        };
+    }
+
+    /**
+     * Render an analemma photography plan
+     * @param {Object|null} plan Result of PhotoPlanner.planShoot
+     * @returns {Object|null} Plan rendering data: summary, framing, warnings and table rows
+     */
+    function renderPhotoPlan(plan) {
+        if (!plan) return null;
+
+        const time = `${String(Math.floor(plan.hour)).padStart(2, '0')}:${String(Math.round((plan.hour % 1) * 60)).padStart(2, '0')}`;
+        const zone = TimeZoneLookup.formatUTCOffset(plan.clockOffset);
+        const visible = plan.shots.filter(shot => shot.isVisible);
+        const warnings = [];
+
+        plan.clockChanges.forEach(change => {
+            warnings.push(`Clocks change on ${change.date}: from then on shoot at ${change.wallClock} on the clock (still ${time} ${zone}).`);
+        });
+        if (!plan.checkedDaylightSaving) {
+            warnings.push(`Time zone unknown, so clock changes could not be checked. Keep the camera on ${zone} all year.`);
+        }
+        if (visible.length < plan.shots.length) {
+            const hidden = plan.shots.length - visible.length;
+            warnings.push(`The sun is below the horizon at ${time} for ${hidden} of the ${plan.shots.length} shots; they are left out of the calendar.`);
+        }
+
+        let framing = 'The sun never rises at this clock time, so there is nothing to frame.';
+        if (plan.framing) {
+            const { aim, fieldOfView, maxFocalLength, fits } = plan.framing;
+            framing = `Aim at azimuth ${aim.azimuth.toFixed(0)}° (${getCompassPoint(aim.azimuth)}), ` +
+                `${aim.altitude.toFixed(0)}° up. ${plan.focalLength} mm ${plan.orientation} covers ` +
+                `${fieldOfView.horizontal.toFixed(0)}° × ${fieldOfView.vertical.toFixed(0)}°.`;
+            if (!fits) {
+                warnings.push(maxFocalLength
+                    ? `The figure and horizon do not fit at ${plan.focalLength} mm; use ${Math.floor(maxFocalLength)} mm or wider, or turn the camera.`
+                    : 'The figure is too large for a rectilinear lens; use a fisheye or shoot a different clock time.');
+            }
+        }
+
+        return {
+            summary: `${visible.length} shots every ${plan.intervalDays} day${plan.intervalDays === 1 ? '' : 's'} at ${time} ${zone}, from ${plan.shots[0].day}`,
+            framing,
+            warnings,
+            rows: visible.map(shot => ({
+                date: shot.day,
+                clock: shot.wallClock,
+                altitude: `${shot.altitude.toFixed(1)}°`,
+                azimuth: `${shot.azimuth.toFixed(1)}° ${getCompassPoint(shot.azimuth)}`,
+                isDaylightSaving: shot.isDaylightSaving
+            }))
+        };
+    }
+
+    /**
+     * Render the tooltip for one day of the analemma
+     * @param {Object|null} point Result of AnalemmaRenderer.describePoint
+     * @param {string|null} timeZone IANA time zone (default: device zone)
+     * @returns {Object|null} Tooltip rendering data, with a one-line label for screen readers
+     */
+    function renderAnalemmaPoint(point, timeZone = null) {
+        if (!point) return null;
+
+        const date = point.date.toLocaleDateString('en-US', {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            ...(timeZone ? { timeZone } : {})
+        });
+
+        // Positive equation of time: the sundial (apparent sun) is ahead of the clock
+        const seconds = Math.round(Math.abs(point.equationOfTime) * 60);
+        const amount = `${Math.floor(seconds / 60)} min ${String(seconds % 60).padStart(2, '0')} s`;
+        const equationOfTime = seconds === 0
+            ? 'Sun on time'
+            : `Sun ${amount} ${point.equationOfTime > 0 ? 'fast' : 'slow'}`;
+
+        const hemisphere = point.declination >= 0 ? 'N' : 'S';
+        const degrees = `${Math.abs(point.declination).toFixed(2)}° ${hemisphere}`;
+        const noon = point.solarNoon.toLocaleTimeString('en-US', {
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hour12: false,
+            ...(timeZone ? { timeZone } : {})
+        });
+
+        return {
+            date,
+            equationOfTime,
+            declination: `Declination ${degrees}`,
+            solarNoon: `Solar noon ${noon}`,
+            label: `${date}: ${equationOfTime}, declination ${degrees}, solar noon ${noon}`
+        };
+    }
+
+    /**
+     * Convert an azimuth to a 16-point compass direction
+     * @param {number} azimuth Azimuth in degrees from north, clockwise
+     * @returns {string} Compass direction, e.g. "SSW"
+     */
+    function getCompassPoint(azimuth) {
+        const points = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+                        'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+        const index = Math.round((((azimuth % 360) + 360) % 360) / 22.5) % 16;
+        return points[index];
+    }
+
+    /**
+     * Render the sun's current position in the sky
+     * @param {Object|null} position Result of SolarCalculations.calculateSolarPosition
+     * @returns {Object|null} Sun position rendering data
+     */
+    function renderSunPosition(position) {
+        if (!position) return null;
+
+        const minutesFromNoon = Math.round(Math.abs(position.hourAngle) * 4);
+        const hours = Math.floor(minutesFromNoon / 60);
+        const minutes = minutesFromNoon % 60;
+        const offset = hours > 0 ? `${hours}h ${String(minutes).padStart(2, '0')}m` : `${minutes}m`;
+
+        let hourAngleText;
+        if (minutesFromNoon === 0) {
+            hourAngleText = 'At solar noon';
+        } else if (position.hourAngle < 0) {
+            hourAngleText = `${offset} before solar noon`;
+        } else {
+            hourAngleText = `${offset} after solar noon`;
+        }
+
+        return {
+            altitude: `${position.altitude.toFixed(1)}°`,
+            azimuth: `${position.azimuth.toFixed(1)}° ${getCompassPoint(position.azimuth)}`,
+            hourAngle: hourAngleText,
+            isAboveHorizon: (position.altitudeAboveHorizon ?? position.altitude) > 0
+        };
+    }
+
+    /**
+     * Render the observer profile panel
+     * @param {Object} profile Observer profile from ObserverModel.createObserverProfile
+     * @param {Object} settings Settings entered by the user
+     * @returns {Object} Field values, placeholders and a summary line
+     */
+    function renderObserverProfile(profile, settings = {}) {
+        const value = (key) => (typeof settings[key] === 'number' ? String(settings[key]) : '');
+        const sources = {
+            manual: 'entered',
+            gps: 'from GPS',
+            default: 'sea level'
+        };
+
+        return {
+            fields: {
+                elevation: { value: value('elevation'), placeholder: `${Math.round(profile.elevation)} (${sources[profile.elevationSource]})` },
+                eyeHeight: { value: value('eyeHeight'), placeholder: String(profile.eyeHeight) },
+                horizonElevation: { value: value('horizonElevation'), placeholder: `${Math.round(profile.horizonElevation)} (level)` },
+                pressure: { value: value('pressure'), placeholder: `${Math.round(profile.pressure)} (standard)` },
+                temperature: { value: value('temperature'), placeholder: `${profile.temperature.toFixed(1)} (standard)` }
+            },
+            summary: `Elevation ${Math.round(profile.elevation)} m (${sources[profile.elevationSource]}), ` +
+                     `horizon dip ${(profile.horizonDip * 60).toFixed(1)}′, ` +
+                     `${Math.round(profile.pressure)} hPa, ${profile.temperature.toFixed(1)} °C`
+        };
+    }
+
+    /**
+     * Render the date controls: the day being shown and whether it follows the clock or is animating
+     * @param {Object} state Application state
+     * @returns {Object|null} Date controls rendering data, or null without a date
+     */
+    function renderDateControls(state) {
+        if (!state.currentDate) return null;
+
+        const date = TimeZoneLookup.formatDateInTimeZone(state.currentDate, state.timeZone);
+        return {
+            value: TimeZoneLookup.formatISODateInTimeZone(state.currentDate, state.timeZone),
+            status: state.isDateChosen ? `Showing ${date}` : `Today, ${date}`,
+            isToday: !state.isDateChosen,
+            isAnimating: Boolean(state.isAnimating),
+            playLabel: state.isAnimating ? 'Pause' : 'Play through the year'
+        };
+    }
+
+    /**
+     * Render all UI state from application state
+     * @param {Object} state Application state
+     * @returns {Object} Complete UI rendering data
+     */
+    function renderUI(state) {
+        return {
+            activeScreen: renderActiveScreen(state),
+            locationStatus: renderLocationStatus(state),
+            onlineStatus: renderOnlineStatus(state),
+            loadingMessage: renderLoadingMessage(state),
+            errorMessage: renderErrorMessage(state),
+            locationInfo: state.location ? renderLocationInfo(state.location, state.location.accuracy) : null,
+            dateControls: renderDateControls(state)
+        };
+    }
+
+    // Export functions
+    const Renderers = {
+        renderLocationStatus,
+        renderOnlineStatus,
+        renderActiveScreen,
+        renderLoadingMessage,
+        renderErrorMessage,
+        renderLocationInfo,
+        renderExtremeLatitudeWarning,
+        renderSolarNoonZone,
+        renderSunTimes,
+        renderSeasonSummary,
+        renderSunDistance,
+        renderNoonShadow,
+        renderSundialDesign,
+        renderAnalemmaticDial,
+        renderNoonMark,
+        renderPhotoPlan,
+        renderAnalemmaPoint,
+        renderSunPosition,
+        renderObserverProfile,
+        renderDateControls,
+        getCompassPoint,
+        renderUI
     };
-}
-
-// Export functions
-const Renderers = {
-    renderLocationStatus,
-    renderOnlineStatus,
-    renderActiveScreen,
-    renderLoadingMessage,
-    renderErrorMessage,
-    renderLocationInfo,
-    renderExtremeLatitudeWarning,
-    renderUI
-};
-
-// Export for testing
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = Renderers;
-}
-
-// Export to window for browser
-if (typeof window !== 'undefined') {
-    window.Renderers = Renderers;
-} 
\ No newline at end of file
+
+    // Export for testing
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Renderers;
+    }
+
+    // Export to window for browser
+    if (typeof window !== 'undefined') {
+        window.Renderers = Renderers;
+    } 
+})();
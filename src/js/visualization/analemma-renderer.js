@@ -4,235 +4,1529 @@
  * No DOM manipulation, returns data objects only
  */
 
-// Import calculation modules
-const SolarCalculations = (typeof window !== 'undefined' && window.SolarCalculations) || 
-                         (typeof require !== 'undefined' && require('../calculations/solar.js'));
-const AnalemmaCalculations = (typeof window !== 'undefined' && window.AnalemmaCalculations) || 
-                            (typeof require !== 'undefined' && require('../calculations/analemma.js'));
-
-class AnalemmaRenderer {
-    constructor() {
-        this.svgWidth = 400;
-        this.svgHeight = 600;
-        this.padding = 40;
-    }
+(function () {
+    // Import calculation modules
+    const SolarCalculations = (typeof window !== 'undefined' && window.SolarCalculations) || 
+                             (typeof require !== 'undefined' && require('../calculations/solar.js'));
+    const AnalemmaCalculations = (typeof window !== 'undefined' && window.AnalemmaCalculations) || 
+                                (typeof require !== 'undefined' && require('../calculations/analemma.js'));
+    const SolarEphemeris = (typeof window !== 'undefined' && window.SolarEphemeris) || 
+                           (typeof require !== 'undefined' && require('../calculations/ephemeris.js'));
+    const SeasonEvents = (typeof window !== 'undefined' && window.SeasonEvents) || 
+                         (typeof require !== 'undefined' && require('../calculations/seasons.js'));
+    const SkyView = (typeof window !== 'undefined' && window.SkyView) || 
+                    (typeof require !== 'undefined' && require('../calculations/sky-view.js'));
+    const PhotoCalibration = (typeof window !== 'undefined' && window.PhotoCalibration) || 
+                             (typeof require !== 'undefined' && require('../calculations/photo-calibration.js'));
+    const TimeZoneLookup = (typeof window !== 'undefined' && window.TimeZoneLookup) || 
+                           (typeof require !== 'undefined' && require('../calculations/timezone.js'));
+    const NoonAnalemma = (typeof window !== 'undefined' && window.NoonAnalemma) || 
+                         (typeof require !== 'undefined' && require('../calculations/noon-analemma.js'));
+
+    /**
+     * Sun marker size: radius at the mean apparent diameter, and how much the
+     * real ±1.7% variation is exaggerated so it stays visible
+     */
+    const SUN_MARKER_RADIUS = 8;
+    const SUN_SIZE_EXAGGERATION = 10;
+
+    /**
+     * Short labels for the season event markers
+     */
+    const EVENT_MARKER_LABELS = {
+        'march-equinox': 'Mar equinox',
+        'june-solstice': 'Jun solstice',
+        'september-equinox': 'Sep equinox',
+        'december-solstice': 'Dec solstice',
+        perihelion: 'Perihelion',
+        aphelion: 'Aphelion'
+    };
+
+    /**
+     * Month labels for the date ticks, and the days of the month that carry a
+     * direction-of-travel arrow (one on each quarter of the figure-eight)
+     */
+    const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const ARROW_DATES = [[1, 15], [4, 15], [7, 15], [10, 15]];
 
     /**
-     * Generate complete analemma visualization data
-     * @param {Object} location Location object with latitude/longitude
-     * @param {Date} date Current date
-     * @returns {Promise<Object>} Visualization data
+     * Date tick geometry in SVG units: tick length, label font size, and the
+     * distances and turns away from the tick direction tried in turn until a label fits
      */
-    async generateVisualization(location, date) {
-        if (!location) {
+    const DATE_TICK_LENGTH = 5;
+    const DATE_LABEL_SIZE = 9;
+    const DATE_LABEL_OFFSETS = [3, 8, 14, 20];
+    const DATE_LABEL_TURNS = [0, -45, 45, -90, 90, 180];
+
+    /**
+     * Path colours by season (seasons follow the hemisphere), and the two halves of the date trail
+     */
+    const SEASON_COLORS = { spring: '#4ade80', summer: '#f43f5e', autumn: '#f59e0b', winter: '#60a5fa' };
+    const SEASON_STARTS = {
+        north: { 'march-equinox': 'spring', 'june-solstice': 'summer', 'september-equinox': 'autumn', 'december-solstice': 'winter' },
+        south: { 'march-equinox': 'autumn', 'june-solstice': 'winter', 'september-equinox': 'spring', 'december-solstice': 'summer' }
+    };
+    const TRAIL_COLORS = { behind: '#93c5fd', ahead: '#fde047' };
+
+    /**
+     * Days per segment of the seasonal gradient
+     */
+    const GRADIENT_STEP_DAYS = 4;
+
+    /**
+     * Chart margins without and with axes; top and bottom stay equal so the
+     * Southern Hemisphere flip keeps the figure in place
+     */
+    const CHART_PADDING = { top: 30, right: 30, bottom: 30, left: 30 };
+    const AXES_PADDING = { top: 55, right: 30, bottom: 55, left: 75 };
+
+    /**
+     * Axis layout: gap between the plot area and the axis lines, tick length,
+     * candidate tick steps, and the smallest spacing between ticks in SVG units
+     */
+    const AXIS_GAP = 20;
+    const AXIS_TICK_LENGTH = 4;
+    const AXIS_MINUTE_STEPS = [1, 2, 5, 10, 15, 30];
+    const AXIS_DEGREE_STEPS = [5, 10, 15, 30];
+    const AXIS_MIN_TICK_SPACING = 24;
+
+    /**
+     * Axis titles when the data file does not name its coordinate system
+     */
+    const DEFAULT_AXIS_TITLES = { x: 'Equation of Time (minutes)', y: 'Solar Declination (degrees)' };
+    const NOON_AXIS_TITLES = { x: 'Solar noon (minutes after 12:00 standard time)', y: 'Noon altitude (degrees)' };
+
+    /**
+     * Compass point names for azimuth labels in the sky view
+     */
+    const COMPASS_LABELS = { 0: 'N', 45: 'NE', 90: 'E', 135: 'SE', 180: 'S', 225: 'SW', 270: 'W', 315: 'NW' };
+
+    /**
+     * Sky view frame: degrees of sky shown around the analemmas and below the horizon
+     */
+    const SKY_VIEW_MARGIN = 5;
+    const SKY_VIEW_GROUND = 5;
+
+    /**
+     * Year-long calculations kept for redraws: events, noon analemmas and sky figures
+     */
+    const YEAR_CACHE_SIZE = 8;
+
+    class AnalemmaRenderer {
+        constructor() {
+            this.svgWidth = 400;
+            this.svgHeight = 600;
+            this.padding = 40;
+
+            // Fitted view stretches each axis to fill the box; true aspect keeps the sky's proportions
+            this.trueAspect = false;
+
+            // Axes and gridlines around the chart view
+            this.showAxes = false;
+
+            // 'none' draws one colour; 'season' a seasonal gradient; 'trail' highlights the days around today
+            this.pathColoring = 'none';
+            this.trailDays = 30;
+
+            // 'chart' plots equation of time against declination; 'noon' plots this location's solar noon
+            // time against the noon altitude; 'sky' shows the sun at fixed clock times
+            this.projection = 'chart';
+            this.skyHours = [12];
+
+            // Year-long calculations by year, place and clock, so redraws within a year only move the sun
+            this.yearCache = new Map();
+        }
+
+        /**
+         * Choose the projection used by generateVisualization
+         * @param {string} projection 'chart', 'noon' or 'sky'
+         * @param {Object} options Options
+         * @param {Array<number>} options.hours Standard clock hours to draw in the sky view
+         */
+        setProjection(projection, { hours } = {}) {
+            this.projection = ['noon', 'sky'].includes(projection) ? projection : 'chart';
+            if (hours && hours.length > 0) {
+                this.skyHours = [...hours];
+            }
+        }
+
+        /**
+         * Switch between the fitted view and the true-aspect view
+         * @param {boolean} enabled True to draw the analemma with one scale on both axes
+         */
+        setTrueAspect(enabled) {
+            this.trueAspect = Boolean(enabled);
+        }
+
+        /**
+         * Show or hide the chart's axes and gridlines
+         * @param {boolean} enabled True to draw axes (the chart shrinks to make room for them)
+         */
+        setShowAxes(enabled) {
+            this.showAxes = Boolean(enabled);
+        }
+
+        /**
+         * Choose how the analemma path is coloured by date
+         * @param {string} mode 'none', 'season' or 'trail'
+         * @param {Object} options Options
+         * @param {number} options.days Days either side of the current date in the trail
+         */
+        setPathColoring(mode, { days } = {}) {
+            this.pathColoring = ['season', 'trail'].includes(mode) ? mode : 'none';
+            if (days > 0) {
+                this.trailDays = Math.round(days);
+            }
+        }
+
+        /**
+         * Get the chart margins for the current view
+         * @returns {Object} Padding {top, right, bottom, left} in SVG units
+         */
+        getPadding() {
+            return this.showAxes ? AXES_PADDING : CHART_PADDING;
+        }
+
+        /**
+         * Convert analemma coordinates to SVG coordinates in the current view
+         * @param {Array} coordinates Points to convert ({x: equation of time in minutes, y: declination})
+         * @param {Array} referenceCoordinates Points that set the bounds, so every layer shares one scale
+         * @returns {Array} Coordinates with svgX and svgY
+         */
+        toSVGCoordinates(coordinates, referenceCoordinates) {
+            const prepare = coords => (this.trueAspect ? AnalemmaCalculations.toAngularCoordinates(coords) : coords);
+            const dataBounds = AnalemmaCalculations.getDataBounds(prepare(referenceCoordinates));
+
+            return AnalemmaCalculations.convertToSVGCoordinates(
+                prepare(coordinates),
+                undefined,
+                this.getPadding(),
+                dataBounds,
+                this.trueAspect
+            );
+        }
+
+        /**
+         * Reuse a calculation that only changes with the year, the place or the clock
+         * @param {string} key Everything the result depends on
+         * @param {Function} calculate Calculates the result when it is not cached
+         * @returns {*} Cached result
+         */
+        cachedForYear(key, calculate) {
+            if (!this.yearCache.has(key)) {
+                if (this.yearCache.size >= YEAR_CACHE_SIZE) {
+                    this.yearCache.delete(this.yearCache.keys().next().value);
+                }
+                this.yearCache.set(key, calculate());
+            }
+            return this.yearCache.get(key);
+        }
+
+        /**
+         * Solstices, equinoxes and apsides of a year
+         * @param {number} year Full year
+         * @returns {Array<Object>} Events from SeasonEvents.getYearEvents
+         */
+        getYearEvents(year) {
+            return this.cachedForYear(`events:${year}`, () => SeasonEvents.getYearEvents(year));
+        }
+
+        /**
+         * Generate complete analemma visualization data
+         * @param {Object} location Location object with latitude/longitude
+         * @param {Date} date Current date
+         * @param {Object} options Options
+         * @param {string|null} options.timeZone IANA time zone for the clock times of the sky and noon views
+         * @returns {Promise<Object>} Visualization data
+         */
+        async generateVisualization(location, date, { timeZone = null } = {}) {
+            if (!location) {
+                return {
+                    path: null,
+                    sunPosition: null,
+                    direction: null,
+                    markers: [],
+                    dateMarks: null,
+                    axes: null,
+                    noonHorizon: null,
+                    sky: null,
+                    isExtreme: false,
+                    error: 'No location provided'
+                };
+            }
+
+            try {
+                if (this.projection === 'sky') {
+                    return this.generateSkyView(location, date, timeZone);
+                }
+                if (this.projection === 'noon') {
+                    return this.generateNoonView(location, date, timeZone);
+                }
+
+                // Check for extreme latitude
+                const isExtreme = SolarCalculations.isSunBelowHorizonAtNoon(
+                    location.latitude,
+                    date
+                );
+
+                // Get analemma path
+                const pathData = await this.calculatePath(location, date, timeZone);
+
+                // Get current sun position
+                const sunPosition = await this.calculateSunPosition(location, date);
+
+                // Get viewing direction
+                const direction = this.calculateDirection(location.latitude);
+
+                // Mark this year's solstices, equinoxes and apsides on the path
+                const markers = await this.calculateEventMarkers(location, date);
+
+                // Optional axes and gridlines
+                const axes = this.showAxes ? await this.calculateAxes(location) : null;
+
+                // Days the noon sun stays below the horizon
+                const noonHorizon = await this.calculateNoonHorizon(location, pathData.coordinates);
+
+                // Month ticks and arrows, laid out around the event labels, axes and horizon label
+                // (the path's days are numbered in the data's year, whichever year is shown)
+                const reserved = [...(axes ? axes.reserved : [])];
+                if (noonHorizon.isVisible) {
+                    reserved.push(this.estimateLabelBox(noonHorizon.label, noonHorizon.labelX, noonHorizon.labelY, 'end', 9));
+                }
+                const dateMarks = this.calculateDateMarks(pathData.coordinates, markers, pathData.dayYear, reserved);
+
+                return {
+                    path: pathData,
+                    sunPosition,
+                    direction,
+                    markers,
+                    dateMarks,
+                    axes,
+                    noonHorizon,
+                    sky: null,
+                    isExtreme,
+                    error: null
+                };
+            } catch (error) {
+                console.error('Analemma visualization error:', error);
+                return {
+                    path: null,
+                    sunPosition: null,
+                    direction: null,
+                    markers: [],
+                    dateMarks: null,
+                    axes: null,
+                    noonHorizon: null,
+                    sky: null,
+                    isExtreme: false,
+                    error: error.message
+                };
+            }
+        }
+
+        /**
+         * Move today's sun, and the date trail, on the figure already drawn for the year
+         * Frames of the date animation use this instead of redrawing the whole visualization
+         * @param {Object} location Location object with latitude/longitude
+         * @param {Date} date Current date, in the year of the drawn figure
+         * @param {Object} options Options
+         * @param {string|null} options.timeZone IANA time zone for the clock times of the sky and noon views
+         * @returns {Promise<Object>} Sun position (null while the sky view's sun is down) and the trail
+         *     segments (null when the colouring does not follow the date)
+         */
+        async generateSunMarker(location, date, { timeZone = null } = {}) {
+            const year = date.getFullYear();
+            const isTrail = this.pathColoring === 'trail';
+
+            if (this.projection === 'sky') {
+                const { frame } = this.calculateSkyFigure(location, year, timeZone);
+                return { sunPosition: this.calculateSkySunPosition(location, date, timeZone, frame), segments: null };
+            }
+            if (this.projection === 'noon') {
+                const { coordinates } = this.calculateNoonFigure(location, year, timeZone);
+                return {
+                    sunPosition: this.calculateNoonSunPosition(coordinates, date),
+                    segments: isTrail ? this.calculatePathSegments(coordinates, location.latitude, date, { timeZone, dayYear: year }) : null
+                };
+            }
+
             return {
-                path: null,
-                sunPosition: null,
-                direction: null,
-                isExtreme: false,
-                error: 'No location provided'
+                sunPosition: await this.calculateSunPosition(location, date),
+                segments: isTrail ? (await this.calculatePath(location, date, timeZone)).segments : null
             };
         }
 
-        try {
-            // Check for extreme latitude
-            const isExtreme = SolarCalculations.isSunBelowHorizonAtNoon(
-                location.latitude,
-                date
-            );
+        /**
+         * Generate the sky view: analemmas at fixed clock times in azimuth and altitude,
+         * with the horizon, an altitude grid and azimuth labels, drawn with one scale on both axes
+         * @param {Object} location Location object with latitude/longitude
+         * @param {Date} date Current date (its year is drawn, and its day is marked)
+         * @param {string|null} timeZone IANA time zone whose standard time sets the clock
+         * @returns {Object} Visualization data in the same shape as the chart view, plus sky layers
+         */
+        generateSkyView(location, date, timeZone = null) {
+            const { latitude, longitude } = location;
+            const year = date.getFullYear();
+            const [firstHour] = this.skyHours;
 
-            // Get analemma path
-            const pathData = await this.calculatePath(location, date);
+            const { curves, frame } = this.calculateSkyFigure(location, year, timeZone);
+            const project = point => frame.project(point.azimuth, point.altitude);
 
-            // Get current sun position
-            const sunPosition = await this.calculateSunPosition(location, date);
+            const paths = curves.map(curve => ({ ...curve, pathString: this.generateSkyPath(curve.points, project) }));
+            const visible = curves.flatMap(curve => curve.points.filter(point => point.altitude > 0).map(project));
 
-            // Get viewing direction
-            const direction = this.calculateDirection(location.latitude);
+            // The year's events on the first clock time's analemma
+            const markers = this.getYearEvents(year)
+                .map(event => ({ event, point: SkyView.calculateSkyPosition(latitude, longitude, event.date, firstHour, timeZone) }))
+                .filter(({ point }) => point.altitude > 0)
+                .map(({ event, point }) => {
+                    const { x, y } = project(point);
+                    return {
+                        id: event.id,
+                        type: event.type,
+                        name: event.name,
+                        date: event.date,
+                        label: EVENT_MARKER_LABELS[event.id],
+                        x,
+                        y,
+                        ...this.calculateLabelPlacement(event.type, x, y)
+                    };
+                });
 
             return {
-                path: pathData,
-                sunPosition,
-                direction,
-                isExtreme,
+                path: {
+                    pathString: paths.map(path => path.pathString).filter(Boolean).join(' '),
+                    segments: [],
+                    coordinates: [],
+                    bounds: this.calculateBounds(visible.map(point => ({ svgX: point.x, svgY: point.y }))),
+                    dayYear: year
+                },
+                sunPosition: this.calculateSkySunPosition(location, date, timeZone, frame),
+                direction: this.calculateDirection(latitude),
+                markers,
+                dateMarks: null,
+                axes: null,
+                noonHorizon: null,
+                sky: {
+                    horizon: frame.horizon,
+                    altitudeGrid: frame.altitudeGrid,
+                    azimuthLabels: frame.azimuthLabels,
+                    curves: paths.map(path => this.calculateCurveLabel(path, project))
+                },
+                isExtreme: SolarCalculations.isSunBelowHorizonAtNoon(latitude, date),
                 error: null
             };
-        } catch (error) {
-            console.error('Analemma visualization error:', error);
+        }
+
+        /**
+         * Generate the noon view: this location's solar noon on the standard clock (across)
+         * against the noon sun's altitude (up), drawn like the chart view with fitted axes
+         * @param {Object} location Location object with latitude/longitude
+         * @param {Date} date Current date (its year is drawn, and its day is marked)
+         * @param {string|null} timeZone IANA time zone whose standard time sets the clock
+         * @returns {Object} Visualization data in the same shape as the chart view
+         */
+        generateNoonView(location, date, timeZone = null) {
+            const { latitude } = location;
+            const year = date.getFullYear();
+            const { noon, bounds, coordinates } = this.calculateNoonFigure(location, year, timeZone);
+            const toSVG = coords => AnalemmaCalculations.convertToSVGCoordinates(coords, undefined, this.getPadding(), bounds);
+            const pointOn = day => coordinates[Math.min(coordinates.length, Math.max(1, day)) - 1];
+
+            const markers = this.getYearEvents(year).map(event => {
+                const { svgX: x, svgY: y } = pointOn(AnalemmaCalculations.getDayOfYear(event.date));
+                return {
+                    id: event.id,
+                    type: event.type,
+                    name: event.name,
+                    date: event.date,
+                    label: EVENT_MARKER_LABELS[event.id],
+                    x,
+                    y,
+                    ...this.calculateLabelPlacement(event.type, x, y)
+                };
+            });
+
+            const [horizon, ground] = toSVG([{ x: 0, y: 0 }, { x: 0, y: -1 }]);
+            const noonHorizon = {
+                altitude: 0,
+                ...this.describeHorizonLine(horizon.svgY, ground.svgY > horizon.svgY, coordinates, coord => coord.y < 0)
+            };
+
+            const axes = this.showAxes
+                ? this.layoutAxes({
+                    bounds,
+                    toSVG,
+                    titles: NOON_AXIS_TITLES,
+                    legend: () => `${this.formatClockOffset(noon.clockOffset)} standard time, longitude ${this.formatSigned(noon.longitudeOffset)} min`
+                })
+                : null;
+            const reserved = [...(axes ? axes.reserved : [])];
+            if (noonHorizon.isVisible) {
+                reserved.push(this.estimateLabelBox(noonHorizon.label, noonHorizon.labelX, noonHorizon.labelY, 'end', 9));
+            }
+
             return {
-                path: null,
-                sunPosition: null,
-                direction: null,
-                isExtreme: false,
-                error: error.message
+                path: {
+                    pathString: AnalemmaCalculations.generateSVGPath(coordinates),
+                    segments: this.calculatePathSegments(coordinates, latitude, date, { timeZone, dayYear: year }),
+                    coordinates,
+                    bounds: this.calculateBounds(coordinates),
+                    dayYear: year
+                },
+                sunPosition: this.calculateNoonSunPosition(coordinates, date),
+                direction: this.calculateDirection(latitude),
+                markers,
+                dateMarks: this.calculateDateMarks(coordinates, markers, year, reserved),
+                axes,
+                noonHorizon,
+                sky: null,
+                isExtreme: SolarCalculations.isSunBelowHorizonAtNoon(latitude, date),
+                error: null
             };
         }
-    }
 
-    /**
-     * Calculate analemma path data
-     * @param {Object} location Location object
-     * @param {Date} date Current date for reference
-     * @returns {Promise<Object>} Path data object
-     */
-    async calculatePath(location, date) {
-        // Get all analemma coordinates
-        const allCoords = await AnalemmaCalculations.getAllAnalemmaCoordinates();
-        
-        // Get today's coordinates to ensure consistent scaling
-        const todayCoords = await AnalemmaCalculations.getAnalemmaCoordinatesForDate(date);
-        
-        // Combine for consistent bounds calculation
-        const allCoordsWithToday = [...allCoords, todayCoords];
-        
-        // Convert to SVG coordinates
-        const svgCoords = AnalemmaCalculations.convertToSVGCoordinates(allCoordsWithToday);
-        
-        // Separate analemma path from today's position
-        const analemmaCoords = svgCoords.slice(0, allCoords.length);
-        
-        // Apply hemisphere correction
-        const correctedCoords = AnalemmaCalculations.applyHemisphereCorrection(
-            analemmaCoords,
-            location.latitude
-        );
-        
-        // Generate SVG path string
-        const pathString = AnalemmaCalculations.generateSVGPath(correctedCoords);
-        
-        return {
-            pathString,
-            coordinates: correctedCoords,
-            bounds: this.calculateBounds(correctedCoords)
-        };
-    }
+        /**
+         * The noon view's analemma for a year, in SVG coordinates
+         * @param {Object} location Location object with latitude/longitude
+         * @param {number} year Full year
+         * @param {string|null} timeZone IANA time zone whose standard time sets the clock
+         * @returns {Object} Result of NoonAnalemma.calculateNoonAnalemma, its data bounds and
+         *     the daily points with svgX and svgY
+         */
+        calculateNoonFigure(location, year, timeZone = null) {
+            const { latitude, longitude } = location;
 
-    /**
-     * Calculate current sun position
-     * @param {Object} location Location object
-     * @param {Date} date Current date
-     * @returns {Promise<Object>} Sun position data
-     */
-    async calculateSunPosition(location, date) {
-        // Get today's analemma coordinates
-        const todayCoords = await AnalemmaCalculations.getAnalemmaCoordinatesForDate(date);
-        
-        // Need to get all coordinates to ensure consistent scaling
-        const allCoords = await AnalemmaCalculations.getAllAnalemmaCoordinates();
-        const allCoordsWithToday = [...allCoords, todayCoords];
-        
-        // Convert to SVG coordinates
-        const svgCoords = AnalemmaCalculations.convertToSVGCoordinates(allCoordsWithToday);
-        
-        // Get today's SVG coordinates (last in array)
-        const todaySvgCoords = svgCoords.slice(-1);
-        
-        // Apply hemisphere correction
-        const corrected = AnalemmaCalculations.applyHemisphereCorrection(
-            todaySvgCoords,
-            location.latitude
-        );
-        
-        if (corrected.length === 0) {
-            return null;
-        }
-        
-        const position = corrected[0];
-        
-        return {
-            x: position.svgX,
-            y: position.svgY,
-            elevation: todayCoords.elevation,
-            azimuth: todayCoords.azimuth,
-            date: todayCoords.date
-        };
-    }
+            return this.cachedForYear(`noon:${latitude},${longitude},${year},${timeZone},${this.showAxes}`, () => {
+                const noon = NoonAnalemma.calculateNoonAnalemma(latitude, longitude, year, { timeZone });
 
-    /**
-     * Calculate viewing direction
-     * @param {number} latitude Latitude in degrees
-     * @returns {Object} Direction data
-     */
-    calculateDirection(latitude) {
-        const direction = SolarCalculations.getAnalemmaDirection(latitude);
-        return {
-            direction,
-            rotation: latitude < 0 ? 180 : 0, // Rotate arrow for Southern Hemisphere
-            label: `Looking ${direction === 'N' ? 'North' : 'South'}`
-        };
-    }
+                // Altitude is already what the observer sees, so the figure is never flipped
+                const points = noon.points.map(point => ({ ...point, x: point.noonOffset, y: point.altitude }));
+                const bounds = AnalemmaCalculations.getDataBounds(points);
+                const coordinates = AnalemmaCalculations.convertToSVGCoordinates(points, undefined, this.getPadding(), bounds);
+                return { noon, bounds, coordinates };
+            });
+        }
 
-    /**
-     * Calculate bounds of coordinates
-     * @param {Array} coordinates Array of coordinate objects
-     * @returns {Object} Bounds object
-     */
-    calculateBounds(coordinates) {
-        if (!coordinates || coordinates.length === 0) {
-            return { minX: 0, maxX: 0, minY: 0, maxY: 0 };
+        /**
+         * Today's noon sun on the noon view's analemma
+         * @param {Array<Object>} coordinates Daily points from calculateNoonFigure
+         * @param {Date} date Current date
+         * @returns {Object} Sun position data
+         */
+        calculateNoonSunPosition(coordinates, date) {
+            const day = AnalemmaCalculations.getDayOfYear(date);
+            const today = coordinates[Math.min(coordinates.length, Math.max(1, day)) - 1];
+            const distance = SolarEphemeris.calculateSunDistance(date);
+            const radius = this.calculateSunMarkerRadius(distance.angularDiameter, distance.meanAngularDiameter);
+
+            return {
+                x: today.svgX,
+                y: today.svgY,
+                elevation: today.altitude,
+                date: today.date,
+                distance,
+                radius,
+                icon: this.generateSunIcon(today.svgX, today.svgY, radius)
+            };
         }
 
-        let minX = Infinity, maxX = -Infinity;
-        let minY = Infinity, maxY = -Infinity;
+        /**
+         * Format a UTC offset such as "UTC+1" or "UTC−3:30"
+         * @param {number} offset Minutes east of UTC
+         * @returns {string} Offset label
+         */
+        formatClockOffset(offset) {
+            const minutes = Math.abs(offset);
+            const sign = offset < 0 ? '−' : '+';
+            return `UTC${sign}${Math.floor(minutes / 60)}${minutes % 60 ? `:${String(minutes % 60).padStart(2, '0')}` : ''}`;
+        }
 
-        coordinates.forEach(coord => {
-            minX = Math.min(minX, coord.svgX);
-            maxX = Math.max(maxX, coord.svgX);
-            minY = Math.min(minY, coord.svgY);
-            maxY = Math.max(maxY, coord.svgY);
-        });
+        /**
+         * Format a value as a signed whole number such as "+6" or "−12"
+         * @param {number} value Value (rounded to the nearest whole number)
+         * @returns {string} Signed value
+         */
+        formatSigned(value) {
+            const rounded = Math.round(value);
+            return rounded > 0 ? `+${rounded}` : rounded < 0 ? `−${-rounded}` : '0';
+        }
 
-        return { minX, maxX, minY, maxY };
-    }
+        /**
+         * The sky view's analemmas for a year and the frame fitted to them
+         * @param {Object} location Location object with latitude/longitude
+         * @param {number} year Full year
+         * @param {string|null} timeZone IANA time zone whose standard time sets the clock
+         * @returns {Object} Curves {hour, points} in clock-time order and the frame from calculateSkyFrame
+         */
+        calculateSkyFigure(location, year, timeZone = null) {
+            const { latitude, longitude } = location;
 
-    /**
-     * Generate sun icon data
-     * @param {number} x X coordinate
-     * @param {number} y Y coordinate
-     * @param {number} radius Sun radius
-     * @returns {Object} Sun icon data
-     */
-    generateSunIcon(x, y, radius = 8) {
-        return {
-            center: { x, y },
-            radius,
-            rays: [
-                { x1: x - radius - 4, y1: y, x2: x - radius, y2: y },
-                { x1: x + radius, y1: y, x2: x + radius + 4, y2: y },
-                { x1: x, y1: y - radius - 4, x2: x, y2: y - radius },
-                { x1: x, y1: y + radius, x2: x, y2: y + radius + 4 },
-                // Diagonal rays
-                { x1: x - radius * 0.7 - 3, y1: y - radius * 0.7 - 3, 
-                  x2: x - radius * 0.7, y2: y - radius * 0.7 },
-                { x1: x + radius * 0.7, y1: y + radius * 0.7, 
-                  x2: x + radius * 0.7 + 3, y2: y + radius * 0.7 + 3 },
-                { x1: x + radius * 0.7, y1: y - radius * 0.7, 
-                  x2: x + radius * 0.7 + 3, y2: y - radius * 0.7 - 3 },
-                { x1: x - radius * 0.7 - 3, y1: y + radius * 0.7 + 3, 
-                  x2: x - radius * 0.7, y2: y + radius * 0.7 }
-            ],
-            colors: {
-                fill: '#FFD700',
-                stroke: '#FFA500'
-            }
-        };
-    }
+            return this.cachedForYear(`sky:${latitude},${longitude},${year},${timeZone},${this.skyHours.join(',')}`, () => {
+                const curves = this.skyHours.map(hour => ({
+                    hour,
+                    points: SkyView.calculateSkyAnalemma(latitude, longitude, year, hour, { timeZone })
+                }));
+                return { curves, frame: this.calculateSkyFrame(latitude, curves.flatMap(curve => curve.points)) };
+            });
+        }
 
-    /**
-     * Get SVG viewBox for the visualization
-     * @returns {string} ViewBox string
-     */
-    getViewBox() {
-        return `0 0 ${this.svgWidth} ${this.svgHeight}`;
+        /**
+         * Today's sun on the first clock time's analemma in the sky view
+         * @param {Object} location Location object with latitude/longitude
+         * @param {Date} date Current date
+         * @param {string|null} timeZone IANA time zone whose standard time sets the clock
+         * @param {Object} frame Sky frame from calculateSkyFrame
+         * @returns {Object|null} Sun position data, or null while the sun is below the horizon at that time
+         */
+        calculateSkySunPosition(location, date, timeZone, frame) {
+            const today = SkyView.calculateSkyPosition(location.latitude, location.longitude, date, this.skyHours[0], timeZone);
+            return today.altitude > 0 ? this.createSkySunPosition(today, frame.project(today.azimuth, today.altitude)) : null;
+        }
+
+        /**
+         * Fit the sky view to the visible sun positions
+         * A stereographic projection about the horizon point below the figure (the mean
+         * direction of the visible positions), so the horizon stays straight and the figure
+         * keeps its shape where the sun passes north of the zenith
+         * Drawn as seen facing that point: east is on the left when facing south, and on the
+         * right when facing north (as in the Southern Hemisphere)
+         * @param {number} latitude Latitude in degrees
+         * @param {Array<Object>} points Sun positions {azimuth, altitude}
+         * @returns {Object} Projection function, horizon, altitude grid and azimuth labels
+         */
+        calculateSkyFrame(latitude, points) {
+            const width = 400;
+            const height = 300;
+            const padding = 30;
+            const toRadians = degrees => degrees * Math.PI / 180;
+
+            const visible = points.filter(point => point.altitude > 0);
+            const east = visible.reduce((sum, point) => sum + Math.cos(toRadians(point.altitude)) * Math.sin(toRadians(point.azimuth)), 0);
+            const north = visible.reduce((sum, point) => sum + Math.cos(toRadians(point.altitude)) * Math.cos(toRadians(point.azimuth)), 0);
+            const centerAzimuth = Math.hypot(east, north) > 1e-6
+                ? (Math.atan2(east, north) * 180 / Math.PI + 360) % 360
+                : (SolarCalculations.getAnalemmaDirection(latitude) === 'S' ? 180 : 0);
+
+            // Plane coordinates in radians near the centre: x to the right, y up
+            const toPlane = (azimuth, altitude) => {
+                const offset = toRadians(azimuth - centerAzimuth);
+                const cosAltitude = Math.cos(toRadians(altitude));
+                const denominator = 1 + cosAltitude * Math.cos(offset);
+                return { u: 2 * cosAltitude * Math.sin(offset) / denominator, v: 2 * Math.sin(toRadians(altitude)) / denominator };
+            };
+            const margin = toRadians(SKY_VIEW_MARGIN);
+
+            const planes = visible.length > 0
+                ? visible.map(point => toPlane(point.azimuth, point.altitude))
+                : [toPlane(centerAzimuth - 30, 0), toPlane(centerAzimuth + 30, 30)];
+            const bounds = {
+                xMin: Math.min(...planes.map(plane => plane.u)) - margin,
+                xMax: Math.max(...planes.map(plane => plane.u)) + margin,
+                yMin: -2 * Math.tan(toRadians(SKY_VIEW_GROUND) / 2),
+                yMax: Math.max(...planes.map(plane => plane.v)) + margin
+            };
+
+            const scale = Math.min(
+                (width - 2 * padding) / (bounds.xMax - bounds.xMin),
+                (height - 2 * padding) / (bounds.yMax - bounds.yMin)
+            );
+            const left = (width - (bounds.xMax - bounds.xMin) * scale) / 2;
+            const top = (height - (bounds.yMax - bounds.yMin) * scale) / 2;
+            const toX = u => left + (u - bounds.xMin) * scale;
+            const toY = v => top + (bounds.yMax - v) * scale;
+            const inFrame = ({ u, v }) => u >= bounds.xMin && u <= bounds.xMax && v >= 0 && v <= bounds.yMax;
+
+            // Altitude circles, sampled around the sky and broken where they leave the frame
+            const altitudeGrid = [];
+            for (let altitude = 10; altitude < 90; altitude += 10) {
+                const samples = [];
+                for (let offset = -180; offset <= 180; offset += 2) {
+                    samples.push(toPlane(centerAzimuth + offset, altitude));
+                }
+                const shown = samples.filter(inFrame);
+                if (shown.length === 0) continue;
+
+                let pathString = '';
+                let drawing = false;
+                samples.forEach(plane => {
+                    if (!inFrame(plane)) {
+                        drawing = false;
+                        return;
+                    }
+                    pathString += `${pathString ? ' ' : ''}${drawing ? 'L' : 'M'} ${toX(plane.u)} ${toY(plane.v)}`;
+                    drawing = true;
+                });
+
+                const leftmost = shown.reduce((best, plane) => (plane.u < best.u ? plane : best), shown[0]);
+                altitudeGrid.push({
+                    altitude,
+                    y: toY(toPlane(centerAzimuth, altitude).v),
+                    label: `${altitude}°`,
+                    pathString,
+                    labelX: toX(leftmost.u),
+                    labelY: toY(leftmost.v)
+                });
+            }
+
+            const azimuthLabels = [];
+            for (let offset = -165; offset <= 165; offset += 15) {
+                const azimuth = ((Math.round(centerAzimuth / 15) * 15 + offset) % 360 + 360) % 360;
+                const { u } = toPlane(azimuth, 0);
+                if (u < bounds.xMin || u > bounds.xMax) continue;
+                azimuthLabels.push({
+                    azimuth,
+                    x: toX(u),
+                    label: COMPASS_LABELS[azimuth] || `${azimuth}°`,
+                    isCompassPoint: azimuth in COMPASS_LABELS
+                });
+            }
+
+            return {
+                bounds,
+                scale,
+                centerAzimuth,
+                project: (azimuth, altitude) => {
+                    const { u, v } = toPlane(azimuth, altitude);
+                    return { x: toX(u), y: toY(v) };
+                },
+                horizon: { x1: toX(bounds.xMin), x2: toX(bounds.xMax), y: toY(0), groundY: toY(bounds.yMin) },
+                altitudeGrid,
+                azimuthLabels
+            };
+        }
+
+        /**
+         * Path through one clock time's daily positions, broken where the sun is below the horizon
+         * @param {Array<Object>} points Daily sun positions in day order
+         * @param {Function} project Maps a position to {x, y}
+         * @returns {string} SVG path data (closed if the sun is up on every day)
+         */
+        generateSkyPath(points, project) {
+            let pathString = '';
+            let drawing = false;
+
+            points.forEach(point => {
+                const position = point.altitude > 0 ? project(point) : null;
+                if (!position) {
+                    drawing = false;
+                    return;
+                }
+                const { x, y } = position;
+                pathString += `${pathString ? ' ' : ''}${drawing ? 'L' : 'M'} ${x} ${y}`;
+                drawing = true;
+            });
+
+            return points.length > 0 && points.every(point => point.altitude > 0) ? `${pathString} Z` : pathString;
+        }
+
+        /**
+         * Label an analemma with its clock time above its highest point
+         * @param {Object} curve Curve with hour and points
+         * @param {Function} project Maps a position to {x, y}
+         * @returns {Object} Clock time label and position, or hidden if the sun never rises at that time
+         */
+        calculateCurveLabel(curve, project) {
+            const hours = Math.floor(curve.hour);
+            const minutes = Math.round((curve.hour - hours) * 60);
+            const label = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+            const highest = curve.points.reduce((best, point) => (point.altitude > best.altitude ? point : best), curve.points[0]);
+
+            if (!highest || highest.altitude <= 0) {
+                return { hour: curve.hour, label, visible: false };
+            }
+
+            const { x, y } = project(highest);
+            return { hour: curve.hour, label, visible: true, x, y: y - 10 };
+        }
+
+        /**
+         * Sun marker data for the sky view
+         * @param {Object} point Sun position {date, altitude, azimuth}
+         * @param {Object} position Projected position {x, y}
+         * @returns {Object} Sun position data in the chart view's shape
+         */
+        createSkySunPosition(point, position) {
+            const distance = SolarEphemeris.calculateSunDistance(point.date);
+            const radius = this.calculateSunMarkerRadius(distance.angularDiameter, distance.meanAngularDiameter);
+
+            return {
+                x: position.x,
+                y: position.y,
+                elevation: point.altitude,
+                azimuth: point.azimuth,
+                date: point.date,
+                distance,
+                radius,
+                icon: this.generateSunIcon(position.x, position.y, radius)
+            };
+        }
+
+        /**
+         * Generate the overlay for a calibrated sky photo: the analemma at one clock time,
+         * the horizon and today's sun, in the photo's pixels
+         * @param {Object} location Location object with latitude/longitude
+         * @param {Date} date Current date (its year is drawn, and its day is marked)
+         * @param {Object} calibration Result of PhotoCalibration.createCalibration
+         * @param {Object} options Options
+         * @param {number} options.width Photo width in pixels
+         * @param {number} options.height Photo height in pixels
+         * @param {number} options.hour Standard clock time of the exposures (default 12)
+         * @param {string|null} options.timeZone IANA time zone whose standard time sets the clock
+         * @returns {Object} Overlay data in photo pixels
+         */
+        generatePhotoOverlay(location, date, calibration, { width, height, hour = 12, timeZone = null }) {
+            const { latitude, longitude } = location;
+            // Drop points far outside the photo, where the projection runs off toward infinity
+            const project = point => {
+                const pixel = PhotoCalibration.skyToPixel(calibration, point);
+                const inReach = pixel && Math.abs(pixel.x - width / 2) < 2 * width && Math.abs(pixel.y - height / 2) < 2 * height;
+                return inReach ? pixel : null;
+            };
+            const points = SkyView.calculateSkyAnalemma(latitude, longitude, date.getFullYear(), hour, { timeZone });
+
+            // Horizon across the half of the sky the camera faces (a hair above 0° so generateSkyPath keeps it)
+            const horizon = [];
+            for (let offset = -90; offset <= 90; offset += 2) {
+                horizon.push({ altitude: 0.001, azimuth: (calibration.center.azimuth + offset + 360) % 360 });
+            }
+
+            const today = SkyView.calculateSkyPosition(latitude, longitude, date, hour, timeZone);
+            const todayPixel = today.altitude > 0 ? project(today) : null;
+
+            // Icon at least the size of the chart view's marker, relative to the photo
+            const iconScale = Math.max(width, height) / this.svgWidth;
+            const radius = Math.max(SUN_MARKER_RADIUS * iconScale, calibration.pixelsPerDegree * 0.27);
+
+            return {
+                width,
+                height,
+                hour,
+                iconScale,
+                path: this.generateSkyPath(points, project),
+                horizon: this.generateSkyPath(horizon, project),
+                sun: todayPixel
+                    ? { ...today, x: todayPixel.x, y: todayPixel.y, icon: this.generateSunIcon(todayPixel.x, todayPixel.y, radius) }
+                    : null
+            };
+        }
+
+        /**
+         * Generate standalone SVG markup for a photo overlay, with inline styles so it
+         * can be drawn onto a canvas
+         * @param {Object} overlay Result of generatePhotoOverlay, or {width, height} before calibration
+         * @param {Array<Object>} references Clicked reference pixels {x, y}
+         * @returns {string} SVG markup sized to the photo
+         */
+        toOverlaySVG(overlay, references = []) {
+            const { width, height } = overlay;
+            const unit = overlay.iconScale || Math.max(width, height) / this.svgWidth;
+            const parts = [];
+
+            if (overlay.horizon) {
+                parts.push(`<path d="${overlay.horizon}" fill="none" stroke="#ffffff" stroke-width="${unit}" stroke-dasharray="${unit * 6} ${unit * 4}" opacity="0.8"/>`);
+            }
+            if (overlay.path) {
+                parts.push(`<path d="${overlay.path}" fill="none" stroke="#fde68a" stroke-width="${unit * 2}" opacity="0.9"/>`);
+            }
+            if (overlay.sun) {
+                const { center, radius, rays, colors } = overlay.sun.icon;
+                parts.push(`<circle cx="${center.x}" cy="${center.y}" r="${radius}" fill="${colors.fill}" fill-opacity="0.6" stroke="${colors.stroke}" stroke-width="${unit * 2}"/>`);
+                parts.push(`<g stroke="${colors.fill}" stroke-width="${unit * 2}" stroke-linecap="round">${rays.map(ray =>
+                    `<line x1="${ray.x1}" y1="${ray.y1}" x2="${ray.x2}" y2="${ray.y2}"/>`).join('')}</g>`);
+            }
+
+            references.forEach((point, index) => {
+                const size = unit * 8;
+                parts.push(`<path d="M ${point.x - size} ${point.y} L ${point.x + size} ${point.y} M ${point.x} ${point.y - size} L ${point.x} ${point.y + size}" stroke="#38bdf8" stroke-width="${unit * 1.5}"/>`);
+                parts.push(`<text x="${point.x + size}" y="${point.y - size}" fill="#38bdf8" font-size="${unit * 12}" font-family="sans-serif">${index + 1}</text>`);
+            });
+
+            return [
+                `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+                ...parts.map(part => `  ${part}`),
+                '</svg>'
+            ].join('\n');
+        }
+
+        /**
+         * Calculate analemma path data
+         * @param {Object} location Location object
+         * @param {Date} date Current date for reference
+         * @param {string|null} timeZone IANA time zone whose civil date places today on the path
+         * @returns {Promise<Object>} Path data object, with dayYear the year its day numbers count in
+         */
+        async calculatePath(location, date, timeZone = null) {
+            // Get all analemma coordinates, numbered by day of the data's year
+            const allCoords = await AnalemmaCalculations.getAllAnalemmaCoordinates();
+            const { year: dayYear } = await AnalemmaCalculations.getAnalemmaMetadata();
+            
+            // Convert to SVG coordinates, scaled to the year's figure alone so the sun can move without a redraw
+            const analemmaCoords = this.toSVGCoordinates(allCoords, allCoords);
+            
+            // Apply hemisphere correction
+            const correctedCoords = AnalemmaCalculations.applyHemisphereCorrection(
+                analemmaCoords,
+                location.latitude
+            );
+            
+            // Generate SVG path string
+            const pathString = AnalemmaCalculations.generateSVGPath(correctedCoords);
+            
+            return {
+                pathString,
+                segments: this.calculatePathSegments(correctedCoords, location.latitude, date, { timeZone, dayYear }),
+                coordinates: correctedCoords,
+                bounds: this.calculateBounds(correctedCoords),
+                dayYear
+            };
+        }
+
+        /**
+         * Split the path into coloured segments for the chosen colouring
+         * @param {Array<Object>} coordinates Path coordinates with dayOfYear, svgX and svgY
+         * @param {number} latitude Latitude in degrees (sets which season each date falls in)
+         * @param {Date} date Current date
+         * @param {Object} options Options
+         * @param {string|null} options.timeZone IANA time zone of the location, whose civil date is today
+         * @param {number} options.dayYear Year the path's day numbers count in (default: the date's year)
+         * @returns {Array<Object>} Segments {pathString, color, className, startDay, endDay},
+         *     empty when the path is drawn in one colour
+         */
+        calculatePathSegments(coordinates, latitude, date, { timeZone = null, dayYear = date.getFullYear() } = {}) {
+            if (this.pathColoring === 'trail') {
+                const count = coordinates.length;
+                const today = this.getPathDay(date, timeZone, dayYear);
+                const groupOf = ({ dayOfYear }) => {
+                    // Days ahead of today, wrapping round the year
+                    const ahead = (dayOfYear - today + count) % count;
+                    if (ahead < this.trailDays) return 'ahead';
+                    if (count - ahead <= this.trailDays) return 'behind';
+                    return null;
+                };
+
+                return AnalemmaCalculations.generateSVGSegments(coordinates, groupOf).map(segment => ({
+                    pathString: segment.pathString,
+                    color: TRAIL_COLORS[segment.group],
+                    className: `trail-${segment.group}`,
+                    startDay: segment.startDay,
+                    endDay: segment.endDay
+                }));
+            }
+
+            if (this.pathColoring === 'season') {
+                const stops = this.calculateSeasonStops(latitude, date.getFullYear(), coordinates.length);
+                const groupOf = ({ dayOfYear }) => Math.floor((dayOfYear - 1) / GRADIENT_STEP_DAYS);
+
+                return AnalemmaCalculations.generateSVGSegments(coordinates, groupOf).map(segment => ({
+                    pathString: segment.pathString,
+                    color: this.interpolateSeasonColor(stops, (segment.startDay + segment.endDay + 1) / 2, coordinates.length),
+                    className: 'season-gradient',
+                    startDay: segment.startDay,
+                    endDay: segment.endDay
+                }));
+            }
+
+            return [];
+        }
+
+        /**
+         * Number the location's civil date in the year the path's days count in
+         * @param {Date} date Instant
+         * @param {string|null} timeZone IANA time zone of the location (default: device zone)
+         * @param {number} dayYear Year the path's day numbers count in
+         * @returns {number} Day of that year with the same month and day (29 February is the 28th in a common year)
+         */
+        getPathDay(date, timeZone, dayYear) {
+            const [, month, day] = TimeZoneLookup.formatISODateInTimeZone(date, timeZone).split('-').map(Number);
+            const lastDay = new Date(Date.UTC(dayYear, month, 0)).getUTCDate();
+            return Math.round((Date.UTC(dayYear, month - 1, Math.min(day, lastDay)) - Date.UTC(dayYear, 0, 0)) / (24 * 60 * 60 * 1000));
+        }
+
+        /**
+         * Gradient stops at the solstices and equinoxes: each season's colour at its start
+         * @param {number} latitude Latitude in degrees
+         * @param {number} year Full year
+         * @param {number} daysInYear Days on the path
+         * @returns {Array<Object>} Stops {day, color} sorted by day
+         */
+        calculateSeasonStops(latitude, year, daysInYear) {
+            const starts = SEASON_STARTS[latitude < 0 ? 'south' : 'north'];
+
+            return this.getYearEvents(year)
+                .filter(event => starts[event.id])
+                .map(event => ({
+                    day: Math.min(daysInYear, AnalemmaCalculations.getDayOfYear(event.date)),
+                    season: starts[event.id],
+                    color: SEASON_COLORS[starts[event.id]]
+                }))
+                .sort((a, b) => a.day - b.day);
+        }
+
+        /**
+         * Colour of a day on the seasonal gradient, blending between the surrounding stops
+         * @param {Array<Object>} stops Result of calculateSeasonStops
+         * @param {number} day Day of the year (may be fractional)
+         * @param {number} daysInYear Days on the path, for wrapping past the last stop
+         * @returns {string} Hex colour
+         */
+        interpolateSeasonColor(stops, day, daysInYear) {
+            const nextIndex = stops.findIndex(stop => stop.day > day);
+            const next = nextIndex < 0 ? stops[0] : stops[nextIndex];
+            const previous = nextIndex <= 0 ? stops[stops.length - 1] : stops[nextIndex - 1];
+            const span = (next.day - previous.day + daysInYear) % daysInYear || daysInYear;
+            const progress = ((day - previous.day + daysInYear) % daysInYear) / span;
+
+            const channels = hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+            const from = channels(previous.color);
+            const to = channels(next.color);
+            return `#${from.map((value, i) => Math.round(value + (to[i] - value) * progress).toString(16).padStart(2, '0')).join('')}`;
+        }
+
+        /**
+         * Calculate current sun position
+         * @param {Object} location Location object
+         * @param {Date} date Current date
+         * @returns {Promise<Object>} Sun position data
+         */
+        async calculateSunPosition(location, date) {
+            // Get today's analemma coordinates
+            const todayCoords = await AnalemmaCalculations.getAnalemmaCoordinatesForDate(date);
+            
+            // Need to get all coordinates to ensure consistent scaling
+            const allCoords = await AnalemmaCalculations.getAllAnalemmaCoordinates();
+            
+            // Convert today's coordinates with the bounds of the whole year
+            const todaySvgCoords = this.toSVGCoordinates([todayCoords], allCoords);
+            
+            // Apply hemisphere correction
+            const corrected = AnalemmaCalculations.applyHemisphereCorrection(
+                todaySvgCoords,
+                location.latitude
+            );
+            
+            if (corrected.length === 0) {
+                return null;
+            }
+            
+            const position = corrected[0];
+            const distance = SolarEphemeris.calculateSunDistance(date);
+            const radius = this.calculateSunMarkerRadius(distance.angularDiameter, distance.meanAngularDiameter);
+            
+            return {
+                x: position.svgX,
+                y: position.svgY,
+                elevation: todayCoords.elevation,
+                azimuth: todayCoords.azimuth,
+                date: todayCoords.date,
+                distance,
+                radius,
+                icon: this.generateSunIcon(position.svgX, position.svgY, radius)
+            };
+        }
+
+        /**
+         * Scale the sun marker to the sun's apparent diameter
+         * @param {number} angularDiameter Apparent diameter in degrees
+         * @param {number} meanAngularDiameter Diameter at 1 AU in degrees
+         * @returns {number} Marker radius in SVG units
+         */
+        calculateSunMarkerRadius(angularDiameter, meanAngularDiameter) {
+            const ratio = angularDiameter / meanAngularDiameter;
+            return SUN_MARKER_RADIUS * (1 + (ratio - 1) * SUN_SIZE_EXAGGERATION);
+        }
+
+        /**
+         * Calculate season event markers (equinoxes, solstices, perihelion, aphelion)
+         * Events are placed at their exact equation of time and declination,
+         * scaled with the same bounds as the analemma path
+         * @param {Object} location Location object
+         * @param {Date} date Date whose year's events are marked
+         * @returns {Promise<Array>} Marker data with SVG position and label
+         */
+        async calculateEventMarkers(location, date) {
+            const allCoords = await AnalemmaCalculations.getAllAnalemmaCoordinates();
+            const events = this.getYearEvents(date.getFullYear());
+            const eventCoords = events.map(event => ({
+                x: event.equationOfTime,
+                y: event.declination
+            }));
+
+            const svgCoords = this.toSVGCoordinates(eventCoords, allCoords);
+            const corrected = AnalemmaCalculations.applyHemisphereCorrection(svgCoords, location.latitude);
+
+            return events.map((event, index) => {
+                const { svgX: x, svgY: y } = corrected[index];
+                return {
+                    id: event.id,
+                    type: event.type,
+                    name: event.name,
+                    date: event.date,
+                    label: EVENT_MARKER_LABELS[event.id],
+                    x,
+                    y,
+                    ...this.calculateLabelPlacement(event.type, x, y)
+                };
+            });
+        }
+
+        /**
+         * Place a marker label outside the figure-eight
+         * Solstices sit at the tips, so their labels go above or below;
+         * the other labels go to the side the point lies on
+         * @param {string} type Event type
+         * @param {number} x Marker X coordinate
+         * @param {number} y Marker Y coordinate
+         * @returns {Object} Text anchor and offsets
+         */
+        calculateLabelPlacement(type, x, y) {
+            const center = { x: 400 / 2, y: 300 / 2 };
+
+            if (type === 'solstice') {
+                return { labelAnchor: 'middle', labelDx: 0, labelDy: y < center.y ? -9 : 16 };
+            }
+
+            return x < center.x
+                ? { labelAnchor: 'end', labelDx: -8, labelDy: 4 }
+                : { labelAnchor: 'start', labelDx: 8, labelDy: 4 };
+        }
+
+        /**
+         * Calculate month-start ticks with labels and direction-of-travel arrows
+         * Works on the hemisphere-corrected coordinates, so ticks point out of the
+         * figure and arrows follow the sun whichever way up the analemma is drawn
+         * @param {Array<Object>} coordinates Path coordinates with dayOfYear, svgX and svgY
+         * @param {Array<Object>} markers Event markers whose labels the month labels must avoid
+         * @param {number} year Calendar year the day numbers refer to
+         * @param {Array<Object>} reserved Further boxes {x1, y1, x2, y2} the labels must keep out of
+         * @returns {Object} Ticks {month, label, x1, y1, x2, y2, labelX, labelY} (label null where
+         *     none fits) and arrows {x, y, angle} with the angle in degrees clockwise from +x
+         */
+        calculateDateMarks(coordinates, markers = [], year = new Date().getFullYear(), reserved = []) {
+            const points = [...coordinates].sort((a, b) => a.dayOfYear - b.dayOfYear);
+            if (points.length < 3) {
+                return { ticks: [], arrows: [] };
+            }
+
+            const bounds = this.calculateBounds(points);
+            const center = { x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2 };
+            const dayOf = (month, day) => Math.round((Date.UTC(year, month, day) - Date.UTC(year, 0, 0)) / 86400000);
+            const indexOf = dayOfYear => {
+                const index = points.findIndex(point => point.dayOfYear >= dayOfYear);
+                return index < 0 ? points.length - 1 : index;
+            };
+            // Direction of travel from the neighbouring days (the path is closed)
+            const tangentAt = index => {
+                const before = points[(index - 1 + points.length) % points.length];
+                const after = points[(index + 1) % points.length];
+                const dx = after.svgX - before.svgX;
+                const dy = after.svgY - before.svgY;
+                const length = Math.hypot(dx, dy) || 1;
+                return { x: dx / length, y: dy / length };
+            };
+
+            // Everything a label must not cover: the curve itself, the event markers and their labels
+            const obstacles = points.map(point => ({ x1: point.svgX - 1, y1: point.svgY - 1, x2: point.svgX + 1, y2: point.svgY + 1 }));
+            obstacles.push(...reserved);
+            markers.forEach(marker => {
+                obstacles.push({ x1: marker.x - 5, y1: marker.y - 5, x2: marker.x + 5, y2: marker.y + 5 });
+                if (marker.label) {
+                    obstacles.push(this.estimateLabelBox(marker.label, marker.x + marker.labelDx, marker.y + marker.labelDy, marker.labelAnchor, 10));
+                }
+            });
+
+            const ticks = MONTH_LABELS.map((label, month) => {
+                const point = points[indexOf(dayOf(month, 1))];
+                const tangent = tangentAt(points.indexOf(point));
+                let normal = { x: -tangent.y, y: tangent.x };
+                if (normal.x * (point.svgX - center.x) + normal.y * (point.svgY - center.y) < 0) {
+                    normal = { x: -normal.x, y: -normal.y };
+                }
+
+                const tick = {
+                    month: month + 1,
+                    dayOfYear: point.dayOfYear,
+                    label: null,
+                    x1: point.svgX,
+                    y1: point.svgY,
+                    x2: point.svgX + normal.x * DATE_TICK_LENGTH,
+                    y2: point.svgY + normal.y * DATE_TICK_LENGTH,
+                    labelX: null,
+                    labelY: null
+                };
+
+                // Step the label outwards until it clears the curve, the event labels and earlier months,
+                // swinging round to the side and then inside the curve where the outside is crowded
+                const width = label.length * DATE_LABEL_SIZE * 0.6;
+                for (const turn of DATE_LABEL_TURNS) {
+                    const radians = turn * Math.PI / 180;
+                    const direction = {
+                        x: normal.x * Math.cos(radians) - normal.y * Math.sin(radians),
+                        y: normal.x * Math.sin(radians) + normal.y * Math.cos(radians)
+                    };
+                    const reach = Math.abs(direction.x) * width / 2 + Math.abs(direction.y) * DATE_LABEL_SIZE / 2;
+
+                    for (const offset of DATE_LABEL_OFFSETS) {
+                        const distance = DATE_TICK_LENGTH + offset + reach;
+                        const labelX = point.svgX + direction.x * distance;
+                        const labelY = point.svgY + direction.y * distance + DATE_LABEL_SIZE * 0.35;
+                        const box = this.estimateLabelBox(label, labelX, labelY, 'middle', DATE_LABEL_SIZE);
+                        const inside = box.x1 >= 0 && box.y1 >= 0 && box.x2 <= 400 && box.y2 <= 300;
+
+                        if (inside && !obstacles.some(other => this.boxesOverlap(box, other))) {
+                            obstacles.push(box);
+                            return { ...tick, label, labelX, labelY };
+                        }
+                    }
+                }
+
+                return tick;
+            });
+
+            const arrows = ARROW_DATES.map(([month, day]) => {
+                const index = indexOf(dayOf(month, day));
+                const tangent = tangentAt(index);
+                return {
+                    dayOfYear: points[index].dayOfYear,
+                    x: points[index].svgX,
+                    y: points[index].svgY,
+                    angle: Math.atan2(tangent.y, tangent.x) * 180 / Math.PI
+                };
+            });
+
+            return { ticks, arrows };
+        }
+
+        /**
+         * Calculate the noon horizon: the declination below which (above, in the south)
+         * the sun stays under the horizon at solar noon, ignoring refraction
+         * Declination is the chart's vertical axis, so the line is straight across and the
+         * hidden days all lie on one side of it
+         * @param {Object} location Location object with latitude
+         * @param {Array<Object>} coordinates Path coordinates (x, y: declination, dayOfYear, svgX, svgY)
+         * @returns {Promise<Object>} Line position, clip boxes for the sky and ground sides,
+         *     and the runs of days below the horizon; isVisible is false when the line misses the figure
+         */
+        async calculateNoonHorizon(location, coordinates) {
+            const { latitude } = location;
+            const declination = latitude >= 0 ? latitude - 90 : latitude + 90;
+            const isBelow = value => (latitude >= 0 ? value < declination : value > declination);
+
+            const allCoords = await AnalemmaCalculations.getAllAnalemmaCoordinates();
+            const [line, ground] = AnalemmaCalculations.applyHemisphereCorrection(
+                this.toSVGCoordinates(
+                    [{ x: 0, y: declination }, { x: 0, y: declination + (latitude >= 0 ? -1 : 1) }],
+                    allCoords
+                ),
+                latitude
+            );
+
+            return {
+                declination,
+                ...this.describeHorizonLine(line.svgY, ground.svgY > line.svgY, coordinates, coord => isBelow(coord.y))
+            };
+        }
+
+        /**
+         * Describe a horizontal horizon line across the figure
+         * @param {number} y Line position in SVG units
+         * @param {boolean} groundIsDown True if the hidden side of the line is below it on the chart
+         * @param {Array<Object>} coordinates Path coordinates with dayOfYear, svgX and svgY
+         * @param {Function} isBelow Whether a coordinate's noon sun is below the horizon
+         * @returns {Object} Line, label, clip boxes and hidden days; isVisible is false when the line misses the figure
+         */
+        describeHorizonLine(y, groundIsDown, coordinates, isBelow) {
+            const hiddenRuns = AnalemmaCalculations.generateSVGSegments(coordinates, coord => (isBelow(coord) ? 'below' : null));
+            const hiddenDays = coordinates.filter(isBelow).length;
+            const bounds = this.calculateBounds(coordinates);
+            const clipY = Math.min(300, Math.max(0, y));
+
+            return {
+                y,
+                x1: 0,
+                x2: this.svgWidth,
+                isVisible: y >= bounds.minY && y <= bounds.maxY,
+                hiddenDays,
+                hiddenRuns: hiddenRuns.map(run => ({ startDay: run.startDay, endDay: run.endDay })),
+                label: 'Noon horizon',
+                description: hiddenDays > 0
+                    ? `Noon sun below the horizon for ${hiddenDays} days a year`
+                    : 'Noon sun above the horizon all year',
+                labelX: this.svgWidth - 6,
+                labelY: groundIsDown ? y - 4 : y + 11,
+                skyClip: groundIsDown
+                    ? { x: 0, y: 0, width: this.svgWidth, height: clipY }
+                    : { x: 0, y: clipY, width: this.svgWidth, height: 300 - clipY },
+                groundClip: groundIsDown
+                    ? { x: 0, y: clipY, width: this.svgWidth, height: 300 - clipY }
+                    : { x: 0, y: 0, width: this.svgWidth, height: clipY }
+            };
+        }
+
+        /**
+         * Calculate axes and gridlines for the chart view
+         * Ticks and gridlines go through the same scaling and hemisphere flip as the
+         * analemma; in true aspect, minutes of time are placed by their arc on the celestial equator
+         * @param {Object} location Location object with latitude
+         * @returns {Promise<Object>} Axis lines, ticks with gridline paths, titles, scale legend,
+         *     and the boxes reserved for the axes
+         */
+        async calculateAxes(location) {
+            const reference = await AnalemmaCalculations.getAllAnalemmaCoordinates();
+            const metadata = await AnalemmaCalculations.getAnalemmaMetadata();
+            const [{ x: degreesPerMinute }] = AnalemmaCalculations.toAngularCoordinates([{ x: 1, y: 0 }]);
+
+            return this.layoutAxes({
+                bounds: AnalemmaCalculations.getDataBounds(reference),
+                toSVG: points => AnalemmaCalculations.applyHemisphereCorrection(
+                    this.toSVGCoordinates(points, reference),
+                    location.latitude
+                ),
+                titles: { ...DEFAULT_AXIS_TITLES, ...(metadata.coordinateSystem || {}) },
+                legend: ({ pixelsPerX, pixelsPerY }) => (this.trueAspect
+                    ? `True proportions: 1 min = ${degreesPerMinute}° on the equator`
+                    : `Not to scale: stretched ${(pixelsPerX / degreesPerMinute / pixelsPerY).toFixed(1)}× across`)
+            });
+        }
+
+        /**
+         * Lay out axes with minute ticks across and degree ticks up
+         * @param {Object} options Options
+         * @param {Object} options.bounds Data bounds {xMin, xMax, yMin, yMax}
+         * @param {Function} options.toSVG Maps data points [{x, y}] to [{svgX, svgY}]
+         * @param {Object} options.titles Axis titles {x, y}
+         * @param {Function} options.legend Builds the legend text from the scale at the origin {pixelsPerX, pixelsPerY}
+         * @returns {Object} Axis lines, ticks with gridline paths, titles, scale legend,
+         *     and the boxes reserved for the axes
+         */
+        layoutAxes({ bounds, toSVG, titles, legend: describeScale }) {
+            const padding = this.getPadding();
+            const left = padding.left - AXIS_GAP;
+            const right = this.svgWidth - padding.right;
+            const bottom = 300 - padding.bottom + AXIS_GAP;
+            const top = padding.top;
+
+            // Scale at the origin, used to space the ticks and for the legend
+            const [origin, unitX, unitY] = toSVG([{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 1 }]);
+            const pixelsPerX = Math.abs(unitX.svgX - origin.svgX);
+            const pixelsPerY = Math.abs(unitY.svgY - origin.svgY);
+            const pickStep = (steps, pixelsPerUnit) =>
+                steps.find(step => step * pixelsPerUnit >= AXIS_MIN_TICK_SPACING) || steps[steps.length - 1];
+            const valuesBetween = (min, max, step) => {
+                const values = [];
+                for (let value = Math.ceil(min / step) * step; value <= max; value += step) {
+                    values.push(value);
+                }
+                return values;
+            };
+
+            // Minute gridlines run from the bottom to the top of the figure (curved in true aspect)
+            const rows = [...valuesBetween(bounds.yMin, bounds.yMax, 1), bounds.yMax];
+            const xTicks = valuesBetween(bounds.xMin, bounds.xMax, pickStep(AXIS_MINUTE_STEPS, pixelsPerX)).map(value => {
+                const line = toSVG([{ x: value, y: 0 }, ...rows.map(y => ({ x: value, y }))]);
+                return {
+                    value,
+                    label: this.formatSigned(value),
+                    x: line[0].svgX,
+                    isZero: value === 0,
+                    pathString: line.slice(1).map((point, index) => `${index ? 'L' : 'M'} ${point.svgX} ${point.svgY}`).join(' ')
+                };
+            });
+            const yTicks = valuesBetween(bounds.yMin, bounds.yMax, pickStep(AXIS_DEGREE_STEPS, pixelsPerY)).map(value => {
+                const [point] = toSVG([{ x: 0, y: value }]);
+                return {
+                    value,
+                    label: `${this.formatSigned(value)}°`,
+                    y: point.svgY,
+                    isZero: value === 0,
+                    pathString: `M ${left} ${point.svgY} L ${right} ${point.svgY}`
+                };
+            });
+
+            const legend = describeScale({ pixelsPerX, pixelsPerY });
+
+            return {
+                xAxis: { x1: left, y1: bottom, x2: right, y2: bottom, title: titles.x, titleX: (left + right) / 2, titleY: 296 },
+                yAxis: { x1: left, y1: top, x2: left, y2: bottom, title: titles.y, titleX: 12, titleY: (top + bottom) / 2 },
+                tickLength: AXIS_TICK_LENGTH,
+                xTicks,
+                yTicks,
+                legend: { text: legend, x: right, y: 14 },
+                reserved: [
+                    { x1: 0, y1: bottom - 2, x2: this.svgWidth, y2: 300 },
+                    { x1: 0, y1: 0, x2: left + 2, y2: 300 },
+                    this.estimateLabelBox(legend, right, 14, 'end', 9)
+                ]
+            };
+        }
+
+        /**
+         * Approximate the box a text label covers (average glyph width 0.6 em)
+         * @param {string} text Label text
+         * @param {number} x Anchor X coordinate
+         * @param {number} y Baseline Y coordinate
+         * @param {string} anchor SVG text-anchor ('start', 'middle' or 'end')
+         * @param {number} fontSize Font size in SVG units
+         * @returns {Object} Box {x1, y1, x2, y2}
+         */
+        estimateLabelBox(text, x, y, anchor, fontSize) {
+            const width = text.length * fontSize * 0.6;
+            const left = anchor === 'end' ? x - width : anchor === 'middle' ? x - width / 2 : x;
+            return { x1: left, y1: y - fontSize * 0.8, x2: left + width, y2: y + fontSize * 0.2 };
+        }
+
+        /**
+         * Check whether two boxes overlap
+         * @param {Object} a Box {x1, y1, x2, y2}
+         * @param {Object} b Box {x1, y1, x2, y2}
+         * @returns {boolean} True if the boxes share any area
+         */
+        boxesOverlap(a, b) {
+            return a.x1 < b.x2 && b.x1 < a.x2 && a.y1 < b.y2 && b.y1 < a.y2;
+        }
+
+        /**
+         * Calculate viewing direction
+         * @param {number} latitude Latitude in degrees
+         * @returns {Object} Direction data
+         */
+        calculateDirection(latitude) {
+            const direction = SolarCalculations.getAnalemmaDirection(latitude);
+            return {
+                direction,
+                rotation: latitude < 0 ? 180 : 0, // Rotate arrow for Southern Hemisphere
+                label: `Looking ${direction === 'N' ? 'North' : 'South'}`
+            };
+        }
+
+        /**
+         * Find the analemma point nearest to a position on the chart
+         * @param {Array<Object>} coordinates Path coordinates with svgX/svgY
+         * @param {number} x Chart x (viewBox units)
+         * @param {number} y Chart y (viewBox units)
+         * @param {number} maxDistance Ignore points farther than this (default: no limit)
+         * @returns {number} Index of the nearest point, or -1 if none is close enough
+         */
+        findNearestPoint(coordinates, x, y, maxDistance = Infinity) {
+            let nearest = -1;
+            let nearestDistance = maxDistance;
+
+            coordinates.forEach((coord, index) => {
+                const distance = Math.hypot(coord.svgX - x, coord.svgY - y);
+                if (distance <= nearestDistance) {
+                    nearest = index;
+                    nearestDistance = distance;
+                }
+            });
+
+            return nearest;
+        }
+
+        /**
+         * Describe one day of the analemma at a location
+         * @param {Object} point Path coordinate ({dayOfYear, x: equation of time, y: declination})
+         * @param {Object} location Location object with latitude/longitude
+         * @param {number} year Year shown
+         * @param {string|null} timeZone IANA time zone for the civil day and solar noon
+         * @param {Object} options Options
+         * @param {number} options.dayYear Year the day numbers count in (the chart view's data year; default: the year shown)
+         * @returns {Object} Day number, date, equation of time (minutes), declination (degrees) and solar noon
+         */
+        describePoint(point, location, year, timeZone = null, { dayYear = null } = {}) {
+            // The same month and day in the year shown; 29 February becomes the 28th in a common year
+            const numbered = new Date(Date.UTC(dayYear ?? year, 0, point.dayOfYear));
+            const month = numbered.getUTCMonth();
+            const day = Math.min(numbered.getUTCDate(), new Date(Date.UTC(year, month + 1, 0)).getUTCDate());
+            const noonUTC = Date.UTC(year, month, day, 12);
+            const offset = timeZone
+                ? TimeZoneLookup.getTimeZoneOffset(new Date(noonUTC), timeZone)
+                : Math.round(location.longitude / 15) * 60;
+            const date = new Date(noonUTC - offset * 60 * 1000);
+
+            return {
+                dayOfYear: point.dayOfYear,
+                date,
+                // The noon view plots other quantities, and keeps these alongside
+                equationOfTime: point.equationOfTime ?? point.x,
+                declination: point.declination ?? point.y,
+                solarNoon: SolarCalculations.calculateSolarNoon(location.longitude, date, timeZone),
+                svgX: point.svgX,
+                svgY: point.svgY
+            };
+        }
+
+        /**
+         * Calculate bounds of coordinates
+         * @param {Array} coordinates Array of coordinate objects
+         * @returns {Object} Bounds object
+         */
+        calculateBounds(coordinates) {
+            if (!coordinates || coordinates.length === 0) {
+                return { minX: 0, maxX: 0, minY: 0, maxY: 0 };
+            }
+
+            let minX = Infinity, maxX = -Infinity;
+            let minY = Infinity, maxY = -Infinity;
+
+            coordinates.forEach(coord => {
+                minX = Math.min(minX, coord.svgX);
+                maxX = Math.max(maxX, coord.svgX);
+                minY = Math.min(minY, coord.svgY);
+                maxY = Math.max(maxY, coord.svgY);
+            });
+
+            return { minX, maxX, minY, maxY };
+        }
+
+        /**
+         * Generate sun icon data
+         * @param {number} x X coordinate
+         * @param {number} y Y coordinate
+         * @param {number} radius Sun radius
+         * @returns {Object} Sun icon data
+         */
+        generateSunIcon(x, y, radius = SUN_MARKER_RADIUS) {
+            return {
+                center: { x, y },
+                radius,
+                rays: [
+                    { x1: x - radius - 4, y1: y, x2: x - radius, y2: y },
+                    { x1: x + radius, y1: y, x2: x + radius + 4, y2: y },
+                    { x1: x, y1: y - radius - 4, x2: x, y2: y - radius },
+                    { x1: x, y1: y + radius, x2: x, y2: y + radius + 4 },
+                    // Diagonal rays
+                    { x1: x - radius * 0.7 - 3, y1: y - radius * 0.7 - 3, 
+                      x2: x - radius * 0.7, y2: y - radius * 0.7 },
+                    { x1: x + radius * 0.7, y1: y + radius * 0.7, 
+                      x2: x + radius * 0.7 + 3, y2: y + radius * 0.7 + 3 },
+                    { x1: x + radius * 0.7, y1: y - radius * 0.7, 
+                      x2: x + radius * 0.7 + 3, y2: y - radius * 0.7 - 3 },
+                    { x1: x - radius * 0.7 - 3, y1: y + radius * 0.7 + 3, 
+                      x2: x - radius * 0.7, y2: y + radius * 0.7 }
+                ],
+                colors: {
+                    fill: '#FFD700',
+                    stroke: '#FFA500'
+                }
+            };
+        }
+
+        /**
+         * Get SVG viewBox for the visualization
+         * @returns {string} ViewBox string
+         */
+        getViewBox() {
+            return `0 0 ${this.svgWidth} ${this.svgHeight}`;
+        }
     }
-}
 
-// Export for testing
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = AnalemmaRenderer;
-}
+    // Export for testing
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = AnalemmaRenderer;
+    }
 
-// Export to window for browser
-if (typeof window !== 'undefined') {
-    window.AnalemmaRenderer = AnalemmaRenderer;
-} 
\ No newline at end of file
+    // Export to window for browser
+    if (typeof window !== 'undefined') {
+        window.AnalemmaRenderer = AnalemmaRenderer;
+    } 
+})();
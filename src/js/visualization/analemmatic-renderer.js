@@ -0,0 +1,166 @@
+/**
+ * Analemmatic Sundial Renderer
+ * Dimensioned ground plan for a human-gnomon sundial (SVG user units are centimetres)
+ * No DOM manipulation, returns data objects and SVG markup only
+ */
+
+class AnalemmaticRenderer {
+    constructor() {
+        this.unitsPerMeter = 100;
+    }
+
+    /**
+     * Generate the plan layout
+     * @param {Object} design Result of AnalemmaticSundial.designAnalemmaticDial
+     * @param {Object} options Options
+     * @param {string} options.title Title printed on the plan
+     * @returns {Object} Plan geometry in centimetres with north up
+     */
+    generatePlan(design, { title = '' } = {}) {
+        const scale = this.unitsPerMeter;
+        const rx = (design.majorAxis / 2) * scale;
+        const ry = (design.minorAxis / 2) * scale;
+        const reach = Math.max(ry, design.dateScaleLength / 2 * scale);
+        const fontSize = rx * 0.06;
+        const margin = rx * 0.3;
+
+        const width = this.round1(2 * (rx + margin));
+        const height = this.round1(2 * (reach + margin));
+        const cx = width / 2;
+        const cy = height / 2;
+        const toPlan = (x, y) => this.round({ x: cx + x * scale, y: cy - y * scale });
+
+        const months = design.dateScale.map(mark => mark.y * scale);
+
+        return {
+            width,
+            height,
+            title,
+            fontSize,
+            center: this.round({ x: cx, y: cy }),
+            ellipse: { rx: this.round1(rx), ry: this.round1(ry) },
+            hourMarkers: design.hourMarkers.map(marker => {
+                const point = toPlan(marker.x, marker.y);
+                const dx = point.x - cx;
+                const dy = point.y - cy;
+                const distance = Math.hypot(dx, dy) || 1;
+                return {
+                    hour: marker.hour,
+                    point,
+                    label: this.round({
+                        x: point.x + (dx / distance) * fontSize * 1.4,
+                        y: point.y + (dy / distance) * fontSize * 1.4
+                    })
+                };
+            }),
+            dateScale: {
+                y1: this.round1(cy - Math.max(...months)),
+                y2: this.round1(cy - Math.min(...months)),
+                marks: design.dateScale.map((mark, index) => ({
+                    month: mark.month,
+                    y: this.round1(cy - mark.y * scale),
+                    // First half of the year on the west side, second half on the east
+                    side: index < 6 ? -1 : 1
+                }))
+            },
+            dimensions: {
+                major: {
+                    x1: this.round1(cx - rx),
+                    x2: this.round1(cx + rx),
+                    y: this.round1(cy + reach + margin * 0.5),
+                    label: `${design.majorAxis.toFixed(2)} m`
+                },
+                minor: {
+                    x: this.round1(cx + rx + margin * 0.6),
+                    y1: this.round1(cy - ry),
+                    y2: this.round1(cy + ry),
+                    label: `${design.minorAxis.toFixed(2)} m`
+                },
+                dateScale: `Date scale ${design.dateScaleLength.toFixed(2)} m`
+            }
+        };
+    }
+
+    /**
+     * Round a point to 0.1 cm
+     * @param {Object} point Point {x, y}
+     * @returns {Object} Rounded point
+     */
+    round(point) {
+        return { x: this.round1(point.x), y: this.round1(point.y) };
+    }
+
+    /**
+     * Round a value to 0.1 cm
+     * @param {number} value Value
+     * @returns {number} Rounded value
+     */
+    round1(value) {
+        return Math.round(value * 10) / 10;
+    }
+
+    /**
+     * Generate a standalone SVG document of the plan
+     * @param {Object} plan Result of generatePlan
+     * @returns {string} SVG markup
+     */
+    toSVG(plan) {
+        const { width, height, center, ellipse, dateScale, dimensions, fontSize } = plan;
+        const f = this.round1(fontSize);
+        const stroke = this.round1(fontSize * 0.12);
+        const tick = this.round1(fontSize * 0.6);
+        const parts = [];
+
+        parts.push(`<ellipse cx="${center.x}" cy="${center.y}" rx="${ellipse.rx}" ry="${ellipse.ry}" fill="none" stroke="#000" stroke-width="${stroke}" stroke-dasharray="${f} ${f}"/>`);
+
+        plan.hourMarkers.forEach(marker => {
+            parts.push(`<circle cx="${marker.point.x}" cy="${marker.point.y}" r="${this.round1(f * 0.35)}" fill="#000"/>`);
+            parts.push(`<text x="${marker.label.x}" y="${marker.label.y}" text-anchor="middle" dominant-baseline="middle" font-size="${f}">${marker.hour}</text>`);
+        });
+
+        // Date scale: where the person stands
+        parts.push(`<line x1="${center.x}" y1="${dateScale.y1}" x2="${center.x}" y2="${dateScale.y2}" stroke="#000" stroke-width="${stroke * 2}"/>`);
+        dateScale.marks.forEach(mark => {
+            const x2 = this.round1(center.x + mark.side * tick);
+            const labelX = this.round1(center.x + mark.side * tick * 1.3);
+            parts.push(`<line x1="${center.x}" y1="${mark.y}" x2="${x2}" y2="${mark.y}" stroke="#000" stroke-width="${stroke}"/>`);
+            parts.push(`<text x="${labelX}" y="${mark.y}" text-anchor="${mark.side < 0 ? 'end' : 'start'}" dominant-baseline="middle" font-size="${this.round1(f * 0.7)}">${mark.month}</text>`);
+        });
+
+        // Dimension lines
+        const { major, minor } = dimensions;
+        parts.push(`<line x1="${major.x1}" y1="${major.y}" x2="${major.x2}" y2="${major.y}" stroke="#000" stroke-width="${stroke}" marker-start="url(#dimension)" marker-end="url(#dimension)"/>`);
+        parts.push(`<text x="${center.x}" y="${this.round1(major.y - f * 0.4)}" text-anchor="middle" font-size="${f}">${major.label}</text>`);
+        parts.push(`<line x1="${minor.x}" y1="${minor.y1}" x2="${minor.x}" y2="${minor.y2}" stroke="#000" stroke-width="${stroke}" marker-start="url(#dimension)" marker-end="url(#dimension)"/>`);
+        const minorLabelX = this.round1(minor.x - f * 0.4);
+        parts.push(`<text x="${minorLabelX}" y="${center.y}" text-anchor="middle" font-size="${f}" transform="rotate(-90 ${minorLabelX} ${center.y})">${minor.label}</text>`);
+        parts.push(`<text x="${center.x}" y="${this.round1(height - f * 0.5)}" text-anchor="middle" font-size="${this.round1(f * 0.8)}">${dimensions.dateScale}: stand on today's date</text>`);
+
+        // North arrow and title
+        const [x, left, right, tip, barb, tail] = [2, 1.4, 2.6, 1.5, 2.3, 4].map(k => this.round1(f * k));
+        parts.push(`<path d="M ${x} ${tail} L ${x} ${tip} M ${left} ${barb} L ${x} ${tip} L ${right} ${barb}" fill="none" stroke="#000" stroke-width="${stroke}"/>`);
+        parts.push(`<text x="${x}" y="${f}" text-anchor="middle" font-size="${f}">N</text>`);
+        if (plan.title) {
+            parts.push(`<text x="${center.x}" y="${tip}" text-anchor="middle" font-size="${f}">${plan.title}</text>`);
+        }
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" font-family="sans-serif">`,
+            '  <defs>',
+            `    <marker id="dimension" viewBox="0 0 10 10" refX="5" refY="5" markerWidth="${tick}" markerHeight="${tick}" markerUnits="userSpaceOnUse" orient="auto"><path d="M 5 0 L 5 10" stroke="#000" stroke-width="2"/></marker>`,
+            '  </defs>',
+            ...parts.map(part => `  ${part}`),
+            '</svg>'
+        ].join('\n');
+    }
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnalemmaticRenderer;
+}
+
+// Export to window for browser
+if (typeof window !== 'undefined') {
+    window.AnalemmaticRenderer = AnalemmaticRenderer;
+}
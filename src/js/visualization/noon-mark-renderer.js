@@ -0,0 +1,205 @@
+/**
+ * Noon Mark Renderer
+ * Full-scale layout of a noon mark (SVG user units are millimetres), split
+ * into numbered paper tiles so it can be printed page by page and taped together
+ * No DOM manipulation, returns data objects and SVG markup only
+ */
+
+const MM_PER_METER = 1000;
+
+/**
+ * Printable area of an A4 page in portrait, in mm
+ */
+const DEFAULT_TILE = { width: 190, height: 277 };
+
+class NoonMarkRenderer {
+    constructor() {
+        this.padding = 30;
+        this.tickLength = 15;
+        this.labelOffset = 24;
+    }
+
+    /**
+     * Generate the full-scale layout
+     * @param {Object} mark Result of NoonMark.calculateNoonMark
+     * @param {Object} options Options
+     * @param {Object} options.tile Tile size {width, height} in mm (default A4 printable area)
+     * @param {string} options.title Title printed on the first tile
+     * @returns {Object} Layout in mm: figure path, month ticks, meridian, gnomon foot and tiles
+     */
+    generateLayout(mark, { tile = DEFAULT_TILE, title = '' } = {}) {
+        const spots = [...mark.points, ...mark.meridian, { x: 0, y: 0 }];
+        const minX = Math.min(...spots.map(point => point.x)) * MM_PER_METER - this.padding;
+        const maxX = Math.max(...spots.map(point => point.x)) * MM_PER_METER + this.padding;
+        const minY = Math.min(...spots.map(point => point.y)) * MM_PER_METER - this.padding;
+        const maxY = Math.max(...spots.map(point => point.y)) * MM_PER_METER + this.padding;
+
+        const columns = Math.max(1, Math.ceil((maxX - minX) / tile.width));
+        const rows = Math.max(1, Math.ceil((maxY - minY) / tile.height));
+        const width = columns * tile.width;
+        const height = rows * tile.height;
+
+        // Centre the drawing on the tile grid; sheet y runs down
+        const offsetX = (width - (maxX - minX)) / 2 - minX;
+        const offsetY = (height - (maxY - minY)) / 2 + maxY;
+        const toSheet = point => this.round({
+            x: point.x * MM_PER_METER + offsetX,
+            y: offsetY - point.y * MM_PER_METER
+        });
+
+        const sheetPoints = mark.points.map(point => ({ ...point, ...toSheet(point) }));
+        const centroidX = sheetPoints.reduce((sum, point) => sum + point.x, 0) / (sheetPoints.length || 1);
+
+        return {
+            width,
+            height,
+            title,
+            foot: toSheet({ x: 0, y: 0 }),
+            path: this.generatePath(sheetPoints),
+            meridian: mark.meridian.map(toSheet),
+            monthTicks: sheetPoints
+                .map((point, index) => ({ point, index }))
+                .filter(({ point }) => point.month)
+                .map(({ point, index }) => this.calculateMonthTick(sheetPoints, index, centroidX)),
+            tiles: this.calculateTiles(columns, rows, tile)
+        };
+    }
+
+    /**
+     * Generate the figure-eight path, breaking it on days the sun does not reach the surface
+     * @param {Array<Object>} points Sheet points with dayOfYear
+     * @returns {string} SVG path data
+     */
+    generatePath(points) {
+        if (points.length === 0) return '';
+
+        const commands = points.map((point, index) => {
+            const isContinuation = index > 0 && point.dayOfYear === points[index - 1].dayOfYear + 1;
+            return `${isContinuation ? 'L' : 'M'} ${point.x} ${point.y}`;
+        });
+
+        // Close the loop from the last day of the year back to the first
+        const first = points[0];
+        const last = points[points.length - 1];
+        if (first.dayOfYear === 1 && last.dayOfYear >= 365) {
+            commands.push(`L ${first.x} ${first.y}`);
+        }
+
+        return commands.join(' ');
+    }
+
+    /**
+     * Month tick perpendicular to the curve, pointing away from the middle of the figure
+     * @param {Array<Object>} points Sheet points
+     * @param {number} index Index of the first day of the month
+     * @param {number} centroidX Horizontal centre of the figure
+     * @returns {Object} Tick start, end and label position
+     */
+    calculateMonthTick(points, index, centroidX) {
+        const point = points[index];
+        const previous = points[Math.max(0, index - 1)];
+        const next = points[Math.min(points.length - 1, index + 1)];
+        const tangentX = next.x - previous.x;
+        const tangentY = next.y - previous.y;
+        const length = Math.hypot(tangentX, tangentY) || 1;
+
+        let normalX = -tangentY / length;
+        let normalY = tangentX / length;
+        if ((point.x - centroidX) * normalX < 0) {
+            normalX = -normalX;
+            normalY = -normalY;
+        }
+
+        return {
+            month: point.month,
+            start: { x: point.x, y: point.y },
+            end: this.round({ x: point.x + normalX * this.tickLength, y: point.y + normalY * this.tickLength }),
+            label: this.round({ x: point.x + normalX * this.labelOffset, y: point.y + normalY * this.labelOffset })
+        };
+    }
+
+    /**
+     * Paper tiles covering the layout, named by column letter and row number
+     * @param {number} columns Number of columns
+     * @param {number} rows Number of rows
+     * @param {Object} tile Tile size {width, height} in mm
+     * @returns {Array<Object>} Tiles {label, x, y, width, height}
+     */
+    calculateTiles(columns, rows, tile) {
+        const tiles = [];
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                tiles.push({
+                    label: `${String.fromCharCode(65 + (column % 26))}${row + 1}`,
+                    x: column * tile.width,
+                    y: row * tile.height,
+                    width: tile.width,
+                    height: tile.height
+                });
+            }
+        }
+        return tiles;
+    }
+
+    /**
+     * Round a point to 0.01 mm
+     * @param {Object} point Point {x, y}
+     * @returns {Object} Rounded point
+     */
+    round(point) {
+        return { x: Math.round(point.x * 100) / 100, y: Math.round(point.y * 100) / 100 };
+    }
+
+    /**
+     * Generate a standalone, full-scale SVG document
+     * @param {Object} layout Result of generateLayout
+     * @returns {string} SVG markup sized in millimetres
+     */
+    toSVG(layout) {
+        const { width, height, foot } = layout;
+        const parts = [];
+
+        layout.tiles.forEach(tile => {
+            parts.push(`<rect x="${tile.x}" y="${tile.y}" width="${tile.width}" height="${tile.height}" fill="none" stroke="#999" stroke-width="0.2"/>`);
+            parts.push(`<text x="${tile.x + 4}" y="${tile.y + 8}" font-size="5" fill="#999">${tile.label}</text>`);
+        });
+
+        if (layout.meridian.length === 2) {
+            const [a, b] = layout.meridian;
+            parts.push(`<line x1="${a.x}" y1="${a.y}" x2="${b.x}" y2="${b.y}" stroke="#000" stroke-width="0.5" stroke-dasharray="4 3"/>`);
+        }
+
+        if (layout.path) {
+            parts.push(`<path d="${layout.path}" fill="none" stroke="#000" stroke-width="1"/>`);
+        }
+
+        layout.monthTicks.forEach(tick => {
+            parts.push(`<line x1="${tick.start.x}" y1="${tick.start.y}" x2="${tick.end.x}" y2="${tick.end.y}" stroke="#000" stroke-width="0.6"/>`);
+            parts.push(`<text x="${tick.label.x}" y="${tick.label.y}" text-anchor="middle" dominant-baseline="middle" font-size="6">${tick.month}</text>`);
+        });
+
+        // Foot of the gnomon: the point on the surface directly below (or behind) the nodus
+        parts.push(`<path d="M ${foot.x - 6} ${foot.y} L ${foot.x + 6} ${foot.y} M ${foot.x} ${foot.y - 6} L ${foot.x} ${foot.y + 6}" stroke="#000" stroke-width="0.5"/>`);
+        parts.push(`<text x="${foot.x + 8}" y="${foot.y - 3}" font-size="4">Gnomon foot</text>`);
+
+        if (layout.title) {
+            parts.push(`<text x="10" y="18" font-size="5">${layout.title}</text>`);
+        }
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}" font-family="sans-serif">`,
+            ...parts.map(part => `  ${part}`),
+            '</svg>'
+        ].join('\n');
+    }
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NoonMarkRenderer;
+}
+
+// Export to window for browser
+if (typeof window !== 'undefined') {
+    window.NoonMarkRenderer = NoonMarkRenderer;
+}
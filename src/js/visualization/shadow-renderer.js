@@ -0,0 +1,108 @@
+/**
+ * Shadow Renderer
+ * Pure functions for the noon shadow scene (side view, south on the left)
+ * No DOM manipulation, returns data objects only
+ */
+
+/**
+ * Shadow colours and labels, drawn back to front
+ */
+const SHADOW_STYLES = [
+    { id: 'december', label: 'Dec solstice', color: '#1e3a8a' },
+    { id: 'june', label: 'Jun solstice', color: '#fbbf24' },
+    { id: 'today', label: 'Today', color: '#ffffff' }
+];
+
+class ShadowRenderer {
+    constructor() {
+        this.svgWidth = 400;
+        this.svgHeight = 160;
+        this.padding = 20;
+        this.groundY = 110;
+
+        // Shadows longer than this many object heights are cut off at the edge
+        this.maxShadowRatio = 8;
+    }
+
+    /**
+     * Generate the shadow scene
+     * @param {Object} shadows Result of ShadowCalculations.calculateSolsticeShadows
+     * @returns {Object} Scene data: object, ground line and one shadow per date
+     */
+    generateScene(shadows) {
+        const entries = SHADOW_STYLES
+            .map(style => ({ ...style, shadow: shadows[style.id] }))
+            .filter(entry => entry.shadow);
+
+        // Both directions share one scale, with the pole in the middle
+        const longest = Math.max(1, ...entries
+            .filter(entry => entry.shadow.ratio !== null)
+            .map(entry => Math.min(entry.shadow.ratio, this.maxShadowRatio)));
+        const poleX = this.svgWidth / 2;
+        const halfWidth = this.svgWidth / 2 - this.padding;
+        const poleHeight = Math.min(this.groundY - this.padding, halfWidth / longest);
+        const top = this.groundY - poleHeight;
+
+        return {
+            viewBox: `0 0 ${this.svgWidth} ${this.svgHeight}`,
+            ground: { x1: this.padding, x2: this.svgWidth - this.padding, y: this.groundY },
+            object: { x: poleX, y1: this.groundY, y2: top },
+            compass: [
+                { label: 'S', x: this.padding, y: this.groundY + 28 },
+                { label: 'N', x: this.svgWidth - this.padding, y: this.groundY + 28 }
+            ],
+            shadows: entries.map((entry, index) => this.calculateShadowShape(entry, index, poleX, top, poleHeight)),
+            legend: entries.map((entry, index) => ({
+                label: entry.label,
+                color: entry.color,
+                x: this.padding + index * 120,
+                y: this.svgHeight - 10
+            }))
+        };
+    }
+
+    /**
+     * Calculate the shadow bar and sun ray for one date
+     * @param {Object} entry Shadow style with its calculated shadow
+     * @param {number} index Drawing order (used to stack the bars)
+     * @param {number} poleX Pole X coordinate
+     * @param {number} top Y coordinate of the top of the pole
+     * @param {number} poleHeight Pole height in SVG units
+     * @returns {Object} Shadow shape data
+     */
+    calculateShadowShape(entry, index, poleX, top, poleHeight) {
+        const { shadow } = entry;
+        const y = this.groundY + 4 + index * 5;
+
+        if (shadow.ratio === null) {
+            return { id: entry.id, label: entry.label, color: entry.color, visible: false, y };
+        }
+
+        const clipped = shadow.ratio > this.maxShadowRatio;
+        const length = Math.min(shadow.ratio, this.maxShadowRatio) * poleHeight;
+        const sign = shadow.direction === 'S' ? -1 : 1;
+        const endX = poleX + sign * length;
+
+        return {
+            id: entry.id,
+            label: entry.label,
+            color: entry.color,
+            visible: true,
+            clipped,
+            y,
+            x1: poleX,
+            x2: endX,
+            ray: { x1: poleX, y1: top, x2: endX, y2: this.groundY }
+        };
+    }
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShadowRenderer;
+}
+
+// Export to window for browser
+if (typeof window !== 'undefined') {
+    window.ShadowRenderer = ShadowRenderer;
+}
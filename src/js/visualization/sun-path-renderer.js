@@ -0,0 +1,169 @@
+/**
+ * Sun Path Renderer
+ * Sun-path diagram in polar (looking down on the sky dome, north up) or
+ * cartesian (azimuth across, altitude up) form
+ * No DOM manipulation, returns data objects only
+ */
+
+const COMPASS_POINTS = { 0: 'N', 45: 'NE', 90: 'E', 135: 'SE', 180: 'S', 225: 'SW', 270: 'W', 315: 'NW' };
+
+class SunPathRenderer {
+    constructor() {
+        this.svgWidth = 400;
+        this.svgHeight = 300;
+        this.padding = 30;
+        this.mode = 'polar';
+    }
+
+    /**
+     * Choose the diagram form
+     * @param {string} mode 'polar' or 'cartesian'
+     */
+    setMode(mode) {
+        this.mode = mode === 'cartesian' ? 'cartesian' : 'polar';
+    }
+
+    /**
+     * Generate the diagram
+     * @param {Array<Object>} tracks Result of SunPath.calculateSunPaths
+     * @param {number} latitude Latitude in degrees (sets which way the cartesian chart faces)
+     * @param {Object|null} sun Current sun position {altitude, azimuth}, if it should be marked
+     * @returns {Object} Grid, track paths with hour marks, and the sun marker position
+     */
+    generateDiagram(tracks, latitude, sun = null) {
+        const frame = this.mode === 'cartesian' ? this.createCartesianFrame(latitude) : this.createPolarFrame();
+
+        return {
+            mode: this.mode,
+            grid: frame.grid,
+            tracks: tracks.map(track => ({
+                id: track.id,
+                name: track.name,
+                pathString: this.generateTrackPath(track.points, frame),
+                hourMarks: track.hourMarks
+                    .filter(mark => mark.altitude > 0)
+                    .map(mark => ({
+                        hour: mark.hour,
+                        ...frame.project(mark.altitude, mark.azimuth),
+                        label: track.id === 'today' ? String(mark.hour) : null
+                    }))
+            })),
+            sun: sun && sun.altitude > 0
+                ? { ...frame.project(sun.altitude, sun.azimuth), altitude: sun.altitude, azimuth: sun.azimuth }
+                : null
+        };
+    }
+
+    /**
+     * Path through a day's track, broken below the horizon (and where the cartesian chart wraps)
+     * @param {Array<Object>} points Track points {altitude, azimuth}
+     * @param {Object} frame Diagram frame
+     * @returns {string} SVG path data
+     */
+    generateTrackPath(points, frame) {
+        let pathString = '';
+        let previous = null;
+
+        points.forEach(point => {
+            if (point.altitude <= 0) {
+                previous = null;
+                return;
+            }
+            const { x, y } = frame.project(point.altitude, point.azimuth);
+            const wraps = previous && Math.abs(x - previous.x) > frame.wrapDistance;
+            pathString += `${pathString ? ' ' : ''}${previous && !wraps ? 'L' : 'M'} ${x} ${y}`;
+            previous = { x, y };
+        });
+
+        return pathString;
+    }
+
+    /**
+     * Polar frame: zenith in the centre, horizon on the outer circle, north up and east right
+     * @returns {Object} Projection and grid
+     */
+    createPolarFrame() {
+        const cx = this.svgWidth / 2;
+        const cy = this.svgHeight / 2;
+        const radius = this.svgHeight / 2 - this.padding;
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const project = (altitude, azimuth) => {
+            const r = radius * (90 - altitude) / 90;
+            return {
+                x: cx + r * Math.sin(toRadians(azimuth)),
+                y: cy - r * Math.cos(toRadians(azimuth))
+            };
+        };
+
+        const circles = [0, 30, 60].map(altitude => ({
+            altitude,
+            cx,
+            cy,
+            r: radius * (90 - altitude) / 90,
+            label: `${altitude}°`,
+            labelX: cx + 3,
+            labelY: cy - radius * (90 - altitude) / 90 - 3
+        }));
+        const spokes = Object.keys(COMPASS_POINTS).map(Number).map(azimuth => {
+            const outer = project(0, azimuth);
+            const label = project(-12, azimuth);
+            return {
+                azimuth,
+                x1: cx,
+                y1: cy,
+                x2: outer.x,
+                y2: outer.y,
+                label: COMPASS_POINTS[azimuth],
+                labelX: label.x,
+                labelY: label.y
+            };
+        });
+
+        return { project, wrapDistance: Infinity, grid: { type: 'polar', circles, spokes, lines: [] } };
+    }
+
+    /**
+     * Cartesian frame: azimuth across with the equator-facing direction in the middle, altitude up
+     * @param {number} latitude Latitude in degrees
+     * @returns {Object} Projection and grid
+     */
+    createCartesianFrame(latitude) {
+        const left = this.padding;
+        const right = this.svgWidth - this.padding;
+        const top = this.padding;
+        const bottom = this.svgHeight - this.padding;
+        const centerAzimuth = latitude >= 0 ? 180 : 0;
+        // Offset from the centre direction, -180..180, shifted to 0..360 across the chart
+        const toX = azimuth => left + (((azimuth - centerAzimuth + 540) % 360) / 360) * (right - left);
+        const toY = altitude => bottom - (altitude / 90) * (bottom - top);
+        const project = (altitude, azimuth) => ({ x: toX(azimuth), y: toY(altitude) });
+
+        const lines = [0, 15, 30, 45, 60, 75, 90].map(altitude => ({
+            x1: left,
+            y1: toY(altitude),
+            x2: right,
+            y2: toY(altitude),
+            label: `${altitude}°`,
+            labelX: left - 4,
+            labelY: toY(altitude) + 3,
+            isHorizon: altitude === 0
+        }));
+        const spokes = [-180, -135, -90, -45, 0, 45, 90, 135, 180].map(offset => {
+            const azimuth = (centerAzimuth + offset + 360) % 360;
+            const x = left + ((offset + 180) / 360) * (right - left);
+            return { azimuth, x1: x, y1: top, x2: x, y2: bottom, label: COMPASS_POINTS[azimuth], labelX: x, labelY: bottom + 14 };
+        });
+
+        return { project, wrapDistance: (right - left) / 2, grid: { type: 'cartesian', circles: [], spokes, lines } };
+    }
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SunPathRenderer;
+}
+
+// Export to window for browser
+if (typeof window !== 'undefined') {
+    window.SunPathRenderer = SunPathRenderer;
+}
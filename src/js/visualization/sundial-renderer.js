@@ -0,0 +1,224 @@
+/**
+ * Sundial Renderer
+ * Lays out a printable dial at true scale (SVG user units are millimetres)
+ * No DOM manipulation, returns data objects and SVG markup only
+ */
+
+class SundialRenderer {
+    constructor() {
+        this.dialSize = 200;
+        this.margin = 10;
+        this.footerHeight = 80;
+        this.labelInset = 7;
+    }
+
+    /**
+     * Generate the dial layout
+     * @param {Object} design Result of SundialCalculations.designDial
+     * @param {Array<Object>} correctionTable Result of SundialCalculations.calculateCorrectionTable
+     * @param {Object} options Options
+     * @param {number} options.size Dial width and height in mm (default 200)
+     * @param {string} options.title Title printed on the sheet
+     * @returns {Object} Layout in mm: hour lines, substyle, gnomon template and correction table
+     */
+    generateLayout(design, correctionTable = [], { size = this.dialSize, title = '' } = {}) {
+        const width = Math.max(150, size);
+        const height = width + this.footerHeight;
+        const box = { x1: this.margin, y1: this.margin, x2: width - this.margin, y2: width - this.margin };
+
+        const layout = {
+            width,
+            height,
+            title,
+            box,
+            root: null,
+            lines: [],
+            substyle: null,
+            gnomon: this.calculateGnomonTemplate(design.styleHeight, width),
+            table: this.calculateTableLayout(correctionTable, width),
+            isPolar: design.isPolar
+        };
+
+        if (design.isPolar) return layout;
+
+        // Put the gnomon root away from the noon line so the morning and afternoon lines fit
+        const noon = this.toSheet(design.noonDirection);
+        const center = width / 2;
+        const offset = (width / 2 - this.margin) * 0.6;
+        const root = { x: center - noon.x * offset, y: center - noon.y * offset };
+        layout.root = this.round(root);
+
+        layout.lines = design.lines.map(line => {
+            const direction = this.toSheet(line.direction);
+            const distance = this.distanceToEdge(root, direction, box);
+            const labelDistance = Math.max(0, distance - this.labelInset);
+
+            return {
+                hour: line.hour,
+                angle: line.angle,
+                end: this.round({ x: root.x + direction.x * distance, y: root.y + direction.y * distance }),
+                label: this.round({ x: root.x + direction.x * labelDistance, y: root.y + direction.y * labelDistance })
+            };
+        });
+
+        if (Math.abs(design.substyleAngle) > 0.05) {
+            const direction = this.toSheet(design.substyle);
+            const distance = this.distanceToEdge(root, direction, box);
+            layout.substyle = this.round({ x: root.x + direction.x * distance, y: root.y + direction.y * distance });
+        }
+
+        return layout;
+    }
+
+    /**
+     * Convert a dial direction (y up) to sheet coordinates (y down)
+     * @param {Object} direction Unit direction {x, y}
+     * @returns {Object} Sheet direction
+     */
+    toSheet(direction) {
+        return { x: direction.x, y: -direction.y };
+    }
+
+    /**
+     * Distance from a point inside a box to its edge along a direction
+     * @param {Object} point Start point
+     * @param {Object} direction Unit direction
+     * @param {Object} box Box {x1, y1, x2, y2}
+     * @returns {number} Distance in mm
+     */
+    distanceToEdge(point, direction, box) {
+        const distances = [];
+        if (direction.x > 1e-9) distances.push((box.x2 - point.x) / direction.x);
+        if (direction.x < -1e-9) distances.push((box.x1 - point.x) / direction.x);
+        if (direction.y > 1e-9) distances.push((box.y2 - point.y) / direction.y);
+        if (direction.y < -1e-9) distances.push((box.y1 - point.y) / direction.y);
+        return Math.max(0, Math.min(...distances));
+    }
+
+    /**
+     * Gnomon cut-out template: a right triangle with the style angle at its foot
+     * @param {number} styleHeight Style height (gnomon angle) in degrees
+     * @param {number} width Sheet width in mm
+     * @returns {Object} Triangle corners and angle
+     */
+    calculateGnomonTemplate(styleHeight, width) {
+        const maxBase = 60;
+        const maxHeight = this.footerHeight - 20;
+        const slope = Math.tan(styleHeight * Math.PI / 180);
+        const base = slope * maxBase > maxHeight ? maxHeight / slope : maxBase;
+        const x = this.margin;
+        const y = width + this.footerHeight - 10;
+
+        return {
+            angle: styleHeight,
+            points: [
+                this.round({ x, y }),
+                this.round({ x: x + base, y }),
+                this.round({ x: x + base, y: y - base * slope })
+            ]
+        };
+    }
+
+    /**
+     * Lay out the correction table in two columns beside the gnomon template
+     * @param {Array<Object>} rows Correction table rows
+     * @param {number} width Sheet width in mm
+     * @returns {Object} Column positions, row height and rows
+     */
+    calculateTableLayout(rows, width) {
+        const rowHeight = 4.6;
+        const half = Math.ceil(rows.length / 2);
+        const x = this.margin + 75;
+        const columnWidth = (width - x - this.margin) / 2;
+
+        return {
+            x,
+            y: width + 8,
+            rowHeight,
+            columnWidth,
+            columns: [rows.slice(0, half), rows.slice(half)]
+        };
+    }
+
+    /**
+     * Round a point to 0.01 mm
+     * @param {Object} point Point {x, y}
+     * @returns {Object} Rounded point
+     */
+    round(point) {
+        return { x: Math.round(point.x * 100) / 100, y: Math.round(point.y * 100) / 100 };
+    }
+
+    /**
+     * Format a correction in minutes
+     * @param {number} minutes Minutes
+     * @returns {string} Signed minutes and seconds, e.g. "+4m 12s"
+     */
+    formatCorrection(minutes) {
+        const sign = minutes < 0 ? '−' : '+';
+        const totalSeconds = Math.round(Math.abs(minutes) * 60);
+        return `${sign}${Math.floor(totalSeconds / 60)}m ${String(totalSeconds % 60).padStart(2, '0')}s`;
+    }
+
+    /**
+     * Generate a standalone, scale-true SVG document
+     * @param {Object} layout Result of generateLayout
+     * @returns {string} SVG markup sized in millimetres
+     */
+    toSVG(layout) {
+        const { width, height, box, root, gnomon, table } = layout;
+        const parts = [];
+
+        parts.push(`<rect x="${box.x1}" y="${box.y1}" width="${box.x2 - box.x1}" height="${box.y2 - box.y1}" fill="none" stroke="#000" stroke-width="0.3"/>`);
+
+        if (layout.isPolar) {
+            parts.push(`<text x="${width / 2}" y="${width / 2}" text-anchor="middle" font-size="5">Polar dial: hour lines are parallel and not laid out here</text>`);
+        } else {
+            layout.lines.forEach(line => {
+                const isNoon = line.hour === 12;
+                parts.push(`<line x1="${root.x}" y1="${root.y}" x2="${line.end.x}" y2="${line.end.y}" stroke="#000" stroke-width="${isNoon ? 0.8 : 0.4}"/>`);
+                parts.push(`<text x="${line.label.x}" y="${line.label.y}" text-anchor="middle" dominant-baseline="middle" font-size="4.5">${line.hour}</text>`);
+            });
+            if (layout.substyle) {
+                parts.push(`<line x1="${root.x}" y1="${root.y}" x2="${layout.substyle.x}" y2="${layout.substyle.y}" stroke="#000" stroke-width="0.3" stroke-dasharray="2 1.5"/>`);
+            }
+            parts.push(`<circle cx="${root.x}" cy="${root.y}" r="1.2" fill="#000"/>`);
+        }
+
+        if (layout.title) {
+            parts.push(`<text x="${width / 2}" y="${box.y1 - 3}" text-anchor="middle" font-size="4">${layout.title}</text>`);
+        }
+
+        // Gnomon template
+        const [foot, heel, tip] = gnomon.points;
+        parts.push(`<polygon points="${foot.x},${foot.y} ${heel.x},${heel.y} ${tip.x},${tip.y}" fill="none" stroke="#000" stroke-width="0.4"/>`);
+        parts.push(`<text x="${foot.x}" y="${foot.y + 5}" font-size="3.5">Gnomon ${gnomon.angle.toFixed(1)}° (angle at left)</text>`);
+
+        // Correction table
+        parts.push(`<text x="${table.x}" y="${table.y - 3}" font-size="3.5">Add to sundial time for standard clock time</text>`);
+        table.columns.forEach((rows, column) => {
+            rows.forEach((row, index) => {
+                const x = table.x + column * table.columnWidth;
+                const y = table.y + (index + 1) * table.rowHeight;
+                parts.push(`<text x="${x}" y="${y}" font-size="3.5">${row.month} ${row.day}</text>`);
+                parts.push(`<text x="${x + table.columnWidth - 4}" y="${y}" text-anchor="end" font-size="3.5">${this.formatCorrection(row.correction)}</text>`);
+            });
+        });
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}" font-family="sans-serif">`,
+            ...parts.map(part => `  ${part}`),
+            '</svg>'
+        ].join('\n');
+    }
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SundialRenderer;
+}
+
+// Export to window for browser
+if (typeof window !== 'undefined') {
+    window.SundialRenderer = SundialRenderer;
+}
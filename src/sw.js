@@ -1,15 +1,37 @@
-const CACHE_NAME = 'analemma-pwa-v202506171931';
+const CACHE_NAME = 'analemma-pwa-v202610191200';
 const urlsToCache = [
   './',
   './index.html',
   './css/styles.css',
   './js/app.js',
+  './js/calculations/ephemeris.js',
+  './js/calculations/observer.js',
+  './js/calculations/timezone.js',
   './js/calculations/solar.js',
   './js/calculations/analemma.js',
+  './js/calculations/sun-times.js',
+  './js/calculations/polar-periods.js',
+  './js/calculations/seasons.js',
+  './js/calculations/shadow.js',
+  './js/calculations/sundial.js',
+  './js/calculations/analemmatic.js',
+  './js/calculations/noon-mark.js',
+  './js/calculations/sky-view.js',
+  './js/calculations/noon-analemma.js',
+  './js/calculations/photo-planner.js',
+  './js/calculations/photo-calibration.js',
+  './js/calculations/sun-path.js',
+  './js/visualization/analemma-renderer.js',
+  './js/visualization/shadow-renderer.js',
+  './js/visualization/sundial-renderer.js',
+  './js/visualization/analemmatic-renderer.js',
+  './js/visualization/noon-mark-renderer.js',
+  './js/visualization/sun-path-renderer.js',
   './js/utils/location.js',
   './js/ui/display.js',
   './js/ui/visualization.js',
   './assets/analemma-data.json',
+  './assets/timezone-data.json',
   './manifest.json'
 ];
 
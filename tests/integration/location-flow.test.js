@@ -29,6 +29,8 @@ describe('Location Flow Integration', () => {
         // Mock services
         mockLocationService = {
             getSavedLocation: jest.fn().mockReturnValue(null),
+            getObserverSettings: jest.fn().mockReturnValue({}),
+            saveObserverSettings: jest.fn(),
             getPermissionState: jest.fn(),
             requestLocation: jest.fn()
         };
@@ -36,7 +38,23 @@ describe('Location Flow Integration', () => {
         mockDOMUpdater = {
             updateUI: jest.fn(),
             updateSolarNoonTime: jest.fn(),
+            updateSolarNoonZone: jest.fn(),
+            updateSunTimes: jest.fn(),
+            updateSunPosition: jest.fn(),
+            updateSeasons: jest.fn(),
+            updateSunDistance: jest.fn(),
+            updateShadowPanel: jest.fn(),
+            updateSundialPanel: jest.fn(),
+            updateAnalemmaticPanel: jest.fn(),
+            updateNoonMarkPanel: jest.fn(),
+            updatePlannerPanel: jest.fn(),
+            updatePhotoOverlay: jest.fn(),
+            updateSunPathDiagram: jest.fn(),
+            updateAnalemmaCursor: jest.fn(),
+            showOverlayPhoto: jest.fn(),
+            updateObserverPanel: jest.fn(),
             updateAnalemmaVisualization: jest.fn(),
+            updateExtremeLatitudeWarning: jest.fn(),
             updateLocationInfo: jest.fn()
         };
 
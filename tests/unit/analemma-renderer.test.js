@@ -0,0 +1,456 @@
+/**
+ * Tests for AnalemmaRenderer chart decorations
+ * Month ticks, labels, direction-of-travel arrows, axes, gridlines, date colouring
+ * and the noon horizon on the chart view, and the location-specific noon view
+ */
+
+// Serve the real analemma data to loadAnalemmaData
+global.fetch = async () => {
+    const fs = require('fs');
+    const path = require('path');
+    const data = fs.readFileSync(path.join(__dirname, '../../src/assets/analemma-data.json'), 'utf8');
+    return {
+        ok: true,
+        json: async () => JSON.parse(data)
+    };
+};
+
+const AnalemmaRenderer = require('../../src/js/visualization/analemma-renderer.js');
+const SeasonEvents = require('../../src/js/calculations/seasons.js');
+const NoonAnalemma = require('../../src/js/calculations/noon-analemma.js');
+
+describe('AnalemmaRenderer date marks', () => {
+    const london = { latitude: 51.5, longitude: 0 };
+    const sydney = { latitude: -33.9, longitude: 151.2 };
+    const date = new Date(2024, 5, 14, 12);
+    let renderer;
+
+    beforeEach(() => {
+        renderer = new AnalemmaRenderer();
+    });
+
+    const labelBoxes = ({ ticks }) => ticks
+        .filter(tick => tick.label)
+        .map(tick => renderer.estimateLabelBox(tick.label, tick.labelX, tick.labelY, 'middle', 9));
+
+    test('puts a tick on the first of every month', async () => {
+        const { dateMarks, path } = await renderer.generateVisualization(london, date);
+        const first = path.coordinates.find(point => point.dayOfYear === 32);
+        const february = dateMarks.ticks[1];
+
+        expect(dateMarks.ticks.map(tick => tick.month)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+        expect(february).toMatchObject({ dayOfYear: 32, label: 'Feb', x1: first.svgX, y1: first.svgY });
+        expect(Math.hypot(february.x2 - february.x1, february.y2 - february.y1)).toBeCloseTo(5, 5);
+    });
+
+    test('puts the month ticks on the data year\'s days when a common year is shown', async () => {
+        const { dateMarks, path } = await renderer.generateVisualization(london, new Date(2025, 5, 14, 12));
+        const march = dateMarks.ticks[2];
+        const first = path.coordinates.find(point => point.dayOfYear === 61);
+
+        expect(march).toMatchObject({ month: 3, dayOfYear: 61, x1: first.svgX, y1: first.svgY });
+        expect(dateMarks.ticks[11].dayOfYear).toBe(336);
+    });
+
+    test('labels every month without overlaps in both views', async () => {
+        for (const trueAspect of [false, true]) {
+            renderer.setTrueAspect(trueAspect);
+            const { dateMarks, markers } = await renderer.generateVisualization(london, date);
+            const boxes = labelBoxes(dateMarks);
+            const eventBoxes = markers.map(marker =>
+                renderer.estimateLabelBox(marker.label, marker.x + marker.labelDx, marker.y + marker.labelDy, marker.labelAnchor, 10)
+            );
+
+            expect(boxes).toHaveLength(12);
+            boxes.forEach((box, index) => {
+                boxes.slice(index + 1).forEach(other => expect(renderer.boxesOverlap(box, other)).toBe(false));
+                eventBoxes.forEach(other => expect(renderer.boxesOverlap(box, other)).toBe(false));
+                expect(box.x1).toBeGreaterThanOrEqual(0);
+                expect(box.x2).toBeLessThanOrEqual(400);
+                expect(box.y1).toBeGreaterThanOrEqual(0);
+                expect(box.y2).toBeLessThanOrEqual(300);
+            });
+        }
+    });
+
+    test('sends the sun north through spring in the Northern Hemisphere', async () => {
+        const { dateMarks } = await renderer.generateVisualization(london, date);
+        const [february, may, august, november] = dateMarks.arrows;
+
+        // SVG y grows downwards, so upward travel has a negative angle
+        expect(february.angle).toBeLessThan(0);
+        expect(may.angle).toBeLessThan(0);
+        expect(august.angle).toBeGreaterThan(0);
+        expect(november.angle).toBeGreaterThan(0);
+    });
+
+    test('mirrors ticks and arrows when the figure is flipped for the Southern Hemisphere', async () => {
+        const north = (await renderer.generateVisualization(london, date)).dateMarks;
+        const south = (await renderer.generateVisualization(sydney, date)).dateMarks;
+
+        south.ticks.forEach((tick, index) => {
+            expect(tick.x1).toBeCloseTo(north.ticks[index].x1, 5);
+            expect(tick.y1).toBeCloseTo(300 - north.ticks[index].y1, 5);
+            expect(tick.y2 - tick.y1).toBeCloseTo(north.ticks[index].y1 - north.ticks[index].y2, 5);
+        });
+        south.arrows.forEach((arrow, index) => {
+            expect(arrow.angle).toBeCloseTo(-north.arrows[index].angle, 5);
+        });
+        expect(labelBoxes(south)).toHaveLength(12);
+    });
+
+    test('returns no date marks in the sky projection', async () => {
+        renderer.setProjection('sky', { hours: [12] });
+        const visualization = await renderer.generateVisualization(london, date);
+
+        expect(visualization.dateMarks).toBeNull();
+    });
+});
+
+describe('AnalemmaRenderer axes', () => {
+    const london = { latitude: 51.5, longitude: 0 };
+    const sydney = { latitude: -33.9, longitude: 151.2 };
+    const date = new Date(2024, 5, 14, 12);
+    let renderer;
+
+    beforeEach(() => {
+        renderer = new AnalemmaRenderer();
+        renderer.setShowAxes(true);
+    });
+
+    test('are off by default', async () => {
+        const visualization = await new AnalemmaRenderer().generateVisualization(london, date);
+        expect(visualization.axes).toBeNull();
+    });
+
+    test('label the axes from the data file coordinate system', async () => {
+        const { axes } = await renderer.generateVisualization(london, date);
+
+        expect(axes.xAxis.title).toBe('Equation of Time (minutes)');
+        expect(axes.yAxis.title).toBe('Solar Declination (degrees)');
+        expect(axes.xTicks.map(tick => tick.label)).toEqual(['−10', '−5', '0', '+5', '+10', '+15']);
+        expect(axes.yTicks.map(tick => tick.label)).toEqual(['−20°', '−10°', '0°', '+10°', '+20°']);
+        expect(axes.legend.text).toMatch(/^Not to scale: stretched \d+\.\d× across$/);
+    });
+
+    test('place the zero lines through the figure with the same scaling as the path', async () => {
+        const { axes, path } = await renderer.generateVisualization(london, date);
+        const meridian = axes.xTicks.find(tick => tick.isZero);
+        const equator = axes.yTicks.find(tick => tick.isZero);
+        const summer = axes.yTicks.find(tick => tick.value === 20);
+
+        expect(meridian.x).toBeGreaterThan(path.bounds.minX);
+        expect(meridian.x).toBeLessThan(path.bounds.maxX);
+        expect(equator.y).toBeCloseTo((path.bounds.minY + path.bounds.maxY) / 2, 0);
+        expect(summer.y).toBeLessThan(equator.y);
+        // The chart shrinks so the axes sit outside it
+        expect(axes.yAxis.x1).toBeLessThan(path.bounds.minX);
+        expect(axes.xAxis.y1).toBeGreaterThan(path.bounds.maxY);
+    });
+
+    test('follow the Southern Hemisphere flip', async () => {
+        const north = (await renderer.generateVisualization(london, date)).axes;
+        const south = (await renderer.generateVisualization(sydney, date)).axes;
+
+        south.yTicks.forEach((tick, index) => expect(tick.y).toBeCloseTo(300 - north.yTicks[index].y, 5));
+        expect(south.xTicks.map(tick => tick.x)).toEqual(north.xTicks.map(tick => tick.x));
+        expect(south.xAxis).toEqual(north.xAxis);
+    });
+
+    test('space the minute ticks for the narrow true-aspect figure', async () => {
+        renderer.setTrueAspect(true);
+        const { axes } = await renderer.generateVisualization(london, date);
+
+        expect(axes.legend.text).toBe('True proportions: 1 min = 0.25° on the equator');
+        axes.xTicks.slice(1).forEach((tick, index) => {
+            expect(tick.x - axes.xTicks[index].x).toBeGreaterThanOrEqual(24);
+        });
+    });
+
+    test('keep the month labels clear of the axes', async () => {
+        const { axes, dateMarks } = await renderer.generateVisualization(london, date);
+        const labelled = dateMarks.ticks.filter(tick => tick.label);
+
+        expect(labelled.length).toBe(12);
+        labelled.forEach(tick => {
+            const box = renderer.estimateLabelBox(tick.label, tick.labelX, tick.labelY, 'middle', 9);
+            axes.reserved.forEach(area => expect(renderer.boxesOverlap(box, area)).toBe(false));
+        });
+    });
+});
+
+describe('AnalemmaRenderer path colouring', () => {
+    const london = { latitude: 51.5, longitude: 0 };
+    const sydney = { latitude: -33.9, longitude: 151.2 };
+    let renderer;
+
+    beforeEach(() => {
+        renderer = new AnalemmaRenderer();
+    });
+
+    test('draws one colour by default', async () => {
+        const { path } = await renderer.generateVisualization(london, new Date(2024, 5, 14, 12));
+        expect(path.segments).toEqual([]);
+    });
+
+    test('highlights the days behind and ahead of today, wrapping round the year', async () => {
+        renderer.setPathColoring('trail', { days: 10 });
+        const { path } = await renderer.generateVisualization(london, new Date(2024, 0, 5, 12));
+        const days = group => path.segments
+            .filter(segment => segment.className === `trail-${group}`)
+            .reduce((total, segment) => total + segment.endDay - segment.startDay + 1, 0);
+
+        expect(days('ahead')).toBe(10);
+        expect(days('behind')).toBe(10);
+        expect(path.segments.find(segment => segment.className === 'trail-ahead').startDay).toBe(5);
+        expect(path.segments.map(segment => segment.startDay)).toContain(361);
+    });
+
+    test('starts the trail at the location\'s date in the data year\'s numbering', async () => {
+        renderer.setPathColoring('trail', { days: 10 });
+        const aheadFrom = async (date, timeZone) => {
+            const { path } = await renderer.generateVisualization(london, date, { timeZone });
+            return path.segments.find(segment => segment.className === 'trail-ahead').startDay;
+        };
+
+        // 10 March is day 70 of the 2024 data, though it is day 69 of 2025
+        expect(await aheadFrom(new Date(Date.UTC(2025, 2, 10, 12)), 'Europe/London')).toBe(70);
+        // Already 11 March in Auckland
+        expect(await aheadFrom(new Date(Date.UTC(2025, 2, 10, 12)), 'Pacific/Auckland')).toBe(71);
+    });
+
+    test('colours the whole year by season, following the hemisphere', async () => {
+        renderer.setPathColoring('season');
+        const date = new Date(2024, 5, 14, 12);
+        const north = (await renderer.generateVisualization(london, date)).path.segments;
+        const south = (await renderer.generateVisualization(sydney, date)).path.segments;
+        const palette = { summer: '#f43f5e', winter: '#60a5fa', spring: '#4ade80', autumn: '#f59e0b' };
+        const channels = hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+        const seasonOn = (segments, day) => {
+            const color = channels(segments.find(segment => segment.startDay <= day && day <= segment.endDay).color);
+            const distance = season => channels(palette[season]).reduce((total, value, i) => total + Math.abs(value - color[i]), 0);
+            return Object.keys(palette).sort((a, b) => distance(a) - distance(b))[0];
+        };
+
+        expect(north[0].startDay).toBe(1);
+        expect(north[north.length - 1].endDay).toBe(366);
+        // Near the June solstice: summer in the north, winter in the south
+        expect(seasonOn(north, 174)).toBe('summer');
+        expect(seasonOn(south, 174)).toBe('winter');
+        expect(seasonOn(north, 85)).toBe('spring');
+        expect(seasonOn(south, 85)).toBe('autumn');
+    });
+
+    test('blends between the seasons', () => {
+        const stops = [{ day: 100, color: '#000000' }, { day: 200, color: '#ffffff' }];
+
+        expect(renderer.interpolateSeasonColor(stops, 150, 366)).toBe('#808080');
+        // From the last stop round the year end to the first
+        expect(renderer.interpolateSeasonColor(stops, 10, 366)).toBe(renderer.interpolateSeasonColor(stops, 376, 366));
+    });
+});
+
+describe('AnalemmaRenderer noon horizon', () => {
+    const date = new Date(2024, 0, 10, 12);
+    let renderer;
+
+    beforeEach(() => {
+        renderer = new AnalemmaRenderer();
+    });
+
+    test('misses the figure where the noon sun rises every day', async () => {
+        const { noonHorizon } = await renderer.generateVisualization({ latitude: 51.5, longitude: 0 }, date);
+
+        expect(noonHorizon.declination).toBeCloseTo(-38.5, 10);
+        expect(noonHorizon.isVisible).toBe(false);
+        expect(noonHorizon.hiddenDays).toBe(0);
+        expect(noonHorizon.description).toBe('Noon sun above the horizon all year');
+    });
+
+    test('cuts off the winter days in the Arctic', async () => {
+        const { noonHorizon, path } = await renderer.generateVisualization({ latitude: 78.2, longitude: 15.6 }, date);
+        const below = path.coordinates.filter(point => point.y < -11.8);
+
+        expect(noonHorizon.isVisible).toBe(true);
+        expect(noonHorizon.hiddenDays).toBe(below.length);
+        expect(noonHorizon.hiddenRuns).toEqual([{ startDay: 1, endDay: 48 }, { startDay: 298, endDay: 366 }]);
+        // Hidden days lie on the ground side of the line, the rest on the sky side
+        below.forEach(point => expect(point.svgY).toBeGreaterThan(noonHorizon.y));
+        expect(noonHorizon.groundClip).toEqual({ x: 0, y: noonHorizon.y, width: 400, height: 300 - noonHorizon.y });
+        expect(noonHorizon.skyClip.height).toBeCloseTo(noonHorizon.y, 10);
+    });
+
+    test('mirrors for the Antarctic, where the June days are hidden', async () => {
+        const north = (await renderer.generateVisualization({ latitude: 70, longitude: 0 }, date)).noonHorizon;
+        const south = (await renderer.generateVisualization({ latitude: -70, longitude: 0 }, date)).noonHorizon;
+
+        expect(south.declination).toBe(20);
+        expect(south.y).toBeCloseTo(north.y, 10);
+        expect(south.hiddenRuns).toEqual([{ startDay: 141, endDay: 204 }]);
+    });
+
+    test('keeps the month labels clear of the horizon label', async () => {
+        const { noonHorizon, dateMarks } = await renderer.generateVisualization({ latitude: 78.2, longitude: 15.6 }, date);
+        const label = renderer.estimateLabelBox(noonHorizon.label, noonHorizon.labelX, noonHorizon.labelY, 'end', 9);
+
+        dateMarks.ticks.filter(tick => tick.label).forEach(tick => {
+            const box = renderer.estimateLabelBox(tick.label, tick.labelX, tick.labelY, 'middle', 9);
+            expect(renderer.boxesOverlap(box, label)).toBe(false);
+        });
+    });
+});
+
+describe('AnalemmaRenderer noon view', () => {
+    const brest = { latitude: 48.39, longitude: -4.49 };
+    const date = new Date(2024, 5, 14, 12);
+    let renderer;
+
+    beforeEach(() => {
+        renderer = new AnalemmaRenderer();
+        renderer.setProjection('noon');
+    });
+
+    test('plots solar noon on the clock against the noon altitude', async () => {
+        const visualization = await renderer.generateVisualization(brest, date, { timeZone: 'Europe/Paris' });
+        const { coordinates } = visualization.path;
+        const highest = coordinates.reduce((best, point) => (point.altitude > best.altitude ? point : best));
+        const latest = coordinates.reduce((best, point) => (point.noonOffset > best.noonOffset ? point : best));
+
+        expect(visualization.error).toBeNull();
+        expect(coordinates).toHaveLength(366);
+        expect(highest.svgY).toBeCloseTo(visualization.path.bounds.minY, 10);
+        expect(latest.svgX).toBeCloseTo(visualization.path.bounds.maxX, 10);
+        expect(visualization.sky).toBeNull();
+    });
+
+    test('is never flipped in the Southern Hemisphere', async () => {
+        const { path } = await renderer.generateVisualization({ latitude: -33.9, longitude: 151.2 }, date, { timeZone: 'Australia/Sydney' });
+        const june = path.coordinates[171];
+        const december = path.coordinates[354];
+
+        // The June sun is low in Sydney, so lower on the chart
+        expect(june.altitude).toBeLessThan(december.altitude);
+        expect(june.svgY).toBeGreaterThan(december.svgY);
+    });
+
+    test('labels the axes with the clock and the longitude offset', async () => {
+        renderer.setShowAxes(true);
+        const { axes } = await renderer.generateVisualization(brest, date, { timeZone: 'Europe/Paris' });
+
+        expect(axes.xAxis.title).toBe('Solar noon (minutes after 12:00 standard time)');
+        expect(axes.yAxis.title).toBe('Noon altitude (degrees)');
+        expect(axes.legend.text).toBe('UTC+1 standard time, longitude +78 min');
+        expect(axes.xTicks.map(tick => tick.value)).toContain(80);
+    });
+
+    test('describes days by their equation of time and declination in the tooltip', async () => {
+        const { path } = await renderer.generateVisualization(brest, date, { timeZone: 'Europe/Paris' });
+        const point = path.coordinates[171];
+        const details = renderer.describePoint(point, brest, 2024, 'Europe/Paris');
+
+        expect(details.equationOfTime).toBe(point.equationOfTime);
+        expect(details.declination).toBe(point.declination);
+        expect(details.solarNoon.getTime()).toBeCloseTo(point.date.getTime(), -4);
+    });
+
+    test('shows the horizon where the noon sun sets for the winter', async () => {
+        const { noonHorizon, path } = await renderer.generateVisualization({ latitude: 78.2, longitude: 15.6 }, date, { timeZone: 'Arctic/Longyearbyen' });
+
+        expect(noonHorizon.isVisible).toBe(true);
+        expect(noonHorizon.hiddenDays).toBe(path.coordinates.filter(point => point.altitude < 0).length);
+    });
+});
+
+describe('AnalemmaRenderer sun marker', () => {
+    const brest = { latitude: 48.39, longitude: -4.49 };
+    const options = { timeZone: 'Europe/Paris' };
+    let renderer;
+
+    beforeEach(() => {
+        renderer = new AnalemmaRenderer();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test.each([['chart'], ['noon'], ['sky']])('moves the sun where a redraw would put it in the %s view', async projection => {
+        renderer.setProjection(projection, { hours: [10] });
+        renderer.setPathColoring('trail', { days: 10 });
+        await renderer.generateVisualization(brest, new Date(2024, 5, 14, 12), options);
+
+        const date = new Date(2024, 8, 2, 12);
+        const marker = await renderer.generateSunMarker(brest, date, options);
+        const redrawn = await renderer.generateVisualization(brest, date, options);
+
+        expect(marker.sunPosition.x).toBeCloseTo(redrawn.sunPosition.x, 10);
+        expect(marker.sunPosition.y).toBeCloseTo(redrawn.sunPosition.y, 10);
+        expect(marker.segments).toEqual(projection === 'sky' ? null : redrawn.path.segments);
+    });
+
+    test('leaves the trail alone when the path is not coloured by date', async () => {
+        const marker = await renderer.generateSunMarker(brest, new Date(2024, 8, 2, 12), options);
+        expect(marker.segments).toBeNull();
+    });
+
+    test('reuses the year\'s events and noon analemma between redraws', async () => {
+        const events = jest.spyOn(SeasonEvents, 'getYearEvents');
+        const noon = jest.spyOn(NoonAnalemma, 'calculateNoonAnalemma');
+        renderer.setProjection('noon');
+
+        await renderer.generateVisualization(brest, new Date(2024, 2, 1, 12), options);
+        await renderer.generateVisualization(brest, new Date(2024, 2, 2, 12), options);
+        await renderer.generateSunMarker(brest, new Date(2024, 2, 3, 12), options);
+        expect(events).toHaveBeenCalledTimes(1);
+        expect(noon).toHaveBeenCalledTimes(1);
+
+        await renderer.generateVisualization(brest, new Date(2025, 2, 1, 12), options);
+        expect(events).toHaveBeenCalledTimes(2);
+        expect(noon).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('AnalemmaRenderer point lookup', () => {
+    const london = { latitude: 51.5074, longitude: -0.1278 };
+    const renderer = new AnalemmaRenderer();
+
+    test('finds the point nearest a chart position within the distance limit', () => {
+        const points = [{ svgX: 10, svgY: 10 }, { svgX: 50, svgY: 50 }, { svgX: 100, svgY: 40 }];
+
+        expect(renderer.findNearestPoint(points, 55, 45)).toBe(1);
+        expect(renderer.findNearestPoint(points, 90, 40, 15)).toBe(2);
+        expect(renderer.findNearestPoint(points, 200, 200, 15)).toBe(-1);
+        expect(renderer.findNearestPoint([], 0, 0)).toBe(-1);
+    });
+
+    test('describes a day with its civil date and solar noon at the location', () => {
+        const point = { dayOfYear: 172, x: -1.6, y: 23.44, svgX: 120, svgY: 30 };
+        const details = renderer.describePoint(point, london, 2024, 'Europe/London');
+
+        expect(details.date.toISOString().slice(0, 10)).toBe('2024-06-20');
+        expect(details.equationOfTime).toBe(-1.6);
+        expect(details.declination).toBe(23.44);
+        // Solar noon in London in June falls around 13:02 BST
+        expect(details.solarNoon.getUTCHours()).toBe(12);
+        expect(details.solarNoon.getUTCMinutes()).toBeGreaterThanOrEqual(0);
+        expect(details.solarNoon.getUTCMinutes()).toBeLessThan(5);
+        expect(details).toMatchObject({ svgX: 120, svgY: 30 });
+    });
+
+    test('dates the chart view\'s days in a common year by the data year\'s numbering', async () => {
+        const { path } = await renderer.generateVisualization(london, new Date(2025, 5, 14, 12), { timeZone: 'Europe/London' });
+        const dateOf = dayOfYear => renderer.describePoint({ dayOfYear, x: 0, y: 0 }, london, 2025, 'Europe/London', { dayYear: path.dayYear });
+
+        expect(path.dayYear).toBe(2024);
+        expect(dateOf(172).date.toISOString().slice(0, 10)).toBe('2025-06-20');
+        expect(dateOf(60).date.toISOString().slice(0, 10)).toBe('2025-02-28');
+        expect(dateOf(61).date.toISOString().slice(0, 10)).toBe('2025-03-01');
+    });
+
+    test('dates the data year\'s last day as 31 December of the year shown', () => {
+        const details = renderer.describePoint({ dayOfYear: 366, x: -2.9, y: -23.1 }, london, 2026, 'Europe/London', { dayYear: 2024 });
+
+        expect(details.date.toISOString().slice(0, 10)).toBe('2026-12-31');
+        expect(details.solarNoon.getUTCFullYear()).toBe(2026);
+    });
+});
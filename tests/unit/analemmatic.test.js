@@ -0,0 +1,108 @@
+/**
+ * Tests for AnalemmaticSundial module and AnalemmaticRenderer
+ * Hour-marker ellipse, date scale, stake list and ground plan
+ */
+
+const AnalemmaticSundial = require('../../src/js/calculations/analemmatic.js');
+const AnalemmaticRenderer = require('../../src/js/visualization/analemmatic-renderer.js');
+const SundialCalculations = require('../../src/js/calculations/sundial.js');
+const AnalemmaCalculations = require('../../src/js/calculations/analemma.js');
+
+const monthStarts = AnalemmaCalculations.getMonthDays(2024);
+
+describe('AnalemmaticSundial', () => {
+    const coordinates = [
+        { dayOfYear: 1, x: -3.33, y: -23.02 },
+        { dayOfYear: 92, x: -3.9, y: 4.6 },
+        { dayOfYear: 183, x: -3.9, y: 23.1 }
+    ];
+
+    test('places hour markers on an ellipse of semi-axes M and M·sin(φ)', () => {
+        const markers = AnalemmaticSundial.calculateHourMarkers(51.5, 6);
+        const byHour = Object.fromEntries(markers.map(marker => [marker.hour, marker]));
+
+        expect(byHour[12].x).toBeCloseTo(0, 10);
+        expect(byHour[12].y).toBeCloseTo(3 * Math.sin(51.5 * Math.PI / 180), 10);
+        expect(byHour[18].x).toBeCloseTo(3, 10);
+        expect(byHour[6].x).toBeCloseTo(-3, 10);
+    });
+
+    test('drops hours the sun never reaches', () => {
+        // The longest day at 30° runs from about 05:02 to 18:58 apparent time
+        const hours = AnalemmaticSundial.calculateHourMarkers(30, 6).map(marker => marker.hour);
+        expect(hours).toEqual([6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18]);
+    });
+
+    test('casts the gnomon shadow through the hour marker', () => {
+        [51.5, -33.9].forEach(latitude => {
+            [-20, 0, 20].forEach(declination => {
+                const gnomon = AnalemmaticSundial.calculateGnomonPosition(latitude, 6, declination);
+                AnalemmaticSundial.calculateHourMarkers(latitude, 6).forEach(marker => {
+                    const sun = SundialCalculations.getSunVector(latitude, marker.hourAngle, declination);
+                    if (sun[2] <= 0) return;
+
+                    const dx = marker.x;
+                    const dy = marker.y - gnomon;
+                    expect(dx * sun[1] - dy * sun[0]).toBeCloseTo(0, 9);
+                    expect(dx * sun[0] + dy * sun[1]).toBeLessThan(0);
+                });
+            });
+        });
+    });
+
+    test('builds the date scale from the declination data', () => {
+        const scale = AnalemmaticSundial.calculateDateScale(51.5, 6, coordinates, monthStarts);
+
+        expect(scale.map(mark => mark.month)).toEqual(['Jan', 'Apr', 'Jul']);
+        expect(scale[0].y).toBeCloseTo(3 * Math.cos(51.5 * Math.PI / 180) * Math.tan(-23.02 * Math.PI / 180), 10);
+        expect(scale[2].y).toBeGreaterThan(0);
+    });
+
+    test('looks the months up by the day numbers it is given', () => {
+        const scale = AnalemmaticSundial.calculateDateScale(51.5, 6, [{ dayOfYear: 60, x: -12.3, y: -7.8 }], AnalemmaCalculations.getMonthDays(2025));
+
+        expect(scale).toEqual([{ month: 'Mar', dayOfYear: 60, declination: -7.8, y: expect.any(Number) }]);
+    });
+
+    test('exports stakes as CSV in metres east and north of the centre', () => {
+        const design = AnalemmaticSundial.designAnalemmaticDial(51.5, 6, coordinates, monthStarts);
+        const lines = AnalemmaticSundial.toStakeCSV(design).trim().split('\n');
+
+        expect(lines[0]).toBe('type,label,east_m,north_m');
+        expect(lines[1]).toBe('centre,Centre,0.000,0.000');
+        expect(lines).toContain('hour,12:00,0.000,2.348');
+        expect(lines).toContain('hour,18:00,3.000,0.000');
+        expect(lines[lines.length - 1]).toBe('date,Jul 1,0.000,0.797');
+    });
+
+    test('flags latitudes where the ellipse is too flat', () => {
+        expect(AnalemmaticSundial.designAnalemmaticDial(5, 6, coordinates, monthStarts).isTooFlat).toBe(true);
+        expect(AnalemmaticSundial.designAnalemmaticDial(-40, 6, coordinates, monthStarts).isTooFlat).toBe(false);
+    });
+});
+
+describe('AnalemmaticRenderer', () => {
+    const renderer = new AnalemmaticRenderer();
+    const design = AnalemmaticSundial.designAnalemmaticDial(51.5, 6, [
+        { dayOfYear: 1, x: -3.33, y: -23.02 },
+        { dayOfYear: 183, x: -3.9, y: 23.1 }
+    ], monthStarts);
+
+    test('draws the plan in centimetres with north up', () => {
+        const plan = renderer.generatePlan(design);
+        const noon = plan.hourMarkers.find(marker => marker.hour === 12);
+
+        expect(plan.ellipse.rx).toBe(300);
+        expect(noon.point.y).toBeLessThan(plan.center.y);
+        expect(plan.dateScale.marks.map(mark => mark.side)).toEqual([-1, -1]);
+    });
+
+    test('labels the dimensions', () => {
+        const svg = renderer.toSVG(renderer.generatePlan(design, { title: 'Plan' }));
+
+        expect(svg).toContain('6.00 m');
+        expect(svg).toContain(`${design.minorAxis.toFixed(2)} m`);
+        expect(svg).toContain('Date scale');
+        expect(svg).toContain('>Plan</text>');
+    });
+});
@@ -0,0 +1,38 @@
+/**
+ * Tests for the app's timers
+ * The minute timer follows the clock only while the user has not chosen a day
+ */
+
+const { TimerService } = require('../../src/js/services/browser-services.js');
+const SimplifiedAnalemmaPWA = require('../../src/js/app-simple.js');
+
+describe('SimplifiedAnalemmaPWA timers', () => {
+    let app;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        app = new SimplifiedAnalemmaPWA({ timerService: new TimerService() });
+    });
+
+    afterEach(() => {
+        app.destroy();
+        jest.useRealTimers();
+    });
+
+    test('keeps a chosen day when the minute timer fires', () => {
+        const chosen = new Date(Date.UTC(2024, 5, 21, 12));
+        app.state.update({ currentDate: chosen, isDateChosen: true });
+
+        jest.advanceTimersByTime(60000);
+
+        expect(app.state.getState().currentDate).toBe(chosen);
+    });
+
+    test('follows the clock when no day is chosen', () => {
+        app.state.update({ currentDate: new Date(Date.UTC(2024, 5, 21, 12)), isDateChosen: false });
+
+        jest.advanceTimersByTime(60000);
+
+        expect(app.state.getState().currentDate.getTime()).toBe(Date.now());
+    });
+});
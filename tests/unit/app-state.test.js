@@ -18,12 +18,15 @@ describe('AppState', () => {
             
             expect(currentState).toEqual({
                 location: null,
+                timeZone: null,
                 permissionState: null,
                 isLoading: false,
                 hasError: false,
                 errorMessage: null,
                 isOnline: true,
-                currentDate: expect.any(Date)
+                currentDate: expect.any(Date),
+                isDateChosen: false,
+                isAnimating: false
             });
         });
 
@@ -149,12 +152,15 @@ describe('AppState', () => {
             const currentState = state.getState();
             expect(currentState).toEqual({
                 location: null,
+                timeZone: null,
                 permissionState: null,
                 isLoading: false,
                 hasError: false,
                 errorMessage: null,
                 isOnline: true,
-                currentDate: expect.any(Date)
+                currentDate: expect.any(Date),
+                isDateChosen: false,
+                isAnimating: false
             });
         });
 
@@ -77,6 +77,41 @@ describe('NavigatorService', () => {
             });
         });
 
+        test('includes GPS altitude when available', async () => {
+            const mockPosition = {
+                coords: {
+                    latitude: 46.5,
+                    longitude: 8.0,
+                    accuracy: 10,
+                    altitude: 2034.5,
+                    altitudeAccuracy: 15
+                },
+                timestamp: Date.now()
+            };
+            
+            mockGeolocation.getCurrentPosition.mockImplementation((success) => {
+                success(mockPosition);
+            });
+            
+            const position = await service.getPosition();
+            
+            expect(position.altitude).toBe(2034.5);
+            expect(position.altitudeAccuracy).toBe(15);
+        });
+
+        test('omits altitude when the device reports none', async () => {
+            mockGeolocation.getCurrentPosition.mockImplementation((success) => {
+                success({
+                    coords: { latitude: 40, longitude: -74, accuracy: 50, altitude: null, altitudeAccuracy: null },
+                    timestamp: Date.now()
+                });
+            });
+            
+            const position = await service.getPosition();
+            
+            expect(position).not.toHaveProperty('altitude');
+        });
+
         test('handles permission denied error', async () => {
             const mockError = { code: 1 }; // PERMISSION_DENIED
             
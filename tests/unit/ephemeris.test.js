@@ -0,0 +1,90 @@
+/**
+ * Unit Tests for Solar Ephemeris
+ * Reference values from Meeus, "Astronomical Algorithms" (2nd ed.)
+ */
+
+const SolarEphemeris = require('../../src/js/calculations/ephemeris.js');
+
+describe('SolarEphemeris', () => {
+    describe('Julian dates', () => {
+        test('converts J2000.0 epoch', () => {
+            const j2000 = new Date(Date.UTC(2000, 0, 1, 12));
+            expect(SolarEphemeris.toJulianDay(j2000)).toBe(2451545.0);
+            expect(SolarEphemeris.julianCentury(2451545.0)).toBe(0);
+        });
+
+        test('round-trips a date through Julian Day', () => {
+            const date = new Date(Date.UTC(1992, 9, 13, 6, 30, 15));
+            const julianDay = SolarEphemeris.toJulianDay(date);
+            expect(SolarEphemeris.fromJulianDay(julianDay).getTime()).toBe(date.getTime());
+        });
+    });
+
+    describe('deltaT', () => {
+        test('returns about a minute for the present era', () => {
+            expect(SolarEphemeris.deltaT(2024)).toBeGreaterThan(65);
+            expect(SolarEphemeris.deltaT(2024)).toBeLessThan(75);
+        });
+    });
+
+    describe('getSolarCoordinates', () => {
+        // Example 25.a / 28.b: 1992 October 13.0 TD
+        const instant = SolarEphemeris.fromJulianDay(2448908.5 - SolarEphemeris.deltaT(1992.8) / 86400);
+        const coords = SolarEphemeris.getSolarCoordinates(instant);
+
+        test('matches the mean elements', () => {
+            expect(coords.meanLongitude).toBeCloseTo(201.80720, 4);
+            expect(coords.meanAnomaly).toBeCloseTo(278.99397, 4);
+            expect(coords.eccentricity).toBeCloseTo(0.016711668, 8);
+            expect(coords.equationOfCenter).toBeCloseTo(-1.89732, 4);
+        });
+
+        test('matches apparent declination within an arcsecond', () => {
+            expect(Math.abs(coords.declination - (-7.78507))).toBeLessThan(1 / 3600);
+        });
+
+        test('matches apparent right ascension and distance', () => {
+            expect(coords.rightAscension).toBeCloseTo(198.38083, 2);
+            expect(coords.radiusVector).toBeCloseTo(0.99766, 4);
+        });
+
+        test('matches equation of time within a second', () => {
+            // 13m 42.6s
+            expect(Math.abs(coords.equationOfTime - 13.7094) * 60).toBeLessThan(1);
+        });
+
+        test('keeps equation of time within its yearly range', () => {
+            for (let day = 1; day <= 366; day += 5) {
+                const eot = SolarEphemeris.getSolarCoordinates(SolarEphemeris.dayOfYearToDate(2024, day)).equationOfTime;
+                expect(eot).toBeGreaterThan(-14.5);
+                expect(eot).toBeLessThan(16.5);
+            }
+        });
+    });
+
+    describe('calculateSunDistance', () => {
+        test('gives about 147.1 million km and 32.5 arcminutes at perihelion', () => {
+            const distance = SolarEphemeris.calculateSunDistance(new Date(Date.UTC(2024, 0, 3)));
+
+            expect(distance.km / 1e6).toBeCloseTo(147.1, 1);
+            expect(distance.angularDiameter * 60).toBeCloseTo(32.53, 1);
+            expect(distance.distanceFromMean).toBeCloseTo(-1.67, 1);
+            expect(distance.diameterFromMean).toBeCloseTo(1.70, 1);
+        });
+
+        test('gives about 152.1 million km and 31.5 arcminutes at aphelion', () => {
+            const distance = SolarEphemeris.calculateSunDistance(new Date(Date.UTC(2024, 6, 5)));
+
+            expect(distance.km / 1e6).toBeCloseTo(152.1, 1);
+            expect(distance.angularDiameter * 60).toBeCloseTo(31.47, 1);
+            expect(distance.distanceFromMean).toBeGreaterThan(1.6);
+        });
+    });
+
+    describe('dayOfYearToDate', () => {
+        test('returns noon UT of the requested day', () => {
+            const date = SolarEphemeris.dayOfYearToDate(2024, 60);
+            expect(date.toISOString()).toBe('2024-02-29T12:00:00.000Z');
+        });
+    });
+});
@@ -0,0 +1,50 @@
+/**
+ * Tests for index.html's script tags
+ * The classic scripts share one global scope, so each must load beside the others
+ *
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const SRC = path.join(__dirname, '../../src');
+
+describe('index.html scripts', () => {
+    const html = fs.readFileSync(path.join(SRC, 'index.html'), 'utf8');
+    const scripts = [...html.matchAll(/<script src="([^"]+)"/g)].map(match => match[1]);
+    let dom;
+
+    beforeAll(async () => {
+        dom = new JSDOM(html, { runScripts: 'outside-only', url: 'https://localhost/' });
+        // Load the scripts after the page so the app does not start
+        await new Promise(resolve => dom.window.addEventListener('load', resolve));
+    });
+
+    afterAll(() => {
+        dom.window.close();
+    });
+
+    test('loads every script in order without a redeclaration', () => {
+        const context = dom.getInternalVMContext();
+
+        expect(scripts.length).toBeGreaterThan(0);
+        scripts.forEach(script => {
+            const code = fs.readFileSync(path.join(SRC, script), 'utf8');
+            expect(() => vm.runInContext(code, context, { filename: script })).not.toThrow();
+        });
+    });
+
+    test.each([
+        'SolarEphemeris', 'ObserverModel', 'TimeZoneLookup', 'SolarCalculations', 'AnalemmaCalculations',
+        'SunTimes', 'PolarPeriods', 'SeasonEvents', 'ShadowCalculations', 'SundialCalculations',
+        'AnalemmaticSundial', 'NoonMark', 'SkyView', 'NoonAnalemma', 'PhotoPlanner', 'PhotoCalibration',
+        'SunPath', 'BrowserServices', 'LocationService', 'Renderers', 'DOMUpdater', 'AnalemmaRenderer',
+        'ShadowRenderer', 'SundialRenderer', 'AnalemmaticRenderer', 'NoonMarkRenderer', 'SunPathRenderer',
+        'SimplifiedAnalemmaPWA'
+    ])('exports %s to the window', name => {
+        expect(dom.window[name]).toBeDefined();
+    });
+});
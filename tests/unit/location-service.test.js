@@ -235,4 +235,32 @@ describe('LocationService', () => {
             expect(mockStorage.remove).toHaveBeenCalledWith('saved_location');
         });
     });
+
+    describe('observer settings', () => {
+        test('loads saved settings', () => {
+            mockStorage.load.mockReturnValue({ elevation: 1200, eyeHeight: 1.6 });
+            
+            expect(service.getObserverSettings()).toEqual({ elevation: 1200, eyeHeight: 1.6 });
+            expect(mockStorage.load).toHaveBeenCalledWith('observer_settings');
+        });
+
+        test('returns empty settings when nothing is saved', () => {
+            mockStorage.load.mockReturnValue(null);
+            
+            expect(service.getObserverSettings()).toEqual({});
+        });
+
+        test('saves settings', () => {
+            mockStorage.save.mockReturnValue(true);
+            const settings = { elevation: null, eyeHeight: 1.8 };
+            
+            expect(service.saveObserverSettings(settings)).toBe(true);
+            expect(mockStorage.save).toHaveBeenCalledWith('observer_settings', settings);
+        });
+
+        test('rejects non-object settings', () => {
+            expect(service.saveObserverSettings(null)).toBe(false);
+            expect(mockStorage.save).not.toHaveBeenCalled();
+        });
+    });
 }); 
\ No newline at end of file
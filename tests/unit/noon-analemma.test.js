@@ -0,0 +1,50 @@
+/**
+ * Tests for NoonAnalemma module
+ * Solar noon on the clock and the noon sun's altitude through the year at one place
+ */
+
+const NoonAnalemma = require('../../src/js/calculations/noon-analemma.js');
+
+describe('NoonAnalemma', () => {
+    describe('getLongitudeOffset', () => {
+        test('puts noon later west of the zone meridian', () => {
+            // Brest keeps Central European Time 4.5° west of Greenwich
+            expect(NoonAnalemma.getLongitudeOffset(-4.5, 60)).toBeCloseTo(78, 10);
+            expect(NoonAnalemma.getLongitudeOffset(15, 60)).toBe(0);
+            expect(NoonAnalemma.getLongitudeOffset(151.2, 600)).toBeCloseTo(-4.8, 10);
+        });
+    });
+
+    describe('calculateNoonAnalemma', () => {
+        test('spreads noon around the longitude offset by the equation of time', () => {
+            const { clockOffset, longitudeOffset, points } = NoonAnalemma.calculateNoonAnalemma(48.39, -4.49, 2024, {
+                timeZone: 'Europe/Paris'
+            });
+            const offsets = points.map(point => point.noonOffset);
+
+            expect(points).toHaveLength(366);
+            expect(clockOffset).toBe(60);
+            expect(Math.min(...offsets)).toBeCloseTo(longitudeOffset - 16.4, 0);
+            expect(Math.max(...offsets)).toBeCloseTo(longitudeOffset + 14.2, 0);
+            points.forEach(point => {
+                expect(point.noonOffset + point.equationOfTime).toBeCloseTo(longitudeOffset, 10);
+            });
+        });
+
+        test('ignores daylight saving time', () => {
+            const { points } = NoonAnalemma.calculateNoonAnalemma(51.5, -0.13, 2024, { timeZone: 'Europe/London' });
+            const [march30, march31] = [points[89], points[90]];
+
+            expect(Math.abs(march31.noonOffset - march30.noonOffset)).toBeLessThan(1);
+        });
+
+        test('gives the noon altitude at the latitude', () => {
+            const { points } = NoonAnalemma.calculateNoonAnalemma(51.5, 0, 2024);
+            const june21 = points[172];
+
+            expect(june21.altitude).toBeCloseTo(90 - 51.5 + 23.44, 1);
+            expect(june21.altitude).toBeCloseTo(90 - 51.5 + june21.declination, 1);
+            expect(Math.min(...points.map(point => point.altitude))).toBeCloseTo(90 - 51.5 - 23.44, 1);
+        });
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * Tests for NoonMark module and NoonMarkRenderer
+ * Projection of the noon sun onto a floor or wall, and the tiled full-scale layout
+ */
+
+const NoonMark = require('../../src/js/calculations/noon-mark.js');
+const NoonMarkRenderer = require('../../src/js/visualization/noon-mark-renderer.js');
+const AnalemmaCalculations = require('../../src/js/calculations/analemma.js');
+
+describe('NoonMark', () => {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const solstices = [
+        { dayOfYear: 172, x: -1.5, y: 23.44 },
+        { dayOfYear: 356, x: 1.8, y: -23.44 }
+    ];
+
+    test('puts the noon spot at h / tan(altitude) along a floor meridian', () => {
+        const mark = NoonMark.calculateNoonMark(51.5, [{ dayOfYear: 172, x: 0, y: 23.44 }], { gnomonHeight: 2 });
+        const [spot] = mark.points;
+
+        expect(spot.x).toBeCloseTo(0, 10);
+        expect(spot.y).toBeCloseTo(2 / Math.tan(toRadians(90 - 51.5 + 23.44)), 10);
+    });
+
+    test('drops the spot below the nodus on a south wall', () => {
+        const mark = NoonMark.calculateNoonMark(51.5, [{ dayOfYear: 356, x: 0, y: -23.44 }], {
+            surface: 'wall-south',
+            gnomonHeight: 1
+        });
+
+        expect(mark.points[0].y).toBeCloseTo(-Math.tan(toRadians(90 - 51.5 - 23.44)), 10);
+    });
+
+    test('shifts the spot sideways by the equation of time', () => {
+        const early = NoonMark.calculateNoonMark(51.5, [{ dayOfYear: 45, x: -14, y: -13 }]).points[0];
+        const late = NoonMark.calculateNoonMark(51.5, [{ dayOfYear: 307, x: 16, y: -14.5 }]).points[0];
+
+        // Sun still east of the meridian in February, so the spot falls west of the noon line
+        expect(early.x).toBeLessThan(0);
+        expect(late.x).toBeGreaterThan(0);
+    });
+
+    test('moves the whole figure for standard-time noon', () => {
+        const mean = NoonMark.calculateNoonMark(51.5, solstices);
+        const clock = NoonMark.calculateNoonMark(51.5, solstices, { clockOffset: 30 });
+
+        expect(clock.points[0].x).toBeLessThan(mean.points[0].x);
+        expect(clock.meridian).toEqual(mean.meridian);
+    });
+
+    test('counts days the noon sun does not reach a north wall', () => {
+        const mark = NoonMark.calculateNoonMark(51.5, solstices, { surface: 'wall-north' });
+
+        expect(mark.points).toEqual([]);
+        expect(mark.unlitDays).toBe(2);
+    });
+
+    test('rejects unknown surfaces', () => {
+        expect(() => NoonMark.calculateNoonMark(51.5, solstices, { surface: 'ceiling' })).toThrow('Unknown noon mark surface');
+    });
+});
+
+describe('NoonMarkRenderer', () => {
+    const renderer = new NoonMarkRenderer();
+    const coordinates = Array.from({ length: 366 }, (_, index) => ({
+        dayOfYear: index + 1,
+        x: 15 * Math.sin(2 * Math.PI * index / 183),
+        y: -23.44 * Math.cos(2 * Math.PI * (index + 10) / 366)
+    }));
+    const mark = NoonMark.calculateNoonMark(51.5, coordinates, { gnomonHeight: 1, monthStarts: AnalemmaCalculations.getMonthDays(2024) });
+
+    test('lays the figure out at full scale on whole paper tiles', () => {
+        const layout = renderer.generateLayout(mark, { tile: { width: 190, height: 277 } });
+        const ys = mark.points.map(point => point.y);
+
+        expect(layout.width % 190).toBe(0);
+        expect(layout.height % 277).toBe(0);
+        expect(layout.height).toBeGreaterThanOrEqual((Math.max(...ys) - Math.min(...ys)) * 1000);
+        expect(layout.tiles[0].label).toBe('A1');
+        expect(layout.tiles).toHaveLength((layout.width / 190) * (layout.height / 277));
+    });
+
+    test('closes the loop and ticks each month', () => {
+        const layout = renderer.generateLayout(mark);
+
+        expect(layout.path.startsWith('M ')).toBe(true);
+        expect(layout.path.match(/M /g)).toHaveLength(1);
+        expect(layout.monthTicks.map(tick => tick.month)).toEqual([
+            'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'
+        ]);
+    });
+
+    test('exports an SVG sized in millimetres', () => {
+        const layout = renderer.generateLayout(mark);
+        const svg = renderer.toSVG(layout);
+
+        expect(svg).toContain(`width="${layout.width}mm"`);
+        expect(svg).toContain('Gnomon foot');
+    });
+});
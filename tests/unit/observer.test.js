@@ -0,0 +1,104 @@
+/**
+ * Tests for ObserverModel module
+ * Observer profile, horizon dip and refraction
+ */
+
+const ObserverModel = require('../../src/js/calculations/observer.js');
+
+describe('ObserverModel', () => {
+    describe('standard atmosphere', () => {
+        test('gives sea-level pressure and temperature at 0 m', () => {
+            expect(ObserverModel.calculateStandardPressure(0)).toBeCloseTo(1013.25, 2);
+            expect(ObserverModel.calculateStandardTemperature(0)).toBe(15);
+        });
+
+        test('thins out with elevation', () => {
+            expect(ObserverModel.calculateStandardPressure(3000)).toBeCloseTo(701, 0);
+            expect(ObserverModel.calculateStandardTemperature(3000)).toBeCloseTo(-4.5, 5);
+        });
+    });
+
+    describe('calculateHorizonDip', () => {
+        test('is zero at the surface and grows with the square root of height', () => {
+            expect(ObserverModel.calculateHorizonDip(0)).toBe(0);
+            expect(ObserverModel.calculateHorizonDip(100) * 60).toBeCloseTo(17.6, 5);
+            expect(ObserverModel.calculateHorizonDip(400)).toBeCloseTo(2 * ObserverModel.calculateHorizonDip(100), 10);
+        });
+    });
+
+    describe('createObserverProfile', () => {
+        test('defaults to sea level with standard conditions', () => {
+            const profile = ObserverModel.createObserverProfile({ latitude: 0, longitude: 0 });
+
+            expect(profile.elevation).toBe(0);
+            expect(profile.elevationSource).toBe('default');
+            expect(profile.eyeHeight).toBe(1.7);
+            expect(profile.pressure).toBeCloseTo(1013.25, 2);
+            expect(profile.horizonDip).toBeCloseTo(ObserverModel.calculateHorizonDip(1.7), 10);
+        });
+
+        test('uses GPS altitude when no elevation is entered', () => {
+            const profile = ObserverModel.createObserverProfile({ latitude: 46, longitude: 8, altitude: 2000 });
+
+            expect(profile.elevation).toBe(2000);
+            expect(profile.elevationSource).toBe('gps');
+            expect(profile.pressure).toBeLessThan(800);
+        });
+
+        test('keeps the horizon level with the site unless a lower one is entered', () => {
+            const inland = ObserverModel.createObserverProfile({ latitude: 19.43, longitude: -99.13, altitude: 2240 });
+            const overTheSea = ObserverModel.createObserverProfile(
+                { latitude: 19.43, longitude: -99.13, altitude: 2240 },
+                { horizonElevation: 0 }
+            );
+
+            expect(inland.horizonElevation).toBe(2240);
+            expect(inland.horizonDip).toBeCloseTo(ObserverModel.calculateHorizonDip(1.7), 10);
+            expect(overTheSea.horizonDip).toBeCloseTo(ObserverModel.calculateHorizonDip(2241.7), 10);
+        });
+
+        test('prefers entered values and ignores empty ones', () => {
+            const profile = ObserverModel.createObserverProfile(
+                { latitude: 46, longitude: 8, altitude: 2000 },
+                { elevation: 500, horizonElevation: 500, eyeHeight: 0, pressure: null, temperature: 25 }
+            );
+
+            expect(profile.elevation).toBe(500);
+            expect(profile.elevationSource).toBe('manual');
+            expect(profile.horizonDip).toBe(0);
+            expect(profile.temperature).toBe(25);
+            expect(profile.pressure).toBeCloseTo(ObserverModel.calculateStandardPressure(500), 5);
+        });
+    });
+
+    describe('refraction', () => {
+        test('Bennett gives about 34.5 arcminutes at the apparent horizon', () => {
+            expect(ObserverModel.calculateBennettRefraction(0) * 60).toBeCloseTo(34.5, 0);
+        });
+
+        test('Saemundsson and Bennett agree above the horizon', () => {
+            const trueAltitude = 10;
+            const apparent = trueAltitude + ObserverModel.calculateSaemundssonRefraction(trueAltitude);
+            const recovered = apparent - ObserverModel.calculateBennettRefraction(apparent);
+
+            expect(Math.abs(recovered - trueAltitude) * 3600).toBeLessThan(5);
+        });
+
+        test('scales with pressure and temperature', () => {
+            const thinAir = { pressure: 505, temperature: 10 };
+            expect(ObserverModel.calculateBennettRefraction(0, thinAir))
+                .toBeCloseTo(ObserverModel.calculateBennettRefraction(0) / 2, 10);
+        });
+    });
+
+    describe('calculateSunriseAltitude', () => {
+        test('is about −0.83° at sea level', () => {
+            expect(ObserverModel.calculateSunriseAltitude(null)).toBeCloseTo(-0.84, 2);
+        });
+
+        test('is lower for a mountain observer looking out over the lowlands', () => {
+            const mountain = ObserverModel.createObserverProfile({ latitude: 46, longitude: 8, altitude: 2000 }, { horizonElevation: 0 });
+            expect(ObserverModel.calculateSunriseAltitude(mountain)).toBeLessThan(-2);
+        });
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for PhotoCalibration module and the renderer's photo overlay
+ * Two-point calibration of a sky photo and the predicted analemma drawn over it
+ */
+
+const PhotoCalibration = require('../../src/js/calculations/photo-calibration.js');
+const PhotoPlanner = require('../../src/js/calculations/photo-planner.js');
+const AnalemmaRenderer = require('../../src/js/visualization/analemma-renderer.js');
+
+describe('PhotoCalibration', () => {
+    const london = { latitude: 51.5074, longitude: -0.1278 };
+
+    // A level camera aimed due south at 30° altitude with a 24 mm lens on a 6000 × 4000 sensor
+    const camera = { altitude: 30, azimuth: 180 };
+    const pixelsPerUnit = 24 * 6000 / 36;
+    const photograph = direction => {
+        const point = PhotoPlanner.projectToImagePlane(direction, camera);
+        return { x: 3000 + point.x * pixelsPerUnit, y: 2000 - point.y * pixelsPerUnit };
+    };
+
+    describe('getReferenceDirection', () => {
+        test('puts a horizon reference at 0° altitude', () => {
+            expect(PhotoCalibration.getReferenceDirection({ type: 'horizon', azimuth: 200 }, 0, 0))
+                .toEqual({ altitude: 0, azimuth: 200 });
+        });
+
+        test('uses the sun position for a sun reference', () => {
+            const direction = PhotoCalibration.getReferenceDirection(
+                { type: 'sun', date: new Date('2024-06-21T12:00:00Z') },
+                london.latitude,
+                london.longitude
+            );
+            expect(direction.altitude).toBeCloseTo(62, 0);
+            expect(direction.azimuth).toBeGreaterThan(175);
+            expect(direction.azimuth).toBeLessThan(185);
+        });
+
+        test('rejects unknown reference types', () => {
+            expect(() => PhotoCalibration.getReferenceDirection({ type: 'moon' }, 0, 0)).toThrow('Unknown reference type');
+        });
+    });
+
+    describe('createCalibration', () => {
+        const sun = { altitude: 45, azimuth: 170 };
+        const horizon = { altitude: 0, azimuth: 200 };
+        const calibration = PhotoCalibration.createCalibration(
+            { pixel: photograph(sun), direction: sun },
+            { pixel: photograph(horizon), direction: horizon },
+            { width: 6000, height: 4000 }
+        );
+
+        test('maps the references back onto their pixels', () => {
+            const pixel = PhotoCalibration.skyToPixel(calibration, sun);
+            expect(pixel.x).toBeCloseTo(photograph(sun).x, 6);
+            expect(pixel.y).toBeCloseTo(photograph(sun).y, 6);
+        });
+
+        test('recovers the lens scale and a level camera', () => {
+            expect(calibration.pixelsPerDegree).toBeCloseTo(pixelsPerUnit * Math.PI / 180, 3);
+            expect(calibration.rotation).toBeCloseTo(0, 3);
+        });
+
+        test('places other directions close to where the camera saw them', () => {
+            const check = { altitude: 20, azimuth: 185 };
+            const pixel = PhotoCalibration.skyToPixel(calibration, check);
+            expect(Math.hypot(pixel.x - photograph(check).x, pixel.y - photograph(check).y)).toBeLessThan(0.01);
+        });
+
+        test('finds the camera aim at the centre of the photo', () => {
+            const aim = PhotoCalibration.pixelToSky(calibration, { x: 3000, y: 2000 });
+            expect(aim.altitude).toBeCloseTo(camera.altitude, 3);
+            expect(aim.azimuth).toBeCloseTo(camera.azimuth, 3);
+        });
+
+        test('approximates from the midpoint without the photo size', () => {
+            const rough = PhotoCalibration.createCalibration(
+                { pixel: photograph(sun), direction: sun },
+                { pixel: photograph(horizon), direction: horizon }
+            );
+            const check = { altitude: 20, azimuth: 185 };
+            const pixel = PhotoCalibration.skyToPixel(rough, check);
+            expect(Math.hypot(pixel.x - photograph(check).x, pixel.y - photograph(check).y)).toBeLessThan(300);
+        });
+
+        test('inverts skyToPixel', () => {
+            const direction = { altitude: 33, azimuth: 171 };
+            const back = PhotoCalibration.pixelToSky(calibration, PhotoCalibration.skyToPixel(calibration, direction));
+            expect(back.altitude).toBeCloseTo(direction.altitude, 8);
+            expect(back.azimuth).toBeCloseTo(direction.azimuth, 8);
+        });
+
+        test('rejects two clicks on the same spot', () => {
+            const pixel = { x: 100, y: 100 };
+            expect(() => PhotoCalibration.createCalibration(
+                { pixel, direction: sun },
+                { pixel, direction: horizon }
+            )).toThrow('must be different');
+        });
+    });
+
+    describe('parseLocalDateTime', () => {
+        test('reads wall-clock time in the location time zone', () => {
+            expect(PhotoCalibration.parseLocalDateTime('2024-06-21T13:00', 'Europe/London').toISOString())
+                .toBe('2024-06-21T12:00:00.000Z');
+            expect(PhotoCalibration.parseLocalDateTime('2024-12-21T13:00', 'Europe/London').toISOString())
+                .toBe('2024-12-21T13:00:00.000Z');
+        });
+
+        test('returns null for empty or malformed input', () => {
+            expect(PhotoCalibration.parseLocalDateTime('', 'Europe/London')).toBeNull();
+            expect(PhotoCalibration.parseLocalDateTime('21/06/2024 13:00')).toBeNull();
+        });
+    });
+});
+
+describe('AnalemmaRenderer photo overlay', () => {
+    const london = { latitude: 51.5074, longitude: -0.1278 };
+    const renderer = new AnalemmaRenderer();
+    const high = { altitude: 60, azimuth: 180 };
+    const low = { altitude: 0, azimuth: 180 };
+    const calibration = PhotoCalibration.createCalibration(
+        { pixel: { x: 2000, y: 400 }, direction: high },
+        { pixel: { x: 2000, y: 2800 }, direction: low },
+        { width: 4000, height: 3000 }
+    );
+
+    test('draws the noon analemma, horizon and today\'s sun inside the photo', () => {
+        const overlay = renderer.generatePhotoOverlay(london, new Date(2024, 9, 1, 12), calibration, {
+            width: 4000,
+            height: 3000,
+            hour: 12,
+            timeZone: 'Europe/London'
+        });
+
+        expect(overlay.path).toMatch(/^M /);
+        expect(overlay.path.endsWith('Z')).toBe(true);
+        expect(overlay.horizon).toMatch(/^M /);
+        expect(overlay.sun.x).toBeGreaterThan(1500);
+        expect(overlay.sun.x).toBeLessThan(2500);
+        expect(overlay.sun.y).toBeGreaterThan(400);
+        expect(overlay.sun.y).toBeLessThan(2800);
+    });
+
+    test('writes a standalone SVG sized to the photo with the reference marks', () => {
+        const svg = renderer.toOverlaySVG({ width: 4000, height: 3000 }, [{ x: 10, y: 20 }, { x: 30, y: 40 }]);
+
+        expect(svg).toContain('width="4000" height="3000" viewBox="0 0 4000 3000"');
+        expect(svg.match(/<text/g)).toHaveLength(2);
+        expect(svg).not.toContain('<circle');
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * Tests for PhotoPlanner module
+ * Analemma time-lapse schedule, framing and CSV/ICS export
+ */
+
+const PhotoPlanner = require('../../src/js/calculations/photo-planner.js');
+
+describe('PhotoPlanner', () => {
+    const london = { latitude: 51.5074, longitude: -0.1278 };
+    const startDate = new Date('2024-01-01T10:00:00Z');
+
+    describe('calculateFieldOfView', () => {
+        test('matches the usual full-frame angles', () => {
+            const fov = PhotoPlanner.calculateFieldOfView(24);
+            expect(fov.horizontal).toBeCloseTo(73.74, 1);
+            expect(fov.vertical).toBeCloseTo(53.13, 1);
+        });
+
+        test('swaps the axes in portrait', () => {
+            const fov = PhotoPlanner.calculateFieldOfView(50, 'portrait');
+            expect(fov.horizontal).toBeLessThan(fov.vertical);
+        });
+    });
+
+    describe('projectToImagePlane', () => {
+        test('puts the aim point in the centre and a point 45° right at tan 45°', () => {
+            const aim = { altitude: 0, azimuth: 180 };
+            expect(PhotoPlanner.projectToImagePlane(aim, aim)).toEqual({ x: 0, y: 0 });
+
+            const right = PhotoPlanner.projectToImagePlane({ altitude: 0, azimuth: 225 }, aim);
+            expect(right.x).toBeCloseTo(1, 10);
+            expect(right.y).toBeCloseTo(0, 10);
+        });
+
+        test('returns null behind the camera', () => {
+            expect(PhotoPlanner.projectToImagePlane({ altitude: 0, azimuth: 0 }, { altitude: 0, azimuth: 180 })).toBeNull();
+        });
+    });
+
+    describe('planShoot', () => {
+        const plan = PhotoPlanner.planShoot(london.latitude, london.longitude, {
+            startDate,
+            hour: 12,
+            intervalDays: 7,
+            timeZone: 'Europe/London'
+        });
+
+        test('schedules weekly shots at the same standard time for a year', () => {
+            expect(plan.shots).toHaveLength(53);
+            expect(plan.shots[0].day).toBe('2024-01-01');
+            expect(plan.shots[1].day).toBe('2024-01-08');
+            plan.shots.forEach(shot => expect(shot.date.getUTCHours()).toBe(12));
+        });
+
+        test('finds both clock changes and the shifted wall-clock time', () => {
+            expect(plan.clockChanges).toEqual([
+                { date: '2024-03-31', fromOffset: 0, toOffset: 60, wallClock: '13:00' },
+                { date: '2024-10-27', fromOffset: 60, toOffset: 0, wallClock: '12:00' }
+            ]);
+
+            const summer = plan.shots.find(shot => shot.day === '2024-07-01');
+            expect(summer.isDaylightSaving).toBe(true);
+            expect(summer.wallClock).toBe('13:00');
+        });
+
+        test('aims south and reports the longest lens that fits the figure and horizon', () => {
+            const { aim, maxFocalLength, fits } = plan.framing;
+
+            expect(aim.azimuth).toBeCloseTo(180, 0);
+            expect(maxFocalLength).toBeGreaterThan(15);
+            expect(maxFocalLength).toBeLessThan(24);
+            expect(fits).toBe(false);
+        });
+
+        test('places every visible shot inside the frame when the lens fits', () => {
+            const wide = PhotoPlanner.planShoot(london.latitude, london.longitude, { startDate, focalLength: 16, timeZone: 'Europe/London' });
+
+            expect(wide.framing.fits).toBe(true);
+            wide.shots.forEach(shot => {
+                expect(shot.frame.x).toBeGreaterThanOrEqual(0);
+                expect(shot.frame.x).toBeLessThanOrEqual(1);
+                expect(shot.frame.y).toBeGreaterThanOrEqual(0);
+                expect(shot.frame.y).toBeLessThanOrEqual(1);
+            });
+        });
+
+        test('skips the daylight saving check without a time zone', () => {
+            const nautical = PhotoPlanner.planShoot(london.latitude, london.longitude, { startDate, intervalDays: 30 });
+
+            expect(nautical.checkedDaylightSaving).toBe(false);
+            expect(nautical.clockChanges).toEqual([]);
+            expect(nautical.shots.every(shot => !shot.isDaylightSaving)).toBe(true);
+        });
+
+        test('marks shots with the sun below the horizon', () => {
+            const early = PhotoPlanner.planShoot(london.latitude, london.longitude, { startDate, hour: 6, intervalDays: 14, timeZone: 'Europe/London' });
+            const winter = early.shots[0];
+
+            expect(winter.isVisible).toBe(false);
+            expect(winter.frame).toBeNull();
+            expect(early.shots.some(shot => shot.isVisible)).toBe(true);
+        });
+    });
+
+    describe('export', () => {
+        const plan = PhotoPlanner.planShoot(london.latitude, london.longitude, {
+            startDate,
+            hour: 6,
+            intervalDays: 14,
+            timeZone: 'Europe/London'
+        });
+
+        test('writes one CSV row per shot', () => {
+            const lines = PhotoPlanner.toCSV(plan).trim().split('\n');
+
+            expect(lines[0]).toBe('shot,date,standard_time,clock_time,utc,altitude_deg,azimuth_deg,above_horizon,frame_x,frame_y');
+            expect(lines).toHaveLength(plan.shots.length + 1);
+            expect(lines[1]).toMatch(/^1,2024-01-01,06:00,06:00,2024-01-01T06:00:00.000Z,-[\d.]+,[\d.]+,no,,$/);
+        });
+
+        test('writes UTC calendar events for shots above the horizon only', () => {
+            const ics = PhotoPlanner.toICS(plan, { createdAt: new Date(Date.UTC(2024, 0, 1)) });
+            const events = ics.match(/BEGIN:VEVENT/g);
+            const visible = plan.shots.filter(shot => shot.isVisible);
+
+            expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+            expect(events).toHaveLength(visible.length);
+            expect(ics).toContain(`DTSTART:${visible[0].date.toISOString().replace(/[-:]/g, '').replace('.000', '')}`);
+            expect(ics).toContain('DTSTAMP:20240101T000000Z');
+            ics.split('\r\n').forEach(line => expect(line.length).toBeLessThanOrEqual(75));
+        });
+
+        test('notes the daylight saving clock time in summer events', () => {
+            const ics = PhotoPlanner.toICS(plan).replace(/\r\n /g, '');
+            expect(ics).toContain('Clocks show 07:00 (daylight saving time)\\; shoot at 06:00 standard time.');
+        });
+    });
+
+    describe('formatClockHour', () => {
+        test('formats fractional hours', () => {
+            expect(PhotoPlanner.formatClockHour(9.5)).toBe('09:30');
+            expect(PhotoPlanner.formatClockHour(12)).toBe('12:00');
+        });
+    });
+});
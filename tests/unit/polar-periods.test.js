@@ -0,0 +1,62 @@
+/**
+ * Tests for PolarPeriods module
+ * Polar night and midnight sun forecasting
+ */
+
+const PolarPeriods = require('../../src/js/calculations/polar-periods.js');
+
+describe('PolarPeriods', () => {
+    const longyearbyen = { latitude: 78.2232, longitude: 15.6267, timeZone: 'Arctic/Longyearbyen' };
+    const forecast = date => PolarPeriods.getPolarForecast(
+        longyearbyen.latitude, longyearbyen.longitude, date, { timeZone: longyearbyen.timeZone }
+    );
+    const localDay = date => date.toLocaleDateString('en-CA', { timeZone: longyearbyen.timeZone });
+
+    test('returns nothing outside the polar regions', () => {
+        expect(PolarPeriods.getPolarForecast(51.5, 0, new Date(Date.UTC(2024, 11, 21)))).toEqual({
+            current: null,
+            upcoming: [],
+            daysRemaining: null
+        });
+    });
+
+    test('finds the current polar night and counts the days until the sun returns', () => {
+        const result = forecast(new Date(Date.UTC(2024, 11, 1, 12)));
+
+        expect(result.current.type).toBe('polar-night');
+        expect(localDay(result.current.firstDay)).toBe('2024-10-26');
+        expect(localDay(result.current.lastDay)).toBe('2025-02-14');
+        expect(localDay(result.current.endsAt)).toBe('2025-02-15');
+        expect(result.current.days).toBe(112);
+        expect(result.daysRemaining).toBe(76);
+    });
+
+    test('brackets the period with the last sunset and first sunrise', () => {
+        const { current } = forecast(new Date(Date.UTC(2024, 11, 1, 12)));
+
+        expect(current.startedAt.getTime()).toBeLessThan(current.firstDay.getTime());
+        expect(current.endsAt.getTime()).toBeGreaterThan(current.lastDay.getTime());
+        expect(localDay(current.startedAt)).toBe('2024-10-25');
+    });
+
+    test('lists the next periods in order', () => {
+        const result = forecast(new Date(Date.UTC(2024, 8, 10, 12)));
+
+        expect(result.current).toBeNull();
+        expect(result.daysRemaining).toBeNull();
+        expect(result.upcoming.map(period => period.type)).toEqual(['polar-night', 'polar-day']);
+        expect(localDay(result.upcoming[1].firstDay)).toBe('2025-04-18');
+        expect(localDay(result.upcoming[1].lastDay)).toBe('2025-08-23');
+    });
+
+    test('handles midnight sun in the south', () => {
+        const result = PolarPeriods.getPolarForecast(-77.85, 166.67, new Date(Date.UTC(2024, 11, 21)), {
+            timeZone: 'Antarctica/McMurdo',
+            count: 1
+        });
+
+        expect(result.current.type).toBe('polar-day');
+        expect(result.upcoming).toHaveLength(1);
+        expect(result.upcoming[0].type).toBe('polar-night');
+    });
+});
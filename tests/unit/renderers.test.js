@@ -237,6 +237,57 @@ describe('Renderers', () => {
                 className: ''
             });
         });
+
+        test('describes the current polar night and lists upcoming periods', () => {
+            const forecast = {
+                current: {
+                    type: 'polar-night',
+                    firstDay: new Date(Date.UTC(2024, 9, 26, 12)),
+                    lastDay: new Date(Date.UTC(2025, 1, 14, 12)),
+                    endsAt: new Date(Date.UTC(2025, 1, 15, 11)),
+                    days: 112,
+                    startKnown: true,
+                    endKnown: true
+                },
+                upcoming: [{
+                    type: 'polar-day',
+                    firstDay: new Date(Date.UTC(2025, 3, 18, 12)),
+                    lastDay: new Date(Date.UTC(2025, 7, 23, 12)),
+                    days: 128,
+                    startKnown: true,
+                    endKnown: true
+                }],
+                daysRemaining: 76
+            };
+
+            const result = Renderers.renderExtremeLatitudeWarning({ timeZone: 'Etc/UTC' }, true, forecast);
+
+            expect(result.show).toBe(true);
+            expect(result.className).toBe('extreme-latitude');
+            expect(result.message).toBe('Polar night: the sun has not risen since Oct 26. It returns on Feb 15, in 76 days.');
+            expect(result.periods).toEqual([{ label: 'Midnight sun', range: 'Apr 18 – Aug 23', days: '128 days' }]);
+        });
+
+        test('shows the next period when none is under way', () => {
+            const forecast = {
+                current: null,
+                upcoming: [{
+                    type: 'polar-night',
+                    firstDay: new Date(Date.UTC(2024, 9, 26, 12)),
+                    lastDay: new Date(Date.UTC(2025, 1, 14, 12)),
+                    days: 112,
+                    startKnown: true,
+                    endKnown: true
+                }],
+                daysRemaining: null
+            };
+
+            const result = Renderers.renderExtremeLatitudeWarning({ timeZone: 'Etc/UTC' }, false, forecast);
+
+            expect(result.show).toBe(true);
+            expect(result.className).toBe('');
+            expect(result.message).toBe('No polar night or midnight sun today. Next: polar night from Oct 26.');
+        });
     });
 
     describe('renderUI', () => {
@@ -259,4 +310,421 @@ describe('Renderers', () => {
             expect(result).toHaveProperty('locationInfo');
         });
     });
+
+    describe('renderDateControls', () => {
+        const currentDate = new Date(Date.UTC(2024, 5, 21, 15, 30));
+
+        test('follows the clock by default', () => {
+            const result = Renderers.renderDateControls({ currentDate, timeZone: 'Asia/Tokyo', isDateChosen: false, isAnimating: false });
+
+            expect(result.value).toBe('2024-06-22');
+            expect(result.status).toBe('Today, Sat, Jun 22, 2024');
+            expect(result.isToday).toBe(true);
+            expect(result.playLabel).toBe('Play through the year');
+        });
+
+        test('shows a chosen date and the pause control while animating', () => {
+            const result = Renderers.renderDateControls({ currentDate, timeZone: 'Europe/Paris', isDateChosen: true, isAnimating: true });
+
+            expect(result.value).toBe('2024-06-21');
+            expect(result.status).toBe('Showing Fri, Jun 21, 2024');
+            expect(result.isToday).toBe(false);
+            expect(result.isAnimating).toBe(true);
+            expect(result.playLabel).toBe('Pause');
+        });
+
+        test('returns null without a date', () => {
+            expect(Renderers.renderDateControls({})).toBeNull();
+        });
+    });
+
+    describe('renderSolarNoonZone', () => {
+        const solarNoon = new Date(Date.UTC(2024, 5, 21, 3, 26));
+
+        test('returns null without a time zone', () => {
+            expect(Renderers.renderSolarNoonZone(solarNoon, null)).toBeNull();
+        });
+
+        test('shows the date, zone and DST state at the location', () => {
+            const result = Renderers.renderSolarNoonZone(new Date(Date.UTC(2024, 5, 21, 11, 58)), 'Europe/Paris', 'Europe/Paris');
+
+            expect(result.date).toBe('Fri, Jun 21, 2024');
+            expect(result.zone).toMatch(/^Europe\/Paris · /);
+            expect(result.offset).toBe('UTC+2');
+            expect(result.dst).toBe('Daylight saving time');
+            expect(result.deviceTime).toBeNull();
+        });
+
+        test('omits DST for zones without it and adds the device time', () => {
+            const result = Renderers.renderSolarNoonZone(solarNoon, 'Asia/Tokyo', 'America/New_York');
+
+            expect(result.dst).toBeNull();
+            expect(result.deviceTime).toBe('23:26 Thu, Jun 20, 2024 your time (America/New_York)');
+        });
+    });
+
+    describe('renderSeasonSummary', () => {
+        const june = { id: 'june-solstice', name: 'June solstice', date: new Date(Date.UTC(2024, 5, 20, 20, 51)) };
+        const march = { id: 'march-equinox', name: 'March equinox', date: new Date(Date.UTC(2024, 2, 20, 3, 6)) };
+
+        test('returns null without a summary', () => {
+            expect(Renderers.renderSeasonSummary(null)).toBeNull();
+        });
+
+        test('shows the season, countdown and events in the location time zone', () => {
+            const result = Renderers.renderSeasonSummary({
+                events: [march, june],
+                nextEvent: june,
+                nextSolstice: { ...june, daysUntil: 45 },
+                season: { name: 'Spring', hemisphere: 'northern' }
+            }, 'Asia/Tokyo');
+
+            expect(result.season).toBe('Spring in the northern hemisphere');
+            expect(result.countdown).toBe('June solstice in 45 days');
+            expect(result.events[1]).toEqual({
+                name: 'June solstice',
+                date: 'Fri, Jun 21, 2024',
+                time: '05:51',
+                isNext: true,
+                isPast: false
+            });
+            expect(result.events[0].isPast).toBe(true);
+        });
+
+        test('says tomorrow for a one-day countdown', () => {
+            const result = Renderers.renderSeasonSummary({
+                events: [june],
+                nextEvent: june,
+                nextSolstice: { ...june, daysUntil: 1 },
+                season: { name: 'Spring', hemisphere: 'northern' }
+            });
+
+            expect(result.countdown).toBe('June solstice tomorrow');
+        });
+    });
+
+    describe('renderSunDistance', () => {
+        test('returns null without a distance', () => {
+            expect(Renderers.renderSunDistance(null)).toBeNull();
+        });
+
+        test('formats distance, diameter and their difference from the mean', () => {
+            const result = Renderers.renderSunDistance({
+                au: 0.98331,
+                km: 147100000,
+                distanceFromMean: -1.669,
+                angularDiameter: 32.53 / 60,
+                diameterFromMean: 1.697
+            });
+
+            expect(result.distance).toBe('0.9833 AU (147.1 million km, −1.7% vs. mean)');
+            expect(result.diameter).toBe('32.5′ (+1.7% vs. mean)');
+            expect(result.note).toContain('December solstice');
+        });
+    });
+
+    describe('renderNoonShadow', () => {
+        const shadow = (length, direction, month) => ({
+            solarNoon: new Date(Date.UTC(2024, month, 21, 12)),
+            elevation: 45,
+            length,
+            ratio: length,
+            direction
+        });
+
+        test('returns null without shadows', () => {
+            expect(Renderers.renderNoonShadow(null, 1)).toBeNull();
+        });
+
+        test('summarises today and lists both solstices', () => {
+            const result = Renderers.renderNoonShadow({
+                today: shadow(1, 'N', 2),
+                june: shadow(0.35, 'N', 5),
+                december: shadow(4.6, 'N', 11)
+            }, 1, 'm', 'UTC');
+
+            expect(result.summary).toBe('At solar noon a 1.00 m object casts a 1.00 m shadow pointing north.');
+            expect(result.elevation).toBe('Sun 45.0° above the horizon at noon');
+            expect(result.rows.map(row => row.label)).toEqual([
+                'Today', 'June solstice (Jun 21)', 'December solstice (Dec 21)'
+            ]);
+            expect(result.rows[2]).toMatchObject({ length: '4.60 m', direction: 'points north' });
+        });
+
+        test('reports no shadow when the sun stays down', () => {
+            const result = Renderers.renderNoonShadow({
+                today: { ...shadow(null, null, 11), elevation: -2 },
+                june: shadow(2, 'N', 5),
+                december: { ...shadow(null, null, 11), elevation: -2 }
+            }, 6, 'ft', 'UTC');
+
+            expect(result.summary).toContain('no noon shadow');
+            expect(result.rows[2].length).toBe('No shadow');
+        });
+    });
+
+    describe('renderSundialDesign', () => {
+        test('returns null without a design', () => {
+            expect(Renderers.renderSundialDesign(null, 0, 0)).toBeNull();
+        });
+
+        test('summarises the gnomon and the longitude correction', () => {
+            const result = Renderers.renderSundialDesign({
+                isPolar: false,
+                styleHeight: 32.62,
+                substyleAngle: -21.69,
+                lines: [{ hour: 9, angle: 52.67 }, { hour: 12, angle: 0 }]
+            }, 74.8, 60);
+
+            expect(result.summary).toBe('Gnomon angle 32.6°, substyle 21.7° counterclockwise from the noon line');
+            expect(result.correction).toContain('+74.8 min to UTC+1 standard time');
+            expect(result.rows).toEqual([
+                { hour: '09:00', angle: '52.7°', side: 'clockwise' },
+                { hour: '12:00', angle: '0.0°', side: 'noon line' }
+            ]);
+        });
+
+        test('explains polar dials', () => {
+            const result = Renderers.renderSundialDesign({ isPolar: true, lines: [] }, 0, 0);
+            expect(result.summary).toContain('polar dial');
+            expect(result.rows).toEqual([]);
+        });
+    });
+
+    describe('renderAnalemmaticDial', () => {
+        test('returns null without a design', () => {
+            expect(Renderers.renderAnalemmaticDial(null)).toBeNull();
+        });
+
+        test('summarises the axes and hour range', () => {
+            const result = Renderers.renderAnalemmaticDial({
+                majorAxis: 6,
+                minorAxis: 4.696,
+                dateScaleLength: 1.619,
+                isTooFlat: false,
+                hourMarkers: [{ hour: 4 }, { hour: 12 }, { hour: 20 }]
+            });
+
+            expect(result.summary).toBe('Ellipse 6.00 × 4.70 m, date scale 1.62 m, 3 hour markers (4:00 to 20:00)');
+            expect(result.warning).toBe('');
+        });
+    });
+
+    describe('renderNoonMark', () => {
+        const tiles = [{ x: 0 }, { x: 190 }, { x: 0 }, { x: 190 }];
+
+        test('returns null without a mark', () => {
+            expect(Renderers.renderNoonMark(null, null)).toBeNull();
+        });
+
+        test('gives the figure size and page count', () => {
+            const result = Renderers.renderNoonMark({
+                points: [{ x: -0.1, y: 0.5 }, { x: 0.2, y: 3.2 }],
+                unlitDays: 0
+            }, { tiles });
+
+            expect(result.summary).toBe('Figure-eight 0.30 × 2.70 m, printed on 4 pages (2 × 2)');
+            expect(result.note).toBe('');
+        });
+
+        test('explains when the sun never reaches the surface', () => {
+            const result = Renderers.renderNoonMark({ points: [], unlitDays: 366 }, { tiles });
+            expect(result.summary).toContain('never reaches');
+        });
+    });
+
+    describe('renderPhotoPlan', () => {
+        const shot = (day, altitude, extra = {}) => ({
+            day,
+            altitude,
+            azimuth: 180,
+            isVisible: altitude > 0,
+            wallClock: '12:00',
+            isDaylightSaving: false,
+            ...extra
+        });
+        const plan = {
+            hour: 12,
+            intervalDays: 7,
+            clockOffset: 0,
+            focalLength: 24,
+            orientation: 'landscape',
+            checkedDaylightSaving: true,
+            clockChanges: [{ date: '2024-03-31', fromOffset: 0, toOffset: 60, wallClock: '13:00' }],
+            shots: [shot('2024-03-24', 38), shot('2024-03-31', 41, { wallClock: '13:00', isDaylightSaving: true })],
+            framing: {
+                aim: { azimuth: 180, altitude: 31 },
+                fieldOfView: { horizontal: 73.7, vertical: 53.1 },
+                maxFocalLength: 20.4,
+                fits: false
+            }
+        };
+
+        test('returns null without a plan', () => {
+            expect(Renderers.renderPhotoPlan(null)).toBeNull();
+        });
+
+        test('summarizes the schedule and framing', () => {
+            const result = Renderers.renderPhotoPlan(plan);
+
+            expect(result.summary).toBe('2 shots every 7 days at 12:00 UTC+0, from 2024-03-24');
+            expect(result.framing).toBe('Aim at azimuth 180° (S), 31° up. 24 mm landscape covers 74° × 53°.');
+            expect(result.rows[1]).toEqual({ date: '2024-03-31', clock: '13:00', altitude: '41.0°', azimuth: '180.0° S', isDaylightSaving: true });
+        });
+
+        test('warns about clock changes and a lens that is too long', () => {
+            const [clockChange, lens] = Renderers.renderPhotoPlan(plan).warnings;
+
+            expect(clockChange).toBe('Clocks change on 2024-03-31: from then on shoot at 13:00 on the clock (still 12:00 UTC+0).');
+            expect(lens).toContain('use 20 mm or wider');
+        });
+
+        test('warns when daylight saving time could not be checked', () => {
+            const result = Renderers.renderPhotoPlan({ ...plan, clockChanges: [], checkedDaylightSaving: false });
+            expect(result.warnings[0]).toContain('could not be checked');
+        });
+    });
+
+    describe('renderSunTimes', () => {
+        const at = (hours, minutes) => new Date(2024, 5, 21, hours, minutes);
+
+        test('returns null without sun times', () => {
+            expect(Renderers.renderSunTimes(null)).toBeNull();
+        });
+
+        test('formats event rows, day length and change', () => {
+            const result = Renderers.renderSunTimes({
+                sunrise: at(4, 43),
+                sunset: at(21, 21),
+                civilDawn: at(3, 55),
+                civilDusk: at(22, 9),
+                nauticalDawn: at(2, 40),
+                nauticalDusk: at(23, 24),
+                astronomicalDawn: null,
+                astronomicalDusk: null,
+                dayLength: (16 * 60 + 38) * 60 * 1000,
+                dayLengthChange: -4000,
+                polarState: null
+            });
+
+            expect(result.rows[0]).toEqual({ label: 'Sunrise / sunset', start: '04:43', end: '21:21' });
+            expect(result.rows[3]).toEqual({ label: 'Astronomical twilight', start: '—', end: '—' });
+            expect(result.dayLength).toBe('16h 38m');
+            expect(result.dayLengthChange).toBe('−0m 04s since yesterday');
+            expect(result.polarMessage).toBeNull();
+        });
+
+        test('formats times in the location time zone', () => {
+            const result = Renderers.renderSunTimes({
+                sunrise: new Date(Date.UTC(2024, 5, 20, 19, 25)),
+                sunset: new Date(Date.UTC(2024, 5, 21, 10, 0)),
+                dayLength: 0,
+                dayLengthChange: 0,
+                polarState: null
+            }, 'Asia/Tokyo');
+
+            expect(result.rows[0]).toEqual({ label: 'Sunrise / sunset', start: '04:25', end: '19:00' });
+        });
+
+        test('explains polar night', () => {
+            const result = Renderers.renderSunTimes({
+                sunrise: null, sunset: null, civilDawn: null, civilDusk: null,
+                nauticalDawn: null, nauticalDusk: null, astronomicalDawn: null, astronomicalDusk: null,
+                dayLength: 0, dayLengthChange: 0, polarState: 'polar-night'
+            });
+
+            expect(result.polarMessage).toBe('The sun does not rise today');
+            expect(result.dayLength).toBe('0h 00m');
+        });
+    });
+
+    describe('renderSunPosition', () => {
+        test('returns null without a position', () => {
+            expect(Renderers.renderSunPosition(null)).toBeNull();
+        });
+
+        test('formats an afternoon position', () => {
+            const result = Renderers.renderSunPosition({ altitude: 34.26, azimuth: 215.3, hourAngle: 33.5 });
+
+            expect(result).toEqual({
+                altitude: '34.3°',
+                azimuth: '215.3° SW',
+                hourAngle: '2h 14m after solar noon',
+                isAboveHorizon: true
+            });
+        });
+
+        test('formats a morning position below the horizon', () => {
+            const result = Renderers.renderSunPosition({ altitude: -3, azimuth: 80, hourAngle: -10 });
+
+            expect(result.hourAngle).toBe('40m before solar noon');
+            expect(result.azimuth).toBe('80.0° E');
+            expect(result.isAboveHorizon).toBe(false);
+        });
+    });
+
+    describe('getCompassPoint', () => {
+        test('maps azimuths to 16 compass points', () => {
+            expect(Renderers.getCompassPoint(0)).toBe('N');
+            expect(Renderers.getCompassPoint(359)).toBe('N');
+            expect(Renderers.getCompassPoint(202.5)).toBe('SSW');
+            expect(Renderers.getCompassPoint(270)).toBe('W');
+        });
+    });
+
+    describe('renderObserverProfile', () => {
+        test('shows derived values as placeholders and entered values as values', () => {
+            const profile = {
+                elevation: 2000,
+                elevationSource: 'gps',
+                eyeHeight: 1.7,
+                horizonElevation: 2000,
+                pressure: 794.95,
+                temperature: 2,
+                horizonDip: 0.0382
+            };
+            
+            const result = Renderers.renderObserverProfile(profile, { eyeHeight: 1.7 });
+            
+            expect(result.fields.elevation).toEqual({ value: '', placeholder: '2000 (from GPS)' });
+            expect(result.fields.eyeHeight.value).toBe('1.7');
+            expect(result.fields.horizonElevation.placeholder).toBe('2000 (level)');
+            expect(result.fields.pressure.placeholder).toBe('795 (standard)');
+            expect(result.summary).toBe('Elevation 2000 m (from GPS), horizon dip 2.3′, 795 hPa, 2.0 °C');
+        });
+    });
+
+    describe('renderAnalemmaPoint', () => {
+        const point = {
+            date: new Date('2024-11-03T11:44:00Z'),
+            equationOfTime: 16.4,
+            declination: -15.1234,
+            solarNoon: new Date('2024-11-03T11:43:31Z')
+        };
+
+        test('returns null without a point', () => {
+            expect(Renderers.renderAnalemmaPoint(null)).toBeNull();
+        });
+
+        test('renders date, sun fast, southern declination and solar noon', () => {
+            const result = Renderers.renderAnalemmaPoint(point, 'UTC');
+
+            expect(result.date).toBe('Sun, Nov 3');
+            expect(result.equationOfTime).toBe('Sun 16 min 24 s fast');
+            expect(result.declination).toBe('Declination 15.12° S');
+            expect(result.solarNoon).toBe('Solar noon 11:43:31');
+            expect(result.label).toBe('Sun, Nov 3: Sun 16 min 24 s fast, declination 15.12° S, solar noon 11:43:31');
+        });
+
+        test('renders a slow sun and northern declination', () => {
+            const result = Renderers.renderAnalemmaPoint({ ...point, equationOfTime: -3.5, declination: 23.44 }, 'UTC');
+
+            expect(result.equationOfTime).toBe('Sun 3 min 30 s slow');
+            expect(result.declination).toBe('Declination 23.44° N');
+        });
+
+        test('renders a sun on time', () => {
+            expect(Renderers.renderAnalemmaPoint({ ...point, equationOfTime: 0.001 }, 'UTC').equationOfTime).toBe('Sun on time');
+        });
+    });
 }); 
\ No newline at end of file
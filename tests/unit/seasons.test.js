@@ -0,0 +1,87 @@
+/**
+ * Tests for SeasonEvents module
+ * Equinoxes, solstices, perihelion and aphelion
+ */
+
+const SeasonEvents = require('../../src/js/calculations/seasons.js');
+
+describe('SeasonEvents', () => {
+    const minutes = 60 * 1000;
+
+    describe('findSolarLongitudeInstant', () => {
+        test('matches published 2024 equinoxes and solstices to within 10 minutes', () => {
+            const published = {
+                0: Date.UTC(2024, 2, 20, 3, 6),
+                90: Date.UTC(2024, 5, 20, 20, 51),
+                180: Date.UTC(2024, 8, 22, 12, 44),
+                270: Date.UTC(2024, 11, 21, 9, 21)
+            };
+
+            Object.entries(published).forEach(([longitude, expected]) => {
+                const instant = SeasonEvents.findSolarLongitudeInstant(2024, Number(longitude));
+                expect(Math.abs(instant.getTime() - expected)).toBeLessThan(10 * minutes);
+            });
+        });
+
+        test('matches Meeus example 27.a (1962 June solstice)', () => {
+            const instant = SeasonEvents.findSolarLongitudeInstant(1962, 90);
+            expect(Math.abs(instant.getTime() - Date.UTC(1962, 5, 21, 21, 24))).toBeLessThan(10 * minutes);
+        });
+    });
+
+    describe('findApsis', () => {
+        test('finds perihelion in early January and aphelion in early July', () => {
+            const perihelion = SeasonEvents.findApsis(2024, true);
+            const aphelion = SeasonEvents.findApsis(2024, false);
+
+            expect(Math.abs(perihelion.getTime() - Date.UTC(2024, 0, 3, 1))).toBeLessThan(36 * 60 * minutes);
+            expect(Math.abs(aphelion.getTime() - Date.UTC(2024, 6, 5, 5))).toBeLessThan(36 * 60 * minutes);
+        });
+    });
+
+    describe('getYearEvents', () => {
+        test('returns six events in date order with their coordinates', () => {
+            const events = SeasonEvents.getYearEvents(2024);
+
+            expect(events.map(event => event.id)).toEqual([
+                'perihelion', 'march-equinox', 'june-solstice', 'aphelion', 'september-equinox', 'december-solstice'
+            ]);
+            expect(events[1].declination).toBeCloseTo(0, 3);
+            expect(events[2].declination).toBeCloseTo(23.44, 2);
+            expect(events[0].radiusVector).toBeLessThan(events[3].radiusVector);
+        });
+    });
+
+    describe('getCurrentSeason', () => {
+        const may = new Date(Date.UTC(2024, 4, 6));
+
+        test('names the season for the hemisphere', () => {
+            expect(SeasonEvents.getCurrentSeason(may, 51).name).toBe('Spring');
+            expect(SeasonEvents.getCurrentSeason(may, -33).name).toBe('Autumn');
+        });
+
+        test('follows getAnalemmaDirection at the equator', () => {
+            expect(SeasonEvents.getCurrentSeason(may, 0).hemisphere).toBe('southern');
+        });
+    });
+
+    describe('getSeasonSummary', () => {
+        test('counts calendar days to the next solstice in the location time zone', () => {
+            const summary = SeasonEvents.getSeasonSummary(new Date(Date.UTC(2024, 4, 6, 12)), 51.5, 'Europe/London');
+
+            expect(summary.nextSolstice.id).toBe('june-solstice');
+            expect(summary.nextSolstice.daysUntil).toBe(45);
+            expect(summary.nextEvent.id).toBe('june-solstice');
+            expect(summary.season.startedAt.getUTCMonth()).toBe(2);
+            expect(summary.events).toHaveLength(12);
+        });
+
+        test('rolls over to next year after the December solstice', () => {
+            const summary = SeasonEvents.getSeasonSummary(new Date(Date.UTC(2024, 11, 28)), 51.5);
+
+            expect(summary.nextEvent.id).toBe('perihelion');
+            expect(summary.nextSolstice.date.getUTCFullYear()).toBe(2025);
+            expect(summary.season.name).toBe('Winter');
+        });
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests for ShadowCalculations module and ShadowRenderer
+ * Noon shadow length, direction and the solstice comparison scene
+ */
+
+const ShadowCalculations = require('../../src/js/calculations/shadow.js');
+const ShadowRenderer = require('../../src/js/visualization/shadow-renderer.js');
+
+describe('ShadowCalculations', () => {
+    describe('calculateShadowLength', () => {
+        test('equals the height with the sun at 45°', () => {
+            expect(ShadowCalculations.calculateShadowLength(2, 45)).toBeCloseTo(2, 10);
+        });
+
+        test('returns null with the sun on or below the horizon', () => {
+            expect(ShadowCalculations.calculateShadowLength(1, 0)).toBeNull();
+            expect(ShadowCalculations.calculateShadowLength(1, -5)).toBeNull();
+        });
+    });
+
+    describe('getNoonShadowDirection', () => {
+        test('points away from the noon sun', () => {
+            expect(ShadowCalculations.getNoonShadowDirection(51.5, 23.4)).toBe('N');
+            expect(ShadowCalculations.getNoonShadowDirection(-33.9, 0)).toBe('S');
+            expect(ShadowCalculations.getNoonShadowDirection(10, 23.4)).toBe('S');
+        });
+
+        test('returns null with the sun at the zenith', () => {
+            expect(ShadowCalculations.getNoonShadowDirection(23.44, 23.44)).toBeNull();
+        });
+    });
+
+    describe('unit conversion', () => {
+        test('converts between feet and meters', () => {
+            expect(ShadowCalculations.toMeters(3.28084, 'ft')).toBeCloseTo(1, 6);
+            expect(ShadowCalculations.fromMeters(2, 'ft')).toBeCloseTo(6.56168, 5);
+            expect(ShadowCalculations.toMeters(5, 'm')).toBe(5);
+        });
+    });
+
+    describe('calculateSolsticeShadows', () => {
+        const shadows = ShadowCalculations.calculateSolsticeShadows(
+            1, 51.5, -0.13, new Date(Date.UTC(2024, 2, 20, 12)), 'Europe/London'
+        );
+
+        test('makes the December shadow the longest in London', () => {
+            expect(shadows.june.length).toBeCloseTo(0.53, 2);
+            expect(shadows.december.length).toBeCloseTo(3.7, 1);
+            expect(shadows.december.length).toBeGreaterThan(shadows.today.length);
+            expect(shadows.today.length).toBeGreaterThan(shadows.june.length);
+        });
+
+        test('points every London noon shadow north', () => {
+            expect([shadows.today, shadows.june, shadows.december].map(shadow => shadow.direction))
+                .toEqual(['N', 'N', 'N']);
+        });
+
+        test('uses the solstice days in the location time zone', () => {
+            const day = date => date.toLocaleDateString('en-CA', { timeZone: 'Europe/London' });
+            expect(day(shadows.june.solarNoon)).toBe('2024-06-20');
+            expect(day(shadows.december.solarNoon)).toBe('2024-12-21');
+        });
+    });
+});
+
+describe('ShadowRenderer', () => {
+    const renderer = new ShadowRenderer();
+    const shadow = (ratio, direction) => ({ ratio, length: ratio, direction });
+
+    test('draws each shadow on the side it points to', () => {
+        const scene = renderer.generateScene({
+            today: shadow(1, 'N'),
+            june: shadow(0.5, 'S'),
+            december: shadow(3, 'N')
+        });
+        const byId = Object.fromEntries(scene.shadows.map(item => [item.id, item]));
+
+        expect(byId.december.x2).toBeGreaterThan(scene.object.x);
+        expect(byId.june.x2).toBeLessThan(scene.object.x);
+        expect(byId.december.x2).toBeLessThanOrEqual(scene.ground.x2);
+        expect(scene.legend).toHaveLength(3);
+    });
+
+    test('clips very long shadows and hides missing ones', () => {
+        const scene = renderer.generateScene({
+            today: shadow(null, null),
+            june: shadow(1, 'N'),
+            december: shadow(40, 'N')
+        });
+        const byId = Object.fromEntries(scene.shadows.map(item => [item.id, item]));
+
+        expect(byId.today.visible).toBe(false);
+        expect(byId.december.clipped).toBe(true);
+        expect(byId.december.x2).toBeCloseTo(scene.ground.x2, 6);
+    });
+});
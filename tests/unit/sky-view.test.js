@@ -0,0 +1,148 @@
+/**
+ * Tests for SkyView module and the renderer's sky projection
+ * The sun's altitude and azimuth at a fixed clock time through the year
+ */
+
+const SkyView = require('../../src/js/calculations/sky-view.js');
+const AnalemmaRenderer = require('../../src/js/visualization/analemma-renderer.js');
+
+describe('SkyView', () => {
+    const london = { latitude: 51.5074, longitude: -0.1278 };
+
+    describe('getClockOffset', () => {
+        test('uses the standard offset of the time zone, ignoring daylight saving time', () => {
+            expect(SkyView.getClockOffset(london.longitude, 2024, 'Europe/London')).toBe(0);
+            expect(SkyView.getClockOffset(-74, 2024, 'America/New_York')).toBe(-300);
+        });
+
+        test('falls back to the nautical zone without a time zone', () => {
+            expect(SkyView.getClockOffset(139.7, 2024)).toBe(540);
+            expect(SkyView.getClockOffset(-74, 2024)).toBe(-300);
+        });
+    });
+
+    describe('getClockInstant', () => {
+        test('converts a standard clock time to UTC', () => {
+            const instant = SkyView.getClockInstant(2024, 172, 9.5, 60);
+            expect(instant.toISOString()).toBe('2024-06-20T08:30:00.000Z');
+        });
+    });
+
+    describe('calculateSkyAnalemma', () => {
+        test('traces the noon analemma between the solstice altitudes in the south', () => {
+            const points = SkyView.calculateSkyAnalemma(london.latitude, london.longitude, 2024, 12, {
+                timeZone: 'Europe/London'
+            });
+            const altitudes = points.map(point => point.altitude);
+            const azimuths = points.map(point => point.azimuth);
+
+            expect(points).toHaveLength(366);
+            expect(Math.min(...altitudes)).toBeCloseTo(90 - 51.5 - 23.44, 0);
+            expect(Math.max(...altitudes)).toBeCloseTo(90 - 51.5 + 23.44, 0);
+            azimuths.forEach(azimuth => {
+                expect(azimuth).toBeGreaterThan(170);
+                expect(azimuth).toBeLessThan(190);
+            });
+        });
+
+        test('thins the curve with stepDays', () => {
+            const points = SkyView.calculateSkyAnalemma(london.latitude, london.longitude, 2023, 12, { stepDays: 7 });
+            expect(points).toHaveLength(53);
+            expect(points[1].dayOfYear).toBe(8);
+        });
+    });
+
+    describe('calculateSkyPosition', () => {
+        test('uses the standard clock time on the civil day of the instant', () => {
+            const point = SkyView.calculateSkyPosition(london.latitude, london.longitude, new Date('2024-06-20T23:30:00Z'), 9, 'Europe/London');
+
+            expect(point.dayOfYear).toBe(172);
+            expect(point.date.toISOString()).toBe('2024-06-20T09:00:00.000Z');
+        });
+    });
+
+    describe('parseClockHours', () => {
+        test('reads hours and minutes, sorted and without duplicates', () => {
+            expect(SkyView.parseClockHours('15:30, 9 12 9')).toEqual([9, 12, 15.5]);
+        });
+
+        test('ignores invalid entries', () => {
+            expect(SkyView.parseClockHours('25, abc, 7:15')).toEqual([7.25]);
+            expect(SkyView.parseClockHours('')).toEqual([]);
+            expect(SkyView.parseClockHours(undefined)).toEqual([]);
+        });
+    });
+});
+
+describe('AnalemmaRenderer sky projection', () => {
+    const london = { latitude: 51.5074, longitude: -0.1278 };
+    const date = new Date(2024, 5, 14, 12);
+    let renderer;
+
+    beforeEach(() => {
+        renderer = new AnalemmaRenderer();
+        renderer.setProjection('sky', { hours: [9, 12, 15] });
+    });
+
+    test('draws one analemma per clock time above the horizon', async () => {
+        const visualization = await renderer.generateVisualization(london, date, { timeZone: 'Europe/London' });
+        const { sky } = visualization;
+
+        expect(visualization.error).toBeNull();
+        expect(sky.curves.map(curve => curve.label)).toEqual(['09:00', '12:00', '15:00']);
+        expect(visualization.path.pathString.match(/M /g)).toHaveLength(3);
+        expect(visualization.path.bounds.maxY).toBeLessThan(sky.horizon.y);
+    });
+
+    test('puts south in the middle with morning curves to the east (left)', async () => {
+        const { sky } = await renderer.generateVisualization(london, date, { timeZone: 'Europe/London' });
+        const south = sky.azimuthLabels.find(label => label.label === 'S');
+        const [morning, noon, afternoon] = sky.curves;
+
+        expect(south.isCompassPoint).toBe(true);
+        expect(noon.x).toBeCloseTo(south.x, -1);
+        expect(morning.x).toBeLessThan(noon.x);
+        expect(afternoon.x).toBeGreaterThan(noon.x);
+    });
+
+    test('labels the altitude grid every 10°', async () => {
+        const { sky } = await renderer.generateVisualization(london, date, { timeZone: 'Europe/London' });
+
+        expect(sky.altitudeGrid[0]).toMatchObject({ altitude: 10, label: '10°' });
+        sky.altitudeGrid.forEach(line => expect(line.y).toBeLessThan(sky.horizon.y));
+    });
+
+    test('keeps the figure in one piece where the sun passes north of the zenith', async () => {
+        const mumbai = { latitude: 19.07, longitude: 72.88 };
+        renderer.setProjection('sky', { hours: [12.65] });
+        const { path, sky } = await renderer.generateVisualization(mumbai, date, { timeZone: 'Asia/Kolkata' });
+        const points = [...path.pathString.matchAll(/[ML] (\S+) (\S+)/g)].map(match => ({ x: Number(match[1]), y: Number(match[2]) }));
+        const steps = points.slice(1).map((point, index) => Math.hypot(point.x - points[index].x, point.y - points[index].y));
+
+        expect(path.pathString.match(/M /g)).toHaveLength(1);
+        expect(Math.max(...steps)).toBeLessThan(10);
+        expect(path.bounds.maxY).toBeLessThan(sky.horizon.y);
+        points.forEach(point => {
+            expect(point.x).toBeGreaterThanOrEqual(sky.horizon.x1);
+            expect(point.x).toBeLessThanOrEqual(sky.horizon.x2);
+        });
+        expect(sky.azimuthLabels.map(label => label.label)).toEqual(['S']);
+    });
+
+    test('hides the sun marker when the sun is below the horizon at the clock time', async () => {
+        renderer.setProjection('sky', { hours: [3] });
+        const visualization = await renderer.generateVisualization(london, new Date(2024, 11, 21, 12), { timeZone: 'Europe/London' });
+
+        expect(visualization.sunPosition).toBeNull();
+        expect(visualization.path.pathString).toBe('');
+        expect(visualization.sky.curves[0].visible).toBe(false);
+    });
+
+    test('returns no sky layers in the chart projection', async () => {
+        renderer.setProjection('chart');
+        const visualization = await renderer.generateVisualization(null, date);
+
+        expect(visualization.sky).toBeNull();
+        expect(renderer.skyHours).toEqual([9, 12, 15]);
+    });
+});
@@ -9,7 +9,13 @@ global.window = {};
 const fs = require('fs');
 const path = require('path');
 
-// Read and execute the solar calculations code
+// Read and execute the ephemeris and solar calculations code
+const ephemerisCode = fs.readFileSync(path.join(__dirname, '../../src/js/calculations/ephemeris.js'), 'utf8');
+const observerCode = fs.readFileSync(path.join(__dirname, '../../src/js/calculations/observer.js'), 'utf8');
+const timeZoneCode = fs.readFileSync(path.join(__dirname, '../../src/js/calculations/timezone.js'), 'utf8');
+eval(ephemerisCode);
+eval(observerCode);
+eval(timeZoneCode);
 const solarCalcCode = fs.readFileSync(path.join(__dirname, '../../src/js/calculations/solar.js'), 'utf8');
 eval(solarCalcCode);
 
@@ -96,6 +102,35 @@ describe('Solar Calculations', () => {
             expect(utcHour).toBeGreaterThan(11);
             expect(utcHour).toBeLessThan(18);
         });
+
+        test('should place transit to the second using the ephemeris', () => {
+            // Greenwich, 1992 October 13: equation of time is +13m 49s at transit
+            const solarNoon = SolarCalculations.calculateSolarNoon(0, new Date(Date.UTC(1992, 9, 13)));
+            const expected = Date.UTC(1992, 9, 13, 11, 46, 11);
+
+            expect(Math.abs(solarNoon.getTime() - expected)).toBeLessThan(3000);
+        });
+
+        test('should use the civil date of the location near the antimeridian', () => {
+            // 08:00 on June 21 in Fiji is still June 20 in UTC
+            const morning = new Date(Date.UTC(2024, 5, 20, 20));
+            const solarNoon = SolarCalculations.calculateSolarNoon(178.4, morning, 'Pacific/Fiji');
+
+            expect(solarNoon.getTime()).toBeGreaterThan(Date.UTC(2024, 5, 20, 23, 50));
+            expect(solarNoon.getTime()).toBeLessThan(Date.UTC(2024, 5, 21, 0, 10));
+            expect(SolarCalculations.calculateSolarNoon(178.4, morning).getTime()).toBe(solarNoon.getTime());
+        });
+
+        test('should pick the transit on the same civil day in zones far from their meridian', () => {
+            // Kiritimati keeps UTC+14 at 157°W: its transit falls on the previous UTC day
+            const date = new Date(Date.UTC(2024, 2, 1, 0));
+            const solarNoon = SolarCalculations.calculateSolarNoon(-157.4, date, 'Pacific/Kiritimati');
+            const localHour = (solarNoon.getUTCHours() + 14) % 24;
+            const localDate = new Date(solarNoon.getTime() + 14 * 3600 * 1000).getUTCDate();
+
+            expect(localHour).toBe(12);
+            expect(localDate).toBe(1);
+        });
     });
 
     describe('calculateSolarElevationAtNoon', () => {
@@ -110,6 +145,73 @@ describe('Solar Calculations', () => {
         });
     });
 
+    describe('calculateRefraction', () => {
+        test('should give about 34 arcminutes at the horizon', () => {
+            const refraction = SolarCalculations.calculateRefraction(-0.5) * 60;
+            expect(refraction).toBeGreaterThan(32);
+            expect(refraction).toBeLessThan(36);
+        });
+
+        test('should vanish at the zenith and be about 1 arcminute at 45°', () => {
+            expect(SolarCalculations.calculateRefraction(90)).toBe(0);
+            expect(SolarCalculations.calculateRefraction(45) * 60).toBeCloseTo(1.0, 1);
+        });
+    });
+
+    describe('calculateSolarPosition', () => {
+        test('should put the sun due south at solar noon in the north', () => {
+            const testDate = new Date(Date.UTC(2024, 5, 21));
+            const solarNoon = SolarCalculations.calculateSolarNoon(-74, testDate);
+            const position = SolarCalculations.calculateSolarPosition(40, -74, solarNoon);
+
+            expect(Math.abs(position.hourAngle)).toBeLessThan(0.01);
+            expect(position.azimuth).toBeCloseTo(180, 1);
+            expect(position.trueAltitude).toBeCloseTo(90 - (40 - 23.44), 1);
+            expect(position.altitude).toBeGreaterThan(position.trueAltitude);
+        });
+
+        test('should put the sun due north at solar noon in the south', () => {
+            const testDate = new Date(Date.UTC(2024, 5, 21));
+            const solarNoon = SolarCalculations.calculateSolarNoon(151.2, testDate);
+            const position = SolarCalculations.calculateSolarPosition(-33.87, 151.2, solarNoon);
+
+            expect(Math.min(position.azimuth, 360 - position.azimuth)).toBeLessThan(0.1);
+        });
+
+        test('should rise in the east before noon and set in the west after', () => {
+            const testDate = new Date(Date.UTC(2024, 2, 20));
+            const solarNoon = SolarCalculations.calculateSolarNoon(0, testDate);
+            const morning = SolarCalculations.calculateSolarPosition(0, 0, new Date(solarNoon.getTime() - 6 * 3600 * 1000));
+            const evening = SolarCalculations.calculateSolarPosition(0, 0, new Date(solarNoon.getTime() + 6 * 3600 * 1000));
+
+            expect(morning.hourAngle).toBeCloseTo(-90, 1);
+            expect(evening.hourAngle).toBeCloseTo(90, 1);
+            expect(morning.azimuth).toBeCloseTo(90, 0);
+            expect(evening.azimuth).toBeCloseTo(270, 0);
+            expect(Math.abs(morning.trueAltitude)).toBeLessThan(0.5);
+        });
+    });
+
+    describe('observer profile', () => {
+        const observer = { pressure: 1013.25, temperature: 15, horizonDip: 0.5 };
+
+        test('should add refraction and dip to the noon elevation', () => {
+            const testDate = new Date(Date.UTC(2024, 5, 21));
+            const geometric = SolarCalculations.calculateSolarElevationAtNoon(40, testDate, -74);
+            const apparent = SolarCalculations.calculateSolarElevationAtNoon(40, testDate, -74, observer);
+
+            expect(apparent - geometric).toBeGreaterThan(0.5);
+            expect(apparent - geometric).toBeLessThan(0.52);
+        });
+
+        test('should report the altitude above the visible horizon', () => {
+            const position = SolarCalculations.calculateSolarPosition(40, -74, new Date(Date.UTC(2024, 5, 21, 17)), observer);
+
+            expect(position.horizonDip).toBe(0.5);
+            expect(position.altitudeAboveHorizon).toBeCloseTo(position.altitude + 0.5, 10);
+        });
+    });
+
     describe('isSunBelowHorizonAtNoon', () => {
         test('should detect polar night conditions', () => {
             const arcticLatitude = 75;
@@ -150,5 +252,12 @@ describe('Solar Calculations', () => {
             
             expect(formatted).toBe('13:30:45');
         });
+
+        test('should format time in the location time zone', () => {
+            const testDate = new Date(Date.UTC(2024, 5, 21, 3, 26, 10));
+
+            expect(SolarCalculations.formatSolarNoonTime(testDate, true, 'Asia/Tokyo')).toBe('12:26:10');
+            expect(SolarCalculations.formatSolarNoonTime(testDate, false, 'Asia/Kolkata')).toMatch(/8:56:10\s*(AM|am)/);
+        });
     });
 }); 
\ No newline at end of file
@@ -24,13 +24,23 @@ const path = require('path');
 
 // Read and execute the calculation modules
 const analemmacCalcCode = fs.readFileSync(path.join(__dirname, '../../src/js/calculations/analemma.js'), 'utf8');
+const ephemerisCode = fs.readFileSync(path.join(__dirname, '../../src/js/calculations/ephemeris.js'), 'utf8');
+const observerCode = fs.readFileSync(path.join(__dirname, '../../src/js/calculations/observer.js'), 'utf8');
+const timeZoneCode = fs.readFileSync(path.join(__dirname, '../../src/js/calculations/timezone.js'), 'utf8');
 const solarCalcCode = fs.readFileSync(path.join(__dirname, '../../src/js/calculations/solar.js'), 'utf8');
 
+eval(ephemerisCode);
 eval(analemmacCalcCode);
+eval(observerCode);
+eval(timeZoneCode);
 eval(solarCalcCode);
 
 const AnalemmaCalculations = global.window.AnalemmaCalculations;
+
+// The module reads the generated data through fetch, whatever loadAnalemmaData is mocked with
+const realAnalemmaData = () => JSON.parse(fs.readFileSync(path.join(__dirname, '../../src/assets/analemma-data.json'), 'utf8'));
 const SolarCalculations = global.window.SolarCalculations;
+const SolarEphemeris = global.window.SolarEphemeris;
 
 describe('Sun Marker Positioning Tests', () => {
     let mockAnalemmaData;
@@ -127,6 +137,140 @@ describe('Sun Marker Positioning Tests', () => {
         expect(singleResult[0].svgY).not.toEqual(testPointInRange.svgY);
     });
 
+    test('should place extra points with shared bounds', async () => {
+        const rangeCoords = [
+            { x: -14.6, y: -23.45, dayOfYear: 1 },
+            { x: 16.45, y: 23.45, dayOfYear: 172 },
+            { x: 5.0, y: 10.0, dayOfYear: 150 }
+        ];
+        const dataBounds = AnalemmaCalculations.getDataBounds(rangeCoords);
+
+        const rangeResult = AnalemmaCalculations.convertToSVGCoordinates(rangeCoords);
+        const shared = AnalemmaCalculations.convertToSVGCoordinates([{ x: 5.0, y: 10.0 }], undefined, undefined, dataBounds);
+
+        expect(dataBounds).toEqual({ xMin: -14.6, xMax: 16.45, yMin: -23.45, yMax: 23.45 });
+        expect(shared[0].svgX).toBeCloseTo(rangeResult[2].svgX, 10);
+        expect(shared[0].svgY).toBeCloseTo(rangeResult[2].svgY, 10);
+    });
+
+    test('should convert equation of time to degrees of arc on the sky', () => {
+        const [onEquator, farNorth] = AnalemmaCalculations.toAngularCoordinates([
+            { x: 4, y: 0, dayOfYear: 80 },
+            { x: 4, y: 60, dayOfYear: 150 }
+        ]);
+
+        expect(onEquator).toEqual({ x: 1, y: 0, dayOfYear: 80 });
+        expect(farNorth.x).toBeCloseTo(0.5, 10);
+    });
+
+    test('should split the closed path into runs of consecutive days', () => {
+        const coords = [1, 2, 3, 4, 5].map(day => ({ dayOfYear: day, svgX: day * 10, svgY: 0 }));
+        const segments = AnalemmaCalculations.generateSVGSegments(coords, coord => (coord.dayOfYear === 3 ? null : coord.dayOfYear < 3 ? 'a' : 'b'));
+
+        expect(segments.map(({ group, startDay, endDay }) => ({ group, startDay, endDay }))).toEqual([
+            { group: 'a', startDay: 1, endDay: 2 },
+            { group: 'b', startDay: 4, endDay: 5 }
+        ]);
+        expect(segments[0].pathString).toMatch(/^M 10 0 C \S+ 0 \S+ 0 20 0 C \S+ 0 \S+ 0 30 0$/);
+        // The last run closes the loop back to day 1
+        expect(segments[1].pathString).toMatch(/^M 40 0 C \S+ 0 \S+ 0 50 0 C \S+ 0 \S+ 0 10 0$/);
+    });
+
+    test('should draw the closed path as smooth curves through every point', () => {
+        const coords = [1, 2, 3, 4].map(day => ({ dayOfYear: day, svgX: day * 10, svgY: day % 2 ? 0 : 10 }));
+        const pathString = AnalemmaCalculations.generateSVGPath(coords);
+
+        expect(pathString.startsWith('M 10 0 C ')).toBe(true);
+        expect(pathString).not.toContain(' L ');
+        expect(pathString.match(/ C /g)).toHaveLength(4);
+        expect(pathString).toMatch(/ 20 10 C .* 30 0 C .* 40 10 C .* 10 0 Z$/);
+    });
+
+    test('should move the marker through the day with the ephemeris', async () => {
+        const noon = await AnalemmaCalculations.getAnalemmaCoordinatesForDate(new Date(Date.UTC(2024, 2, 1, 12)));
+        const evening = await AnalemmaCalculations.getAnalemmaCoordinatesForDate(new Date(Date.UTC(2024, 2, 1, 18)));
+        const nextNoon = await AnalemmaCalculations.getAnalemmaCoordinatesForDate(new Date(Date.UTC(2024, 2, 2, 12)));
+        const ephemeris = SolarEphemeris.getSolarCoordinates(new Date(Date.UTC(2024, 2, 1, 18)));
+
+        expect(evening.x).toBeCloseTo(ephemeris.equationOfTime, 10);
+        expect(evening.y).toBeCloseTo(ephemeris.declination, 10);
+
+        // Declination rises through early March, so six hours on sits about a quarter of the way along
+        expect(evening.y).toBeGreaterThan(noon.y);
+        expect(evening.y).toBeLessThan(nextNoon.y);
+        expect((evening.y - noon.y) / (nextNoon.y - noon.y)).toBeCloseTo(0.25, 1);
+    });
+
+    test('should place the marker for the shown year, not the data\'s', async () => {
+        const equinox = await AnalemmaCalculations.getAnalemmaCoordinatesForDate(new Date(Date.UTC(2025, 2, 20, 12)));
+        const october = await AnalemmaCalculations.getAnalemmaCoordinatesForDate(new Date(Date.UTC(2026, 9, 19, 12)));
+
+        // The sun crosses the equator at about 09:00 UT on 20 March 2025
+        expect(equinox.y).toBeGreaterThan(0);
+        expect(equinox.y).toBeCloseTo(SolarEphemeris.getSolarCoordinates(equinox.date).declination, 10);
+        expect(october.y).toBeCloseTo(SolarEphemeris.getSolarCoordinates(october.date).declination, 10);
+        expect(october.x).toBeCloseTo(SolarEphemeris.getSolarCoordinates(october.date).equationOfTime, 10);
+    });
+
+    test('should number the days of each month in the year of the data', async () => {
+        const leap = AnalemmaCalculations.getMonthDays(2024, [1, 15]);
+        const common = AnalemmaCalculations.getMonthDays(2025);
+
+        expect(leap.slice(0, 5).map(({ month, day, dayOfYear }) => `${month} ${day}: ${dayOfYear}`))
+            .toEqual(['Jan 1: 1', 'Jan 15: 15', 'Feb 1: 32', 'Feb 15: 46', 'Mar 1: 61']);
+        expect(common[2]).toEqual({ month: 'Mar', day: 1, dayOfYear: 60 });
+        expect((await AnalemmaCalculations.getAnalemmaMonthDays())[2].dayOfYear)
+            .toBe(realAnalemmaData().metadata.isLeapYear ? 61 : 60);
+    });
+
+    test('should follow the sun across the turn of the year', async () => {
+        const data = realAnalemmaData();
+        const lastDay = Object.keys(data.data).length;
+        const newYear = await AnalemmaCalculations.getAnalemmaCoordinatesForDate(new Date(Date.UTC(2025, 0, 1, 0)));
+
+        expect(Number.isFinite(newYear.x)).toBe(true);
+        expect(newYear.dayOfYear).toBeLessThanOrEqual(lastDay);
+        expect(newYear.y).toBeCloseTo(SolarEphemeris.getSolarCoordinates(newYear.date).declination, 10);
+        expect(newYear.y).toBeGreaterThan(Math.min(data.data[lastDay][1], data.data[1][1]) - 0.2);
+        expect(newYear.y).toBeLessThan(Math.max(data.data[lastDay][1], data.data[1][1]) + 0.2);
+    });
+
+    test('should use one scale on both axes in true-aspect mode', () => {
+        const coords = [
+            { x: -2, y: -20 },
+            { x: 2, y: 20 }
+        ];
+        const svg = AnalemmaCalculations.convertToSVGCoordinates(
+            coords, { width: 400, height: 300 }, { top: 30, right: 30, bottom: 30, left: 30 }, undefined, true
+        );
+        const xScale = (svg[1].svgX - svg[0].svgX) / 4;
+        const yScale = (svg[0].svgY - svg[1].svgY) / 40;
+
+        expect(xScale).toBeCloseTo(yScale, 10);
+        expect((svg[0].svgX + svg[1].svgX) / 2).toBeCloseTo(200, 10);
+        expect(svg[1].svgY).toBeCloseTo(30, 10);
+    });
+
+    test('should switch the analemma renderer between fitted and true-aspect views', async () => {
+        const AnalemmaRenderer = require('../../src/js/visualization/analemma-renderer.js');
+        const renderer = new AnalemmaRenderer();
+        const location = { latitude: 51.5, longitude: 0 };
+        const date = new Date(2024, 5, 14);
+        const aspect = bounds => (bounds.maxX - bounds.minX) / (bounds.maxY - bounds.minY);
+
+        const fitted = await renderer.calculatePath(location, date);
+        renderer.setTrueAspect(true);
+        const trueAspect = await renderer.calculatePath(location, date);
+        const sun = await renderer.calculateSunPosition(location, date);
+
+        // The sky's analemma is about 7.5° wide and 47° tall
+        expect(aspect(fitted.bounds)).toBeCloseTo(340 / 240, 1);
+        expect(aspect(trueAspect.bounds)).toBeGreaterThan(0.14);
+        expect(aspect(trueAspect.bounds)).toBeLessThan(0.18);
+        expect(sun.x).toBeGreaterThanOrEqual(trueAspect.bounds.minX);
+        expect(sun.x).toBeLessThanOrEqual(trueAspect.bounds.maxX);
+    });
+
     test('should verify the actual coordinate ranges from data', async () => {
         const allCoords = await AnalemmaCalculations.getAllAnalemmaCoordinates();
         
@@ -0,0 +1,122 @@
+/**
+ * Tests for SunPath module and SunPathRenderer
+ * Daily sun tracks and the polar / cartesian sun-path diagram
+ */
+
+const SunPath = require('../../src/js/calculations/sun-path.js');
+const SunPathRenderer = require('../../src/js/visualization/sun-path-renderer.js');
+
+describe('SunPath', () => {
+    const london = { latitude: 51.5074, longitude: -0.1278 };
+
+    describe('getCivilDay', () => {
+        test('uses the time zone calendar day and its daylight saving offset', () => {
+            expect(SunPath.getCivilDay(new Date('2024-06-20T23:30:00Z'), london.longitude, 'Europe/London'))
+                .toEqual({ year: 2024, month: 6, day: 21, offset: 60 });
+        });
+
+        test('falls back to the nautical zone', () => {
+            expect(SunPath.getCivilDay(new Date('2024-06-20T23:30:00Z'), 139.7))
+                .toEqual({ year: 2024, month: 6, day: 21, offset: 540 });
+        });
+    });
+
+    describe('calculateDayPath', () => {
+        const path = SunPath.calculateDayPath(london.latitude, london.longitude, new Date('2024-06-21T12:00:00Z'), {
+            timeZone: 'Europe/London'
+        });
+
+        test('samples the day from midnight to midnight', () => {
+            expect(path.points).toHaveLength(145);
+            expect(path.points[0].date.toISOString()).toBe('2024-06-20T23:00:00.000Z');
+            expect(path.hourMarks).toHaveLength(24);
+        });
+
+        test('peaks at the June solstice noon altitude', () => {
+            const highest = Math.max(...path.points.map(point => point.altitude));
+            expect(highest).toBeCloseTo(90 - 51.5 + 23.44, 0);
+        });
+
+        test('marks clock hours in summer time', () => {
+            const onePm = path.hourMarks.find(mark => mark.hour === 13);
+            expect(onePm.azimuth).toBeGreaterThan(175);
+            expect(onePm.azimuth).toBeLessThan(190);
+        });
+    });
+
+    describe('calculateSunPaths', () => {
+        test('draws the solstices and the March equinox before today', () => {
+            const tracks = SunPath.calculateSunPaths(london.latitude, london.longitude, new Date('2024-10-19T12:00:00Z'), {
+                stepMinutes: 30
+            });
+
+            expect(tracks.map(track => track.id)).toEqual(['june-solstice', 'march-equinox', 'december-solstice', 'today']);
+            expect(tracks[0].date.getUTCMonth()).toBe(5);
+            expect(tracks[2].date.getUTCMonth()).toBe(11);
+        });
+    });
+});
+
+describe('SunPathRenderer', () => {
+    const london = { latitude: 51.5074, longitude: -0.1278 };
+    const tracks = SunPath.calculateSunPaths(london.latitude, london.longitude, new Date('2024-10-19T12:00:00Z'), {
+        timeZone: 'Europe/London',
+        stepMinutes: 20
+    });
+    let renderer;
+
+    beforeEach(() => {
+        renderer = new SunPathRenderer();
+    });
+
+    test('puts the zenith in the centre and the horizon on the outer circle of the polar chart', () => {
+        const diagram = renderer.generateDiagram(tracks, london.latitude, { altitude: 90, azimuth: 0 });
+        const horizon = diagram.grid.circles.find(circle => circle.altitude === 0);
+
+        expect(diagram.sun.x).toBeCloseTo(200, 10);
+        expect(diagram.sun.y).toBeCloseTo(150, 10);
+        expect(horizon.r).toBe(120);
+        expect(diagram.grid.spokes.find(spoke => spoke.label === 'N').labelY).toBeLessThan(30);
+    });
+
+    test('labels today\'s hours only, above the horizon', () => {
+        const diagram = renderer.generateDiagram(tracks, london.latitude);
+        const today = diagram.tracks.find(track => track.id === 'today');
+        const june = diagram.tracks.find(track => track.id === 'june-solstice');
+
+        expect(today.hourMarks.map(mark => mark.label)).toEqual(['8', '9', '10', '11', '12', '13', '14', '15', '16', '17']);
+        expect(june.hourMarks.every(mark => mark.label === null)).toBe(true);
+        expect(june.hourMarks.length).toBeGreaterThan(today.hourMarks.length);
+    });
+
+    test('draws each daytime track as one unbroken path', () => {
+        const diagram = renderer.generateDiagram(tracks, london.latitude);
+        diagram.tracks.forEach(track => expect(track.pathString.match(/M /g)).toHaveLength(1));
+    });
+
+    test('hides the sun below the horizon', () => {
+        expect(renderer.generateDiagram(tracks, london.latitude, { altitude: -3, azimuth: 250 }).sun).toBeNull();
+    });
+
+    test('centres the cartesian chart on south in the north and north in the south', () => {
+        renderer.setMode('cartesian');
+        const north = renderer.generateDiagram(tracks, london.latitude, { altitude: 45, azimuth: 180 });
+        const south = renderer.generateDiagram(tracks, -33.9, { altitude: 45, azimuth: 0 });
+
+        expect(north.mode).toBe('cartesian');
+        expect(north.sun.x).toBeCloseTo(200, 10);
+        expect(north.sun.y).toBeCloseTo(150, 10);
+        expect(south.sun.x).toBeCloseTo(200, 10);
+        expect(north.grid.spokes[4].label).toBe('S');
+        expect(south.grid.spokes[4].label).toBe('N');
+    });
+
+    test('breaks a midnight-sun track where the cartesian chart wraps through north', () => {
+        renderer.setMode('cartesian');
+        const arctic = SunPath.calculateSunPaths(78.2, 15.6, new Date('2024-06-21T12:00:00Z'), { stepMinutes: 20 });
+        const diagram = renderer.generateDiagram(arctic, 78.2);
+        const june = diagram.tracks.find(track => track.id === 'june-solstice');
+
+        expect(june.pathString.match(/M /g)).toHaveLength(2);
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * Tests for SunTimes module
+ * Sunrise, sunset and twilight calculations
+ */
+
+const SunTimes = require('../../src/js/calculations/sun-times.js');
+
+describe('SunTimes', () => {
+    const london = { latitude: 51.5074, longitude: -0.1278 };
+    const svalbard = { latitude: 78.2232, longitude: 15.6267 };
+    const oneMinute = 60 * 1000;
+
+    describe('calculateHourAngle', () => {
+        test('returns 90° at the equator on the equinox for a geometric horizon', () => {
+            const result = SunTimes.calculateHourAngle(0, 0, 0);
+            expect(result.state).toBe('normal');
+            expect(result.hourAngle).toBeCloseTo(90, 6);
+        });
+
+        test('reports when the altitude is never reached', () => {
+            expect(SunTimes.calculateHourAngle(80, -23, -0.833).state).toBe('always-below');
+            expect(SunTimes.calculateHourAngle(80, 23, -0.833).state).toBe('always-above');
+        });
+    });
+
+    describe('calculateSunTimes', () => {
+        test('matches published London times on the June solstice', () => {
+            const times = SunTimes.calculateSunTimes(london.latitude, london.longitude, new Date(Date.UTC(2024, 5, 21)));
+
+            // 04:43 and 21:21 BST
+            expect(Math.abs(times.sunrise - Date.UTC(2024, 5, 21, 3, 43))).toBeLessThan(oneMinute);
+            expect(Math.abs(times.sunset - Date.UTC(2024, 5, 21, 20, 21))).toBeLessThan(oneMinute);
+            expect(times.civilDawn < times.sunrise).toBe(true);
+            expect(times.civilDusk > times.sunset).toBe(true);
+            expect(times.nauticalDawn < times.civilDawn).toBe(true);
+        });
+
+        test('returns null for astronomical twilight during London white nights', () => {
+            const times = SunTimes.calculateSunTimes(london.latitude, london.longitude, new Date(Date.UTC(2024, 5, 21)));
+            expect(times.astronomicalDawn).toBeNull();
+            expect(times.astronomicalDusk).toBeNull();
+            expect(times.polarState).toBeNull();
+        });
+
+        test('orders events around solar noon', () => {
+            const times = SunTimes.calculateSunTimes(40, -74, new Date(Date.UTC(2024, 2, 1)));
+            const order = [
+                times.astronomicalDawn, times.nauticalDawn, times.civilDawn, times.sunrise,
+                times.solarNoon,
+                times.sunset, times.civilDusk, times.nauticalDusk, times.astronomicalDusk
+            ];
+
+            for (let i = 1; i < order.length; i++) {
+                expect(order[i].getTime()).toBeGreaterThan(order[i - 1].getTime());
+            }
+        });
+
+        test('handles polar night', () => {
+            const times = SunTimes.calculateSunTimes(svalbard.latitude, svalbard.longitude, new Date(Date.UTC(2024, 11, 21)));
+            expect(times.polarState).toBe('polar-night');
+            expect(times.sunrise).toBeNull();
+            expect(times.sunset).toBeNull();
+            expect(times.dayLength).toBe(0);
+        });
+
+        test('handles midnight sun', () => {
+            const times = SunTimes.calculateSunTimes(svalbard.latitude, svalbard.longitude, new Date(Date.UTC(2024, 5, 21)));
+            expect(times.polarState).toBe('polar-day');
+            expect(times.dayLength).toBe(24 * 60 * oneMinute);
+        });
+
+        test('brings sunrise forward and sunset back for an observer above a low horizon', () => {
+            const ObserverModel = require('../../src/js/calculations/observer.js');
+            const date = new Date(Date.UTC(2024, 5, 21));
+            // A summit looking out over the lowlands
+            const mountain = ObserverModel.createObserverProfile({ latitude: 46, longitude: 8, altitude: 2000 }, { horizonElevation: 0 });
+
+            const seaLevel = SunTimes.calculateSunTimes(46, 8, date);
+            const summit = SunTimes.calculateSunTimes(46, 8, date, mountain);
+
+            expect(seaLevel.sunrise - summit.sunrise).toBeGreaterThan(5 * oneMinute);
+            expect(summit.sunset - seaLevel.sunset).toBeGreaterThan(5 * oneMinute);
+            expect(summit.civilDawn.getTime()).toBe(seaLevel.civilDawn.getTime());
+        });
+
+        test('keeps sunrise close to sea level on a high plateau with a level horizon', () => {
+            const ObserverModel = require('../../src/js/calculations/observer.js');
+            const date = new Date(Date.UTC(2024, 5, 21));
+            const plateau = ObserverModel.createObserverProfile({ latitude: 19.43, longitude: -99.13, altitude: 2240 });
+
+            const seaLevel = SunTimes.calculateSunTimes(19.43, -99.13, date);
+            const city = SunTimes.calculateSunTimes(19.43, -99.13, date, plateau);
+
+            // Only the thinner air differs: refraction is smaller, so sunrise is a little later
+            expect(Math.abs(city.sunrise - seaLevel.sunrise)).toBeLessThan(oneMinute);
+            expect(Math.abs(city.sunset - seaLevel.sunset)).toBeLessThan(oneMinute);
+        });
+
+        test('reports days getting longer in spring and shorter in autumn', () => {
+            const spring = SunTimes.calculateSunTimes(london.latitude, london.longitude, new Date(Date.UTC(2024, 2, 20)));
+            const autumn = SunTimes.calculateSunTimes(london.latitude, london.longitude, new Date(Date.UTC(2024, 8, 22)));
+
+            // Roughly 3m 40s per day around the equinoxes
+            expect(spring.dayLengthChange).toBeGreaterThan(3 * oneMinute);
+            expect(autumn.dayLengthChange).toBeLessThan(-3 * oneMinute);
+        });
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * Tests for SundialCalculations module and SundialRenderer
+ * Hour-line angles, gnomon geometry and the printable layout
+ */
+
+const SundialCalculations = require('../../src/js/calculations/sundial.js');
+const SundialRenderer = require('../../src/js/visualization/sundial-renderer.js');
+const AnalemmaCalculations = require('../../src/js/calculations/analemma.js');
+
+describe('SundialCalculations', () => {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const toDegrees = radians => radians * 180 / Math.PI;
+    const lineAngle = (design, hour) => design.lines.find(line => line.hour === hour).angle;
+
+    describe('designDial', () => {
+        test('matches tan(H) = sin(φ) tan(t) on a horizontal dial', () => {
+            const design = SundialCalculations.designDial(51.5, 'horizontal');
+
+            expect(design.styleHeight).toBeCloseTo(51.5, 6);
+            [13, 14, 15, 16, 17].forEach(hour => {
+                const expected = toDegrees(Math.atan(Math.sin(toRadians(51.5)) * Math.tan(toRadians((hour - 12) * 15))));
+                expect(lineAngle(design, hour)).toBeCloseTo(expected, 6);
+                expect(lineAngle(design, 24 - hour)).toBeCloseTo(-expected, 6);
+            });
+        });
+
+        test('matches tan(H) = cos(φ) tan(t) on a south-facing vertical dial', () => {
+            const design = SundialCalculations.designDial(51.5, 'vertical-south');
+
+            expect(design.styleHeight).toBeCloseTo(38.5, 6);
+            expect(design.noonDirection.x).toBeCloseTo(0, 10);
+            expect(design.noonDirection.y).toBeCloseTo(-1, 10);
+            const expected = toDegrees(Math.atan(Math.cos(toRadians(51.5))));
+            expect(Math.abs(lineAngle(design, 15))).toBeCloseTo(expected, 6);
+            expect(design.lines.map(line => line.hour)).toEqual([6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18]);
+        });
+
+        test('only draws early and late hours on a north-facing dial', () => {
+            const design = SundialCalculations.designDial(51.5, 'vertical-north');
+            expect(design.lines.map(line => line.hour)).toEqual([4, 5, 6, 7, 17, 18, 19, 20]);
+        });
+
+        test('gives a declining dial the textbook style height and substyle', () => {
+            const design = SundialCalculations.designDial(51.5, 'vertical-declining', 30);
+            const phi = toRadians(51.5);
+            const declination = toRadians(30);
+
+            expect(design.styleHeight).toBeCloseTo(toDegrees(Math.asin(Math.cos(phi) * Math.cos(declination))), 6);
+            expect(Math.abs(design.substyleAngle)).toBeCloseTo(toDegrees(Math.atan(Math.sin(declination) / Math.tan(phi))), 6);
+            expect(lineAngle(design, 12)).toBeCloseTo(0, 6);
+        });
+
+        test('mirrors a horizontal dial in the southern hemisphere', () => {
+            const north = SundialCalculations.designDial(33.9, 'horizontal');
+            const south = SundialCalculations.designDial(-33.9, 'horizontal');
+            expect(lineAngle(south, 15)).toBeCloseTo(-lineAngle(north, 15), 6);
+        });
+
+        test('flags polar dials instead of laying out parallel lines', () => {
+            const design = SundialCalculations.designDial(0, 'horizontal');
+            expect(design.isPolar).toBe(true);
+            expect(design.lines).toEqual([]);
+        });
+    });
+
+    describe('calculateCorrectionTable', () => {
+        test('combines the longitude correction with the equation of time', () => {
+            const coordinates = [{ dayOfYear: 1, x: -3.33 }, { dayOfYear: 46, x: -14.2 }];
+            const monthDays = AnalemmaCalculations.getMonthDays(2024, [1, 15]);
+            const table = SundialCalculations.calculateCorrectionTable(coordinates, -3.7, 60, monthDays);
+
+            expect(SundialCalculations.calculateLongitudeCorrection(-3.7, 60)).toBeCloseTo(74.8, 6);
+            expect(table).toEqual([
+                { month: 'Jan', day: 1, equationOfTime: -3.33, correction: expect.any(Number) },
+                { month: 'Feb', day: 15, equationOfTime: -14.2, correction: expect.any(Number) }
+            ]);
+            expect(table[1].correction).toBeCloseTo(89, 6);
+        });
+    });
+});
+
+describe('SundialRenderer', () => {
+    const renderer = new SundialRenderer();
+
+    test('lays out hour lines from the gnomon root to the dial edge', () => {
+        const layout = renderer.generateLayout(SundialCalculations.designDial(51.5, 'horizontal'), [], { size: 200 });
+        const noon = layout.lines.find(line => line.hour === 12);
+
+        expect(layout.root.y).toBeGreaterThan(100);
+        expect(noon.end).toEqual({ x: 100, y: layout.box.y1 });
+        layout.lines.forEach(line => {
+            expect(line.end.x).toBeGreaterThanOrEqual(layout.box.x1);
+            expect(line.end.x).toBeLessThanOrEqual(layout.box.x2);
+        });
+    });
+
+    test('exports a scale-true SVG in millimetres', () => {
+        const layout = renderer.generateLayout(
+            SundialCalculations.designDial(51.5, 'vertical-south'),
+            [{ month: 'Jan', day: 1, equationOfTime: -3.33, correction: 3.83 }],
+            { size: 180 }
+        );
+        const svg = renderer.toSVG(layout);
+
+        expect(svg).toContain('width="180mm"');
+        expect(svg).toContain(`viewBox="0 0 180 ${layout.height}"`);
+        expect(svg).toContain('Gnomon 38.5°');
+        expect(svg).toContain('+3m 50s');
+    });
+});
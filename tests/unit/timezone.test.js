@@ -0,0 +1,108 @@
+/**
+ * Tests for TimeZoneLookup module
+ * Offline time zone grid lookup and zoned date helpers
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TimeZoneLookup = require('../../src/js/calculations/timezone.js');
+
+describe('TimeZoneLookup', () => {
+    // 2 x 4 grid of 90° cells: north row Los_Angeles | London | Tokyo | Tokyo, south row all UTC
+    const tinyGrid = {
+        metadata: { generated: 'tiny', resolution: 90, rows: 2, columns: 4 },
+        zones: ['America/Los_Angeles', 'Europe/London', 'Asia/Tokyo', 'Etc/UTC'],
+        rows: ['0*1 1*1 2*2', '3*4']
+    };
+
+    describe('lookupTimeZone', () => {
+        test('decodes run-length rows', () => {
+            expect(TimeZoneLookup.lookupTimeZone(tinyGrid, 45, -120, null)).toBe('America/Los_Angeles');
+            expect(TimeZoneLookup.lookupTimeZone(tinyGrid, 45, -45, null)).toBe('Europe/London');
+            expect(TimeZoneLookup.lookupTimeZone(tinyGrid, 45, 135, null)).toBe('Asia/Tokyo');
+            expect(TimeZoneLookup.lookupTimeZone(tinyGrid, -45, 10, null)).toBe('Etc/UTC');
+        });
+
+        test('clamps the poles and wraps the antimeridian', () => {
+            expect(TimeZoneLookup.lookupTimeZone(tinyGrid, 90, -180, null)).toBe('America/Los_Angeles');
+            expect(TimeZoneLookup.lookupTimeZone(tinyGrid, -90, 180, null)).toBe('Etc/UTC');
+            expect(TimeZoneLookup.lookupTimeZone(tinyGrid, 45, 180, null)).toBe('America/Los_Angeles');
+        });
+
+        test('prefers the device zone in a neighbouring cell', () => {
+            expect(TimeZoneLookup.lookupTimeZone(tinyGrid, 45, -45, 'Asia/Tokyo')).toBe('Asia/Tokyo');
+            expect(TimeZoneLookup.lookupTimeZone(tinyGrid, 45, 135, 'Europe/Paris')).toBe('Asia/Tokyo');
+        });
+
+        test('resolves cities from the bundled grid', () => {
+            const data = JSON.parse(fs.readFileSync(path.join(__dirname, '../../src/assets/timezone-data.json'), 'utf8'));
+
+            expect(TimeZoneLookup.lookupTimeZone(data, 51.5074, -0.1278, null)).toBe('Europe/London');
+            expect(TimeZoneLookup.lookupTimeZone(data, 40.7128, -74.006, null)).toBe('America/New_York');
+            expect(TimeZoneLookup.lookupTimeZone(data, -33.8688, 151.2093, null)).toBe('Australia/Sydney');
+            expect(TimeZoneLookup.lookupTimeZone(data, 1.87, -157.4, null)).toBe('Pacific/Kiritimati');
+        });
+    });
+
+    describe('zoned dates', () => {
+        const instant = new Date(Date.UTC(2024, 5, 21, 23, 30));
+
+        test('gives the calendar date at the location', () => {
+            expect(TimeZoneLookup.getZonedDateParts(instant, 'Asia/Tokyo')).toEqual({
+                year: 2024, month: 6, day: 22, hour: 8, minute: 30, second: 0
+            });
+            expect(TimeZoneLookup.getZonedDateParts(instant, 'America/New_York').day).toBe(21);
+        });
+
+        test('gives offsets including half hours and DST', () => {
+            expect(TimeZoneLookup.getTimeZoneOffset(instant, 'Asia/Kolkata')).toBe(330);
+            expect(TimeZoneLookup.getTimeZoneOffset(instant, 'America/New_York')).toBe(-240);
+            expect(TimeZoneLookup.getStandardOffset(instant, 'America/New_York')).toBe(-300);
+            expect(TimeZoneLookup.getStandardOffset(instant, 'Australia/Sydney')).toBe(600);
+        });
+
+        test('detects daylight saving time in either hemisphere', () => {
+            expect(TimeZoneLookup.isDaylightSavingTime(instant, 'Europe/London')).toBe(true);
+            expect(TimeZoneLookup.isDaylightSavingTime(instant, 'Australia/Sydney')).toBe(false);
+            expect(TimeZoneLookup.isDaylightSavingTime(new Date(Date.UTC(2024, 0, 15)), 'Australia/Sydney')).toBe(true);
+            expect(TimeZoneLookup.isDaylightSavingTime(instant, 'Asia/Tokyo')).toBe(false);
+        });
+
+        test('formats offsets and dates', () => {
+            expect(TimeZoneLookup.formatUTCOffset(330)).toBe('UTC+5:30');
+            expect(TimeZoneLookup.formatUTCOffset(-240)).toBe('UTC−4');
+            expect(TimeZoneLookup.formatUTCOffset(0)).toBe('UTC+0');
+            expect(TimeZoneLookup.formatDateInTimeZone(instant, 'Asia/Tokyo')).toBe('Sat, Jun 22, 2024');
+        });
+
+        test('gives a short zone name', () => {
+            expect(TimeZoneLookup.getTimeZoneAbbreviation(instant, 'America/New_York')).toBe('EDT');
+        });
+
+        test('formats the date for a date input', () => {
+            expect(TimeZoneLookup.formatISODateInTimeZone(instant, 'Asia/Tokyo')).toBe('2024-06-22');
+            expect(TimeZoneLookup.formatISODateInTimeZone(instant, 'America/Los_Angeles')).toBe('2024-06-21');
+        });
+
+        test('moves by calendar days at the same wall-clock time across a clock change', () => {
+            // 12:00 CET on 30 March 2024; the clocks go forward overnight
+            const noon = new Date(Date.UTC(2024, 2, 30, 11));
+            const next = TimeZoneLookup.shiftCalendarDays(noon, 1, 'Europe/Paris');
+            const back = TimeZoneLookup.shiftCalendarDays(next, -1, 'Europe/Paris');
+
+            expect(next.toISOString()).toBe('2024-03-31T10:00:00.000Z');
+            expect(TimeZoneLookup.getZonedDateParts(next, 'Europe/Paris').hour).toBe(12);
+            expect(back.getTime()).toBe(noon.getTime());
+        });
+
+        test('moves to a chosen date', () => {
+            const noon = new Date(Date.UTC(2024, 2, 30, 11));
+            const chosen = TimeZoneLookup.setCalendarDate(noon, '2024-12-21', 'Europe/Paris');
+
+            expect(TimeZoneLookup.formatISODateInTimeZone(chosen, 'Europe/Paris')).toBe('2024-12-21');
+            expect(TimeZoneLookup.getZonedDateParts(chosen, 'Europe/Paris').hour).toBe(12);
+            expect(TimeZoneLookup.setCalendarDate(noon, '2024-02-30', 'Europe/Paris')).toBeNull();
+            expect(TimeZoneLookup.setCalendarDate(noon, '', 'Europe/Paris')).toBeNull();
+        });
+    });
+});
@@ -7,78 +7,26 @@
 const fs = require('fs');
 const path = require('path');
 
-/**
- * Calculate the day of year from date
- * @param {Date} date 
- * @returns {number} Day of year (1-366)
- */
-function getDayOfYear(date) {
-    const start = new Date(date.getFullYear(), 0, 0);
-    const diff = date - start;
-    const oneDay = 1000 * 60 * 60 * 24;
-    return Math.floor(diff / oneDay);
-}
-
-/**
- * Calculate Julian Day Number
- * @param {Date} date 
- * @returns {number} Julian Day Number
- */
-function getJulianDayNumber(date) {
-    const year = date.getFullYear();
-    const month = date.getMonth() + 1;
-    const day = date.getDate();
-    
-    let a = Math.floor((14 - month) / 12);
-    let y = year + 4800 - a;
-    let m = month + 12 * a - 3;
-    
-    return day + Math.floor((153 * m + 2) / 5) + 365 * y + 
-           Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400) - 32045;
-}
-
-/**
- * Convert degrees to radians
- * @param {number} degrees 
- * @returns {number} Radians
- */
-function toRadians(degrees) {
-    return degrees * Math.PI / 180;
-}
-
-/**
- * Convert radians to degrees
- * @param {number} radians 
- * @returns {number} Degrees
- */
-function toDegrees(radians) {
-    return radians * 180 / Math.PI;
-}
+const SolarEphemeris = require('../src/js/calculations/ephemeris.js');
 
 /**
  * Calculate solar declination angle
  * @param {number} dayOfYear Day of year (1-366)
- * @returns {number} Solar declination in degrees
+ * @param {number} year Year the day belongs to
+ * @returns {number} Apparent solar declination in degrees at 12:00 UT
  */
-function calculateSolarDeclination(dayOfYear) {
-    // Solar declination calculation using more accurate formula
-    const P = Math.asin(0.39795 * Math.cos(toRadians(0.98563 * (dayOfYear - 173) + 1.914 * Math.sin(toRadians(0.98563 * (dayOfYear - 2))))));
-    return toDegrees(P);
+function calculateSolarDeclination(dayOfYear, year = 2024) {
+    return SolarEphemeris.getSolarCoordinates(SolarEphemeris.dayOfYearToDate(year, dayOfYear)).declination;
 }
 
 /**
  * Calculate equation of time
  * @param {number} dayOfYear Day of year (1-366)
- * @returns {number} Equation of time in minutes
+ * @param {number} year Year the day belongs to
+ * @returns {number} Equation of time in minutes at 12:00 UT
  */
-function calculateEquationOfTime(dayOfYear) {
-    // More accurate equation of time calculation
-    const B = toRadians(360 * (dayOfYear - 81) / 365);
-    
-    // Equation of time in minutes
-    const E = 9.87 * Math.sin(2 * B) - 7.53 * Math.cos(B) - 1.5 * Math.sin(B);
-    
-    return E;
+function calculateEquationOfTime(dayOfYear, year = 2024) {
+    return SolarEphemeris.getSolarCoordinates(SolarEphemeris.dayOfYearToDate(year, dayOfYear)).equationOfTime;
 }
 
 /**
@@ -100,11 +48,11 @@ function generateAnalemmaData(year = 2024) {
     console.log(`Processing ${totalDays} days (${isLeapYear ? 'leap' : 'regular'} year)...`);
     
     for (let dayOfYear = 1; dayOfYear <= totalDays; dayOfYear++) {
-        const currentDate = new Date(year, 0, dayOfYear);
+        const currentDate = SolarEphemeris.dayOfYearToDate(year, dayOfYear);
         
         // Calculate solar declination and equation of time
-        const declination = calculateSolarDeclination(dayOfYear);
-        const equationOfTime = calculateEquationOfTime(dayOfYear);
+        const declination = calculateSolarDeclination(dayOfYear, year);
+        const equationOfTime = calculateEquationOfTime(dayOfYear, year);
         
         // Store the coordinates [x, y] where:
         // x = equation of time (minutes)
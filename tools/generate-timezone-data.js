@@ -0,0 +1,129 @@
+/**
+ * Time Zone Data Generation Script
+ * Samples an offline lat/lon → IANA time zone lookup on a regular grid
+ * Output: JSON file with a zone name table and run-length encoded grid rows
+ */
+
+const fs = require('fs');
+const path = require('path');
+const tzLookup = require('@photostructure/tz-lookup');
+
+/**
+ * Grid resolution in degrees
+ */
+const RESOLUTION = 0.25;
+
+/**
+ * Sample the time zone grid
+ * Each row is encoded as "zoneIndex*runLength" pairs separated by spaces,
+ * sampled at cell centres from 90°N southwards and 180°W eastwards
+ * @param {number} resolution Cell size in degrees
+ * @returns {Object} Time zone data object
+ */
+function generateTimeZoneData(resolution = RESOLUTION) {
+    const rowCount = Math.round(180 / resolution);
+    const columnCount = Math.round(360 / resolution);
+    const zones = [];
+    const zoneIndex = new Map();
+    const rows = [];
+
+    console.log(`Sampling ${rowCount} x ${columnCount} cells at ${resolution}°...`);
+
+    for (let row = 0; row < rowCount; row++) {
+        const latitude = 90 - (row + 0.5) * resolution;
+        const runs = [];
+        let current = -1;
+        let length = 0;
+
+        for (let column = 0; column < columnCount; column++) {
+            const longitude = -180 + (column + 0.5) * resolution;
+            const zone = tzLookup(latitude, longitude);
+
+            if (!zoneIndex.has(zone)) {
+                zoneIndex.set(zone, zones.length);
+                zones.push(zone);
+            }
+
+            const index = zoneIndex.get(zone);
+            if (index === current) {
+                length++;
+            } else {
+                if (length > 0) runs.push(`${current}*${length}`);
+                current = index;
+                length = 1;
+            }
+        }
+
+        runs.push(`${current}*${length}`);
+        rows.push(runs.join(' '));
+
+        // Log progress every 20 degrees
+        if (row % Math.round(20 / resolution) === 0) {
+            console.log(`Latitude ${latitude.toFixed(2)}°: ${runs.length} runs`);
+        }
+    }
+
+    return {
+        metadata: {
+            source: '@photostructure/tz-lookup (timezone-boundary-builder)',
+            generated: new Date().toISOString(),
+            resolution,
+            rows: rowCount,
+            columns: columnCount,
+            encoding: 'Rows from 90°N, columns from 180°W; "zoneIndex*runLength" pairs'
+        },
+        zones,
+        rows
+    };
+}
+
+/**
+ * Save data to JSON file
+ * @param {Object} data Time zone data
+ * @param {string} outputPath Output file path
+ */
+function saveToFile(data, outputPath) {
+    try {
+        // Ensure directory exists
+        const dir = path.dirname(outputPath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        // One row per line keeps diffs readable
+        const jsonString = JSON.stringify(data, null, 1);
+        fs.writeFileSync(outputPath, jsonString);
+
+        console.log(`\n✓ Time zone data saved to: ${outputPath}`);
+        console.log(`File size: ${(fs.statSync(outputPath).size / 1024).toFixed(1)} KB`);
+    } catch (error) {
+        console.error('Error saving file:', error);
+        process.exit(1);
+    }
+}
+
+// Main execution
+function main() {
+    console.log('🌍 Time Zone Data Generator');
+    console.log('=' .repeat(40));
+
+    const timeZoneData = generateTimeZoneData();
+
+    // Output path
+    const outputPath = path.join(__dirname, '..', 'src', 'assets', 'timezone-data.json');
+
+    // Save to file
+    saveToFile(timeZoneData, outputPath);
+
+    console.log('\n✅ Time zone data generation complete!');
+    console.log(`Zones: ${timeZoneData.zones.length}`);
+}
+
+// Run if called directly
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    generateTimeZoneData
+};